@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "description" TEXT,
+ADD COLUMN     "unitPrice" DOUBLE PRECISION;
+
+-- Backfill: pedidos existentes recebem o preço/descrição atuais do item
+UPDATE "OrderItem" AS oi
+SET "unitPrice" = i."unitPrice",
+    "description" = i."description"
+FROM "Item" AS i
+WHERE oi."itemId" = i."id";
+
+-- AlterTable
+ALTER TABLE "OrderItem" ALTER COLUMN "description" SET NOT NULL,
+ALTER COLUMN "unitPrice" SET NOT NULL;
@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "OrderStatusEvent" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL,
+    "userId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderStatusEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderStatusEvent_orderId_idx" ON "OrderStatusEvent"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "OrderStatusEvent" ADD CONSTRAINT "OrderStatusEvent_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderStatusEvent" ADD CONSTRAINT "OrderStatusEvent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: pedidos existentes recebem o evento de criação...
+INSERT INTO "OrderStatusEvent" ("orderId", "status", "userId", "createdAt")
+SELECT "id", 'pending', "clientId", "createdAt" FROM "Order";
+
+-- ...e, se já avançaram, o status atual na data da última atualização
+INSERT INTO "OrderStatusEvent" ("orderId", "status", "createdAt")
+SELECT "id", "status", "updatedAt" FROM "Order" WHERE "status" <> 'pending';
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Item" ADD COLUMN     "available" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "stockQuantity" INTEGER;
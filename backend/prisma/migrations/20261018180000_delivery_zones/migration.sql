@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "deliveryFee" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "deliveryZoneId" INTEGER,
+ADD COLUMN     "estimatedMinutes" INTEGER;
+
+-- CreateTable
+CREATE TABLE "DeliveryZone" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "cepStart" TEXT NOT NULL,
+    "cepEnd" TEXT NOT NULL,
+    "fee" DOUBLE PRECISION NOT NULL,
+    "minOrderValue" DOUBLE PRECISION,
+    "estimatedMinutes" INTEGER NOT NULL,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DeliveryZone_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_deliveryZoneId_fkey" FOREIGN KEY ("deliveryZoneId") REFERENCES "DeliveryZone"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- CreateEnum
+CREATE TYPE "FulfillmentType" AS ENUM ('DELIVERY', 'PICKUP');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "fulfillmentType" "FulfillmentType" NOT NULL DEFAULT 'DELIVERY';
@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "OpeningHour" (
+    "id" SERIAL NOT NULL,
+    "weekday" INTEGER NOT NULL,
+    "opensAt" TEXT NOT NULL,
+    "closesAt" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OpeningHour_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "StoreException" (
+    "id" SERIAL NOT NULL,
+    "date" TEXT NOT NULL,
+    "closed" BOOLEAN NOT NULL DEFAULT true,
+    "opensAt" TEXT,
+    "closesAt" TEXT,
+    "description" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StoreException_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OpeningHour_weekday_idx" ON "OpeningHour"("weekday");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StoreException_date_key" ON "StoreException"("date");
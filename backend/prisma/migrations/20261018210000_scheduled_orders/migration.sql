@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "scheduledFor" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "StoreSettings" (
+    "id" INTEGER NOT NULL DEFAULT 1,
+    "slotMinutes" INTEGER NOT NULL DEFAULT 30,
+    "slotCapacity" INTEGER NOT NULL DEFAULT 5,
+    "scheduleLeadMinutes" INTEGER NOT NULL DEFAULT 45,
+    "scheduleDaysAhead" INTEGER NOT NULL DEFAULT 2,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StoreSettings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Order_scheduledFor_idx" ON "Order"("scheduledFor");
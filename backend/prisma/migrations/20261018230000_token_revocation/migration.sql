@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "tokensValidAfter" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "RevokedToken" (
+    "jti" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RevokedToken_pkey" PRIMARY KEY ("jti")
+);
+
+-- CreateIndex
+CREATE INDEX "RevokedToken_expiresAt_idx" ON "RevokedToken"("expiresAt");
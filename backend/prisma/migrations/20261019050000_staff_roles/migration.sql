@@ -0,0 +1,12 @@
+-- AlterEnum
+ALTER TYPE "UserType" ADD VALUE 'KITCHEN';
+ALTER TYPE "UserType" ADD VALUE 'COURIER';
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "courierId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Order_courierId_idx" ON "Order"("courierId");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_courierId_fkey" FOREIGN KEY ("courierId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "deliveryCode" TEXT,
+ADD COLUMN     "deliveryCodeAttempts" INTEGER NOT NULL DEFAULT 0;
+
+-- Entregas em andamento recebem um código para poderem ser confirmadas
+UPDATE "Order"
+SET "deliveryCode" = LPAD(FLOOR(RANDOM() * 10000)::TEXT, 4, '0')
+WHERE "fulfillmentType" = 'DELIVERY'
+  AND "status" IN ('scheduled', 'pending', 'preparing', 'ready_for_delivery', 'delivering');
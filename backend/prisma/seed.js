@@ -11,8 +11,14 @@ async function main() {
   // ---------------------------------------------------------------------
   console.log("Limpando tabelas...");
 
+  await prisma.orderStatusEvent.deleteMany();
   await prisma.orderItem.deleteMany();
   await prisma.order.deleteMany();
+  await prisma.coupon.deleteMany();
+  await prisma.deliveryZone.deleteMany();
+  await prisma.openingHour.deleteMany();
+  await prisma.storeException.deleteMany();
+  await prisma.storeSettings.deleteMany();
   await prisma.item.deleteMany();
   await prisma.category.deleteMany();
   await prisma.address.deleteMany();
@@ -35,6 +41,7 @@ async function main() {
       email: "admin@uaifood.com",
       password: adminPass,
       type: "ADMIN",
+      emailVerifiedAt: new Date(),
     },
   });
 
@@ -63,6 +70,7 @@ async function main() {
         ...c,
         password: clientPassword,
         type: "CLIENT",
+        emailVerifiedAt: new Date(),
       },
     });
 
@@ -73,6 +81,32 @@ async function main() {
 
 
 
+  // ---------------------------------------------------------------------
+  // 2.1 CRIA EQUIPE DE EXEMPLO (COZINHA E ENTREGADOR)
+  // ---------------------------------------------------------------------
+  const staffPassword = await bcrypt.hash("equipe123", 10);
+
+  const staffData = [
+    { name: "Cozinha", phone: "34 95555-4444", email: "cozinha@uaifood.com", type: "KITCHEN" },
+    { name: "João Entregador", phone: "34 94444-5555", email: "entregador@uaifood.com", type: "COURIER" },
+  ];
+
+  for (const s of staffData) {
+    await prisma.user.upsert({
+      where: { email: s.email },
+      update: {},
+      create: {
+        ...s,
+        password: staffPassword,
+        emailVerifiedAt: new Date(),
+      },
+    });
+  }
+
+  console.log("Equipe criada:", staffData.length);
+
+
+
   // ---------------------------------------------------------------------
   // 3. CRIA CATEGORIAS E OBTÉM OS IDs
   // ---------------------------------------------------------------------
@@ -163,6 +197,65 @@ async function main() {
 
   console.log("Itens criados");
 
+  // Modificadores de exemplo (adicionais, remoções e tamanhos)
+  const xSalada = await prisma.item.findFirst({ where: { description: "X-Salada" } });
+  const coca = await prisma.item.findFirst({ where: { description: "Coca-Cola 350ml" } });
+
+  await prisma.item.update({
+    where: { id: xSalada.id },
+    data: {
+      modifierGroups: {
+        create: [
+          {
+            name: "Adicionais",
+            minSelections: 0,
+            maxSelections: 3,
+            options: {
+              create: [
+                { name: "Bacon extra", priceDelta: 4 },
+                { name: "Ovo", priceDelta: 2.5 },
+                { name: "Cheddar", priceDelta: 3 },
+              ],
+            },
+          },
+          {
+            name: "Remover",
+            minSelections: 0,
+            maxSelections: 2,
+            options: {
+              create: [
+                { name: "Sem cebola", priceDelta: 0 },
+                { name: "Sem tomate", priceDelta: 0 },
+              ],
+            },
+          },
+        ],
+      },
+    },
+  });
+
+  await prisma.item.update({
+    where: { id: coca.id },
+    data: {
+      modifierGroups: {
+        create: {
+          name: "Tamanho",
+          required: true,
+          minSelections: 1,
+          maxSelections: 1,
+          options: {
+            create: [
+              { name: "350ml", priceDelta: 0 },
+              { name: "2L", priceDelta: 6 },
+            ],
+          },
+        },
+      },
+    },
+  });
+
+  console.log("Modificadores criados");
+
 
 
   // ---------------------------------------------------------------------
@@ -192,6 +285,7 @@ async function main() {
   // ---------------------------------------------------------------------
   // 6. CRIA PEDIDOS + ITENS + TOTAL CALCULADO
   // ---------------------------------------------------------------------
+  await prisma.orderStatusEvent.deleteMany();
   await prisma.orderItem.deleteMany();
   await prisma.order.deleteMany();
 
@@ -225,6 +319,15 @@ async function main() {
         { itemId: allItems[7].id, quantity: 1 },
       ],
     },
+    {
+      clientId: clients[0].id,
+      status: "ready_for_pickup",
+      paymentMethod: "CASH",
+      fulfillmentType: "PICKUP",
+      items: [
+        { itemId: allItems[2].id, quantity: 1 },
+      ],
+    },
   ];
 
   for (const ord of exampleOrders) {
@@ -235,42 +338,127 @@ async function main() {
         clientId: ord.clientId,
         status: ord.status,
         paymentMethod: ord.paymentMethod,
+        fulfillmentType: ord.fulfillmentType ?? "DELIVERY",
         total: 0,
       },
     });
 
-    // Cria os itens do pedido
+    // Linha do tempo: todas as etapas do fluxo até o status do exemplo
+    const flow =
+      ord.fulfillmentType === "PICKUP"
+        ? ["pending", "preparing", "ready_for_pickup", "picked_up"]
+        : ["pending", "preparing", "delivering", "delivered"];
+    const reached = flow.slice(0, flow.indexOf(ord.status) + 1);
+
+    for (const status of reached) {
+      await prisma.orderStatusEvent.create({
+        data: {
+          orderId: order.id,
+          status,
+          userId: status === "pending" ? ord.clientId : admin.id,
+        },
+      });
+    }
+
+    // Cria os itens do pedido com snapshot de preço e descrição
+    let total = 0;
+
     for (const it of ord.items) {
+      const item = allItems.find((i) => i.id === it.itemId);
+
       await prisma.orderItem.create({
         data: {
           orderId: order.id,
           itemId: it.itemId,
           quantity: it.quantity,
+          unitPrice: item.unitPrice,
+          description: item.description,
         },
       });
-    }
 
-    // Carrega itens reais para calcular o total
-    const orderWithItems = await prisma.order.findUnique({
-      where: { id: order.id },
-      include: {
-        orderItems: { include: { item: true } },
-      },
-    });
-
-    const total = orderWithItems.orderItems.reduce(
-      (sum, oi) => sum + oi.item.unitPrice * oi.quantity,
-      0
-    );
+      total += item.unitPrice * it.quantity;
+    }
 
-    // Atualiza o pedido com o total final
+    // Atualiza o pedido com o total final (sem cupom: subtotal = total)
     await prisma.order.update({
       where: { id: order.id },
-      data: { total },
+      data: { subtotal: total, total },
     });
   }
 
   console.log("Pedidos completos criados!");
+
+
+
+  // ---------------------------------------------------------------------
+  // 7. CRIA CUPONS DE EXEMPLO
+  // ---------------------------------------------------------------------
+  await prisma.coupon.createMany({
+    data: [
+      {
+        code: "BEMVINDO10",
+        description: "10% de desconto na primeira compra",
+        type: "PERCENTAGE",
+        value: 10,
+        usageLimitPerClient: 1,
+      },
+      {
+        code: "FRETE5",
+        description: "R$ 5,00 de desconto em pedidos acima de R$ 40,00",
+        type: "FIXED",
+        value: 5,
+        minOrderValue: 40,
+        usageLimit: 100,
+      },
+    ],
+  });
+
+  console.log("Cupons criados!");
+
+
+
+  // ---------------------------------------------------------------------
+  // 8. CRIA ZONAS DE ENTREGA (Uberaba — CEPs 380xxxxx e 381xxxxx)
+  // ---------------------------------------------------------------------
+  await prisma.deliveryZone.createMany({
+    data: [
+      {
+        name: "Centro",
+        cepStart: "38000000",
+        cepEnd: "38019999",
+        fee: 5,
+        estimatedMinutes: 40,
+      },
+      {
+        name: "Demais bairros",
+        cepStart: "38020000",
+        cepEnd: "38099999",
+        fee: 9,
+        minOrderValue: 25,
+        estimatedMinutes: 60,
+      },
+    ],
+  });
+
+  console.log("Zonas de entrega criadas!");
+
+
+
+  // ---------------------------------------------------------------------
+  // 9. HORÁRIO DE FUNCIONAMENTO
+  // ---------------------------------------------------------------------
+  // Sem horário semanal a loja fica sempre aberta — prático para testar.
+  // Cadastramos apenas um feriado de exemplo; o admin define o resto em
+  // /admin/store-hours.
+  await prisma.storeException.create({
+    data: { date: "2026-12-25", closed: true, description: "Natal" },
+  });
+
+  // Agendamento: faixas de 30 min, até 5 pedidos por faixa, entrando na
+  // cozinha 45 min antes (valores padrão, editáveis em /admin/store-hours).
+  await prisma.storeSettings.create({ data: { id: 1 } });
+
+  console.log("Horário de funcionamento configurado!");
   console.log("Seed concluído com sucesso!");
 }
 
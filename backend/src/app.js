@@ -6,6 +6,11 @@ import addressRoutes from "./routes/addressRoutes.js";
 import itemRoutes from "./routes/itemRoutes.js";
 import categoryRoutes from "./routes/categoryRoutes.js";
 import orderRoutes from "./routes/orderRoutes.js";
+import couponRoutes from "./routes/couponRoutes.js";
+import deliveryZoneRoutes from "./routes/deliveryZoneRoutes.js";
+import storeRoutes from "./routes/storeRoutes.js";
+import courierRoutes from "./routes/courierRoutes.js";
+import reportRoutes from "./routes/reportRoutes.js";
 
 import { swaggerDocs } from "./swagger.js";
 
@@ -35,17 +40,27 @@ app.use(express.json());
  * ======================================================================
  *
  * Encaminhamento do tráfego:
- *  - /users       Rotas de autenticação e usuários
- *  - /addresses   CRUD do endereço do cliente
- *  - /items       CRUD de itens do cardápio
- *  - /categories  CRUD de categorias
- *  - /orders      Fluxo de pedidos
+ *  - /users          Rotas de autenticação e usuários
+ *  - /addresses      CRUD do endereço do cliente
+ *  - /items          CRUD de itens do cardápio
+ *  - /categories     CRUD de categorias
+ *  - /orders         Fluxo de pedidos
+ *  - /coupons        Cupons de desconto (ADMIN)
+ *  - /delivery-zones Taxas e prazos de entrega por CEP
+ *  - /store          Horário de funcionamento da loja
+ *  - /couriers       Entregadores disponíveis para o despacho (ADMIN)
+ *  - /reports        Relatórios de vendas do dashboard (ADMIN)
  */
 app.use("/users", userRoutes);
 app.use("/addresses", addressRoutes);
 app.use("/items", itemRoutes);
 app.use("/categories", categoryRoutes);
 app.use("/orders", orderRoutes);
+app.use("/coupons", couponRoutes);
+app.use("/delivery-zones", deliveryZoneRoutes);
+app.use("/store", storeRoutes);
+app.use("/couriers", courierRoutes);
+app.use("/reports", reportRoutes);
 
 
 
@@ -1,38 +1,55 @@
+import crypto from "node:crypto";
 import jwt from "jsonwebtoken";
+import prisma from "../../prisma/client.js";
 
 // ===================================================================
-// LISTA DE BLACKLIST PARA TOKENS INVALIDADOS
+// REVOGAÇÃO DE TOKENS (PERSISTIDA NO BANCO)
 // ===================================================================
 /**
- * Aqui usamos um array simples para bloquear tokens expirados via logout.
+ * Tokens invalidados antes de expirar ficam registrados no banco:
  *
- * 🎯 Pontos importantes:
- * - Em aplicações reais de produção, isso deveria ser armazenado em
- *   Redis ou outro storage rápido, pois:
- *     • escalabilidade → múltiplas instâncias precisam compartilhar blacklist
- *     • limpeza automática após expiração
- * - Para desenvolvimento/local, essa implementação é suficiente.
+ * - RevokedToken: um registro por token (chave = jti), criado no logout.
+ *   A consulta é pela chave primária, e o registro só precisa existir
+ *   até o token expirar — depois disso o jwt.verify já o recusa, então
+ *   pruneRevokedTokens() apaga os vencidos.
+ *
+ * - User.tokensValidAfter: "sair de todos os dispositivos". Todo token
+ *   do usuário emitido até esse instante deixa de valer, sem precisar
+ *   conhecer cada jti.
+ *
+ * - Session.revokedAt: encerrar uma sessão (logout, "sessões ativas",
+ *   reuso de refresh token, conta desativada) derruba na hora os tokens
+ *   de acesso emitidos para ela (claim sid), não só a renovação.
+ *
+ * 🎯 Por que no banco e não em memória:
+ * - sobrevive a reinícios/deploys (um token deslogado não volta a valer)
+ * - é compartilhado entre várias instâncias da API
  */
-const blacklist = [];
 
 // ===================================================================
 // GERAR TOKEN JWT
 // ===================================================================
-export const generateToken = (user) => {
+export const generateToken = (user, sessionId) => {
   /**
    * O JWT é assinado contendo:
    * - id: identifica o usuário na API
    * - type: usado nas regras de autorização (CLIENT / ADMIN)
+   * - sid: sessão de login (Session) que emitiu o token
+   * - jti: identificador único, usado para revogar só este token
+   *
+   * É um token de acesso CURTO: quando expira, o frontend troca o
+   * refresh token por um novo par (POST /users/refresh).
    *
    * 🚨 Importante:
    * Nunca incluir dados sensíveis (senha, email, telefone) no token.
    */
   return jwt.sign(
-    { id: user.id, type: user.type },
+    { id: user.id, type: user.type, sid: sessionId },
     process.env.SECRET_JWT, // chave privada usada para assinar o token
     {
       // Expiração configurável: evita tokens eternos
-      expiresIn: process.env.TOKEN_EXPIRATION || "1h",
+      expiresIn: process.env.TOKEN_EXPIRATION || "15m",
+      jwtid: crypto.randomUUID(),
     }
   );
 };
@@ -40,35 +57,121 @@ export const generateToken = (user) => {
 // ===================================================================
 // INVALIDAR TOKEN (LOGOUT)
 // ===================================================================
-export const blacklistToken = (token) => {
+export const revokeToken = async ({ jti, exp }) => {
   /**
-   * Ao fazer logout, adicionamos o token na blacklist.
-   * Qualquer tentativa futura de uso será rejeitada pelo verifyToken().
-   *
-   * ➕ Boa prática:
-   * Poderíamos guardar também o timestamp de expiração para limpeza automática.
+   * Recebe o payload já verificado (req.user).
+   * Tokens antigos, emitidos sem jti, apenas expiram normalmente.
    */
-  blacklist.push(token);
+  if (!jti) return;
+
+  // upsert: revogar duas vezes o mesmo token não é erro
+  await prisma.revokedToken.upsert({
+    where: { jti },
+    update: {},
+    create: { jti, expiresAt: new Date(exp * 1000) },
+  });
+};
+
+// ===================================================================
+// INVALIDAR TODOS OS TOKENS DO USUÁRIO ("SAIR DE TODOS OS DISPOSITIVOS")
+// ===================================================================
+export const revokeAllTokens = (userId, before = new Date()) =>
+  prisma.user.update({
+    where: { id: userId },
+    data: { tokensValidAfter: before },
+  });
+
+// ===================================================================
+// LIMPEZA DAS REVOGAÇÕES VENCIDAS
+// ===================================================================
+export const pruneRevokedTokens = async () => {
+  const { count } = await prisma.revokedToken.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+
+  return count;
+};
+
+/**
+ * Roda a limpeza periodicamente (padrão: a cada hora).
+ * Devolve a função que interrompe o agendador.
+ */
+export const startRevokedTokenPruner = (intervalMs = 3600000) => {
+  const run = () =>
+    pruneRevokedTokens().catch((error) =>
+      console.error("Erro ao limpar tokens revogados:", error.message)
+    );
+
+  run();
+  const timer = setInterval(run, intervalMs);
+
+  return () => clearInterval(timer);
 };
 
 // ===================================================================
 // VERIFICAR TOKEN
 // ===================================================================
-export const verifyToken = (token) => {
+export const verifyToken = async (token) => {
   /**
-   * 1️⃣ Se o token estiver na blacklist → é inválido
-   * Usuário fez logout ou token comprometido.
+   * 1️⃣ Verifica se:
+   * - assinatura é válida
+   * - expirou
+   * - está íntegro
    */
-  if (blacklist.includes(token)) {
-    throw new Error("Token inválido (blacklist).");
+  const decoded = jwt.verify(token, process.env.SECRET_JWT);
+
+  /**
+   * 2️⃣ Consulta as revogações pela chave primária (token específico,
+   * sessão que o emitiu e corte por usuário) e a situação atual da conta.
+   */
+  const [revoked, session, user] = await Promise.all([
+    decoded.jti
+      ? prisma.revokedToken.findUnique({ where: { jti: decoded.jti } })
+      : null,
+    decoded.sid
+      ? prisma.session.findUnique({
+          where: { id: decoded.sid },
+          select: { revokedAt: true },
+        })
+      : null,
+    prisma.user.findUnique({
+      where: { id: decoded.id },
+      select: { tokensValidAfter: true, type: true, deactivatedAt: true },
+    }),
+  ]);
+
+  // Usuário fez logout ou token comprometido
+  if (revoked) {
+    throw new Error("Token inválido (revogado).");
+  }
+
+  // Sessão encerrada (ou apagada): nenhum token dela vale mais
+  if (decoded.sid && (!session || session.revokedAt)) {
+    const error = new Error("Sessão encerrada.");
+    error.code = "SESSION_REVOKED";
+    throw error;
+  }
+
+  // Usuário removido ou "sair de todos os dispositivos" depois da emissão.
+  // iat tem resolução de segundos: emitido no mesmo segundo também cai.
+  if (
+    !user ||
+    (user.tokensValidAfter &&
+      decoded.iat * 1000 <= user.tokensValidAfter.getTime())
+  ) {
+    throw new Error("Token inválido (sessões encerradas).");
+  }
+
+  // Conta desativada pelo admin: nenhum token vale, mesmo os já emitidos
+  if (user.deactivatedAt) {
+    const error = new Error("Conta desativada.");
+    error.code = "ACCOUNT_DEACTIVATED";
+    throw error;
   }
 
   /**
-   * 2️⃣ Se o token NÃO estiver na blacklist:
-   * Verifica se:
-   * - assinatura é válida
-   * - expirou
-   * - está íntegro
+   * 3️⃣ O papel vem do banco, não do token: promover ou rebaixar um
+   * usuário vale na próxima requisição, sem esperar o token expirar.
    */
-  return jwt.verify(token, process.env.SECRET_JWT);
+  return { ...decoded, type: user.type };
 };
@@ -0,0 +1,107 @@
+/**
+ * ======================================================================
+ *  MATRIZ DE PERMISSÕES
+ * ======================================================================
+ *
+ * Tipos de usuário (UserType):
+ *  - CLIENT  → faz e acompanha os próprios pedidos
+ *  - ADMIN   → gerencia tudo (cardápio, loja, usuários, pedidos)
+ *  - KITCHEN → vê a fila e prepara: pending → preparing → pronto
+ *  - COURIER → vê e avança apenas as entregas atribuídas a ele
+ *
+ * As rotas pedem uma PERMISSÃO (requirePermission), nunca um tipo:
+ * para mudar quem faz o quê, basta alterar a tabela abaixo.
+ *
+ * Regras que dependem do pedido (qual status, de quem é a entrega)
+ * ficam em canSeeOrder / canAdvanceOrder, usadas pelo orderController.
+ */
+
+export const PERMISSIONS = {
+  // Cardápio, cupons, zonas de entrega e configurações da loja
+  "menu:manage": ["ADMIN"],
+  "coupons:manage": ["ADMIN"],
+  "delivery-zones:manage": ["ADMIN"],
+  "store:manage": ["ADMIN"],
+
+  // Usuários: busca, papéis, desativação e edição de outras contas
+  "users:manage": ["ADMIN"],
+
+  // Autenticação em dois fatores da própria conta
+  "account:two-factor": ["ADMIN"],
+
+  // Pedidos do próprio cliente (criar, simular, listar, cancelar)
+  "orders:place": ["CLIENT"],
+
+  // Pedidos da loja: leitura (COURIER só os atribuídos) e avanço de
+  // status (cada tipo só nas etapas permitidas em ADVANCE_FROM)
+  "orders:read": ["ADMIN", "KITCHEN", "COURIER"],
+  "orders:advance": ["ADMIN", "KITCHEN", "COURIER"],
+
+  // Histórico de pedidos de um cliente e cancelamento pela loja
+  "orders:read-by-client": ["ADMIN"],
+  "orders:cancel": ["ADMIN"],
+
+  // Despacho: entregadores e atribuição de entregas
+  "orders:dispatch": ["ADMIN"],
+
+  // Entregas atribuídas ao entregador e confirmação com o código do cliente
+  "deliveries:handle": ["COURIER"],
+
+  // Relatórios de vendas (faturamento, itens mais vendidos, horários)
+  "reports:read": ["ADMIN"],
+
+  // Tempo real: cada um recebe só o que pode ver (canSeeOrder)
+  "orders:stream": ["CLIENT", "ADMIN", "KITCHEN", "COURIER"],
+};
+
+/**
+ * O usuário (req.user) tem a permissão?
+ */
+export const can = (user, permission) =>
+  Boolean(user?.type && PERMISSIONS[permission]?.includes(user.type));
+
+// ===================================================================
+// REGRAS POR PEDIDO
+// ===================================================================
+
+/**
+ * Quem pode tirar o pedido de cada status (avançar para o próximo
+ * status do STATUS_FLOW). Status ausentes são finais.
+ *
+ * O entregador finaliza a entrega ("delivering" → "delivered") só com o
+ * código do cliente (POST /orders/deliveries/:id/confirm), não por aqui.
+ */
+const ADVANCE_FROM = {
+  scheduled: ["ADMIN"],
+  pending: ["ADMIN", "KITCHEN"],
+  preparing: ["ADMIN", "KITCHEN"],
+  ready_for_delivery: ["ADMIN", "COURIER"],
+  delivering: ["ADMIN"],
+  ready_for_pickup: ["ADMIN"],
+};
+
+/**
+ * Filtro do Prisma com os pedidos visíveis para o usuário.
+ */
+export const orderScope = (user) => {
+  if (user.type === "CLIENT") return { clientId: user.id };
+  if (user.type === "COURIER") return { courierId: user.id };
+  return {};
+};
+
+/**
+ * O usuário pode ver este pedido? (mesma regra do orderScope, para um
+ * pedido já carregado — ex.: eventos em tempo real)
+ */
+export const canSeeOrder = (user, order) => {
+  if (user.type === "CLIENT") return order.clientId === user.id;
+  if (user.type === "COURIER") return order.courierId === user.id;
+  return can(user, "orders:read");
+};
+
+/**
+ * O usuário pode avançar o pedido a partir do status atual?
+ */
+export const canAdvanceOrder = (user, order) =>
+  Boolean(ADVANCE_FROM[order.status]?.includes(user.type)) &&
+  (user.type !== "COURIER" || order.courierId === user.id);
@@ -1,4 +1,5 @@
 import prisma from "../../prisma/client.js";
+import { serializeAddress } from "../serializers/addressSerializer.js";
 
 /**
  * CONTROLLERS DE ENDEREÇO DO USUÁRIO AUTENTICADO
@@ -24,7 +25,7 @@ export const getMyAddress = async (req, res) => {
       return res.status(404).json({ message: "Nenhum endereço cadastrado." });
     }
 
-    return res.json(address);
+    return res.json(serializeAddress(address));
 
   } catch (error) {
     // Erro inesperado de banco ou servidor
@@ -56,7 +57,7 @@ export const createMyAddress = async (req, res) => {
       },
     });
 
-    return res.status(201).json(address);
+    return res.status(201).json(serializeAddress(address));
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -84,7 +85,7 @@ export const updateMyAddress = async (req, res) => {
       
     });
 
-    return res.json(updated);
+    return res.json(serializeAddress(updated));
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
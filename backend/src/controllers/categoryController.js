@@ -1,4 +1,5 @@
 import prisma from "../../prisma/client.js";
+import { serializeCategory } from "../serializers/itemSerializer.js";
 
 /**
  * CONTROLLER DE CATEGORIAS
@@ -23,13 +24,16 @@ import prisma from "../../prisma/client.js";
 // ===============================
 export const getCategories = async (req, res) => {
   try {
-    // Busca todas as categorias e já retorna os itens relacionados.
+    // Busca todas as categorias e já retorna os itens relacionados
+    // (com seus grupos de modificadores).
     // Isso facilita o frontend montar o cardápio sem múltiplas requisições.
     const categories = await prisma.category.findMany({
-      include: { items: true },
+      include: {
+        items: { include: { modifierGroups: { include: { options: true } } } },
+      },
     });
 
-    return res.status(200).json(categories);
+    return res.status(200).json(categories.map(serializeCategory));
 
   } catch (error) {
     // Erros aqui normalmente são do Prisma ou do banco.
@@ -47,7 +51,9 @@ export const getCategoryById = async (req, res) => {
     // Busca única categoria + seus itens
     const category = await prisma.category.findUnique({
       where: { id: Number(id) },
-      include: { items: true },
+      include: {
+        items: { include: { modifierGroups: { include: { options: true } } } },
+      },
     });
 
     // Caso o ID não exista no banco
@@ -55,7 +61,7 @@ export const getCategoryById = async (req, res) => {
       return res.status(404).json({ message: "Categoria não encontrada." });
     }
 
-    return res.status(200).json(category);
+    return res.status(200).json(serializeCategory(category));
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -74,7 +80,7 @@ export const createCategory = async (req, res) => {
       data: { description },
     });
 
-    return res.status(201).json(category);
+    return res.status(201).json(serializeCategory(category));
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -95,7 +101,7 @@ export const updateCategory = async (req, res) => {
       data: { description },
     });
 
-    return res.status(200).json(updated);
+    return res.status(200).json(serializeCategory(updated));
 
   } catch (error) {
     // P2025 → registro não encontrado para update
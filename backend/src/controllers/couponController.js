@@ -0,0 +1,165 @@
+import prisma from "../../prisma/client.js";
+
+/**
+ * CONTROLLER DE CUPONS
+ *
+ * CRUD dos cupons de desconto, usado apenas pelo ADMIN.
+ * A aplicação do cupom no pedido fica em services/couponService.js,
+ * chamada pelo controller de pedidos.
+ *
+ * Rotas:
+ *  - GET    /coupons
+ *  - GET    /coupons/:id
+ *  - POST   /coupons
+ *  - PUT    /coupons/:id
+ *  - DELETE /coupons/:id
+ *
+ * Erros tratados:
+ *  - P2002 → código de cupom já existe
+ *  - P2003 → categoria ou item inexistente
+ *  - P2025 → cupom não encontrado
+ */
+
+// Categoria/item da restrição, para o admin ver o nome na listagem
+const couponInclude = {
+  category: { select: { id: true, description: true } },
+  item: { select: { id: true, description: true } },
+};
+
+/**
+ * Acrescenta a quantidade de usos (pedidos não cancelados) a cada cupom.
+ */
+const withUsage = async (coupons) => {
+  const usage = await prisma.order.groupBy({
+    by: ["couponId"],
+    where: {
+      couponId: { in: coupons.map((c) => c.id) },
+      status: { not: "cancelled" },
+    },
+    _count: { _all: true },
+  });
+
+  const usedById = new Map(usage.map((u) => [u.couponId, u._count._all]));
+
+  return coupons.map((c) => ({ ...c, used: usedById.get(c.id) ?? 0 }));
+};
+
+// ===============================
+// LISTAR CUPONS
+// ===============================
+export const getCoupons = async (req, res) => {
+  try {
+    const coupons = await prisma.coupon.findMany({
+      include: couponInclude,
+      orderBy: { createdAt: "desc" },
+    });
+
+    return res.status(200).json(await withUsage(coupons));
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// BUSCAR CUPOM POR ID
+// ===============================
+export const getCouponById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await prisma.coupon.findUnique({
+      where: { id: Number(id) },
+      include: couponInclude,
+    });
+
+    if (!coupon) {
+      return res.status(404).json({ message: "Cupom não encontrado." });
+    }
+
+    const [withCount] = await withUsage([coupon]);
+
+    return res.status(200).json(withCount);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// CRIAR CUPOM
+// ===============================
+export const createCoupon = async (req, res) => {
+  try {
+    // O schema já normalizou o código (maiúsculas) e validou as regras.
+    const coupon = await prisma.coupon.create({
+      data: req.body,
+      include: couponInclude,
+    });
+
+    return res.status(201).json(coupon);
+
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({ message: "Já existe um cupom com este código." });
+    }
+    if (error.code === "P2003") {
+      return res.status(400).json({ message: "Categoria ou item inexistente." });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// ATUALIZAR CUPOM
+// ===============================
+export const updateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Pedidos já feitos guardam o desconto aplicado,
+    // então editar o cupom não altera o histórico.
+    const updated = await prisma.coupon.update({
+      where: { id: Number(id) },
+      data: req.body,
+      include: couponInclude,
+    });
+
+    return res.status(200).json(updated);
+
+  } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(404).json({ message: "Cupom não encontrado." });
+    }
+    if (error.code === "P2002") {
+      return res.status(409).json({ message: "Já existe um cupom com este código." });
+    }
+    if (error.code === "P2003") {
+      return res.status(400).json({ message: "Categoria ou item inexistente." });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// DELETAR CUPOM
+// ===============================
+export const deleteCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Pedidos que usaram o cupom mantêm couponCode e discount
+    // (a FK couponId vira null — onDelete: SetNull).
+    await prisma.coupon.delete({
+      where: { id: Number(id) },
+    });
+
+    return res.status(200).json({ message: "Cupom deletado com sucesso." });
+
+  } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(404).json({ message: "Cupom não encontrado." });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
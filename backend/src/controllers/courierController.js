@@ -0,0 +1,30 @@
+import prisma from "../../prisma/client.js";
+import { listCouriers } from "../services/dispatchService.js";
+
+/**
+ * CONTROLLER DE ENTREGADORES (COURIER)
+ *
+ * - Entregador é um usuário do tipo COURIER: o ADMIN cadastra a conta
+ *   (ou altera o tipo de uma existente) na gestão de usuários.
+ * - Aqui o ADMIN consulta os entregadores ativos para despachar pedidos.
+ *
+ * Rotas:
+ *  - GET /couriers   (ADMIN)
+ *
+ * A atribuição e a confirmação das entregas ficam no controller de
+ * pedidos, com as regras em services/dispatchService.js.
+ */
+
+// ========================================
+// ADMIN - LISTAR ENTREGADORES
+// ========================================
+export const getCouriers = async (req, res) => {
+  try {
+    const couriers = await listCouriers(prisma);
+
+    return res.status(200).json(couriers);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,124 @@
+import prisma from "../../prisma/client.js";
+import { findZoneForCep } from "../services/deliveryService.js";
+
+/**
+ * CONTROLLER DE ZONAS DE ENTREGA
+ *
+ * O ADMIN cadastra as zonas (faixas de CEP com taxa, pedido mínimo e prazo).
+ * O cliente pode consultar se um CEP é atendido antes de comprar.
+ *
+ * Rotas:
+ *  - GET    /delivery-zones               (ADMIN)
+ *  - GET    /delivery-zones/lookup/:cep   (CLIENT e ADMIN)
+ *  - POST   /delivery-zones               (ADMIN)
+ *  - PUT    /delivery-zones/:id           (ADMIN)
+ *  - DELETE /delivery-zones/:id           (ADMIN)
+ *
+ * O cálculo da entrega no pedido fica em services/deliveryService.js.
+ */
+
+// ===============================
+// LISTAR ZONAS
+// ===============================
+export const getDeliveryZones = async (req, res) => {
+  try {
+    const zones = await prisma.deliveryZone.findMany({
+      orderBy: { cepStart: "asc" },
+    });
+
+    return res.status(200).json(zones);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// CONSULTAR ZONA DE UM CEP
+// ===============================
+export const lookupDeliveryZone = async (req, res) => {
+  try {
+    const { cep } = req.params;
+
+    const zone = await findZoneForCep(prisma, cep);
+
+    if (!zone) {
+      return res
+        .status(404)
+        .json({ message: `Ainda não entregamos no CEP ${cep}.` });
+    }
+
+    // Apenas o que interessa ao cliente
+    return res.status(200).json({
+      name: zone.name,
+      fee: zone.fee,
+      minOrderValue: zone.minOrderValue,
+      estimatedMinutes: zone.estimatedMinutes,
+    });
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// CRIAR ZONA
+// ===============================
+export const createDeliveryZone = async (req, res) => {
+  try {
+    // O schema já converteu cepPrefix em cepStart/cepEnd
+    const zone = await prisma.deliveryZone.create({ data: req.body });
+
+    return res.status(201).json(zone);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// ATUALIZAR ZONA
+// ===============================
+export const updateDeliveryZone = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Pedidos já feitos guardam a taxa e o prazo cobrados,
+    // então editar a zona não altera o histórico.
+    const updated = await prisma.deliveryZone.update({
+      where: { id: Number(id) },
+      data: req.body,
+    });
+
+    return res.status(200).json(updated);
+
+  } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(404).json({ message: "Zona de entrega não encontrada." });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// DELETAR ZONA
+// ===============================
+export const deleteDeliveryZone = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.deliveryZone.delete({
+      where: { id: Number(id) },
+    });
+
+    return res
+      .status(200)
+      .json({ message: "Zona de entrega deletada com sucesso." });
+
+  } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(404).json({ message: "Zona de entrega não encontrada." });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
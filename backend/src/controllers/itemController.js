@@ -1,16 +1,20 @@
 import prisma from "../../prisma/client.js";
+import { serializeItem } from "../serializers/itemSerializer.js";
 
 /**
  * CONTROLLER DE ITENS DO CARDÁPIO
  *
  * Os itens são elementos principais do cardápio (lanche, bebida etc.). 
  * Eles pertencem a uma categoria e podem aparecer em pedidos (OrderItem).
+ * Podem ter grupos de modificadores (tamanhos, adicionais, remoções),
+ * que são criados/substituídos junto com o item.
  *
  * Este controller oferece:
  *  - listagem completa
  *  - busca por ID
  *  - criação
  *  - atualização
+ *  - pausa/reativação (disponibilidade)
  *  - deleção
  *
  * OBSERVAÇÃO:
@@ -18,6 +22,25 @@ import prisma from "../../prisma/client.js";
  *    a pedidos existentes (dependendo do comportamento de FKs no banco).
  */
 
+// ===============================
+// HELPER: GRUPOS DE MODIFICADORES
+// ===============================
+// Converte o payload validado (itemSchema) para o formato de
+// nested create do Prisma: grupo → options.
+const toModifierGroupsCreate = (groups) =>
+  groups.map((g) => ({
+    name: g.name,
+    required: g.required,
+    minSelections: g.minSelections,
+    maxSelections: g.maxSelections,
+    options: {
+      create: g.options.map((o) => ({
+        name: o.name,
+        priceDelta: o.priceDelta,
+      })),
+    },
+  }));
+
 // ===============================
 // LISTAR TODOS OS ITENS
 // ===============================
@@ -26,10 +49,13 @@ export const getItems = async (req, res) => {
     // Retorna todos os itens com suas categorias.
     // Isso evita uma segunda requisição para descobrir a categoria no front.
     const items = await prisma.item.findMany({
-      include: { category: true },
+      include: {
+        category: true,
+        modifierGroups: { include: { options: true } },
+      },
     });
 
-    return res.status(200).json(items);
+    return res.status(200).json(items.map(serializeItem));
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -46,14 +72,17 @@ export const getItemById = async (req, res) => {
     // Busca item específico e inclui categoria associada
     const item = await prisma.item.findUnique({
       where: { id: Number(id) },
-      include: { category: true },
+      include: {
+        category: true,
+        modifierGroups: { include: { options: true } },
+      },
     });
 
     if (!item) {
       return res.status(404).json({ message: "Item não encontrado." });
     }
 
-    return res.status(200).json(item);
+    return res.status(200).json(serializeItem(item));
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -65,15 +94,35 @@ export const getItemById = async (req, res) => {
 // ===============================
 export const createItem = async (req, res) => {
   try {
-    const { description, unitPrice, imageUrl, categoryId } = req.body;
+    const {
+      description,
+      unitPrice,
+      imageUrl,
+      categoryId,
+      modifierGroups,
+      stockQuantity,
+      available,
+    } = req.body;
 
     // Criação simples de item. 
     // A validação do categoryId e tipos já é feita no schema Zod.
+    // Os grupos de modificadores (se enviados) são criados em cascata.
     const item = await prisma.item.create({
-      data: { description, unitPrice, imageUrl, categoryId },
+      data: {
+        description,
+        unitPrice,
+        imageUrl,
+        categoryId,
+        stockQuantity,
+        available,
+        ...(modifierGroups && {
+          modifierGroups: { create: toModifierGroupsCreate(modifierGroups) },
+        }),
+      },
+      include: { modifierGroups: { include: { options: true } } },
     });
 
-    return res.status(201).json(item);
+    return res.status(201).json(serializeItem(item));
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -86,15 +135,39 @@ export const createItem = async (req, res) => {
 export const updateItem = async (req, res) => {
   try {
     const { id } = req.params;
-    const { description, unitPrice, imageUrl, categoryId } = req.body;
+    const {
+      description,
+      unitPrice,
+      imageUrl,
+      categoryId,
+      modifierGroups,
+      stockQuantity,
+      available,
+    } = req.body;
 
     // Prisma lança erro P2025 quando o registro não existe.
+    // Se modifierGroups vier no payload, os grupos antigos são substituídos
+    // (deleteMany + create na mesma operação, de forma atômica).
     const updated = await prisma.item.update({
       where: { id: Number(id) },
-      data: { description, unitPrice, imageUrl, categoryId },
+      data: {
+        description,
+        unitPrice,
+        imageUrl,
+        categoryId,
+        stockQuantity,
+        available,
+        ...(modifierGroups && {
+          modifierGroups: {
+            deleteMany: {},
+            create: toModifierGroupsCreate(modifierGroups),
+          },
+        }),
+      },
+      include: { modifierGroups: { include: { options: true } } },
     });
 
-    return res.status(200).json(updated);
+    return res.status(200).json(serializeItem(updated));
 
   } catch (error) {
     // Captura o erro de “registro não encontrado”
@@ -106,6 +179,31 @@ export const updateItem = async (req, res) => {
   }
 };
 
+// ===============================
+// ALTERAR DISPONIBILIDADE DO ITEM
+// ===============================
+export const updateItemAvailability = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { available } = req.body;
+
+    // Pausa/reativa o item sem mexer no estoque.
+    const updated = await prisma.item.update({
+      where: { id: Number(id) },
+      data: { available },
+    });
+
+    return res.status(200).json(serializeItem(updated));
+
+  } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(404).json({ message: "Item não encontrado." });
+    }
+
+    return res.status(500).json({ error: error.message });
+  }
+};
+
 // ===============================
 // DELETAR ITEM
 // ===============================
@@ -1,4 +1,38 @@
 import prisma from "../../prisma/client.js";
+import {
+  ORDER_ASSIGNED,
+  ORDER_CREATED,
+  ORDER_STATUS_CHANGED,
+  ORDER_UNASSIGNED,
+  publishOrderEvent,
+  registerStreamConnection,
+  subscribeOrderEvents,
+} from "../events/orderEvents.js";
+import {
+  evaluateCoupon,
+  normalizeCouponCode,
+} from "../services/couponService.js";
+import { quoteDelivery } from "../services/deliveryService.js";
+import { getStoreStatus } from "../services/storeHoursService.js";
+import { reserveTimeSlot } from "../services/scheduleService.js";
+import { getStoreSettings } from "../services/settingsService.js";
+import {
+  assignOrders,
+  confirmDelivery,
+  generateDeliveryCode,
+  listCourierDeliveries,
+} from "../services/dispatchService.js";
+import { listOrders } from "../services/orderListService.js";
+import {
+  serializeClientOrder,
+  serializeOrder,
+} from "../serializers/orderSerializer.js";
+import {
+  canAdvanceOrder,
+  canSeeOrder,
+  orderScope,
+} from "../config/permissions.js";
+import { verifyToken } from "../config/jwtConfig.js";
 
 /**
  * CONTROLLER DE PEDIDOS (Order)
@@ -6,13 +40,264 @@ import prisma from "../../prisma/client.js";
  * Este módulo gerencia toda a lógica relacionada aos pedidos:
  *  - Cliente pode criar e visualizar seus próprios pedidos.
  *  - Administrador pode visualizar e alterar pedidos de todos.
+ *  - Cozinha (KITCHEN) vê a fila e prepara; entregador (COURIER) vê e
+ *    avança apenas as entregas atribuídas a ele (config/permissions.js).
  *
  * Detalhe importante:
- *  - Cada pedido possui itens (OrderItem), que referenciam itens do cardápio.
- *  - O total do pedido é calculado dinamicamente logo após a criação.
+ *  - Cada pedido possui itens (OrderItem), que referenciam itens do cardápio
+ *    e guardam o preço/descrição do momento da compra (snapshot).
+ *  - O total do pedido é calculado no backend a partir desse snapshot.
  *  - Há um fluxo rígido de mudança de status, garantindo integridade operacional.
+ *  - Pedidos podem ser cancelados (estado final "cancelled"), guardando
+ *    motivo, quem cancelou e quando.
+ *  - Toda mudança de status (inclusive a criação) gera um OrderStatusEvent,
+ *    formando a linha do tempo exibida nos detalhes do pedido.
+ *  - Criações e mudanças de status são publicadas em tempo real (SSE)
+ *    para quem está conectado em GET /orders/stream.
+ *  - O estoque dos itens é baixado na criação e devolvido no cancelamento,
+ *    sempre dentro de transações.
+ *  - Um cupom pode ser aplicado: o pedido guarda subtotal, desconto e
+ *    total separadamente (ver services/couponService.js).
+ *  - A taxa de entrega vem da zona do CEP do cliente e também é gravada
+ *    à parte (ver services/deliveryService.js).
+ *  - Pedidos podem ser de entrega (DELIVERY) ou retirada no balcão (PICKUP),
+ *    cada um com seu fluxo de status.
+ *  - Pedidos só são aceitos com a loja aberta (ver services/storeHoursService.js).
+ *  - Pedidos podem ser agendados para uma faixa de horário futura, com
+ *    capacidade limitada (ver services/scheduleService.js). Eles ficam em
+ *    "scheduled" até entrarem na fila da cozinha ("pending").
  */
 
+// ========================================
+// HELPER: MONTAR ITEM DO PEDIDO COM MODIFICADORES
+// ========================================
+
+/**
+ * Valida as opções escolhidas para um item e calcula o preço final.
+ *
+ * Regras:
+ *  - toda opção enviada precisa pertencer a um grupo do item
+ *  - cada grupo respeita minSelections/maxSelections
+ *  - grupo "required" exige ao menos 1 opção
+ *
+ * Retorna { data } pronto para o nested create do Prisma,
+ * ou { error } com a mensagem a devolver ao cliente.
+ */
+const buildOrderItem = (menuItem, requested) => {
+  const chosenIds = new Set(requested.options ?? []);
+  const optionsById = new Map();
+
+  for (const group of menuItem.modifierGroups) {
+    for (const option of group.options) {
+      optionsById.set(option.id, { option, group });
+    }
+  }
+
+  const unknown = [...chosenIds].find((id) => !optionsById.has(id));
+  if (unknown !== undefined) {
+    return {
+      error: `Opção ${unknown} não pertence ao item "${menuItem.description}".`,
+    };
+  }
+
+  for (const group of menuItem.modifierGroups) {
+    const count = group.options.filter((o) => chosenIds.has(o.id)).length;
+    const min = group.required
+      ? Math.max(1, group.minSelections)
+      : group.minSelections;
+
+    if (count < min) {
+      return {
+        error: `Escolha pelo menos ${min} opção(ões) em "${group.name}" para "${menuItem.description}".`,
+      };
+    }
+
+    if (count > group.maxSelections) {
+      return {
+        error: `Escolha no máximo ${group.maxSelections} opção(ões) em "${group.name}" para "${menuItem.description}".`,
+      };
+    }
+  }
+
+  // Snapshot das opções (nomes e preços do momento da compra)
+  const modifiers = [...chosenIds].map((id) => {
+    const { option, group } = optionsById.get(id);
+
+    return {
+      optionId: option.id,
+      groupName: group.name,
+      optionName: option.name,
+      priceDelta: option.priceDelta,
+    };
+  });
+
+  const unitPrice = Math.max(
+    0,
+    modifiers.reduce((sum, m) => sum + m.priceDelta, menuItem.unitPrice)
+  );
+
+  return {
+    data: {
+      itemId: menuItem.id,
+      quantity: requested.quantity,
+      unitPrice,
+      description: menuItem.description,
+      notes: requested.notes || null,
+      modifiers: { create: modifiers },
+    },
+  };
+};
+
+// ========================================
+// HELPERS: ESTOQUE
+// ========================================
+
+/**
+ * Mensagem de erro (por item) quando ele não pode ser vendido na
+ * quantidade pedida, ou null se estiver tudo certo.
+ */
+const stockErrorFor = (menuItem, quantity) => {
+  if (!menuItem.available) {
+    return `${menuItem.description}: item indisponível no momento.`;
+  }
+
+  if (menuItem.stockQuantity !== null && menuItem.stockQuantity < quantity) {
+    return menuItem.stockQuantity === 0
+      ? `${menuItem.description}: esgotado.`
+      : `${menuItem.description}: restam apenas ${menuItem.stockQuantity} unidade(s).`;
+  }
+
+  return null;
+};
+
+/**
+ * Devolve ao estoque as quantidades de um pedido cancelado.
+ * Itens sem controle de estoque (stockQuantity null) são ignorados.
+ */
+const restoreStock = async (tx, orderId) => {
+  const orderItems = await tx.orderItem.findMany({ where: { orderId } });
+
+  for (const oi of orderItems) {
+    await tx.item.updateMany({
+      where: { id: oi.itemId, stockQuantity: { not: null } },
+      data: { stockQuantity: { increment: oi.quantity } },
+    });
+  }
+};
+
+// ========================================
+// HELPER: PRECIFICAR OS ITENS DO PEDIDO
+// ========================================
+
+/**
+ * Busca os itens do cardápio envolvidos no pedido (já com seus grupos de
+ * modificadores) e monta os OrderItems com snapshot de preço e descrição.
+ *
+ * O preço vem sempre do banco — o cliente não envia preço no payload,
+ * o que reduz a chance de fraude.
+ *
+ * Retorna { menuById, orderItems } ou { error }.
+ * Usado por createOrder e previewOrder.
+ */
+const priceOrderItems = async (items) => {
+  const menuItems = await prisma.item.findMany({
+    where: { id: { in: items.map((i) => i.itemId) } },
+    include: { modifierGroups: { include: { options: true } } },
+  });
+
+  const menuById = new Map(menuItems.map((mi) => [mi.id, mi]));
+
+  const missing = items.find((i) => !menuById.has(i.itemId));
+  if (missing) {
+    return { error: `Item ${missing.itemId} não encontrado.` };
+  }
+
+  const orderItems = [];
+
+  for (const i of items) {
+    const line = buildOrderItem(menuById.get(i.itemId), i);
+
+    if (line.error) return { error: line.error };
+
+    orderItems.push(line.data);
+  }
+
+  return { menuById, orderItems };
+};
+
+/**
+ * Converte os OrderItems no formato esperado pelas regras de cupom
+ * ({ itemId, categoryId, amount }).
+ */
+const couponLines = (orderItems, menuById) =>
+  orderItems.map((oi) => ({
+    itemId: oi.itemId,
+    categoryId: menuById.get(oi.itemId).categoryId,
+    amount: oi.unitPrice * oi.quantity,
+  }));
+
+/**
+ * Pedidos de retirada (PICKUP) não usam endereço, zona nem taxa.
+ */
+const NO_DELIVERY = { zone: null, fee: 0, estimatedMinutes: null };
+
+// ========================================
+// CLIENTE - PRÉVIA DO PEDIDO (CHECKOUT)
+// ========================================
+/**
+ * Calcula subtotal, desconto, taxa de entrega e total sem criar o pedido.
+ * O checkout usa para mostrar o efeito do cupom e da entrega antes de
+ * finalizar.
+ */
+export const previewOrder = async (req, res) => {
+  try {
+    const { items, couponCode, fulfillmentType } = req.body;
+
+    const priced = await priceOrderItems(items);
+    if (priced.error) {
+      return res.status(400).json({ message: priced.error });
+    }
+
+    const { menuById, orderItems } = priced;
+
+    const subtotal = orderItems.reduce(
+      (sum, oi) => sum + oi.unitPrice * oi.quantity,
+      0
+    );
+
+    let discount = 0;
+    if (couponCode) {
+      ({ discount } = await evaluateCoupon(prisma, {
+        code: couponCode,
+        clientId: req.user.id,
+        lines: couponLines(orderItems, menuById),
+      }));
+    }
+
+    const delivery =
+      fulfillmentType === "PICKUP"
+        ? NO_DELIVERY
+        : await quoteDelivery(prisma, { clientId: req.user.id, subtotal });
+
+    return res.status(200).json({
+      fulfillmentType,
+      subtotal,
+      discount,
+      deliveryFee: delivery.fee,
+      estimatedMinutes: delivery.estimatedMinutes,
+      deliveryZone: delivery.zone?.name ?? null,
+      total: subtotal - discount + delivery.fee,
+      couponCode: couponCode ? normalizeCouponCode(couponCode) : null,
+    });
+
+  } catch (error) {
+    if (error.code === "INVALID_COUPON" || error.code === "DELIVERY_UNAVAILABLE") {
+      return res.status(400).json({ message: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
 // ========================================
 // CLIENTE - CRIAR PEDIDO
 // ========================================
@@ -21,68 +306,202 @@ export const createOrder = async (req, res) => {
     // O ID do cliente vem diretamente do token JWT,
     // garantindo que nenhum usuário crie pedido em nome de outro.
     const clientId = req.user.id;
-    const { paymentMethod, items } = req.body;
+    const { paymentMethod, items, couponCode, fulfillmentType, scheduledFor } =
+      req.body;
 
     // Validação básica antes de tocar no banco.
     if (!items || items.length === 0) {
       return res.status(400).json({ message: "O pedido deve ter ao menos 1 item." });
     }
 
-    /**
-     * 1️⃣ Criação inicial do pedido
-     *
-     * O total ainda não é calculado aqui,
-     * pois precisamos buscar cada item (com preço) depois da criação,
-     * e isso só é possível incluindo `item` no relacionamento.
-     */
-    const order = await prisma.order.create({
-      data: {
-        clientId,
-        paymentMethod,
-        status: "pending", // status inicial fixo
-        total: 0,          // será recalculado
-        orderItems: {
-          create: items.map((i) => ({
-            itemId: i.itemId,
-            quantity: i.quantity,
-          })),
-        },
-      },
-      include: {
-        orderItems: { include: { item: true } }, // necessário para calcular total
-        client: true,
-      },
+    // E-mail não verificado: o ADMIN decide se o cliente já pode pedir
+    // (PUT /store/settings → allowUnverifiedOrders)
+    const client = await prisma.user.findUnique({
+      where: { id: clientId },
+      select: { emailVerifiedAt: true },
     });
 
+    if (!client?.emailVerifiedAt) {
+      const settings = await getStoreSettings(prisma);
+
+      if (!settings.allowUnverifiedOrders) {
+        return res.status(403).json({
+          message:
+            "Confirme seu e-mail antes de fazer pedidos. Enviamos o link no cadastro — você pode pedir outro no seu perfil.",
+          code: "EMAIL_NOT_VERIFIED",
+        });
+      }
+    }
+
+    // Loja fechada (fora do horário ou em feriado) não recebe pedidos
+    // para agora. Agendamentos valem a faixa escolhida, conferida abaixo.
+    const store = scheduledFor ? null : await getStoreStatus(prisma);
+    if (store && !store.open) {
+      return res.status(400).json({
+        message: store.nextOpening
+          ? `A loja está fechada no momento — ${store.nextOpening.text}.`
+          : "A loja está fechada no momento.",
+        store,
+      });
+    }
+
     /**
-     * 2️⃣ Calcula o total com base no preço real do item no banco.
+     * 1️⃣ e 2️⃣ Busca os itens do cardápio e monta os OrderItems
+     * com snapshot de preço e descrição.
      *
-     * Isso reduz a chance de fraude,
-     * já que o cliente não envia o preço do item no payload.
+     * Assim, se o admin alterar o item depois (PUT /items/:id),
+     * o histórico do pedido continua exibindo os valores cobrados.
+     * As opções escolhidas são validadas e somadas ao preço unitário.
      */
-    const total = order.orderItems.reduce(
-      (sum, oi) => sum + oi.item.unitPrice * oi.quantity,
+    const priced = await priceOrderItems(items);
+    if (priced.error) {
+      return res.status(400).json({ message: priced.error });
+    }
+
+    const { menuById, orderItems } = priced;
+
+    const subtotal = orderItems.reduce(
+      (sum, oi) => sum + oi.unitPrice * oi.quantity,
       0
     );
 
     /**
-     * 3️⃣ Atualiza o pedido com o total calculado.
+     * 🚚 Entrega: a zona é definida pelo CEP do endereço do cliente.
+     * Fora de qualquer zona (ou abaixo do mínimo da zona) → 400.
+     * Retirada no balcão dispensa endereço e taxa.
+     */
+    const delivery =
+      fulfillmentType === "PICKUP"
+        ? NO_DELIVERY
+        : await quoteDelivery(prisma, { clientId, subtotal });
+
+    /**
+     * 3️⃣ Confere disponibilidade e estoque de cada item.
      *
-     * Essa é a abordagem mais segura e consistente
-     * quando se trabalha com relacionamentos e cálculos derivados.
+     * Soma as quantidades por item (o mesmo item pode aparecer em várias
+     * linhas com opções diferentes) e devolve TODOS os problemas de uma vez,
+     * para o cliente ajustar o carrinho num único passo.
      */
-    const updatedOrder = await prisma.order.update({
-      where: { id: order.id },
-      data: { total },
-      include: {
-        orderItems: { include: { item: true } },
-        client: true,
-      },
+    const required = new Map();
+    for (const oi of orderItems) {
+      required.set(oi.itemId, (required.get(oi.itemId) ?? 0) + oi.quantity);
+    }
+
+    const stockErrors = [];
+    for (const [itemId, quantity] of required) {
+      const error = stockErrorFor(menuById.get(itemId), quantity);
+      if (error) stockErrors.push(error);
+    }
+
+    if (stockErrors.length > 0) {
+      return res.status(400).json({
+        message: "Alguns itens do pedido estão indisponíveis.",
+        errors: stockErrors,
+      });
+    }
+
+    /**
+     * 4️⃣ Em uma transação: reserva a faixa (se agendado), baixa o estoque,
+     * aplica o cupom e cria o pedido.
+     *
+     * O decremento só acontece se ainda houver estoque suficiente
+     * (stockQuantity >= quantidade). Se outro pedido levou as últimas
+     * unidades entre a conferência acima e este ponto, a transação
+     * inteira é desfeita.
+     */
+    const order = await prisma.$transaction(async (tx) => {
+      // Agendamento: a faixa precisa existir e ter vaga neste momento
+      const slotStart = scheduledFor
+        ? await reserveTimeSlot(tx, scheduledFor)
+        : null;
+
+      // Agendados aguardam em "scheduled" até a hora de preparar
+      const initialStatus = slotStart ? "scheduled" : "pending";
+
+      for (const [itemId, quantity] of required) {
+        if (menuById.get(itemId).stockQuantity === null) continue;
+
+        const { count } = await tx.item.updateMany({
+          where: { id: itemId, stockQuantity: { gte: quantity } },
+          data: { stockQuantity: { decrement: quantity } },
+        });
+
+        if (count === 0) {
+          const error = new Error("Estoque insuficiente.");
+          error.code = "OUT_OF_STOCK";
+          error.errors = [
+            `${menuById.get(itemId).description}: estoque insuficiente.`,
+          ];
+          throw error;
+        }
+      }
+
+      // Cupom: validado aqui dentro, com a linha do cupom travada até o
+      // commit — checkouts simultâneos com o mesmo cupom contam os usos
+      // um de cada vez, e o limite não estoura.
+      let coupon = null;
+      let discount = 0;
+
+      if (couponCode) {
+        ({ coupon, discount } = await evaluateCoupon(tx, {
+          code: couponCode,
+          clientId,
+          lines: couponLines(orderItems, menuById),
+          lock: true,
+        }));
+      }
+
+      // Cria o pedido já com os valores calculados a partir do snapshot.
+      return tx.order.create({
+        data: {
+          clientId,
+          paymentMethod,
+          status: initialStatus,
+          scheduledFor: slotStart,
+          subtotal,
+          discount,
+          deliveryFee: delivery.fee,
+          total: subtotal - discount + delivery.fee,
+          couponId: coupon?.id ?? null,
+          couponCode: coupon?.code ?? null,
+          fulfillmentType,
+          // Prova de entrega: o cliente informa o código ao entregador
+          deliveryCode:
+            fulfillmentType === "DELIVERY" ? generateDeliveryCode() : null,
+          deliveryZoneId: delivery.zone?.id ?? null,
+          estimatedMinutes: delivery.estimatedMinutes,
+          orderItems: { create: orderItems },
+          // Primeiro evento da linha do tempo
+          statusEvents: { create: { status: initialStatus, userId: clientId } },
+        },
+        include: {
+          orderItems: { include: { item: true, modifiers: true } },
+          client: true,
+        },
+      });
     });
 
-    return res.status(201).json(updatedOrder);
+    publishOrderEvent(ORDER_CREATED, order);
+
+    return res.status(201).json(serializeClientOrder(order));
 
   } catch (error) {
+    // Cupom recusado pelas regras (validade, limites, itens elegíveis),
+    // endereço fora das zonas de entrega ou faixa de horário lotada
+    if (
+      error.code === "INVALID_COUPON" ||
+      error.code === "DELIVERY_UNAVAILABLE" ||
+      error.code === "SLOT_UNAVAILABLE"
+    ) {
+      return res.status(400).json({ message: error.message });
+    }
+    // Estoque consumido por outro pedido durante a transação
+    if (error.code === "OUT_OF_STOCK") {
+      return res.status(400).json({
+        message: "Alguns itens do pedido estão indisponíveis.",
+        errors: error.errors,
+      });
+    }
     return res.status(500).json({ error: error.message });
   }
 };
@@ -92,21 +511,25 @@ export const createOrder = async (req, res) => {
 // ========================================
 export const getMyOrders = async (req, res) => {
   try {
-    const clientId = req.user.id;
-
     /**
-     * Busca apenas os pedidos do cliente logado.
-     * O orderBy garante que os mais recentes aparecem primeiro.
+     * Busca apenas os pedidos do cliente logado, paginados.
+     * Filtros (já validados por listOrdersQuerySchema): status, datas,
+     * pagamento, total, ordenação, page e pageSize. Por padrão, os mais
+     * recentes aparecem primeiro.
      */
-    const orders = await prisma.order.findMany({
-      where: { clientId },
+    const result = await listOrders(prisma, {
+      scope: { clientId: req.user.id },
+      query: req.query,
       include: {
-        orderItems: { include: { item: true } },
+        orderItems: { include: { item: true, modifiers: true } },
+        cancelledBy: { select: { id: true, name: true, type: true } },
       },
-      orderBy: { createdAt: "desc" },
     });
 
-    return res.status(200).json(orders);
+    return res.status(200).json({
+      ...result,
+      data: result.data.map(serializeClientOrder),
+    });
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -125,7 +548,12 @@ export const getMyOrderById = async (req, res) => {
     const order = await prisma.order.findUnique({
       where: { id: Number(id) },
       include: {
-        orderItems: { include: { item: true } },
+        orderItems: { include: { item: true, modifiers: true } },
+        cancelledBy: { select: { id: true, name: true, type: true } },
+        statusEvents: {
+          orderBy: { createdAt: "asc" },
+          include: { user: { select: { id: true, name: true, type: true } } },
+        },
       },
     });
 
@@ -138,7 +566,7 @@ export const getMyOrderById = async (req, res) => {
       return res.status(403).json({ message: "Você não pode acessar este pedido." });
     }
 
-    return res.status(200).json(order);
+    return res.status(200).json(serializeClientOrder(order));
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -146,22 +574,33 @@ export const getMyOrderById = async (req, res) => {
 };
 
 // ========================================
-// ADMIN - LISTAR TODOS OS PEDIDOS
+// LOJA - LISTAR PEDIDOS (ADMIN/KITCHEN/COURIER)
 // ========================================
 export const getOrders = async (req, res) => {
   try {
     /**
-     * O admin vê TUDO — por isso inclui cliente + itens.
+     * Admin e cozinha veem TUDO — por isso inclui cliente + itens.
+     * O entregador vê apenas as entregas atribuídas a ele.
+     * Filtros e paginação: ver listOrdersQuerySchema.
+     * statusCounts traz o total de cada coluna do quadro de pedidos,
+     * que só carrega uma página por vez.
      */
-    const orders = await prisma.order.findMany({
+    const result = await listOrders(prisma, {
+      scope: orderScope(req.user),
+      query: req.query,
+      withStatusCounts: true,
       include: {
         client: true,
-        orderItems: { include: { item: true } },
+        orderItems: { include: { item: true, modifiers: true } },
+        cancelledBy: { select: { id: true, name: true, type: true } },
+        courier: { select: { id: true, name: true, type: true } },
       },
-      orderBy: { createdAt: "desc" },
     });
 
-    return res.status(200).json(orders);
+    return res.status(200).json({
+      ...result,
+      data: result.data.map(serializeOrder),
+    });
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -178,17 +617,22 @@ export const getOrdersByClient = async (req, res) => {
     /**
      * Permite o admin restringir pedidos por cliente.
      * Muito útil em dashboards de atendimento.
+     * Aceita os mesmos filtros e paginação de GET /orders.
      */
-    const orders = await prisma.order.findMany({
-      where: { clientId: Number(clientId) },
+    const result = await listOrders(prisma, {
+      scope: { clientId: Number(clientId) },
+      query: req.query,
       include: {
         client: true,
-        orderItems: { include: { item: true } },
+        orderItems: { include: { item: true, modifiers: true } },
+        cancelledBy: { select: { id: true, name: true, type: true } },
       },
-      orderBy: { createdAt: "desc" },
     });
 
-    return res.status(200).json(orders);
+    return res.status(200).json({
+      ...result,
+      data: result.data.map(serializeOrder),
+    });
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -196,7 +640,7 @@ export const getOrdersByClient = async (req, res) => {
 };
 
 // ========================================
-// ADMIN - VER UM PEDIDO POR ID
+// LOJA - VER UM PEDIDO POR ID (ADMIN/KITCHEN/COURIER)
 // ========================================
 export const getOrderById = async (req, res) => {
   try {
@@ -206,15 +650,22 @@ export const getOrderById = async (req, res) => {
       where: { id: Number(id) },
       include: {
         client: true,
-        orderItems: { include: { item: true } },
+        orderItems: { include: { item: true, modifiers: true } },
+        cancelledBy: { select: { id: true, name: true, type: true } },
+        courier: { select: { id: true, name: true, type: true } },
+        statusEvents: {
+          orderBy: { createdAt: "asc" },
+          include: { user: { select: { id: true, name: true, type: true } } },
+        },
       },
     });
 
-    if (!order) {
+    // Entrega de outro entregador é tratada como inexistente
+    if (!order || !canSeeOrder(req.user, order)) {
       return res.status(404).json({ message: "Pedido não encontrado." });
     }
 
-    return res.status(200).json(order);
+    return res.status(200).json(serializeOrder(order));
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -222,19 +673,53 @@ export const getOrderById = async (req, res) => {
 };
 
 // ========================================
-// ADMIN - ATUALIZAR STATUS (FLUXO RÍGIDO)
+// LOJA - ATUALIZAR STATUS (FLUXO RÍGIDO)
 // ========================================
 
 /**
  * Fluxo rígido garante que:
  * - ninguém volta status para evitar inconsistência do delivery
  * - ninguém pula etapas (ex: entregar sem preparar)
+ *
+ * Cada tipo de atendimento tem seu próprio fluxo:
+ * - DELIVERY → fica pronto para o entregador, sai para entrega e é entregue
+ * - PICKUP   → fica pronto no balcão e é retirado pelo cliente
+ *
+ * Pedidos agendados começam em "scheduled" e vão para "pending"
+ * automaticamente (services/scheduleService.js) ou manualmente pelo admin.
+ *
+ * Quem pode avançar cada etapa (admin, cozinha, entregador) é definido
+ * em config/permissions.js (canAdvanceOrder).
  */
 const STATUS_FLOW = {
-  pending: "preparing",
-  preparing: "delivering",
-  delivering: "delivered",
-  delivered: null, // estado final, sem próximo
+  DELIVERY: {
+    scheduled: "pending",
+    pending: "preparing",
+    preparing: "ready_for_delivery",
+    ready_for_delivery: "delivering",
+    delivering: "delivered",
+    delivered: null, // estado final, sem próximo
+    cancelled: null, // estado final, pedido cancelado
+  },
+  PICKUP: {
+    scheduled: "pending",
+    pending: "preparing",
+    preparing: "ready_for_pickup",
+    ready_for_pickup: "picked_up",
+    picked_up: null, // estado final, cliente retirou
+    cancelled: null, // estado final, pedido cancelado
+  },
+};
+
+// Próximo status do pedido (null quando já finalizado)
+const nextStatusOf = (order) =>
+  STATUS_FLOW[order.fulfillmentType][order.status] ?? null;
+
+// O pedido mudou de status entre a leitura e a escrita
+const statusConflict = () => {
+  const error = new Error("O status do pedido mudou. Atualize e tente novamente.");
+  error.code = "STATUS_CONFLICT";
+  return error;
 };
 
 export const updateOrderStatus = async (req, res) => {
@@ -243,12 +728,12 @@ export const updateOrderStatus = async (req, res) => {
 
     const order = await prisma.order.findUnique({ where: { id: Number(id) } });
 
-    if (!order) {
+    if (!order || !canSeeOrder(req.user, order)) {
       return res.status(404).json({ message: "Pedido não encontrado." });
     }
 
-    // Determina o próximo status permitido
-    const nextStatus = STATUS_FLOW[order.status];
+    // Determina o próximo status permitido (conforme entrega/retirada)
+    const nextStatus = nextStatusOf(order);
 
     if (!nextStatus) {
       return res.status(400).json({
@@ -256,14 +741,381 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    const updated = await prisma.order.update({
-      where: { id: Number(id) },
-      data: { status: nextStatus },
+    // Cada tipo de usuário só avança as etapas que lhe cabem
+    if (!canAdvanceOrder(req.user, order)) {
+      return res.status(403).json({
+        message: `Você não pode avançar pedidos em '${order.status}'.`,
+      });
+    }
+
+    // A entrega só sai da loja com um entregador responsável
+    if (nextStatus === "delivering" && !order.courierId) {
+      return res.status(400).json({
+        message: "Atribua um entregador antes de enviar o pedido para entrega.",
+      });
+    }
+
+    /**
+     * Atualiza o status e registra a transição no histórico.
+     *
+     * Assim como no cancelamento, o updateMany só avança se o pedido
+     * ainda estiver no status lido acima: dois cliques simultâneos não
+     * pulam etapas, e um pedido cancelado nesse meio-tempo não "volta"
+     * para a cozinha (o que devolveria o estoque duas vezes em um novo
+     * cancelamento).
+     */
+    const updated = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.order.updateMany({
+        where: { id: order.id, status: order.status },
+        data: { status: nextStatus },
+      });
+
+      if (count === 0) throw statusConflict();
+
+      await tx.orderStatusEvent.create({
+        data: { orderId: order.id, status: nextStatus, userId: req.user.id },
+      });
+
+      return tx.order.findUnique({ where: { id: order.id } });
     });
 
-    return res.status(200).json(updated);
+    publishOrderEvent(ORDER_STATUS_CHANGED, updated);
+
+    return res.status(200).json(serializeOrder(updated));
 
   } catch (error) {
+    if (error.code === "STATUS_CONFLICT") {
+      return res.status(409).json({ message: error.message });
+    }
     return res.status(500).json({ error: error.message });
   }
 };
+
+// ========================================
+// HELPER: CANCELAMENTO EM TRANSAÇÃO
+// ========================================
+
+/**
+ * Cancela o pedido, registra o evento no histórico e devolve o estoque,
+ * tudo de forma atômica.
+ *
+ * O updateMany só altera o pedido se ele ainda estiver no status lido
+ * pelo controller, e o estoque só volta depois dele. Isso evita devolver
+ * o estoque duas vezes quando dois cancelamentos (ou um cancelamento e
+ * um avanço, que também grava condicionado ao status lido) chegam ao
+ * mesmo tempo: quem perde a corrida recebe STATUS_CONFLICT (409).
+ */
+const cancelInTransaction = (order, { reason, userId }, include) =>
+  prisma.$transaction(async (tx) => {
+    const { count } = await tx.order.updateMany({
+      where: { id: order.id, status: order.status },
+      data: {
+        status: "cancelled",
+        cancelReason: reason,
+        cancelledAt: new Date(),
+        cancelledById: userId,
+      },
+    });
+
+    if (count === 0) throw statusConflict();
+
+    await tx.orderStatusEvent.create({
+      data: { orderId: order.id, status: "cancelled", userId },
+    });
+
+    await restoreStock(tx, order.id);
+
+    return tx.order.findUnique({ where: { id: order.id }, include });
+  });
+
+// ========================================
+// CLIENTE - CANCELAR O PRÓPRIO PEDIDO
+// ========================================
+
+/**
+ * O cliente só pode desistir enquanto o pedido está agendado ou "pending":
+ * depois que a cozinha começou a preparar, apenas o admin cancela.
+ */
+const CLIENT_CANCELLABLE = ["scheduled", "pending"];
+
+export const cancelMyOrder = async (req, res) => {
+  try {
+    const clientId = req.user.id;
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const order = await prisma.order.findUnique({ where: { id: Number(id) } });
+
+    if (!order) {
+      return res.status(404).json({ message: "Pedido não encontrado." });
+    }
+
+    // Segurança: cliente não pode cancelar pedido de outro cliente
+    if (order.clientId !== clientId) {
+      return res.status(403).json({ message: "Você não pode acessar este pedido." });
+    }
+
+    if (!CLIENT_CANCELLABLE.includes(order.status)) {
+      return res.status(400).json({
+        message: "O pedido só pode ser cancelado enquanto estiver agendado ou pendente.",
+      });
+    }
+
+    const updated = await cancelInTransaction(
+      order,
+      { reason: reason ?? "Cancelado pelo cliente.", userId: clientId },
+      {
+        orderItems: { include: { item: true, modifiers: true } },
+        cancelledBy: { select: { id: true, name: true, type: true } },
+      }
+    );
+
+    publishOrderEvent(ORDER_STATUS_CHANGED, updated);
+
+    return res.status(200).json(serializeClientOrder(updated));
+
+  } catch (error) {
+    if (error.code === "STATUS_CONFLICT") {
+      return res.status(409).json({ message: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// ADMIN - CANCELAR PEDIDO
+// ========================================
+
+/**
+ * O admin pode cancelar em qualquer etapa que ainda tenha próximo status
+ * no STATUS_FLOW do pedido (ou seja, não finalizada). O motivo é obrigatório e
+ * validado pelo cancelOrderSchema.
+ */
+export const cancelOrder = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    const order = await prisma.order.findUnique({ where: { id: Number(id) } });
+
+    if (!order) {
+      return res.status(404).json({ message: "Pedido não encontrado." });
+    }
+
+    if (!nextStatusOf(order)) {
+      return res.status(400).json({
+        message: `O pedido já está em '${order.status}' e não pode ser cancelado.`,
+      });
+    }
+
+    const updated = await cancelInTransaction(
+      order,
+      { reason, userId: req.user.id },
+      {
+        client: true,
+        orderItems: { include: { item: true, modifiers: true } },
+        cancelledBy: { select: { id: true, name: true, type: true } },
+      }
+    );
+
+    publishOrderEvent(ORDER_STATUS_CHANGED, updated);
+
+    return res.status(200).json(serializeOrder(updated));
+
+  } catch (error) {
+    if (error.code === "STATUS_CONFLICT") {
+      return res.status(409).json({ message: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// HELPER: ERROS DO DESPACHO
+// ========================================
+const handleDispatchError = (res, error) => {
+  if (
+    error.code === "COURIER_NOT_FOUND" ||
+    error.code === "DELIVERY_NOT_FOUND"
+  ) {
+    return res.status(404).json({ message: error.message });
+  }
+  if (
+    error.code === "DISPATCH_STATE" ||
+    error.code === "INVALID_DELIVERY_CODE"
+  ) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.code === "DELIVERY_CODE_LOCKED") {
+    return res.status(429).json({ message: error.message });
+  }
+  return res.status(500).json({ error: error.message });
+};
+
+// ========================================
+// ADMIN - ATRIBUIR ENTREGAS A UM ENTREGADOR
+// ========================================
+export const dispatchOrders = async (req, res) => {
+  try {
+    const { courierId, orderIds } = req.body;
+
+    const { orders, reassigned } = await assignOrders(prisma, {
+      courierId,
+      orderIds,
+    });
+
+    // O entregador passa a receber os pedidos em tempo real
+    orders.forEach((order) => publishOrderEvent(ORDER_ASSIGNED, order));
+
+    // Reatribuição: o entregador anterior tira o pedido da tela
+    reassigned.forEach(({ order, previousCourierId }) =>
+      publishOrderEvent(ORDER_UNASSIGNED, order, { previousCourierId })
+    );
+
+    return res.status(200).json(orders.map(serializeOrder));
+
+  } catch (error) {
+    return handleDispatchError(res, error);
+  }
+};
+
+// ========================================
+// ENTREGADOR - LISTAR SUAS ENTREGAS
+// ========================================
+export const getMyDeliveries = async (req, res) => {
+  try {
+    /**
+     * Entregas em andamento, com endereço e telefone do cliente
+     * (serializeUser inclui o endereço quando ele vem no include).
+     */
+    const orders = await listCourierDeliveries(prisma, req.user.id);
+
+    return res.status(200).json(orders.map(serializeOrder));
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// ENTREGADOR - CONFIRMAR ENTREGA (CÓDIGO DO CLIENTE)
+// ========================================
+export const confirmMyDelivery = async (req, res) => {
+  try {
+    const updated = await confirmDelivery(prisma, {
+      courierId: req.user.id,
+      orderId: Number(req.params.id),
+      code: req.body.code,
+    });
+
+    publishOrderEvent(ORDER_STATUS_CHANGED, updated);
+
+    return res.status(200).json(serializeOrder(updated));
+
+  } catch (error) {
+    return handleDispatchError(res, error);
+  }
+};
+
+// ========================================
+// CLIENTE/LOJA - ACOMPANHAR PEDIDOS EM TEMPO REAL (SSE)
+// ========================================
+
+// Intervalo da nova verificação completa do token da conexão
+const STREAM_RECHECK_MS = 60000;
+
+/**
+ * Mantém a conexão HTTP aberta e envia eventos no formato Server-Sent Events:
+ *
+ *   event: order-status-changed
+ *   data: { ...pedido }
+ *
+ * Regras de visibilidade:
+ *  - CLIENT recebe apenas eventos dos próprios pedidos, na mesma visão
+ *    das rotas /orders/my (serializeClientOrder, com o código de entrega)
+ *  - COURIER recebe apenas eventos das entregas atribuídas a ele e o
+ *    "order-unassigned" das que foram passadas a outro entregador
+ *  - ADMIN e KITCHEN recebem eventos de todos os pedidos
+ *
+ * A conexão dura mais que o token que a abriu, por isso ele continua
+ * sendo conferido:
+ *  - antes de cada envio, a expiração (sem consultar o banco)
+ *  - a cada minuto, a verificação completa do autenticarToken (logout,
+ *    sessão encerrada, conta desativada); o papel atual também é
+ *    atualizado, valendo para as regras de visibilidade
+ * Se falhar, a conexão é encerrada; o navegador reconecta com o token
+ * renovado ou encerra a sessão (ver openEventStream no frontend).
+ *
+ * A conexão também fica registrada no barramento pelo ID do usuário:
+ * desativar a conta a encerra na hora (closeUserStreams).
+ */
+export const streamOrders = (req, res) => {
+  const token = req.headers["authorization"].split(" ")[1];
+  let closed = false;
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  // Sugere ao navegador reconectar após 5s caso a conexão caia
+  res.write("retry: 5000\n\n");
+
+  // Envia só enquanto o token não expirou; expirado, encerra a conexão
+  const send = (chunk) => {
+    if (closed) return;
+    if (req.user.exp * 1000 <= Date.now()) return close();
+
+    res.write(chunk);
+  };
+
+  const unsubscribe = subscribeOrderEvents((event) => {
+    const { type: eventType, order } = event;
+
+    // Entrega reatribuída: só o entregador anterior recebe o aviso
+    const visible =
+      eventType === ORDER_UNASSIGNED
+        ? event.previousCourierId === req.user.id
+        : canSeeOrder(req.user, order);
+
+    if (!visible) return;
+
+    // O dono do pedido recebe a mesma visão das rotas /orders/my
+    // (com o código de entrega); os demais, a visão da loja
+    const payload =
+      req.user.id === order.clientId
+        ? serializeClientOrder(order)
+        : serializeOrder(order);
+
+    send(`event: ${eventType}\n` + `data: ${JSON.stringify(payload)}\n\n`);
+  });
+
+  // Comentário periódico evita que proxies encerrem a conexão ociosa
+  const heartbeat = setInterval(() => send(": ping\n\n"), 25000);
+
+  const recheck = setInterval(() => {
+    verifyToken(token)
+      .then((user) => {
+        req.user = user;
+      })
+      .catch(() => close());
+  }, STREAM_RECHECK_MS);
+
+  const unregister = registerStreamConnection(req.user.id, () => close());
+
+  // Libera os recursos da conexão (também quando o cliente desconecta)
+  const close = () => {
+    if (closed) return;
+    closed = true;
+
+    clearInterval(heartbeat);
+    clearInterval(recheck);
+    unsubscribe();
+    unregister();
+    res.end();
+  };
+
+  req.on("close", close);
+};
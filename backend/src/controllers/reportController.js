@@ -0,0 +1,110 @@
+import prisma from "../../prisma/client.js";
+import {
+  getPaymentMethodSplit,
+  getPeakHours,
+  getRevenueSeries,
+  getSalesSummary,
+  getTopCategories,
+  getTopItems,
+} from "../services/reportService.js";
+
+/**
+ * CONTROLLER DE RELATÓRIOS DE VENDAS
+ *
+ * - Apenas ADMIN (permissão "reports:read").
+ * - Todos os relatórios recebem o período em ?from=AAAA-MM-DD&to=AAAA-MM-DD
+ *   (já validado pelos schemas de validation/reportSchema.js).
+ * - Os cálculos ficam em services/reportService.js.
+ *
+ * Rotas:
+ *  - GET /reports/summary
+ *  - GET /reports/revenue
+ *  - GET /reports/top-items
+ *  - GET /reports/top-categories
+ *  - GET /reports/payment-methods
+ *  - GET /reports/peak-hours
+ */
+
+// ========================================
+// RESUMO: PEDIDOS, FATURAMENTO E TICKET MÉDIO
+// ========================================
+export const getSummaryReport = async (req, res) => {
+  try {
+    const summary = await getSalesSummary(prisma, req.query);
+
+    return res.status(200).json(summary);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// FATURAMENTO POR DIA, SEMANA OU MÊS
+// ========================================
+export const getRevenueReport = async (req, res) => {
+  try {
+    const series = await getRevenueSeries(prisma, req.query);
+
+    return res.status(200).json(series);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// ITENS MAIS VENDIDOS
+// ========================================
+export const getTopItemsReport = async (req, res) => {
+  try {
+    const ranking = await getTopItems(prisma, req.query);
+
+    return res.status(200).json(ranking);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// CATEGORIAS MAIS VENDIDAS
+// ========================================
+export const getTopCategoriesReport = async (req, res) => {
+  try {
+    const ranking = await getTopCategories(prisma, req.query);
+
+    return res.status(200).json(ranking);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// DIVISÃO POR FORMA DE PAGAMENTO
+// ========================================
+export const getPaymentMethodsReport = async (req, res) => {
+  try {
+    const split = await getPaymentMethodSplit(prisma, req.query);
+
+    return res.status(200).json(split);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// HORÁRIOS DE PICO
+// ========================================
+export const getPeakHoursReport = async (req, res) => {
+  try {
+    const hours = await getPeakHours(prisma, req.query);
+
+    return res.status(200).json(hours);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,172 @@
+import prisma from "../../prisma/client.js";
+import { getStoreStatus } from "../services/storeHoursService.js";
+import { getTimeSlots } from "../services/scheduleService.js";
+import {
+  getStoreSettings,
+  updateStoreSettings,
+} from "../services/settingsService.js";
+
+/**
+ * CONTROLLER DA LOJA (horário de funcionamento)
+ *
+ * - Qualquer usuário autenticado consulta se a loja está aberta
+ *   e as faixas de horário disponíveis para agendar pedidos.
+ * - O ADMIN define o horário semanal, as exceções (feriados etc.)
+ *   e as configurações de agendamento.
+ *
+ * Rotas:
+ *  - GET    /store/status
+ *  - GET    /store/slots
+ *  - GET    /store/hours                (ADMIN)
+ *  - PUT    /store/hours                (ADMIN)
+ *  - POST   /store/exceptions           (ADMIN)
+ *  - DELETE /store/exceptions/:id       (ADMIN)
+ *  - GET    /store/settings             (ADMIN)
+ *  - PUT    /store/settings             (ADMIN)
+ *
+ * O cálculo de aberto/fechado fica em services/storeHoursService.js
+ * e o das faixas em services/scheduleService.js, ambos também usados
+ * pelo controller de pedidos.
+ */
+
+// ===============================
+// STATUS ATUAL (ABERTO/FECHADO)
+// ===============================
+export const getStatus = async (req, res) => {
+  try {
+    return res.status(200).json(await getStoreStatus(prisma));
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// FAIXAS DE HORÁRIO PARA AGENDAMENTO
+// ===============================
+export const getSlots = async (req, res) => {
+  try {
+    return res.status(200).json(await getTimeSlots(prisma));
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// HORÁRIO SEMANAL + EXCEÇÕES
+// ===============================
+export const getHours = async (req, res) => {
+  try {
+    const [hours, exceptions] = await Promise.all([
+      prisma.openingHour.findMany({
+        orderBy: [{ weekday: "asc" }, { opensAt: "asc" }],
+      }),
+      prisma.storeException.findMany({ orderBy: { date: "asc" } }),
+    ]);
+
+    return res.status(200).json({ hours, exceptions });
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// SUBSTITUIR HORÁRIO SEMANAL
+// ===============================
+export const updateHours = async (req, res) => {
+  try {
+    const { hours } = req.body;
+
+    // Substitui tudo de uma vez, para nunca ficar com meio horário salvo
+    const [, , saved] = await prisma.$transaction([
+      prisma.openingHour.deleteMany(),
+      prisma.openingHour.createMany({ data: hours }),
+      prisma.openingHour.findMany({
+        orderBy: [{ weekday: "asc" }, { opensAt: "asc" }],
+      }),
+    ]);
+
+    return res.status(200).json(saved);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// CRIAR / ATUALIZAR EXCEÇÃO
+// ===============================
+export const upsertException = async (req, res) => {
+  try {
+    const { date, ...data } = req.body;
+
+    // Uma exceção por data: cadastrar de novo substitui a anterior
+    const exception = await prisma.storeException.upsert({
+      where: { date },
+      update: data,
+      create: { date, ...data },
+    });
+
+    return res.status(200).json(exception);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// REMOVER EXCEÇÃO
+// ===============================
+export const deleteException = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.storeException.delete({ where: { id: Number(id) } });
+
+    return res.status(200).json({ message: "Exceção removida com sucesso." });
+
+  } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(404).json({ message: "Exceção não encontrada." });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ===============================
+// CONFIGURAÇÕES DE AGENDAMENTO
+// ===============================
+export const getSettings = async (req, res) => {
+  try {
+    return res.status(200).json(await getStoreSettings(prisma));
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+export const updateSettings = async (req, res) => {
+  try {
+    // Quem liga o 2FA obrigatório precisa já ter o seu ativo; do
+    // contrário o próprio ADMIN ficaria preso no cadastro do próximo login.
+    if (req.body.requireAdminTwoFactor) {
+      const admin = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+      if (!admin?.totpEnabledAt) {
+        return res.status(400).json({
+          message:
+            "Ative a autenticação em dois fatores na sua conta antes de torná-la obrigatória.",
+        });
+      }
+    }
+
+    // Pedidos já agendados mantêm a faixa escolhida,
+    // mesmo que a duração ou a capacidade mudem.
+    return res.status(200).json(await updateStoreSettings(prisma, req.body));
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
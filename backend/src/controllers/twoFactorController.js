@@ -0,0 +1,118 @@
+import prisma from "../../prisma/client.js";
+import {
+  confirmEnrollment,
+  disableTwoFactor as disableTwoFactorForUser,
+  getTwoFactorStatus,
+  regenerateRecoveryCodes,
+  startEnrollment,
+} from "../services/twoFactorService.js";
+
+/**
+ * CONTROLLER DE AUTENTICAÇÃO EM DOIS FATORES (ADMIN)
+ *
+ * O ADMIN gerencia o 2FA da própria conta:
+ *  - GET  /users/me/2fa                 → situação (ativo, obrigatório, códigos)
+ *  - POST /users/me/2fa/setup           → gera o segredo / URI otpauth
+ *  - POST /users/me/2fa/enable          → 1º código do app ativa o 2FA
+ *  - POST /users/me/2fa/disable         → desativa (exige código)
+ *  - POST /users/me/2fa/recovery-codes  → novos códigos (exige código)
+ *
+ * A etapa do login (POST /users/login/2fa) fica no userController.
+ * As regras (TOTP, códigos de recuperação) ficam em
+ * services/twoFactorService.js.
+ */
+
+// Erros de regra de negócio → 400 com a mensagem
+const handleError = (res, error) => {
+  if (["TWO_FACTOR_STATE", "INVALID_TWO_FACTOR_CODE"].includes(error.code)) {
+    return res.status(400).json({ message: error.message, code: error.code });
+  }
+  return res.status(500).json({ error: error.message });
+};
+
+const findCurrentUser = (req) =>
+  prisma.user.findUnique({ where: { id: req.user.id } });
+
+// ========================================
+// SITUAÇÃO DO 2FA
+// ========================================
+export const getTwoFactor = async (req, res) => {
+  try {
+    const user = await findCurrentUser(req);
+    return res.status(200).json(await getTwoFactorStatus(prisma, user));
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+};
+
+// ========================================
+// INICIAR CADASTRO (SEGREDO + URI)
+// ========================================
+export const setupTwoFactor = async (req, res) => {
+  try {
+    /**
+     * O segredo fica pendente até o primeiro código ser confirmado:
+     * chamar de novo gera outro segredo (ex.: app trocado no meio).
+     */
+    const user = await findCurrentUser(req);
+    return res.status(200).json(await startEnrollment(prisma, user));
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+};
+
+// ========================================
+// CONFIRMAR CADASTRO (ATIVA O 2FA)
+// ========================================
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await findCurrentUser(req);
+    const recoveryCodes = await confirmEnrollment(prisma, user, req.body.code);
+
+    return res.status(200).json({
+      message: "Autenticação em dois fatores ativada.",
+      recoveryCodes,
+    });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+};
+
+// ========================================
+// DESATIVAR
+// ========================================
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const user = await findCurrentUser(req);
+    await disableTwoFactorForUser(prisma, user, req.body.code);
+
+    return res
+      .status(200)
+      .json({ message: "Autenticação em dois fatores desativada." });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+};
+
+// ========================================
+// NOVOS CÓDIGOS DE RECUPERAÇÃO
+// ========================================
+export const regenerateTwoFactorCodes = async (req, res) => {
+  try {
+    const user = await findCurrentUser(req);
+    const recoveryCodes = await regenerateRecoveryCodes(
+      prisma,
+      user,
+      req.body.code
+    );
+
+    return res.status(200).json({ recoveryCodes });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+};
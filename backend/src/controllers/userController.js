@@ -2,25 +2,72 @@ import prisma from "../../prisma/client.js";
 import bcrypt from "bcrypt";
 import {
   generateToken,
-  verifyToken,
-  blacklistToken,
+  revokeToken,
+  revokeAllTokens,
 } from "../config/jwtConfig.js";
+import { can } from "../config/permissions.js";
+import {
+  createSession,
+  listActiveSessions,
+  revokeAllSessions,
+  revokeSession,
+  rotateRefreshToken,
+} from "../services/sessionService.js";
+import {
+  requestPasswordReset,
+  resetPassword as resetPasswordWithToken,
+} from "../services/passwordResetService.js";
+import {
+  sendVerificationEmail,
+  verifyEmail as verifyEmailToken,
+} from "../services/emailVerificationService.js";
+import {
+  clearLoginFailures,
+  getLoginLock,
+  registerLoginFailure,
+} from "../services/loginThrottleService.js";
+import { getRateLimitStore } from "../services/rateLimitStore.js";
+import {
+  completeLoginChallenge,
+  createLoginChallenge,
+  findLoginChallenge,
+  isTwoFactorRequired,
+  startEnrollment,
+} from "../services/twoFactorService.js";
+import {
+  changeUserRole,
+  listUsers,
+  setUserActive,
+} from "../services/userAdminService.js";
+import { serializeUser } from "../serializers/userSerializer.js";
+import { tooManyRequests } from "../middlewares/rateLimit.js";
+
+// Falha no envio do e-mail não desfaz a operação: o usuário pode
+// pedir um novo link em POST /users/verify/resend.
+const sendVerificationEmailSafely = (user) =>
+  sendVerificationEmail(prisma, user).catch((error) =>
+    console.error("Erro ao enviar e-mail de verificação:", error.message)
+  );
 
 /**
  * CONTROLLER DE USUÁRIO (User)
  *
  * Responsável por:
  *  - Criar usuários
- *  - Autenticação (login)
- *  - Logout (invalidando token)
+ *  - Autenticação (login) e renovação de sessão (refresh token)
+ *  - Logout (invalidando token e encerrando a sessão)
+ *  - Listar e revogar as sessões ativas do usuário
  *  - Buscar usuários
  *  - Atualizar dados de usuários
+ *  - Gestão pelo admin: promover/rebaixar e desativar/reativar contas
  *
  * Pontos de segurança importantes:
  *  - Toda senha deve ser armazenada de forma hash (bcrypt)
  *  - Type do usuário nunca deve ser definido externamente no cadastro
  *  - Apenas admin pode enxergar outros usuários
  *  - Cliente só pode acessar e editar ele mesmo
+ *  - Usuários saem da API sempre pelo serializeUser (sem hash da senha
+ *    nem segredo do 2FA)
  */
 
 // ========================================
@@ -36,6 +83,9 @@ export const createUser = async (req, res) => {
     /**
      * Cria um novo usuário obrigatoriamente como CLIENT.
      * Isso impede que alguém tente criar conta como ADMIN.
+     *
+     * A conta nasce com o e-mail não verificado (emailVerifiedAt nulo)
+     * e o link de verificação é enviado em seguida.
      */
     const user = await prisma.user.create({
       data: {
@@ -47,9 +97,11 @@ export const createUser = async (req, res) => {
       },
     });
 
+    await sendVerificationEmailSafely(user);
+
     return res.status(201).json({
       message: "Usuário criado com sucesso",
-      user,
+      user: serializeUser(user),
     });
 
   } catch (error) {
@@ -63,6 +115,39 @@ export const createUser = async (req, res) => {
   }
 };
 
+// Conta desativada pelo admin (mesma resposta na senha e no 2FA)
+const accountDeactivated = (res) =>
+  res.status(403).json({
+    message: "Sua conta foi desativada. Entre em contato com o estabelecimento.",
+    code: "ACCOUNT_DEACTIVATED",
+  });
+
+/**
+ * Etapa final de todo login (com ou sem 2FA): abre uma sessão
+ * (dispositivo/navegador) e responde com:
+ * - token: JWT curto (id, tipo e sessão) usado nas rotas protegidas
+ * - refreshToken: troca por um novo par em POST /users/refresh
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+  const { session, refreshToken } = await createSession(prisma, user.id, {
+    userAgent: req.get("user-agent") ?? null,
+    ipAddress: req.ip ?? null,
+  });
+
+  return res.status(200).json({
+    message: "Login realizado com sucesso",
+    token: generateToken(user, session.id),
+    refreshToken,
+    user: {
+      id: user.id,
+      name: user.name,
+      type: user.type,
+      emailVerifiedAt: user.emailVerifiedAt,
+    },
+    ...extra,
+  });
+};
+
 // ========================================
 // LOGIN
 // ========================================
@@ -77,26 +162,228 @@ export const login = async (req, res) => {
 
     // Valida senha + existência do usuário
     if (!user || !(await bcrypt.compare(password, user.password))) {
+      // Cada falha aumenta a espera da próxima tentativa (middleware
+      // loginThrottle → 429 com Retry-After)
+      await registerLoginFailure(getRateLimitStore(), { email, ip: req.ip });
+
       return res.status(401).json({ message: "Credenciais inválidas" });
     }
 
+    // Conta desativada pelo admin: a senha confere, mas o acesso é negado
+    if (user.deactivatedAt) {
+      return accountDeactivated(res);
+    }
+
+    /**
+     * 🔐 2FA: a senha não basta. Nenhum token é emitido aqui; o frontend
+     * envia o código do app em POST /users/login/2fa junto com o
+     * challengeToken.
+     *
+     * As falhas da conta só são zeradas quando o 2FA for concluído:
+     * quem tem só a senha não ganha tentativas novas a cada login.
+     */
+    if (user.totpEnabledAt) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: await createLoginChallenge(prisma, user, "verify"),
+      });
+    }
+
+    // 2FA obrigatório para ADMIN e ainda não cadastrado: o cadastro do
+    // app acontece agora, e o primeiro código conclui o login
+    if (await isTwoFactorRequired(prisma, user)) {
+      const enrollment = await startEnrollment(prisma, user);
+
+      return res.status(200).json({
+        twoFactorSetupRequired: true,
+        challengeToken: await createLoginChallenge(prisma, user, "enroll"),
+        ...enrollment,
+      });
+    }
+
+    await clearLoginFailures(getRateLimitStore(), { email });
+
+    return completeLogin(req, res, user);
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// LOGIN — SEGUNDA ETAPA (CÓDIGO 2FA)
+// ========================================
+export const loginTwoFactor = async (req, res) => {
+  const { challengeToken, code } = req.body;
+  let account = null;
+
+  try {
+    const challenge = await findLoginChallenge(prisma, challengeToken);
+    account = { email: challenge.user.email };
+
+    // Conta desativada depois da senha: o desafio pendente não serve mais
+    if (challenge.user.deactivatedAt) {
+      return accountDeactivated(res);
+    }
+
+    /**
+     * Códigos errados contam no mesmo contador da conta que as senhas
+     * erradas, somando todos os desafios: em backoff, nem o código é
+     * conferido.
+     */
+    const lockedUntil = await getLoginLock(getRateLimitStore(), account);
+
+    if (lockedUntil) {
+      return tooManyRequests(
+        res,
+        lockedUntil,
+        "Muitas tentativas de login com falha. Aguarde para tentar novamente."
+      );
+    }
+
+    /**
+     * Aceita o código do app autenticador ou um código de recuperação.
+     * No cadastro obrigatório, devolve também os códigos de recuperação
+     * (exibidos uma única vez).
+     */
+    const { user, recoveryCodes } = await completeLoginChallenge(
+      prisma,
+      challenge,
+      code
+    );
+
+    await clearLoginFailures(getRateLimitStore(), account);
+
+    return completeLogin(req, res, user, recoveryCodes ? { recoveryCodes } : {});
+
+  } catch (error) {
+    if (error.code === "TWO_FACTOR_CHALLENGE_EXPIRED") {
+      return res.status(401).json({ message: error.message, code: error.code });
+    }
+    if (error.code === "INVALID_TWO_FACTOR_CODE") {
+      // Código errado conta como falha de login (backoff por conta e IP)
+      await registerLoginFailure(getRateLimitStore(), { ...account, ip: req.ip });
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// RENOVAR SESSÃO (REFRESH TOKEN)
+// ========================================
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body ?? {};
+
+    if (typeof refreshToken !== "string" || refreshToken.length === 0) {
+      return res.status(400).json({ message: "Refresh token não fornecido." });
+    }
+
     /**
-     * Gera JWT contendo:
-     * - id
-     * - nome
-     * - tipo
-     * Usado para proteger rotas com autenticação.
+     * Cada refresh token vale uma única troca: devolvemos um par novo
+     * e o antigo deixa de funcionar. Reutilizar um token já trocado
+     * encerra a sessão (ver services/sessionService.js).
      */
-    const token = generateToken(user);
+    const { session, user, refreshToken: nextRefreshToken } =
+      await rotateRefreshToken(prisma, refreshToken);
 
     return res.status(200).json({
-      message: "Login realizado com sucesso",
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        type: user.type,
-      },
+      token: generateToken(user, session.id),
+      refreshToken: nextRefreshToken,
+    });
+
+  } catch (error) {
+    if (error.code === "INVALID_REFRESH_TOKEN") {
+      return res.status(401).json({ message: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// ESQUECI MINHA SENHA
+// ========================================
+export const forgotPassword = async (req, res) => {
+  try {
+    /**
+     * A resposta é sempre a mesma, exista ou não conta com o e-mail:
+     * assim a rota não serve para descobrir quem é cliente.
+     */
+    await requestPasswordReset(prisma, req.body.email);
+
+    return res.status(200).json({
+      message:
+        "Se o e-mail estiver cadastrado, você receberá um link para redefinir a senha.",
+    });
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// REDEFINIR SENHA (TOKEN DO E-MAIL)
+// ========================================
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    await resetPasswordWithToken(prisma, token, password);
+
+    return res.status(200).json({
+      message: "Senha redefinida com sucesso. Faça login com a nova senha.",
+    });
+
+  } catch (error) {
+    if (error.code === "INVALID_RESET_TOKEN") {
+      return res.status(400).json({ message: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// VERIFICAR E-MAIL (TOKEN DO E-MAIL)
+// ========================================
+export const verifyEmail = async (req, res) => {
+  try {
+    /**
+     * Rota pública: o link pode ser aberto em outro dispositivo,
+     * sem sessão. O token identifica a conta.
+     */
+    await verifyEmailToken(prisma, req.body.token);
+
+    return res.status(200).json({ message: "E-mail verificado com sucesso!" });
+
+  } catch (error) {
+    if (error.code === "INVALID_VERIFICATION_TOKEN") {
+      return res.status(400).json({ message: error.message });
+    }
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// REENVIAR LINK DE VERIFICAÇÃO
+// ========================================
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id } });
+
+    if (!user) {
+      return res.status(404).json({ message: "Usuário não encontrado." });
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({ message: "Seu e-mail já está verificado." });
+    }
+
+    // Aqui o erro de envio é repassado: o usuário pediu o e-mail agora
+    await sendVerificationEmail(prisma, user);
+
+    return res.status(200).json({
+      message: `Enviamos um novo link de verificação para ${user.email}.`,
     });
 
   } catch (error) {
@@ -110,11 +397,19 @@ export const login = async (req, res) => {
 export const logout = async (req, res) => {
   try {
     /**
-     * O token é colocado em blacklist até expirar.
+     * O token (jti) é registrado como revogado até expirar.
      * Isso impede que continue sendo usado após logout.
      */
-    const token = req.headers.authorization?.split(" ")[1];
-    blacklistToken(token);
+    await revokeToken(req.user);
+
+    // Encerra a sessão: o refresh token deixa de renovar o acesso
+    if (req.user.sid) {
+      await revokeSession(prisma, {
+        sessionId: req.user.sid,
+        userId: req.user.id,
+        reason: "logout",
+      });
+    }
 
     return res.status(200).json({ message: "Logout realizado com sucesso." });
 
@@ -124,26 +419,105 @@ export const logout = async (req, res) => {
 };
 
 // ========================================
-// LISTAR TODOS OS USUÁRIOS (ADMIN)
+// LOGOUT EM TODOS OS DISPOSITIVOS
 // ========================================
-export const getUsers = async (req, res) => {
+export const logoutAll = async (req, res) => {
   try {
     /**
-     * Busca completa — útil para dashboards administrativos.
-     * Inclui também o endereço do usuário.
+     * - tokensValidAfter: todo access token emitido até agora deixa de
+     *   valer imediatamente (inclusive o desta requisição)
+     * - sessões revogadas: nenhum refresh token consegue renovar o acesso
      */
-    const users = await prisma.user.findMany({
-      include: { address: true },
-      orderBy: { createdAt: "desc" },
+    await revokeAllTokens(req.user.id);
+
+    const sessions = await revokeAllSessions(prisma, {
+      userId: req.user.id,
+      reason: "logout-all",
     });
 
-    return res.status(200).json(users);
+    return res.status(200).json({
+      message: "Você saiu de todos os dispositivos.",
+      sessions,
+    });
+
+  } catch {
+    return res.status(500).json({ error: "Erro ao realizar logout." });
+  }
+};
+
+// ========================================
+// LISTAR USUÁRIOS (ADMIN)
+// ========================================
+export const getUsers = async (req, res) => {
+  try {
+    /**
+     * Busca paginada para o console de usuários do admin.
+     * Filtros (já validados por listUsersQuerySchema): search, type,
+     * status, page e pageSize. Inclui o endereço e o total de pedidos.
+     */
+    const result = await listUsers(prisma, req.query);
+
+    return res.status(200).json({
+      ...result,
+      data: result.data.map(serializeUser),
+    });
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
   }
 };
 
+// Erros da gestão de usuários (services/userAdminService.js)
+const handleUserAdminError = (res, error) => {
+  if (error.code === "USER_NOT_FOUND") {
+    return res.status(404).json({ message: error.message });
+  }
+  if (error.code === "USER_STATE") {
+    return res.status(400).json({ message: error.message });
+  }
+  return res.status(500).json({ error: error.message });
+};
+
+// ========================================
+// PROMOVER / REBAIXAR USUÁRIO (ADMIN)
+// ========================================
+export const updateUserRole = async (req, res) => {
+  try {
+    const updated = await changeUserRole(prisma, {
+      actorId: req.user.id,
+      userId: Number(req.params.id),
+      type: req.body.type,
+    });
+
+    return res.status(200).json(serializeUser(updated));
+
+  } catch (error) {
+    return handleUserAdminError(res, error);
+  }
+};
+
+// ========================================
+// DESATIVAR / REATIVAR CONTA (ADMIN)
+// ========================================
+export const updateUserStatus = async (req, res) => {
+  try {
+    /**
+     * Desativar encerra as sessões da conta; os tokens já emitidos
+     * passam a ser recusados pelo autenticarToken.
+     */
+    const updated = await setUserActive(prisma, {
+      actorId: req.user.id,
+      userId: Number(req.params.id),
+      active: req.body.active,
+    });
+
+    return res.status(200).json(serializeUser(updated));
+
+  } catch (error) {
+    return handleUserAdminError(res, error);
+  }
+};
+
 // ========================================
 // BUSCAR USUÁRIO POR ID
 // ========================================
@@ -153,10 +527,10 @@ export const getUserById = async (req, res) => {
 
     /**
      * Segurança:
-     *  - CLIENT só pode visualizar ele mesmo
-     *  - ADMIN pode visualizar qualquer usuário
+     *  - CLIENT, KITCHEN e COURIER só podem visualizar a si mesmos
+     *  - ADMIN (users:manage) pode visualizar qualquer usuário
      */
-    if (req.user.type === "CLIENT" && req.user.id !== Number(id)) {
+    if (!can(req.user, "users:manage") && req.user.id !== Number(id)) {
       return res.status(403).json({
         message: "Você não tem permissão para acessar este usuário.",
       });
@@ -171,7 +545,7 @@ export const getUserById = async (req, res) => {
       return res.status(404).json({ message: "Usuário não encontrado." });
     }
 
-    return res.status(200).json(user);
+    return res.status(200).json(serializeUser(user));
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
@@ -187,10 +561,10 @@ export const updateUser = async (req, res) => {
 
     /**
      * Segurança:
-     * - CLIENT só pode atualizar seu próprio usuário
-     * - ADMIN pode atualizar qualquer usuário
+     * - CLIENT, KITCHEN e COURIER só podem atualizar o próprio usuário
+     * - ADMIN (users:manage) pode atualizar qualquer usuário
      */
-    if (req.user.type === "CLIENT" && req.user.id !== Number(id)) {
+    if (!can(req.user, "users:manage") && req.user.id !== Number(id)) {
       return res.status(403).json({
         message: "Você não tem permissão para atualizar este usuário.",
       });
@@ -201,6 +575,18 @@ export const updateUser = async (req, res) => {
     // Apenas campos enviados serão atualizados
     const data = { name, phone, email };
 
+    // Trocar o e-mail exige verificar o endereço novo
+    const current = await prisma.user.findUnique({
+      where: { id: Number(id) },
+      select: { email: true },
+    });
+
+    const emailChanged = Boolean(email && current && email !== current.email);
+
+    if (emailChanged) {
+      data.emailVerifiedAt = null;
+    }
+
     // Se o usuário enviou nova senha, hasheia antes de salvar
     if (password) {
       data.password = await bcrypt.hash(password, 10);
@@ -211,7 +597,11 @@ export const updateUser = async (req, res) => {
       data,
     });
 
-    return res.status(200).json(updated);
+    if (emailChanged) {
+      await sendVerificationEmailSafely(updated);
+    }
+
+    return res.status(200).json(serializeUser(updated));
 
   } catch (error) {
     // erro de email duplicado
@@ -242,7 +632,51 @@ export const getMe = async (req, res) => {
       return res.status(404).json({ message: "Usuário não encontrado." });
     }
 
-    return res.status(200).json(user);
+    return res.status(200).json(serializeUser(user));
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// GET /users/me/sessions
+// ========================================
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(prisma, req.user.id);
+
+    // Marca a sessão deste navegador para o frontend destacar
+    return res.status(200).json(
+      sessions.map((s) => ({ ...s, current: s.id === req.user.sid }))
+    );
+
+  } catch (error) {
+    return res.status(500).json({ error: error.message });
+  }
+};
+
+// ========================================
+// DELETE /users/me/sessions/:id
+// ========================================
+export const revokeMySession = async (req, res) => {
+  try {
+    /**
+     * O filtro por userId garante que o usuário só revoga as próprias
+     * sessões. Tanto a renovação quanto os access tokens já emitidos
+     * para a sessão (claim sid) deixam de valer imediatamente.
+     */
+    const revoked = await revokeSession(prisma, {
+      sessionId: Number(req.params.id),
+      userId: req.user.id,
+      reason: "revoked",
+    });
+
+    if (!revoked) {
+      return res.status(404).json({ message: "Sessão não encontrada." });
+    }
+
+    return res.status(200).json({ message: "Sessão encerrada com sucesso." });
 
   } catch (error) {
     return res.status(500).json({ error: error.message });
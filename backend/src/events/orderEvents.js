@@ -0,0 +1,92 @@
+import { EventEmitter } from "node:events";
+
+/**
+ * ======================================================================
+ *  BARRAMENTO DE EVENTOS DE PEDIDOS (tempo real)
+ * ======================================================================
+ *
+ * Os controllers publicam aqui sempre que um pedido é criado ou muda de
+ * status. A rota GET /orders/stream (Server-Sent Events) assina esse
+ * barramento e repassa os eventos para os navegadores conectados.
+ *
+ * Eventos publicados:
+ *  - "order-created"         → novo pedido
+ *  - "order-status-changed"  → avanço de status ou cancelamento
+ *  - "order-assigned"        → pedido atribuído a um entregador
+ *  - "order-unassigned"      → entrega reatribuída: vai só para o
+ *                              entregador anterior (previousCourierId),
+ *                              que tira o pedido da tela
+ *
+ * Também guarda as conexões SSE abertas de cada usuário, para que a
+ * desativação da conta as encerre na hora (closeUserStreams).
+ *
+ * 🎯 Observação:
+ * - O EventEmitter vive na memória do processo. Com várias instâncias da
+ *   API seria necessário um broker compartilhado (ex.: Redis Pub/Sub).
+ *   Nas demais instâncias, a conexão cai na próxima verificação do
+ *   token (a cada minuto, ver streamOrders).
+ */
+const bus = new EventEmitter();
+
+// Cada conexão SSE adiciona um listener; sem limite para não gerar warnings
+bus.setMaxListeners(0);
+
+export const ORDER_CREATED = "order-created";
+export const ORDER_STATUS_CHANGED = "order-status-changed";
+export const ORDER_ASSIGNED = "order-assigned";
+export const ORDER_UNASSIGNED = "order-unassigned";
+
+// ===================================================================
+// PUBLICAR EVENTO
+// ===================================================================
+/**
+ * `details` acompanha o evento para quem assina (ex.: previousCourierId
+ * no "order-unassigned"); não faz parte do pedido enviado.
+ */
+export const publishOrderEvent = (type, order, details = {}) => {
+  bus.emit("order", { type, order, ...details });
+};
+
+// ===================================================================
+// ASSINAR EVENTOS
+// ===================================================================
+/**
+ * Registra um listener e devolve a função para cancelar a assinatura,
+ * que deve ser chamada quando a conexão do cliente for encerrada.
+ */
+export const subscribeOrderEvents = (listener) => {
+  bus.on("order", listener);
+  return () => bus.off("order", listener);
+};
+
+// ===================================================================
+// CONEXÕES ABERTAS POR USUÁRIO
+// ===================================================================
+
+// userId → funções que encerram cada conexão aberta do usuário
+const connections = new Map();
+
+/**
+ * Registra uma conexão SSE do usuário com a função que a encerra.
+ * Devolve a função que remove o registro (chamada ao desconectar).
+ */
+export const registerStreamConnection = (userId, close) => {
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(close);
+
+  return () => {
+    const userConnections = connections.get(userId);
+    if (!userConnections) return;
+
+    userConnections.delete(close);
+    if (userConnections.size === 0) connections.delete(userId);
+  };
+};
+
+/**
+ * Encerra todas as conexões abertas do usuário (ex.: conta desativada).
+ */
+export const closeUserStreams = (userId) => {
+  // Cópia: cada conexão se remove do registro ao ser encerrada
+  for (const close of [...(connections.get(userId) ?? [])]) close();
+};
@@ -10,9 +10,9 @@ import { verifyToken } from "../config/jwtConfig.js";
  * - Impedir que rotas protegidas sejam acessadas sem autenticação
  *
  * Esse middleware é executado antes do middleware de autorização
- * (authorizeRole), pois ele define `req.user`.
+ * (requirePermission), pois ele define `req.user`.
  */
-export const autenticarToken = (req, res, next) => {
+export const autenticarToken = async (req, res, next) => {
   try {
     // Extraímos o header Authorization, onde esperamos algo como:
     // Authorization: Bearer <token>
@@ -29,9 +29,11 @@ export const autenticarToken = (req, res, next) => {
       return res.status(401).json({ message: "Token não fornecido." });
     }
 
-    // Verifica a assinatura e validade do token.
-    // Se estiver expirado ou malformado, cairá no catch.
-    const decoded = verifyToken(token);
+    // Verifica a assinatura, a validade e se o token não foi revogado
+    // (logout ou "sair de todos os dispositivos") nem a conta desativada.
+    // Se estiver expirado, malformado ou revogado, cairá no catch.
+    // O tipo do usuário (req.user.type) reflete o papel atual no banco.
+    const decoded = await verifyToken(token);
 
     // Disponibilizamos os dados do usuário autenticado para
     // as próximas camadas (controllers)
@@ -40,10 +42,53 @@ export const autenticarToken = (req, res, next) => {
     // Prossegue para o próximo middleware
     next();
 
-  } catch {
-    // Qualquer falha na verificação do token é tratada como acesso proibido.
+  } catch (error) {
+    // Token apenas expirado → 401: o frontend renova a sessão com o
+    // refresh token (POST /users/refresh) e repete a requisição.
+    if (error.name === "TokenExpiredError") {
+      return res
+        .status(401)
+        .json({ message: "Token expirado.", code: "TOKEN_EXPIRED" });
+    }
+
+    // Sessão encerrada (logout em outro dispositivo, "sessões ativas"...)
+    // → 401: a renovação também falha e o frontend encerra a sessão local
+    if (error.code === "SESSION_REVOKED") {
+      return res
+        .status(401)
+        .json({ message: "Sessão encerrada.", code: "SESSION_REVOKED" });
+    }
+
+    // Conta desativada pelo admin → o frontend encerra a sessão local
+    if (error.code === "ACCOUNT_DEACTIVATED") {
+      return res.status(403).json({
+        message: "Sua conta foi desativada. Entre em contato com o estabelecimento.",
+        code: "ACCOUNT_DEACTIVATED",
+      });
+    }
+
+    // Qualquer outra falha na verificação do token é tratada como acesso proibido.
     return res
       .status(403)
       .json({ message: "Token inválido, expirado ou não autorizado." });
   }
 };
+
+/**
+ * Middleware auxiliar para conexões que NÃO conseguem enviar headers.
+ *
+ * O EventSource do navegador (usado no SSE de GET /orders/stream) não
+ * permite definir o header Authorization. Nesse caso o token chega via
+ * query string (?token=...) e é copiado para o header antes do
+ * autenticarToken, que segue responsável por toda a validação.
+ *
+ * Deve ser usado apenas nas rotas de streaming, pois tokens em URL podem
+ * aparecer em logs de acesso.
+ */
+export const tokenFromQuery = (req, res, next) => {
+  if (!req.headers["authorization"] && typeof req.query.token === "string") {
+    req.headers["authorization"] = `Bearer ${req.query.token}`;
+  }
+
+  next();
+};
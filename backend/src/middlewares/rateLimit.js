@@ -0,0 +1,89 @@
+import { getRateLimitStore } from "../services/rateLimitStore.js";
+import { getLoginLock } from "../services/loginThrottleService.js";
+
+/**
+ * Responde 429 (Too Many Requests) com o header Retry-After
+ * (em segundos), para o cliente saber quando tentar de novo.
+ * Exportado para o login com 2FA, que só conhece a conta depois de
+ * carregar o desafio.
+ */
+export const tooManyRequests = (res, retryAt, message) => {
+  const seconds = Math.max(1, Math.ceil((retryAt - Date.now()) / 1000));
+
+  res.set("Retry-After", String(seconds));
+  return res.status(429).json({ message, retryAfter: seconds });
+};
+
+/**
+ * Middleware genérico de limite de requisições (janela fixa).
+ *
+ * OBJETIVO:
+ * - Impedir abuso de rotas sensíveis (cadastro em massa, spam de pedidos,
+ *   tentativas de login em sequência).
+ *
+ * COMO FUNCIONA:
+ * - Cada requisição soma 1 ao contador da chave (por padrão, o IP)
+ * - Passou de `max` dentro de `windowMs` → 429 + Retry-After até a
+ *   janela terminar
+ * - Os contadores ficam no store configurado (memória ou banco)
+ *
+ * Exemplo:
+ *   rateLimit({ name: "register", windowMs: 3600000, max: 5 })
+ *
+ * Para limitar por usuário, use depois do autenticarToken:
+ *   rateLimit({ ..., key: (req) => req.user.id })
+ */
+export const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  key = (req) => req.ip,
+  message = "Muitas requisições. Tente novamente em instantes.",
+  store = getRateLimitStore(),
+}) => {
+  return async (req, res, next) => {
+    try {
+      const counter = await store.hit(`${name}:${key(req)}`, windowMs);
+
+      if (counter.count > max) {
+        return tooManyRequests(res, new Date(counter.resetAt), message);
+      }
+
+      next();
+
+    } catch (error) {
+      // Falha no store não derruba a rota: melhor atender sem limite
+      // do que recusar todo mundo
+      console.error("Erro no limite de requisições:", error.message);
+      next();
+    }
+  };
+};
+
+/**
+ * Middleware do POST /users/login: recusa a tentativa enquanto a conta
+ * (e-mail) ou o IP estiver em backoff por falhas anteriores.
+ * As falhas são registradas pelo próprio controller de login.
+ */
+export const loginThrottle = async (req, res, next) => {
+  try {
+    const lockedUntil = await getLoginLock(getRateLimitStore(), {
+      email: req.body?.email,
+      ip: req.ip,
+    });
+
+    if (lockedUntil) {
+      return tooManyRequests(
+        res,
+        lockedUntil,
+        "Muitas tentativas de login com falha. Aguarde para tentar novamente."
+      );
+    }
+
+    next();
+
+  } catch (error) {
+    console.error("Erro na proteção do login:", error.message);
+    next();
+  }
+};
@@ -0,0 +1,37 @@
+import { can } from "../config/permissions.js";
+
+/**
+ * Middleware de AUTORIZAÇÃO baseado em permissões.
+ *
+ * OBJETIVO:
+ * - Garantir que apenas usuários cujo tipo (CLIENT, ADMIN, KITCHEN,
+ *   COURIER) tenha a permissão pedida acessem a rota.
+ *
+ * COMO FUNCIONA:
+ * - Primeiro, o middleware de autenticação (autenticarToken) injeta `req.user`
+ *   com o tipo atual do usuário (lido do banco).
+ * - Aqui, consultamos a matriz de permissões (config/permissions.js).
+ *
+ * Ex.: router.post("/", autenticarToken, requirePermission("menu:manage"), ...)
+ */
+export const requirePermission = (permission) => {
+  return (req, res, next) => {
+
+    // Se o middleware anterior não populou `req.user`,
+    // ou se o token não contém o tipo, negar por segurança.
+    if (!req.user?.type) {
+      return res.status(403).json({
+        message: "Tipo de usuário não identificado no token.",
+      });
+    }
+
+    // Tipo sem a permissão → tentativa de acesso indevido.
+    if (!can(req.user, permission)) {
+      return res.status(403).json({
+        message: "Acesso negado: permissão insuficiente.",
+      });
+    }
+
+    next();
+  };
+};
@@ -13,17 +13,20 @@ import { ZodError } from "zod";
  * - Mantém os controllers focados apenas na regra de negócio.
  *
  * COMO FUNCIONA:
- * - Recebe um schema Zod como parâmetro.
- * - Se os dados forem válidos, substitui req.body pela versão parseada (normalizada).
+ * - Recebe um schema Zod como parâmetro e, opcionalmente, a parte da
+ *   requisição a validar: "body" (padrão) ou "query" (filtros e paginação
+ *   de listagens, ex.: validate(listUsersQuerySchema, "query")).
+ * - Se os dados forem válidos, substitui req.body (ou req.query) pela
+ *   versão parseada (normalizada).
  * - Se houver erro de validação, retorna 400 automaticamente.
  */
-export const validate = (schema) => {
+export const validate = (schema, source = "body") => {
   return (req, res, next) => {
     try {
-      // Faz o parse e validação de req.body.
+      // Faz o parse e validação de req.body (ou req.query).
       // - Se os dados estiverem corretos, Zod retorna uma versão normalizada.
       // - Se estiverem incorretos, lança ZodError.
-      req.body = schema.parse(req.body);
+      req[source] = schema.parse(req[source]);
 
       // Segue para o controller
       next();
@@ -7,7 +7,7 @@ import {
   deleteCategory,
 } from "../controllers/categoryController.js";
 import { autenticarToken } from "../middlewares/autenticarToken.js";
-import { authorizeRole } from "../middlewares/authorizeRole.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { validate } from "../middlewares/validate.js";
 import { categorySchema } from "../validation/categorySchema.js";
 
@@ -100,7 +100,7 @@ router.get("/:id", autenticarToken, getCategoryById);
 /**
  * Fluxo de middlewares:
  * 1. autenticarToken → valida JWT
- * 2. authorizeRole("ADMIN") → garante permissão
+ * 2. requirePermission("menu:manage") → garante permissão
  * 3. validate(categorySchema) → valida a entrada
  */
 /**
@@ -129,7 +129,7 @@ router.get("/:id", autenticarToken, getCategoryById);
 router.post(
   "/",
   autenticarToken,
-  authorizeRole("ADMIN"),
+  requirePermission("menu:manage"),
   validate(categorySchema),
   createCategory
 );
@@ -173,7 +173,7 @@ router.post(
 router.put(
   "/:id",
   autenticarToken,
-  authorizeRole("ADMIN"),
+  requirePermission("menu:manage"),
   validate(categorySchema),
   updateCategory
 );
@@ -210,7 +210,7 @@ router.put(
 router.delete(
   "/:id",
   autenticarToken,
-  authorizeRole("ADMIN"),
+  requirePermission("menu:manage"),
   deleteCategory
 );
 
@@ -0,0 +1,206 @@
+import express from "express";
+import {
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../controllers/couponController.js";
+import { autenticarToken } from "../middlewares/autenticarToken.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { validate } from "../middlewares/validate.js";
+import { couponSchema } from "../validation/couponSchema.js";
+
+const router = express.Router();
+
+/**
+ * ROTAS DE CUPONS
+ *
+ * CRUD de cupons de desconto — todas as rotas são exclusivas do ADMIN.
+ *
+ * 🧩 Decisões de arquitetura:
+ * - O cliente não lista cupons: ele digita o código no checkout e o valor
+ *   é conferido em POST /orders/preview e aplicado em POST /orders.
+ * - couponSchema normaliza o código e valida as regras (percentual,
+ *   janela de validade, restrição por categoria OU item).
+ * - A ordem dos middlewares importa: autenticar → autorizar → validar → controller.
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Cupons
+ *     description: Cupons de desconto (ADMIN)
+ */
+
+
+/* ======================================================================
+   GET /coupons
+   Lista todos os cupons com a quantidade de usos (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /coupons:
+ *   get:
+ *     summary: Lista os cupons (ADMIN)
+ *     tags: [Cupons]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista retornada com sucesso (inclui `used`, usos não cancelados).
+ */
+router.get("/", autenticarToken, requirePermission("coupons:manage"), getCoupons);
+
+
+/* ======================================================================
+   GET /coupons/:id
+   Obtém um cupom específico (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   get:
+ *     summary: Obtém um cupom pelo ID (ADMIN)
+ *     tags: [Cupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Cupom encontrado.
+ *       404:
+ *         description: Cupom não encontrado.
+ */
+router.get("/:id", autenticarToken, requirePermission("coupons:manage"), getCouponById);
+
+
+/* ======================================================================
+   POST /coupons
+   Cria um cupom (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /coupons:
+ *   post:
+ *     summary: Cria um cupom (ADMIN)
+ *     tags: [Cupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             code: "BEMVINDO10"
+ *             description: "10% na primeira compra"
+ *             type: "PERCENTAGE"
+ *             value: 10
+ *             minOrderValue: 30
+ *             startsAt: "2026-01-01T00:00:00.000Z"
+ *             endsAt: "2026-12-31T23:59:59.000Z"
+ *             usageLimit: 100
+ *             usageLimitPerClient: 1
+ *             categoryId: null
+ *             itemId: null
+ *     responses:
+ *       201:
+ *         description: Cupom criado.
+ *       400:
+ *         description: Erro de validação ou categoria/item inexistente.
+ *       409:
+ *         description: Código já existente.
+ */
+router.post(
+  "/",
+  autenticarToken,
+  requirePermission("coupons:manage"),
+  validate(couponSchema),
+  createCoupon
+);
+
+
+/* ======================================================================
+   PUT /coupons/:id
+   Atualiza um cupom (ADMIN)
+   ====================================================================== */
+/**
+ * Pedidos já feitos guardam o desconto aplicado — editar o cupom
+ * não altera o histórico.
+ */
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   put:
+ *     summary: Atualiza um cupom (ADMIN)
+ *     tags: [Cupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             code: "FRETE5"
+ *             type: "FIXED"
+ *             value: 5
+ *             active: false
+ *     responses:
+ *       200:
+ *         description: Cupom atualizado.
+ *       404:
+ *         description: Cupom não encontrado.
+ *       409:
+ *         description: Código já existente.
+ */
+router.put(
+  "/:id",
+  autenticarToken,
+  requirePermission("coupons:manage"),
+  validate(couponSchema),
+  updateCoupon
+);
+
+
+/* ======================================================================
+   DELETE /coupons/:id
+   Remove um cupom (ADMIN)
+   ====================================================================== */
+/**
+ * Pedidos que usaram o cupom mantêm o código e o desconto gravados.
+ */
+/**
+ * @swagger
+ * /coupons/{id}:
+ *   delete:
+ *     summary: Remove um cupom (ADMIN)
+ *     tags: [Cupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Cupom removido.
+ *       404:
+ *         description: Cupom não encontrado.
+ */
+router.delete(
+  "/:id",
+  autenticarToken,
+  requirePermission("coupons:manage"),
+  deleteCoupon
+);
+
+export default router;
@@ -0,0 +1,62 @@
+import express from "express";
+import { getCouriers } from "../controllers/courierController.js";
+import { autenticarToken } from "../middlewares/autenticarToken.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+
+const router = express.Router();
+
+/**
+ * ROTAS DE ENTREGADORES
+ *
+ * 🔐 Segurança:
+ * - Apenas ADMIN lista os entregadores (permissão "orders:dispatch").
+ *
+ * 🧩 Decisões de arquitetura:
+ * - Não há cadastro próprio de entregador: é um usuário do tipo COURIER,
+ *   criado/alterado em PATCH /users/:id/role. Assim ele usa o mesmo login,
+ *   sessões e desativação de conta dos demais usuários.
+ * - A atribuição de pedidos fica em POST /orders/dispatch.
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Entregadores
+ *     description: Entregadores disponíveis para o despacho (ADMIN)
+ */
+
+
+/* ======================================================================
+   GET /couriers
+   ADMIN lista os entregadores ativos
+   ====================================================================== */
+/**
+ * @swagger
+ * /couriers:
+ *   get:
+ *     summary: Lista os entregadores ativos (ADMIN)
+ *     tags: [Entregadores]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       `activeDeliveries` conta as entregas atribuídas que ainda não
+ *       foram finalizadas — ajuda a escolher quem está livre.
+ *     responses:
+ *       200:
+ *         description: Lista de entregadores.
+ *         content:
+ *           application/json:
+ *             example:
+ *               - id: 6
+ *                 name: "João Entregador"
+ *                 phone: "34 94444-5555"
+ *                 activeDeliveries: 2
+ */
+router.get(
+  "/",
+  autenticarToken,
+  requirePermission("orders:dispatch"),
+  getCouriers
+);
+
+export default router;
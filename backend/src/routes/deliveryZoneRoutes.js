@@ -0,0 +1,205 @@
+import express from "express";
+import {
+  getDeliveryZones,
+  lookupDeliveryZone,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+} from "../controllers/deliveryZoneController.js";
+import { autenticarToken } from "../middlewares/autenticarToken.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { validate } from "../middlewares/validate.js";
+import { deliveryZoneSchema } from "../validation/deliveryZoneSchema.js";
+
+const router = express.Router();
+
+/**
+ * ROTAS DE ZONAS DE ENTREGA
+ *
+ * Zonas definidas por faixa de CEP, cada uma com taxa, pedido mínimo
+ * e prazo estimado.
+ *
+ * 🔐 Segurança:
+ * - Apenas ADMIN lista, cria, edita e remove zonas.
+ * - Qualquer usuário autenticado consulta se um CEP é atendido.
+ *
+ * 🧩 Decisões de arquitetura:
+ * - A taxa do pedido NÃO vem do front: POST /orders busca o endereço
+ *   do cliente e aplica a zona no backend.
+ * - deliveryZoneSchema aceita faixa (cepStart/cepEnd) ou prefixo (cepPrefix).
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Zonas de Entrega
+ *     description: Taxas e prazos de entrega por faixa de CEP
+ */
+
+
+/* ======================================================================
+   GET /delivery-zones
+   Lista todas as zonas (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /delivery-zones:
+ *   get:
+ *     summary: Lista as zonas de entrega (ADMIN)
+ *     tags: [Zonas de Entrega]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista retornada com sucesso.
+ */
+router.get("/", autenticarToken, requirePermission("delivery-zones:manage"), getDeliveryZones);
+
+
+/* ======================================================================
+   GET /delivery-zones/lookup/:cep
+   Consulta a zona que atende um CEP (CLIENT e ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /delivery-zones/lookup/{cep}:
+ *   get:
+ *     summary: Consulta taxa e prazo de entrega para um CEP
+ *     tags: [Zonas de Entrega]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cep
+ *         required: true
+ *         example: "38010200"
+ *     responses:
+ *       200:
+ *         description: CEP atendido.
+ *         content:
+ *           application/json:
+ *             example:
+ *               name: "Centro"
+ *               fee: 5.00
+ *               minOrderValue: 20.00
+ *               estimatedMinutes: 40
+ *       404:
+ *         description: CEP fora das zonas de entrega.
+ */
+router.get("/lookup/:cep", autenticarToken, lookupDeliveryZone);
+
+
+/* ======================================================================
+   POST /delivery-zones
+   Cria uma zona (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /delivery-zones:
+ *   post:
+ *     summary: Cria uma zona de entrega (ADMIN)
+ *     tags: [Zonas de Entrega]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Informe a faixa com `cepStart` e `cepEnd` ou use `cepPrefix`
+ *       (ex.: "380" → 38000000 a 38099999).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             name: "Centro"
+ *             cepPrefix: "3801"
+ *             fee: 5
+ *             minOrderValue: 20
+ *             estimatedMinutes: 40
+ *     responses:
+ *       201:
+ *         description: Zona criada.
+ *       400:
+ *         description: Erro de validação.
+ */
+router.post(
+  "/",
+  autenticarToken,
+  requirePermission("delivery-zones:manage"),
+  validate(deliveryZoneSchema),
+  createDeliveryZone
+);
+
+
+/* ======================================================================
+   PUT /delivery-zones/:id
+   Atualiza uma zona (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /delivery-zones/{id}:
+ *   put:
+ *     summary: Atualiza uma zona de entrega (ADMIN)
+ *     tags: [Zonas de Entrega]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             name: "Bairros Norte"
+ *             cepStart: "38040000"
+ *             cepEnd: "38059999"
+ *             fee: 8
+ *             estimatedMinutes: 60
+ *     responses:
+ *       200:
+ *         description: Zona atualizada.
+ *       404:
+ *         description: Zona não encontrada.
+ */
+router.put(
+  "/:id",
+  autenticarToken,
+  requirePermission("delivery-zones:manage"),
+  validate(deliveryZoneSchema),
+  updateDeliveryZone
+);
+
+
+/* ======================================================================
+   DELETE /delivery-zones/:id
+   Remove uma zona (ADMIN)
+   ====================================================================== */
+/**
+ * Pedidos já feitos mantêm a taxa e o prazo gravados.
+ */
+/**
+ * @swagger
+ * /delivery-zones/{id}:
+ *   delete:
+ *     summary: Remove uma zona de entrega (ADMIN)
+ *     tags: [Zonas de Entrega]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Zona removida.
+ *       404:
+ *         description: Zona não encontrada.
+ */
+router.delete(
+  "/:id",
+  autenticarToken,
+  requirePermission("delivery-zones:manage"),
+  deleteDeliveryZone
+);
+
+export default router;
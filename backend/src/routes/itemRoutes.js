@@ -4,12 +4,16 @@ import {
   getItemById,
   createItem,
   updateItem,
+  updateItemAvailability,
   deleteItem,
 } from "../controllers/itemController.js";
 import { autenticarToken } from "../middlewares/autenticarToken.js";
-import { authorizeRole } from "../middlewares/authorizeRole.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { validate } from "../middlewares/validate.js";
-import { itemSchema } from "../validation/itemSchema.js";
+import {
+  itemSchema,
+  itemAvailabilitySchema,
+} from "../validation/itemSchema.js";
 
 const router = express.Router();
 
@@ -26,7 +30,8 @@ const router = express.Router();
  * 🧠 Decisões importantes:
  * - Toda rota requer autenticação, mesmo as de listagem, para manter coerência
  *   com o restante da API (tudo protegido).
- * - itemSchema garante integridade dos dados (preço, descrição, categoria).
+ * - itemSchema garante integridade dos dados (preço, descrição, categoria,
+ *   grupos de modificadores).
  * - Middlewares seguem a ordem correta:
  *     autenticar → autorizar (se necessário) → validar → controller
  *
@@ -67,6 +72,8 @@ const router = express.Router();
  *                 description: "X-Tudo"
  *                 unitPrice: 25.5
  *                 imageUrl: "https://example.com/x-tudo.jpg"
+ *                 stockQuantity: 12
+ *                 available: true
  *                 category:
  *                   id: 1
  *                   description: "Lanches"
@@ -113,7 +120,7 @@ router.get("/:id", autenticarToken, getItemById);
 /**
  * Fluxo completo:
  * 1. autenticarToken → garante identidade
- * 2. authorizeRole("ADMIN") → impede criação por CLIENT
+ * 2. requirePermission("menu:manage") → impede criação por CLIENT
  * 3. validate(itemSchema) → valida estrutura do payload
  *
  * O controller lida com erros do Prisma (categoria inexistente, etc.).
@@ -135,6 +142,17 @@ router.get("/:id", autenticarToken, getItemById);
  *             unitPrice: 7.5
  *             imageUrl: "https://example.com/suco.jpg"
  *             categoryId: 3
+ *             stockQuantity: 40
+ *             modifierGroups:
+ *               - name: "Tamanho"
+ *                 required: true
+ *                 minSelections: 1
+ *                 maxSelections: 1
+ *                 options:
+ *                   - name: "300ml"
+ *                     priceDelta: 0
+ *                   - name: "500ml"
+ *                     priceDelta: 3
  *     responses:
  *       201:
  *         description: Item criado com sucesso.
@@ -146,7 +164,7 @@ router.get("/:id", autenticarToken, getItemById);
 router.post(
   "/",
   autenticarToken,
-  authorizeRole("ADMIN"),
+  requirePermission("menu:manage"),
   validate(itemSchema),
   createItem
 );
@@ -162,6 +180,9 @@ router.post(
  * - Autorizar ADMIN
  * - Validar input
  *
+ * Se `modifierGroups` for enviado, substitui todos os grupos do item.
+ * Se for omitido, os grupos atuais são mantidos.
+ *
  * updateItem já trata P2025, garantindo resposta 404 adequada.
  */
 /**
@@ -194,12 +215,54 @@ router.post(
 router.put(
   "/:id",
   autenticarToken,
-  authorizeRole("ADMIN"),
+  requirePermission("menu:manage"),
   validate(itemSchema),
   updateItem
 );
 
 
+/* ======================================================================
+   PATCH /items/:id/availability
+   Pausar ou reativar um item (somente ADMIN)
+   ====================================================================== */
+/**
+ * Atalho para o admin marcar um item como indisponível (ex.: acabou o
+ * ingrediente) sem reenviar o item completo.
+ * Itens indisponíveis continuam no cardápio, mas são recusados em POST /orders.
+ */
+/**
+ * @swagger
+ * /items/{id}/availability:
+ *   patch:
+ *     summary: Pausa ou reativa um item (ADMIN)
+ *     tags: [Itens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             available: false
+ *     responses:
+ *       200:
+ *         description: Disponibilidade atualizada.
+ *       404:
+ *         description: Item não encontrado.
+ */
+router.patch(
+  "/:id/availability",
+  autenticarToken,
+  requirePermission("menu:manage"),
+  validate(itemAvailabilitySchema),
+  updateItemAvailability
+);
+
+
 /* ======================================================================
    DELETE /items/:id
    Deletar um item existente (somente ADMIN)
@@ -230,7 +293,7 @@ router.put(
 router.delete(
   "/:id",
   autenticarToken,
-  authorizeRole("ADMIN"),
+  requirePermission("menu:manage"),
   deleteItem
 );
 
@@ -1,52 +1,100 @@
 import express from "express";
 import {
   createOrder,
+  previewOrder,
   getMyOrders,
   getMyOrderById,
   getOrders,
   getOrdersByClient,
   getOrderById,
   updateOrderStatus,
+  cancelMyOrder,
+  cancelOrder,
+  streamOrders,
+  dispatchOrders,
+  getMyDeliveries,
+  confirmMyDelivery,
 } from "../controllers/orderController.js";
-import { autenticarToken } from "../middlewares/autenticarToken.js";
-import { authorizeRole } from "../middlewares/authorizeRole.js";
+import {
+  autenticarToken,
+  tokenFromQuery,
+} from "../middlewares/autenticarToken.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { validate } from "../middlewares/validate.js";
-import { orderSchema } from "../validation/orderSchema.js";
+import { rateLimit } from "../middlewares/rateLimit.js";
+import {
+  orderSchema,
+  orderPreviewSchema,
+} from "../validation/orderSchema.js";
+import {
+  cancelOrderSchema,
+  cancelMyOrderSchema,
+} from "../validation/cancelOrderSchema.js";
+import {
+  dispatchOrdersSchema,
+  confirmDeliverySchema,
+} from "../validation/dispatchSchema.js";
+import { listOrdersQuerySchema } from "../validation/orderQuerySchema.js";
 
 const router = express.Router();
 
+// Pedidos por cliente (não por IP: vários clientes podem dividir a rede)
+const createOrderLimit = rateLimit({
+  name: "create-order",
+  windowMs: 10 * 60 * 1000,
+  max: 10,
+  key: (req) => req.user.id,
+  message: "Você fez muitos pedidos em pouco tempo. Aguarde alguns minutos.",
+});
+
 /**
  * ROTAS DE PEDIDOS (ORDER FLOW)
  *
  * Este módulo trata o fluxo completo de pedidos:
  * - CLIENT cria e consulta apenas seus pedidos
  * - ADMIN gerencia TODOS os pedidos
+ * - KITCHEN vê a fila e prepara (pending → preparing → pronto)
+ * - COURIER vê e avança apenas as entregas atribuídas a ele
+ *   (o ADMIN atribui em POST /orders/dispatch) e finaliza cada uma com o
+ *   código que o cliente informa na porta
  *
  * 🧠 Decisões importantes do design:
  *
- * 1) Segurança forte:
+ * 1) Segurança forte (matriz em config/permissions.js):
  *    - CLIENT só pode acessar pedidos onde `clientId === req.user.id`
+ *    - COURIER só pode acessar pedidos onde `courierId === req.user.id`
  *    - ADMIN tem acesso total (gerenciamento)
  *
  * 2) O valor total do pedido é sempre calculado no backend.
  *    → evita fraude, manipulação no frontend e inconsistência nos preços.
+ *    → cada OrderItem guarda o preço/descrição da compra (snapshot),
+ *      então editar um item não altera pedidos antigos.
  *
- * 3) Fluxo de status é rígido e sequencial:
- *    pending → preparing → delivering → delivered
+ * 3) Fluxo de status é rígido e sequencial (depende do atendimento):
+ *    DELIVERY: pending → preparing → ready_for_delivery → delivering → delivered
+ *    PICKUP:   pending → preparing → ready_for_pickup → picked_up
  *    - Não retrocede
  *    - Não pula etapas
+ *    - "cancelled" é um estado final alternativo:
+ *        CLIENT cancela apenas enquanto "pending"
+ *        ADMIN cancela em qualquer etapa não finalizada (motivo obrigatório)
  *
  * 4) Middlewares seguem ordem lógica:
  *    autenticar → autorizar (quando necessário) → validar (quando necessário)
  *
  * 5) Swagger possui exemplos reais para facilitar testes e integração.
+ *
+ * 6) Atualizações em tempo real via Server-Sent Events (GET /orders/stream):
+ *    - CLIENT recebe apenas eventos dos próprios pedidos
+ *    - COURIER recebe apenas eventos das entregas atribuídas a ele
+ *    - ADMIN e KITCHEN recebem eventos de todos
  */
 
 /**
  * @swagger
  * tags:
  *   - name: Pedidos
- *     description: Fluxo de pedidos (CLIENT cria, ADMIN gerencia)
+ *     description: Fluxo de pedidos (CLIENT cria, equipe prepara/entrega, ADMIN gerencia)
  */
 
 
@@ -57,7 +105,7 @@ const router = express.Router();
 /**
  * Middlewares em cascata:
  * - autenticarToken → garante que sabemos o clientId
- * - authorizeRole("CLIENT") → evita que admin crie pedidos (regra do negócio)
+ * - requirePermission("orders:place") → só CLIENT cria pedidos (regra do negócio)
  * - validate(orderSchema) → garante integridade da estrutura de items e paymentMethod
  */
 /**
@@ -71,16 +119,34 @@ const router = express.Router();
  *     description: |
  *       - O cliente cria o pedido  
  *       - O total é calculado automaticamente pelo sistema  
- *       - O status inicial é **pending**  
+ *       - O status inicial é **pending** (ou **scheduled**, se agendado)  
+ *       - O estoque dos itens é baixado na criação (e devolvido no cancelamento)  
+ *       - `options` (opcional) lista os IDs das opções de modificadores;
+ *         as regras de cada grupo (obrigatório, mín./máx.) são validadas
+ *         e as variações de preço entram no `unitPrice` do item  
+ *       - `couponCode` (opcional) aplica um cupom; o pedido guarda
+ *         `subtotal`, `discount` e `total` separadamente
+ *       - a taxa de entrega (`deliveryFee`) e o prazo (`estimatedMinutes`)
+ *         vêm da zona do CEP do endereço do cliente; fora das zonas → 400
+ *       - `fulfillmentType` (opcional, padrão DELIVERY): com **PICKUP** o
+ *         cliente retira no balcão — sem endereço e sem taxa de entrega
+ *       - Com a loja fechada (GET /store/status) o pedido é recusado (400)
+ *       - `scheduledFor` (opcional) agenda o pedido para uma faixa de
+ *         GET /store/slots; faixa inexistente ou lotada → 400. Agendados
+ *         são aceitos mesmo com a loja fechada e entram na fila da cozinha
+ *         (pending) com a antecedência configurada
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           example:
  *             paymentMethod: "CREDIT"
+ *             couponCode: "BEMVINDO10"
+ *             fulfillmentType: "DELIVERY"
  *             items:
  *               - itemId: 1
  *                 quantity: 2
+ *                 options: [4, 7]
  *               - itemId: 3
  *                 quantity: 1
  *     responses:
@@ -93,12 +159,26 @@ const router = express.Router();
  *               clientId: 1
  *               status: "pending"
  *               paymentMethod: "CREDIT"
- *               total: 52.70
+ *               subtotal: 58.70
+ *               discount: 5.87
+ *               deliveryFee: 5.00
+ *               total: 57.83
+ *               couponCode: "BEMVINDO10"
+ *               estimatedMinutes: 40
  *               createdAt: "2025-11-19T01:20:30.000Z"
  *               orderItems:
  *                 - id: 33
  *                   itemId: 1
  *                   quantity: 2
+ *                   unitPrice: 22.90
+ *                   description: "X-Salada"
+ *                   modifiers:
+ *                     - groupName: "Adicionais"
+ *                       optionName: "Bacon extra"
+ *                       priceDelta: 4.00
+ *                     - groupName: "Remover"
+ *                       optionName: "Sem cebola"
+ *                       priceDelta: 0
  *                   item:
  *                     id: 1
  *                     description: "X-Salada"
@@ -106,22 +186,155 @@ const router = express.Router();
  *                 - id: 34
  *                   itemId: 3
  *                   quantity: 1
+ *                   unitPrice: 12.90
+ *                   description: "Batata Frita"
  *                   item:
  *                     id: 3
  *                     description: "Batata Frita"
  *                     unitPrice: 12.90
  *       400:
- *         description: Erro de validação.
+ *         description: |
+ *           Erro de validação (inclui opções inválidas ou fora dos limites)
+ *           ou itens indisponíveis/sem estoque, listados um a um em `errors`.
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Alguns itens do pedido estão indisponíveis."
+ *               errors:
+ *                 - "X-Bacon: esgotado."
+ *                 - "Pudim: restam apenas 1 unidade(s)."
+ *       403:
+ *         description: |
+ *           E-mail do cliente ainda não verificado e a loja não aceita
+ *           pedidos nessa situação (StoreSettings.allowUnverifiedOrders).
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Confirme seu e-mail antes de fazer pedidos."
+ *               code: "EMAIL_NOT_VERIFIED"
+ *       429:
+ *         description: Muitos pedidos em sequência (ver header Retry-After).
  */
 router.post(
   "/",
   autenticarToken,
-  authorizeRole("CLIENT"),
+  requirePermission("orders:place"),
+  createOrderLimit,
   validate(orderSchema),
   createOrder
 );
 
 
+/* ======================================================================
+   POST /orders/preview
+   CLIENT simula o pedido no checkout (subtotal, desconto, entrega e total)
+   ====================================================================== */
+/**
+ * - Usa as mesmas regras de preço e de cupom do POST /orders
+ * - Nada é gravado e o estoque não é reservado
+ */
+/**
+ * @swagger
+ * /orders/preview:
+ *   post:
+ *     summary: Calcula os valores do pedido sem criá-lo (CLIENT)
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             couponCode: "BEMVINDO10"
+ *             items:
+ *               - itemId: 1
+ *                 quantity: 2
+ *     responses:
+ *       200:
+ *         description: Valores calculados.
+ *         content:
+ *           application/json:
+ *             example:
+ *               subtotal: 37.80
+ *               discount: 3.78
+ *               fulfillmentType: "DELIVERY"
+ *               deliveryFee: 5.00
+ *               estimatedMinutes: 40
+ *               deliveryZone: "Centro"
+ *               total: 39.02
+ *               couponCode: "BEMVINDO10"
+ *       400:
+ *         description: |
+ *           Item inválido, cupom recusado (expirado, esgotado etc.)
+ *           ou endereço fora das zonas de entrega.
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Este cupom expirou."
+ */
+router.post(
+  "/preview",
+  autenticarToken,
+  requirePermission("orders:place"),
+  validate(orderPreviewSchema),
+  previewOrder
+);
+
+
+/* ======================================================================
+   GET /orders/stream
+   CLIENT e ADMIN acompanham pedidos em tempo real (SSE)
+   ====================================================================== */
+/**
+ * - tokenFromQuery → o EventSource do navegador não envia headers,
+ *   então o token pode vir em ?token=
+ * - A conexão fica aberta; cada evento traz o pedido completo ou os campos
+ *   alterados (status, cancelamento)
+ * - O token segue sendo conferido com a conexão aberta: expirado, revogado
+ *   ou com a conta desativada, o servidor encerra o stream
+ */
+/**
+ * @swagger
+ * /orders/stream:
+ *   get:
+ *     summary: Stream de eventos de pedidos (Server-Sent Events)
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Eventos enviados:
+ *       - **order-created** → novo pedido
+ *       - **order-status-changed** → avanço de status ou cancelamento
+ *
+ *       CLIENT recebe apenas os próprios pedidos; ADMIN recebe todos.
+ *
+ *       O servidor encerra a conexão quando o token expira ou deixa de
+ *       valer (logout, sessão encerrada, conta desativada); o cliente
+ *       reconecta com um token renovado.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: false
+ *         description: JWT (alternativa ao header Authorization para EventSource)
+ *     responses:
+ *       200:
+ *         description: Conexão aberta (text/event-stream).
+ *         content:
+ *           text/event-stream:
+ *             example: |
+ *               event: order-status-changed
+ *               data: {"id":12,"clientId":1,"status":"preparing"}
+ */
+router.get(
+  "/stream",
+  tokenFromQuery,
+  autenticarToken,
+  requirePermission("orders:stream"),
+  streamOrders
+);
+
+
 /* ======================================================================
    GET /orders/my
    CLIENT lista **somente seus** pedidos
@@ -130,36 +343,58 @@ router.post(
  * Segurança:
  * - Mesmo sendo GET, CLIENT só enxerga os próprios pedidos (controle no controller).
  * - ADMIN não usa esta rota.
+ * - Entregas trazem o deliveryCode, que o cliente informa ao entregador.
+ * - Paginada e com os mesmos filtros de GET /orders (exceto cliente).
  */
 /**
  * @swagger
  * /orders/my:
  *   get:
- *     summary: CLIENT lista todos os seus pedidos
+ *     summary: CLIENT lista seus pedidos (paginado)
  *     tags: [Pedidos]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/OrderStatusFilter'
+ *       - $ref: '#/components/parameters/OrderFrom'
+ *       - $ref: '#/components/parameters/OrderTo'
+ *       - $ref: '#/components/parameters/OrderPaymentMethod'
+ *       - $ref: '#/components/parameters/OrderMinTotal'
+ *       - $ref: '#/components/parameters/OrderMaxTotal'
+ *       - $ref: '#/components/parameters/OrderSortBy'
+ *       - $ref: '#/components/parameters/OrderSortOrder'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
  *     responses:
  *       200:
- *         description: Lista dos pedidos.
+ *         description: Página de pedidos.
  *         content:
  *           application/json:
  *             example:
- *               - id: 12
- *                 total: 52.70
- *                 status: "pending"
- *                 paymentMethod: "CREDIT"
- *                 createdAt: "2025-11-19T01:20:30.000Z"
- *                 orderItems:
- *                   - quantity: 2
- *                     item:
- *                       description: "X-Salada"
- *                       unitPrice: 18.90
+ *               data:
+ *                 - id: 12
+ *                   total: 52.70
+ *                   status: "pending"
+ *                   paymentMethod: "CREDIT"
+ *                   createdAt: "2025-11-19T01:20:30.000Z"
+ *                   deliveryCode: "0427"
+ *                   orderItems:
+ *                     - quantity: 2
+ *                       item:
+ *                         description: "X-Salada"
+ *                         unitPrice: 18.90
+ *               page: 1
+ *               pageSize: 20
+ *               total: 1
+ *               totalPages: 1
+ *       400:
+ *         description: Filtro inválido.
  */
 router.get(
   "/my",
   autenticarToken,
-  authorizeRole("CLIENT"),
+  requirePermission("orders:place"),
+  validate(listOrdersQuerySchema, "query"),
   getMyOrders
 );
 
@@ -172,6 +407,7 @@ router.get(
  * Observação:
  * - O controller valida se o pedido realmente pertence ao usuário.
  * - Caso contrário → 403 (tentativa de acesso indevido).
+ * - Inclui o histórico de status (statusEvents) em ordem cronológica.
  */
 /**
  * @swagger
@@ -194,61 +430,242 @@ router.get(
  *             example:
  *               id: 12
  *               total: 52.70
- *               status: "pending"
+ *               status: "preparing"
  *               paymentMethod: "CREDIT"
  *               orderItems:
  *                 - quantity: 2
  *                   item:
  *                     description: "X-Salada"
  *                     unitPrice: 18.90
+ *               statusEvents:
+ *                 - status: "pending"
+ *                   createdAt: "2025-11-19T01:20:30.000Z"
+ *                   user:
+ *                     name: "Ana Souza"
+ *                 - status: "preparing"
+ *                   createdAt: "2025-11-19T01:24:10.000Z"
+ *                   user:
+ *                     name: "Administrador"
  *       403:
  *         description: Não autorizado.
  */
 router.get(
   "/my/:id",
   autenticarToken,
-  authorizeRole("CLIENT"),
+  requirePermission("orders:place"),
   getMyOrderById
 );
 
 
+/* ======================================================================
+   PATCH /orders/my/:id/cancel
+   CLIENT cancela um pedido próprio ainda pendente
+   ====================================================================== */
+/**
+ * Regras:
+ * - O pedido precisa pertencer ao cliente (403 caso contrário)
+ * - Só é possível cancelar enquanto o status for "scheduled" ou "pending"
+ * - O motivo é opcional para o cliente
+ */
+/**
+ * @swagger
+ * /orders/my/{id}/cancel:
+ *   patch:
+ *     summary: CLIENT cancela um pedido próprio pendente
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         example: 12
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           example:
+ *             reason: "Pedi o item errado"
+ *     responses:
+ *       200:
+ *         description: Pedido cancelado.
+ *         content:
+ *           application/json:
+ *             example:
+ *               id: 12
+ *               status: "cancelled"
+ *               cancelReason: "Pedi o item errado"
+ *               cancelledAt: "2025-11-19T01:25:00.000Z"
+ *               cancelledBy:
+ *                 id: 1
+ *                 name: "Ana Souza"
+ *                 type: "CLIENT"
+ *       400:
+ *         description: Pedido não está mais agendado/pendente.
+ *       403:
+ *         description: Não autorizado.
+ *       409:
+ *         description: O status mudou desde a leitura (avançado ou cancelado por outra pessoa).
+ */
+router.patch(
+  "/my/:id/cancel",
+  autenticarToken,
+  requirePermission("orders:place"),
+  validate(cancelMyOrderSchema),
+  cancelMyOrder
+);
+
+
 /* ======================================================================
    GET /orders
    ADMIN vê todos os pedidos do sistema
    ====================================================================== */
 /**
- * Apenas admin, pois expõe dados sensíveis (clientes, itens, preços).
- * Usado no painel administrativo.
+ * Apenas a equipe, pois expõe dados sensíveis (clientes, itens, preços).
+ * Usado no painel administrativo e na cozinha. COURIER recebe apenas
+ * as entregas atribuídas a ele.
+ *
+ * Paginação e filtros (listOrdersQuerySchema):
+ * - status (lista separada por vírgula), from/to (dias no fuso da loja),
+ *   paymentMethod, clientId, client (nome/e-mail), minTotal/maxTotal
+ * - sortBy (createdAt, total) e sortOrder (asc, desc)
+ * - page e pageSize (padrão 20, máximo 100)
+ * - A resposta vem no envelope { data, page, pageSize, total, totalPages }
+ *   e traz statusCounts: o total de pedidos de cada status com os mesmos
+ *   filtros (contadores das colunas do quadro, que carrega por páginas)
  */
 /**
  * @swagger
+ * components:
+ *   parameters:
+ *     OrderStatusFilter:
+ *       in: query
+ *       name: status
+ *       description: Um ou mais status separados por vírgula
+ *       schema:
+ *         type: string
+ *       example: "pending,preparing"
+ *     OrderFrom:
+ *       in: query
+ *       name: from
+ *       description: Dia inicial (AAAA-MM-DD, fuso da loja); agendados contam pelo dia agendado
+ *       schema:
+ *         type: string
+ *         format: date
+ *     OrderTo:
+ *       in: query
+ *       name: to
+ *       description: Dia final, inclusivo (AAAA-MM-DD, fuso da loja)
+ *       schema:
+ *         type: string
+ *         format: date
+ *     OrderPaymentMethod:
+ *       in: query
+ *       name: paymentMethod
+ *       schema:
+ *         type: string
+ *         enum: [CASH, DEBIT, CREDIT, PIX]
+ *     OrderClientId:
+ *       in: query
+ *       name: clientId
+ *       schema:
+ *         type: integer
+ *     OrderClientSearch:
+ *       in: query
+ *       name: client
+ *       description: Parte do nome ou e-mail do cliente
+ *       schema:
+ *         type: string
+ *     OrderMinTotal:
+ *       in: query
+ *       name: minTotal
+ *       schema:
+ *         type: number
+ *         minimum: 0
+ *     OrderMaxTotal:
+ *       in: query
+ *       name: maxTotal
+ *       schema:
+ *         type: number
+ *         minimum: 0
+ *     OrderSortBy:
+ *       in: query
+ *       name: sortBy
+ *       schema:
+ *         type: string
+ *         enum: [createdAt, total]
+ *         default: createdAt
+ *     OrderSortOrder:
+ *       in: query
+ *       name: sortOrder
+ *       schema:
+ *         type: string
+ *         enum: [asc, desc]
+ *         default: desc
+ *     Page:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         default: 1
+ *     PageSize:
+ *       in: query
+ *       name: pageSize
+ *       schema:
+ *         type: integer
+ *         default: 20
+ *         maximum: 100
+ *
  * /orders:
  *   get:
- *     summary: ADMIN lista todos os pedidos
+ *     summary: Equipe lista os pedidos (COURIER vê só os atribuídos)
  *     tags: [Pedidos]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/OrderStatusFilter'
+ *       - $ref: '#/components/parameters/OrderFrom'
+ *       - $ref: '#/components/parameters/OrderTo'
+ *       - $ref: '#/components/parameters/OrderPaymentMethod'
+ *       - $ref: '#/components/parameters/OrderMinTotal'
+ *       - $ref: '#/components/parameters/OrderMaxTotal'
+ *       - $ref: '#/components/parameters/OrderSortBy'
+ *       - $ref: '#/components/parameters/OrderSortOrder'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *       - $ref: '#/components/parameters/OrderClientId'
+ *       - $ref: '#/components/parameters/OrderClientSearch'
  *     responses:
  *       200:
- *         description: Lista de pedidos.
+ *         description: Página de pedidos.
  *         content:
  *           application/json:
  *             example:
- *               - id: 12
- *                 client:
- *                   name: "Ana Souza"
- *                 total: 52.70
- *                 status: "preparing"
- *                 paymentMethod: "CREDIT"
- *                 orderItems:
- *                   - quantity: 2
- *                     item:
- *                       description: "X-Salada"
+ *               data:
+ *                 - id: 12
+ *                   client:
+ *                     name: "Ana Souza"
+ *                   total: 52.70
+ *                   status: "preparing"
+ *                   paymentMethod: "CREDIT"
+ *                   orderItems:
+ *                     - quantity: 2
+ *                       item:
+ *                         description: "X-Salada"
+ *               page: 1
+ *               pageSize: 20
+ *               total: 1
+ *               totalPages: 1
+ *               statusCounts:
+ *                 preparing: 1
+ *       400:
+ *         description: Filtro inválido.
  */
 router.get(
   "/",
   autenticarToken,
-  authorizeRole("ADMIN"),
+  requirePermission("orders:read"),
+  validate(listOrdersQuerySchema, "query"),
   getOrders
 );
 
@@ -259,6 +676,7 @@ router.get(
    ====================================================================== */
 /**
  * Facilita buscas administrativas: relatórios, auditoria, histórico de uso.
+ * Paginada e com os mesmos filtros de GET /orders.
  */
 /**
  * @swagger
@@ -273,37 +691,55 @@ router.get(
  *         name: clientId
  *         required: true
  *         example: 1
+ *       - $ref: '#/components/parameters/OrderStatusFilter'
+ *       - $ref: '#/components/parameters/OrderFrom'
+ *       - $ref: '#/components/parameters/OrderTo'
+ *       - $ref: '#/components/parameters/OrderPaymentMethod'
+ *       - $ref: '#/components/parameters/OrderMinTotal'
+ *       - $ref: '#/components/parameters/OrderMaxTotal'
+ *       - $ref: '#/components/parameters/OrderSortBy'
+ *       - $ref: '#/components/parameters/OrderSortOrder'
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
  *     responses:
  *       200:
- *         description: Pedidos retornados.
+ *         description: Página de pedidos do cliente.
  *         content:
  *           application/json:
  *             example:
- *               - id: 10
- *                 total: 29.90
- *                 status: "delivered"
+ *               data:
+ *                 - id: 10
+ *                   total: 29.90
+ *                   status: "delivered"
+ *               page: 1
+ *               pageSize: 20
+ *               total: 1
+ *               totalPages: 1
+ *       400:
+ *         description: Filtro inválido.
  */
 router.get(
   "/client/:clientId",
   autenticarToken,
-  authorizeRole("ADMIN"),
+  requirePermission("orders:read-by-client"),
+  validate(listOrdersQuerySchema, "query"),
   getOrdersByClient
 );
 
 
 /* ======================================================================
    GET /orders/details/:id
-   ADMIN vê detalhes completos de um pedido específico
+   Equipe vê detalhes completos de um pedido específico
    ====================================================================== */
 /**
  * Essa rota é diferente da anterior porque retorna dados completos
- * incluindo info do cliente e itens detalhados.
+ * incluindo info do cliente, itens detalhados e histórico de status.
  */
 /**
  * @swagger
  * /orders/details/{id}:
  *   get:
- *     summary: ADMIN busca detalhes de um pedido
+ *     summary: Equipe busca detalhes de um pedido (COURIER só os atribuídos)
  *     tags: [Pedidos]
  *     security:
  *       - bearerAuth: []
@@ -328,24 +764,42 @@ router.get(
  *                   item:
  *                     description: "Batata Frita"
  *                     unitPrice: 12.90
+ *               statusEvents:
+ *                 - status: "pending"
+ *                   createdAt: "2025-11-19T01:20:30.000Z"
+ *                 - status: "preparing"
+ *                   createdAt: "2025-11-19T01:24:10.000Z"
+ *                 - status: "delivering"
+ *                   createdAt: "2025-11-19T01:41:55.000Z"
  *       404:
  *         description: Pedido não encontrado.
  */
 router.get(
   "/details/:id",
   autenticarToken,
-  authorizeRole("ADMIN"),
+  requirePermission("orders:read"),
   getOrderById
 );
 
 
 /* ======================================================================
    PATCH /orders/status/:id
-   ADMIN avança o status do pedido
+   Equipe avança o status do pedido
    ====================================================================== */
 /**
  * Fluxo rígido e sequencial implementado no controller:
- *   pending → preparing → delivering → delivered
+ *   DELIVERY: pending → preparing → ready_for_delivery → delivering → delivered
+ *   PICKUP:   pending → preparing → ready_for_pickup → picked_up
+ *   Agendados começam em scheduled → pending (envio para a cozinha)
+ *
+ * Quem avança cada etapa (config/permissions.js):
+ *   - KITCHEN: pending → preparing → ready_for_delivery / ready_for_pickup
+ *   - COURIER: ready_for_delivery → delivering (só se atribuído); a
+ *     entrega é finalizada em POST /orders/deliveries/:id/confirm, com o
+ *     código do cliente
+ *   - ADMIN: qualquer etapa (inclusive finalizar a entrega sem o código)
+ *
+ * O pedido só vai para "delivering" com um entregador atribuído.
  *
  * Motivo:
  * - Evita inconsistências no painel do restaurante
@@ -356,14 +810,19 @@ router.get(
  * @swagger
  * /orders/status/{id}:
  *   patch:
- *     summary: ADMIN avança o status do pedido
+ *     summary: Equipe avança o status do pedido
  *     tags: [Pedidos]
  *     security:
  *       - bearerAuth: []
  *     description: |
- *       Fluxo rígido:  
- *       **pending → preparing → delivering → delivered**  
- *       Não é permitido retroceder ou pular etapas.
+ *       Fluxo rígido, conforme o tipo de atendimento:  
+ *       - DELIVERY: **pending → preparing → ready_for_delivery → delivering → delivered**  
+ *       - PICKUP: **pending → preparing → ready_for_pickup → picked_up**  
+ *       - Agendados: **scheduled → pending** antecipa a entrada na cozinha  
+ *       Não é permitido retroceder ou pular etapas.  
+ *       KITCHEN avança até o pedido ficar pronto; COURIER tira da loja
+ *       ("delivering") as entregas atribuídas a ele; ADMIN, qualquer etapa.  
+ *       Para ir a "delivering" o pedido precisa de um entregador.
  *     parameters:
  *       - in: path
  *         name: id
@@ -372,13 +831,202 @@ router.get(
  *       200:
  *         description: Status atualizado.
  *       400:
- *         description: Pedido já finalizado.
+ *         description: Pedido já finalizado ou entrega sem entregador.
+ *       403:
+ *         description: O tipo de usuário não pode avançar esta etapa.
+ *       404:
+ *         description: Pedido não encontrado (ou não atribuído ao entregador).
+ *       409:
+ *         description: O status mudou desde a leitura (avançado ou cancelado por outra pessoa).
  */
 router.patch(
   "/status/:id",
   autenticarToken,
-  authorizeRole("ADMIN"),
+  requirePermission("orders:advance"),
   updateOrderStatus
 );
 
+
+/* ======================================================================
+   POST /orders/dispatch
+   ADMIN atribui uma ou mais entregas a um entregador
+   ====================================================================== */
+/**
+ * Regras (services/dispatchService.js):
+ * - O entregador precisa ser um COURIER ativo (GET /couriers)
+ * - Só entregas que ainda não saíram da loja (pending, preparing,
+ *   ready_for_delivery); reatribuir troca o entregador
+ * - Tudo ou nada: se um pedido não puder ser atribuído, nenhum é
+ * - Cada pedido atribuído é publicado no tempo real ("order-assigned")
+ * - Na reatribuição, o entregador anterior recebe "order-unassigned"
+ */
+/**
+ * @swagger
+ * /orders/dispatch:
+ *   post:
+ *     summary: ADMIN atribui entregas a um entregador
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             courierId: 6
+ *             orderIds: [12, 15]
+ *     responses:
+ *       200:
+ *         description: Pedidos atribuídos.
+ *       400:
+ *         description: Pedido inexistente, de retirada ou que já saiu da loja.
+ *       404:
+ *         description: Entregador não encontrado.
+ */
+router.post(
+  "/dispatch",
+  autenticarToken,
+  requirePermission("orders:dispatch"),
+  validate(dispatchOrdersSchema),
+  dispatchOrders
+);
+
+
+/* ======================================================================
+   GET /orders/deliveries
+   COURIER lista as entregas atribuídas a ele
+   ====================================================================== */
+/**
+ * Apenas entregas em andamento, com endereço e telefone do cliente.
+ * O código de entrega NÃO vem na resposta: quem o informa é o cliente.
+ */
+/**
+ * @swagger
+ * /orders/deliveries:
+ *   get:
+ *     summary: COURIER lista suas entregas em andamento
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de entregas.
+ *         content:
+ *           application/json:
+ *             example:
+ *               - id: 12
+ *                 status: "ready_for_delivery"
+ *                 total: 52.70
+ *                 paymentMethod: "CASH"
+ *                 client:
+ *                   name: "Ana Souza"
+ *                   phone: "34 98888-1111"
+ *                   address:
+ *                     street: "Rua das Flores"
+ *                     number: "120"
+ *                     district: "Centro"
+ *                     city: "Uberlândia"
+ */
+router.get(
+  "/deliveries",
+  autenticarToken,
+  requirePermission("deliveries:handle"),
+  getMyDeliveries
+);
+
+
+/* ======================================================================
+   POST /orders/deliveries/:id/confirm
+   COURIER confirma a entrega com o código do cliente
+   ====================================================================== */
+/**
+ * Prova de entrega:
+ * - O cliente vê um código de 4 dígitos no acompanhamento do pedido
+ *   e o informa ao entregador na porta
+ * - Código certo → "delivered" (registrado na linha do tempo)
+ * - Após 5 códigos errados, só o ADMIN finaliza (PATCH /orders/status/:id)
+ */
+/**
+ * @swagger
+ * /orders/deliveries/{id}/confirm:
+ *   post:
+ *     summary: COURIER confirma a entrega com o código do cliente
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             code: "0427"
+ *     responses:
+ *       200:
+ *         description: Entrega confirmada (status "delivered").
+ *       400:
+ *         description: Código incorreto ou pedido ainda não saiu para entrega.
+ *       404:
+ *         description: Entrega não encontrada (ou de outro entregador).
+ *       429:
+ *         description: Tentativas esgotadas; o ADMIN precisa finalizar.
+ */
+router.post(
+  "/deliveries/:id/confirm",
+  autenticarToken,
+  requirePermission("deliveries:handle"),
+  validate(confirmDeliverySchema),
+  confirmMyDelivery
+);
+
+
+/* ======================================================================
+   PATCH /orders/cancel/:id
+   ADMIN cancela um pedido em qualquer etapa não finalizada
+   ====================================================================== */
+/**
+ * O motivo é obrigatório (cancelOrderSchema), pois fica registrado
+ * no pedido e é exibido para o cliente.
+ * Pedidos finalizados ("delivered", "picked_up") ou já "cancelled"
+ * não podem ser cancelados.
+ */
+/**
+ * @swagger
+ * /orders/cancel/{id}:
+ *   patch:
+ *     summary: ADMIN cancela um pedido
+ *     tags: [Pedidos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             reason: "Item indisponível no estoque"
+ *     responses:
+ *       200:
+ *         description: Pedido cancelado.
+ *       400:
+ *         description: Motivo ausente ou pedido já finalizado.
+ *       404:
+ *         description: Pedido não encontrado.
+ *       409:
+ *         description: O status mudou desde a leitura (avançado ou cancelado por outra pessoa).
+ */
+router.patch(
+  "/cancel/:id",
+  autenticarToken,
+  requirePermission("orders:cancel"),
+  validate(cancelOrderSchema),
+  cancelOrder
+);
+
 export default router;
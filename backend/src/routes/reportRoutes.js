@@ -0,0 +1,347 @@
+import express from "express";
+import {
+  getPaymentMethodsReport,
+  getPeakHoursReport,
+  getRevenueReport,
+  getSummaryReport,
+  getTopCategoriesReport,
+  getTopItemsReport,
+} from "../controllers/reportController.js";
+import { autenticarToken } from "../middlewares/autenticarToken.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { validate } from "../middlewares/validate.js";
+import {
+  rankingReportSchema,
+  reportRangeSchema,
+  revenueReportSchema,
+} from "../validation/reportSchema.js";
+
+const router = express.Router();
+
+/**
+ * ROTAS DE RELATÓRIOS DE VENDAS
+ *
+ * 🔐 Segurança:
+ * - Apenas ADMIN (permissão "reports:read"): expõem o faturamento da loja.
+ *
+ * 🧩 Decisões de arquitetura:
+ * - Uma rota por relatório: o dashboard busca todos em paralelo e cada
+ *   gráfico pode ser recarregado sozinho (ex.: trocar dia → mês).
+ * - Período obrigatório (from/to, dias no fuso da loja, até 366 dias).
+ * - Venda = pedido não cancelado, contado no dia da compra.
+ * - Tudo é agregado no banco (services/reportService.js).
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Relatórios
+ *     description: Relatórios de vendas para o dashboard (ADMIN)
+ *
+ * components:
+ *   parameters:
+ *     ReportFrom:
+ *       in: query
+ *       name: from
+ *       required: true
+ *       description: Dia inicial (AAAA-MM-DD, fuso da loja)
+ *       schema:
+ *         type: string
+ *         format: date
+ *       example: "2026-10-01"
+ *     ReportTo:
+ *       in: query
+ *       name: to
+ *       required: true
+ *       description: Dia final, inclusivo (até 366 dias após o inicial)
+ *       schema:
+ *         type: string
+ *         format: date
+ *       example: "2026-10-18"
+ *     ReportRankingBy:
+ *       in: query
+ *       name: by
+ *       description: Critério do ranking
+ *       schema:
+ *         type: string
+ *         enum: [quantity, revenue]
+ *         default: quantity
+ *     ReportLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 10
+ *         maximum: 50
+ */
+
+
+/* ======================================================================
+   GET /reports/summary
+   ADMIN vê o resumo do período
+   ====================================================================== */
+/**
+ * @swagger
+ * /reports/summary:
+ *   get:
+ *     summary: Pedidos, faturamento e ticket médio do período
+ *     tags: [Relatórios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *     responses:
+ *       200:
+ *         description: Resumo do período.
+ *         content:
+ *           application/json:
+ *             example:
+ *               from: "2026-10-01"
+ *               to: "2026-10-18"
+ *               orders: 312
+ *               revenue: 15420.80
+ *               averageTicket: 49.43
+ *               discounts: 380.00
+ *               deliveryFees: 1290.00
+ *               cancelledOrders: 9
+ *       400:
+ *         description: Período inválido.
+ *       403:
+ *         description: Acesso negado.
+ */
+router.get(
+  "/summary",
+  autenticarToken,
+  requirePermission("reports:read"),
+  validate(reportRangeSchema, "query"),
+  getSummaryReport
+);
+
+
+/* ======================================================================
+   GET /reports/revenue
+   ADMIN vê o faturamento por dia, semana ou mês
+   ====================================================================== */
+/**
+ * - Períodos sem venda vêm zerados (a série não tem buracos)
+ * - Semanas começam na segunda-feira; "period" é o primeiro dia
+ */
+/**
+ * @swagger
+ * /reports/revenue:
+ *   get:
+ *     summary: Faturamento agrupado por dia, semana ou mês
+ *     tags: [Relatórios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Série de faturamento.
+ *         content:
+ *           application/json:
+ *             example:
+ *               from: "2026-10-01"
+ *               to: "2026-10-18"
+ *               groupBy: "day"
+ *               data:
+ *                 - period: "2026-10-01"
+ *                   orders: 18
+ *                   revenue: 902.40
+ *                   averageTicket: 50.13
+ *       400:
+ *         description: Período ou agrupamento inválido.
+ */
+router.get(
+  "/revenue",
+  autenticarToken,
+  requirePermission("reports:read"),
+  validate(revenueReportSchema, "query"),
+  getRevenueReport
+);
+
+
+/* ======================================================================
+   GET /reports/top-items
+   ADMIN vê os itens mais vendidos
+   ====================================================================== */
+/**
+ * O faturamento do item é quantidade × preço unitário (com modificadores),
+ * antes do desconto do cupom.
+ */
+/**
+ * @swagger
+ * /reports/top-items:
+ *   get:
+ *     summary: Itens mais vendidos por quantidade ou faturamento
+ *     tags: [Relatórios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportRankingBy'
+ *       - $ref: '#/components/parameters/ReportLimit'
+ *     responses:
+ *       200:
+ *         description: Ranking de itens.
+ *         content:
+ *           application/json:
+ *             example:
+ *               from: "2026-10-01"
+ *               to: "2026-10-18"
+ *               by: "quantity"
+ *               data:
+ *                 - id: 3
+ *                   name: "X-Salada"
+ *                   category: "Lanches"
+ *                   quantity: 140
+ *                   revenue: 2646.00
+ *                   orders: 97
+ *       400:
+ *         description: Parâmetros inválidos.
+ */
+router.get(
+  "/top-items",
+  autenticarToken,
+  requirePermission("reports:read"),
+  validate(rankingReportSchema, "query"),
+  getTopItemsReport
+);
+
+
+/* ======================================================================
+   GET /reports/top-categories
+   ADMIN vê as categorias mais vendidas
+   ====================================================================== */
+/**
+ * @swagger
+ * /reports/top-categories:
+ *   get:
+ *     summary: Categorias mais vendidas por quantidade ou faturamento
+ *     tags: [Relatórios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportRankingBy'
+ *       - $ref: '#/components/parameters/ReportLimit'
+ *     responses:
+ *       200:
+ *         description: Ranking de categorias.
+ *         content:
+ *           application/json:
+ *             example:
+ *               from: "2026-10-01"
+ *               to: "2026-10-18"
+ *               by: "revenue"
+ *               data:
+ *                 - id: 1
+ *                   name: "Lanches"
+ *                   quantity: 410
+ *                   revenue: 8120.50
+ *                   orders: 260
+ *       400:
+ *         description: Parâmetros inválidos.
+ */
+router.get(
+  "/top-categories",
+  autenticarToken,
+  requirePermission("reports:read"),
+  validate(rankingReportSchema, "query"),
+  getTopCategoriesReport
+);
+
+
+/* ======================================================================
+   GET /reports/payment-methods
+   ADMIN vê a divisão por forma de pagamento
+   ====================================================================== */
+/**
+ * @swagger
+ * /reports/payment-methods:
+ *   get:
+ *     summary: Pedidos e faturamento por forma de pagamento
+ *     tags: [Relatórios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *     responses:
+ *       200:
+ *         description: Divisão por forma de pagamento (share em %).
+ *         content:
+ *           application/json:
+ *             example:
+ *               from: "2026-10-01"
+ *               to: "2026-10-18"
+ *               data:
+ *                 - paymentMethod: "PIX"
+ *                   orders: 150
+ *                   revenue: 7600.00
+ *                   share: 49.3
+ *       400:
+ *         description: Período inválido.
+ */
+router.get(
+  "/payment-methods",
+  autenticarToken,
+  requirePermission("reports:read"),
+  validate(reportRangeSchema, "query"),
+  getPaymentMethodsReport
+);
+
+
+/* ======================================================================
+   GET /reports/peak-hours
+   ADMIN vê os horários de pico
+   ====================================================================== */
+/**
+ * Sempre 24 posições (0–23, fuso da loja), somando todos os dias do período.
+ */
+/**
+ * @swagger
+ * /reports/peak-hours:
+ *   get:
+ *     summary: Pedidos e faturamento por hora do dia
+ *     tags: [Relatórios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *     responses:
+ *       200:
+ *         description: Pedidos por hora.
+ *         content:
+ *           application/json:
+ *             example:
+ *               from: "2026-10-01"
+ *               to: "2026-10-18"
+ *               data:
+ *                 - hour: 19
+ *                   orders: 64
+ *                   revenue: 3190.20
+ *       400:
+ *         description: Período inválido.
+ */
+router.get(
+  "/peak-hours",
+  autenticarToken,
+  requirePermission("reports:read"),
+  validate(reportRangeSchema, "query"),
+  getPeakHoursReport
+);
+
+export default router;
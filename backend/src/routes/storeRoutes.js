@@ -0,0 +1,312 @@
+import express from "express";
+import {
+  getStatus,
+  getSlots,
+  getHours,
+  updateHours,
+  upsertException,
+  deleteException,
+  getSettings,
+  updateSettings,
+} from "../controllers/storeController.js";
+import { autenticarToken } from "../middlewares/autenticarToken.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
+import { validate } from "../middlewares/validate.js";
+import {
+  openingHoursSchema,
+  storeExceptionSchema,
+  storeSettingsSchema,
+} from "../validation/storeSchema.js";
+
+const router = express.Router();
+
+/**
+ * ROTAS DA LOJA (HORÁRIO DE FUNCIONAMENTO)
+ *
+ * 🔐 Segurança:
+ * - Qualquer usuário autenticado consulta se a loja está aberta
+ *   e as faixas de horário para agendamento.
+ * - Apenas ADMIN altera o horário semanal, as exceções e as
+ *   configurações de agendamento.
+ *
+ * 🧩 Decisões de arquitetura:
+ * - POST /orders consulta o mesmo cálculo e recusa pedidos com a loja
+ *   fechada — o banner do frontend é apenas informativo.
+ * - Sem horário semanal cadastrado, a loja é considerada sempre aberta.
+ * - As faixas de agendamento saem do mesmo horário de funcionamento;
+ *   POST /orders confere de novo a faixa e a capacidade.
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Loja
+ *     description: Horário de funcionamento, exceções (feriados) e agendamento
+ */
+
+
+/* ======================================================================
+   GET /store/status
+   Informa se a loja está aberta agora (CLIENT e ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /store/status:
+ *   get:
+ *     summary: Loja aberta ou fechada agora
+ *     tags: [Loja]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Situação atual da loja.
+ *         content:
+ *           application/json:
+ *             example:
+ *               open: false
+ *               message: "Fechado • abre hoje às 18:00"
+ *               closesAt: null
+ *               nextOpening:
+ *                 date: "2026-10-18"
+ *                 weekday: 0
+ *                 time: "18:00"
+ *                 text: "abre hoje às 18:00"
+ *               reason: null
+ *               timezone: "America/Sao_Paulo"
+ */
+router.get("/status", autenticarToken, getStatus);
+
+
+/* ======================================================================
+   GET /store/slots
+   Faixas de horário disponíveis para agendar pedidos (CLIENT e ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /store/slots:
+ *   get:
+ *     summary: Faixas de horário para pedidos agendados
+ *     tags: [Loja]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Geradas a partir do horário de funcionamento, com a duração e a
+ *       capacidade definidas em /store/settings. `remaining: 0` = faixa lotada.
+ *       Para agendar, envie `start` como `scheduledFor` em POST /orders.
+ *     responses:
+ *       200:
+ *         description: Faixas retornadas.
+ *         content:
+ *           application/json:
+ *             example:
+ *               - start: "2026-10-18T21:00:00.000Z"
+ *                 end: "2026-10-18T21:30:00.000Z"
+ *                 date: "2026-10-18"
+ *                 time: "18:00"
+ *                 remaining: 4
+ */
+router.get("/slots", autenticarToken, getSlots);
+
+
+/* ======================================================================
+   GET /store/hours
+   Horário semanal e exceções cadastradas (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /store/hours:
+ *   get:
+ *     summary: Lista o horário semanal e as exceções (ADMIN)
+ *     tags: [Loja]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Horários retornados.
+ */
+router.get("/hours", autenticarToken, requirePermission("store:manage"), getHours);
+
+
+/* ======================================================================
+   PUT /store/hours
+   Substitui o horário semanal inteiro (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /store/hours:
+ *   put:
+ *     summary: Substitui o horário semanal (ADMIN)
+ *     tags: [Loja]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       - `weekday`: 0 = domingo … 6 = sábado
+ *       - Um dia pode ter vários turnos; dias sem turno ficam fechados
+ *       - Fechamento menor que a abertura = turno que vira a noite
+ *       - Lista vazia = loja sempre aberta
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             hours:
+ *               - weekday: 5
+ *                 opensAt: "18:00"
+ *                 closesAt: "23:30"
+ *               - weekday: 6
+ *                 opensAt: "18:00"
+ *                 closesAt: "02:00"
+ *     responses:
+ *       200:
+ *         description: Horário salvo.
+ *       400:
+ *         description: Erro de validação.
+ */
+router.put(
+  "/hours",
+  autenticarToken,
+  requirePermission("store:manage"),
+  validate(openingHoursSchema),
+  updateHours
+);
+
+
+/* ======================================================================
+   POST /store/exceptions
+   Cria ou substitui a exceção de uma data (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /store/exceptions:
+ *   post:
+ *     summary: Cadastra uma exceção de calendário (ADMIN)
+ *     tags: [Loja]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       Uma exceção por data; cadastrar de novo substitui a anterior.
+ *       Com `closed: false`, `opensAt` e `closesAt` definem o horário especial.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             date: "2026-12-25"
+ *             closed: true
+ *             description: "Natal"
+ *     responses:
+ *       200:
+ *         description: Exceção salva.
+ *       400:
+ *         description: Erro de validação.
+ */
+router.post(
+  "/exceptions",
+  autenticarToken,
+  requirePermission("store:manage"),
+  validate(storeExceptionSchema),
+  upsertException
+);
+
+
+/* ======================================================================
+   DELETE /store/exceptions/:id
+   Remove uma exceção (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /store/exceptions/{id}:
+ *   delete:
+ *     summary: Remove uma exceção de calendário (ADMIN)
+ *     tags: [Loja]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Exceção removida.
+ *       404:
+ *         description: Exceção não encontrada.
+ */
+router.delete(
+  "/exceptions/:id",
+  autenticarToken,
+  requirePermission("store:manage"),
+  deleteException
+);
+
+
+
+/* ======================================================================
+   GET /store/settings
+   Configurações da loja: agendamento e pedidos (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /store/settings:
+ *   get:
+ *     summary: Configurações da loja (ADMIN)
+ *     tags: [Loja]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Configurações retornadas.
+ */
+router.get("/settings", autenticarToken, requirePermission("store:manage"), getSettings);
+
+
+/* ======================================================================
+   PUT /store/settings
+   Atualiza as configurações da loja (ADMIN)
+   ====================================================================== */
+/**
+ * @swagger
+ * /store/settings:
+ *   put:
+ *     summary: Atualiza as configurações da loja (ADMIN)
+ *     tags: [Loja]
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       - `slotMinutes`: duração de cada faixa
+ *       - `slotCapacity`: pedidos agendados aceitos por faixa
+ *       - `scheduleLeadMinutes`: antecedência com que o pedido agendado
+ *         entra na fila da cozinha (e antecedência mínima para agendar)
+ *       - `scheduleDaysAhead`: até quantos dias à frente é possível agendar
+ *       - `allowUnverifiedOrders`: se clientes com e-mail ainda não
+ *         verificado podem fazer pedidos
+ *       - `requireAdminTwoFactor`: exige 2FA (TOTP) de todas as contas
+ *         ADMIN; quem ainda não tiver cadastra o app no próximo login.
+ *         Só pode ser ligado por um ADMIN que já tenha o 2FA ativo.
+ *
+ *       Atualização parcial: campos omitidos mantêm o valor atual.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             slotMinutes: 30
+ *             slotCapacity: 5
+ *             scheduleLeadMinutes: 45
+ *             scheduleDaysAhead: 2
+ *             allowUnverifiedOrders: true
+ *             requireAdminTwoFactor: false
+ *     responses:
+ *       200:
+ *         description: Configurações salvas.
+ *       400:
+ *         description: Erro de validação, ou 2FA obrigatório ligado por um ADMIN sem 2FA.
+ */
+router.put(
+  "/settings",
+  autenticarToken,
+  requirePermission("store:manage"),
+  validate(storeSettingsSchema),
+  updateSettings
+);
+
+export default router;
@@ -2,35 +2,102 @@ import express from "express";
 import {
   createUser,
   login,
+  loginTwoFactor,
+  refresh,
   logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
   getUsers,
+  updateUserRole,
+  updateUserStatus,
   updateUser,
   getMe,
+  getMySessions,
+  revokeMySession,
 } from "../controllers/userController.js";
+import {
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorCodes,
+} from "../controllers/twoFactorController.js";
 import { autenticarToken } from "../middlewares/autenticarToken.js";
 
-import { authorizeRole } from "../middlewares/authorizeRole.js";
+import { requirePermission } from "../middlewares/requirePermission.js";
 import { validate } from "../middlewares/validate.js";
+import { loginThrottle, rateLimit } from "../middlewares/rateLimit.js";
 import { userSchema } from "../validation/userSchema.js";
 import { updateUserSchema } from "../validation/updateUserSchema.js";
+import {
+  forgotPasswordSchema,
+  resetPasswordSchema,
+} from "../validation/passwordResetSchema.js";
+import { verifyEmailSchema } from "../validation/emailVerificationSchema.js";
+import {
+  listUsersQuerySchema,
+  userRoleSchema,
+  userStatusSchema,
+} from "../validation/adminUserSchema.js";
+import {
+  twoFactorCodeSchema,
+  loginTwoFactorSchema,
+} from "../validation/twoFactorSchema.js";
 
 const router = express.Router();
 
+// Limites por IP das rotas públicas de autenticação
+const registerLimit = rateLimit({
+  name: "register",
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: "Muitos cadastros a partir deste endereço. Tente novamente mais tarde.",
+});
+
+const loginLimit = rateLimit({
+  name: "login",
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: "Muitas tentativas de login. Tente novamente mais tarde.",
+});
+
+// Rotas que disparam e-mails: evitam inundar caixas de entrada
+const forgotPasswordLimit = rateLimit({
+  name: "forgot-password",
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: "Muitos pedidos de redefinição de senha. Tente novamente mais tarde.",
+});
+
+const resendVerificationLimit = rateLimit({
+  name: "resend-verification",
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  key: (req) => req.user.id,
+  message: "Muitos reenvios do link de verificação. Tente novamente mais tarde.",
+});
+
 /**
  * ROTAS DE USUÁRIO E AUTENTICAÇÃO
  *
  * Este módulo concentra tudo que envolve:
  * - Criação de usuário (signup)
- * - Login (gera token JWT)
- * - Logout (coloca token na blacklist)
+ * - Login (gera token JWT), com segundo fator (TOTP) para ADMIN
+ * - Redefinição de senha ("Esqueci minha senha")
+ * - Verificação de e-mail (link enviado no cadastro)
+ * - Logout (revoga o token atual) e logout em todos os dispositivos
  * - Consultar perfil próprio
  * - Atualizar dados
- * - Listar usuários (somente ADMIN)
+ * - Listar, buscar, alterar o tipo e desativar usuários (somente ADMIN)
  *
  * 🧠 Decisões importantes deste módulo:
  *
- * 1) CLIENT só pode alterar o próprio usuário.
- *    → Validado tanto no middleware quanto no controller.
+ * 1) CLIENT (e a equipe: KITCHEN, COURIER) só pode alterar o próprio usuário.
+ *    → Validado no controller; as demais rotas pedem uma permissão
+ *      (requirePermission, matriz em config/permissions.js).
  *
  * 2) ADMIN pode alterar **qualquer usuário**, inclusive seu próprio.
  *
@@ -42,6 +109,8 @@ const router = express.Router();
  * 5) Schemas Zod garantem a sanidade dos dados:
  *    - `userSchema`: criação
  *    - `updateUserSchema`: atualização
+ *    - `forgotPasswordSchema` / `resetPasswordSchema`: redefinição de senha
+ *    - `verifyEmailSchema`: verificação de e-mail
  *
  * 6) O Swagger foi organizado em dois grupos:
  *    - Autenticação
@@ -54,7 +123,7 @@ const router = express.Router();
  *   - name: Autenticação
  *     description: Rotas relacionadas a login e controle de sessão
  *   - name: Usuários
- *     description: Gerenciamento de usuários (ADMIN e CLIENT)
+ *     description: Gerenciamento de usuários
  */
 
 
@@ -68,6 +137,8 @@ const router = express.Router();
  * - Validação forte via Zod (userSchema)
  * - O tipo do usuário é ALWAYS "CLIENT"
  *   → Previndo que alguém tente registrar já como ADMIN
+ * - A conta nasce com o e-mail não verificado e recebe o link de
+ *   verificação (POST /users/verify)
  */
 /**
  * @swagger
@@ -86,8 +157,10 @@ const router = express.Router();
  *         description: Usuário criado com sucesso
  *       400:
  *         description: Erro de validação
+ *       429:
+ *         description: Limite de cadastros por IP atingido (ver header Retry-After).
  */
-router.post("/register", validate(userSchema), createUser);
+router.post("/register", registerLimit, validate(userSchema), createUser);
 
 
 /* ======================================================================
@@ -97,6 +170,11 @@ router.post("/register", validate(userSchema), createUser);
 /**
  * Aqui não usamos validate() porque o login tem regras diferentes.
  * A validação é feita manualmente dentro do controller.
+ *
+ * Proteção contra força bruta:
+ * - loginLimit: teto de tentativas por IP na janela
+ * - loginThrottle: falhas seguidas (por conta e por IP) impõem espera
+ *   exponencial antes da próxima tentativa, até um bloqueio temporário
  */
 /**
  * @swagger
@@ -104,6 +182,16 @@ router.post("/register", validate(userSchema), createUser);
  *   post:
  *     summary: Realiza login e retorna o token JWT
  *     tags: [Autenticação]
+ *     description: |
+ *       Abre uma sessão e devolve dois tokens:
+ *       - `token`: JWT de acesso, curto (TOKEN_EXPIRATION, padrão 15m)
+ *       - `refreshToken`: usado uma única vez em POST /users/refresh
+ *
+ *       Contas com 2FA ativo não recebem tokens aqui: a resposta traz
+ *       `twoFactorRequired: true` e um `challengeToken`, concluído em
+ *       POST /users/login/2fa. Se o 2FA for obrigatório para ADMIN e a
+ *       conta ainda não o tiver, a resposta traz `twoFactorSetupRequired: true`,
+ *       o `secret` e a `otpauthUri` para cadastrar o app autenticador.
  *     requestBody:
  *       required: true
  *       content:
@@ -118,23 +206,286 @@ router.post("/register", validate(userSchema), createUser);
  *                 type: string
  *     responses:
  *       200:
- *         description: Login realizado com sucesso
+ *         description: Login realizado com sucesso (ou desafio de 2FA)
+ *         content:
+ *           application/json:
+ *             examples:
+ *               twoFactor:
+ *                 summary: Conta com 2FA ativo
+ *                 value:
+ *                   twoFactorRequired: true
+ *                   challengeToken: "b3f1..."
  *       401:
  *         description: Credenciais inválidas
+ *       403:
+ *         description: Conta desativada pelo admin (code ACCOUNT_DEACTIVATED)
+ *       429:
+ *         description: |
+ *           Muitas tentativas (por IP ou falhas seguidas na conta).
+ *           O header Retry-After informa em quantos segundos tentar de novo.
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Muitas tentativas de login com falha. Aguarde para tentar novamente."
+ *               retryAfter: 8
+ */
+router.post("/login", loginLimit, loginThrottle, login);
+
+
+/* ======================================================================
+   POST /users/login/2fa
+   Segunda etapa do login (TOTP)
+   ====================================================================== */
+/**
+ * - Recebe o challengeToken devolvido por POST /users/login e o código
+ *   de 6 dígitos do app (ou um código de recuperação)
+ * - O desafio vale 5 minutos e aceita até 5 códigos errados; depois é
+ *   preciso refazer o login com a senha
+ * - Códigos errados também contam na espera progressiva por IP
+ */
+/**
+ * @swagger
+ * /users/login/2fa:
+ *   post:
+ *     summary: Conclui o login com o código de dois fatores
+ *     tags: [Autenticação]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [challengeToken, code]
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Código TOTP de 6 dígitos ou código de recuperação
+ *     responses:
+ *       200:
+ *         description: |
+ *           Login concluído (mesma resposta de POST /users/login). Quando o
+ *           desafio era o cadastro obrigatório do 2FA, inclui também
+ *           `recoveryCodes`, exibidos uma única vez.
+ *       400:
+ *         description: Código inválido
+ *       401:
+ *         description: Desafio expirado, já usado ou com tentativas esgotadas
+ *       429:
+ *         description: Muitas tentativas (ver header Retry-After).
+ */
+router.post(
+  "/login/2fa",
+  loginLimit,
+  loginThrottle,
+  validate(loginTwoFactorSchema),
+  loginTwoFactor
+);
+
+
+/* ======================================================================
+   POST /users/refresh
+   Troca o refresh token por um novo par de tokens
+   ====================================================================== */
+/**
+ * Não exige access token (ele normalmente já expirou).
+ *
+ * Rotação com detecção de reutilização:
+ * - cada refresh token vale uma troca
+ * - reapresentar um token já trocado encerra a sessão inteira
+ */
+/**
+ * @swagger
+ * /users/refresh:
+ *   post:
+ *     summary: Renova a sessão (refresh token rotativo)
+ *     tags: [Autenticação]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             refreshToken: "m1Q0...base64url"
+ *     responses:
+ *       200:
+ *         description: Novo par de tokens (o refresh token anterior deixa de valer).
+ *         content:
+ *           application/json:
+ *             example:
+ *               token: "eyJhbGciOi..."
+ *               refreshToken: "Zx9c...base64url"
+ *       400:
+ *         description: Refresh token não enviado.
+ *       401:
+ *         description: Refresh token inválido, expirado, revogado ou reutilizado.
+ */
+router.post("/refresh", refresh);
+
+
+/* ======================================================================
+   POST /users/password/forgot
+   Envia o link de redefinição de senha por e-mail
+   ====================================================================== */
+/**
+ * Rota pública. O link leva ao frontend (/reset-password?token=...),
+ * vale por PASSWORD_RESET_MINUTES e pode ser usado uma única vez.
+ *
+ * A resposta é idêntica para e-mails cadastrados ou não, para não
+ * revelar quem tem conta.
+ */
+/**
+ * @swagger
+ * /users/password/forgot:
+ *   post:
+ *     summary: Solicita o link de redefinição de senha
+ *     tags: [Autenticação]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *           example:
+ *             email: "ana@teste.com"
+ *     responses:
+ *       200:
+ *         description: Pedido registrado (mesma resposta para qualquer e-mail).
+ *       400:
+ *         description: E-mail inválido.
+ *       429:
+ *         description: Limite de pedidos por IP atingido (ver header Retry-After).
  */
-router.post("/login", login);
+router.post(
+  "/password/forgot",
+  forgotPasswordLimit,
+  validate(forgotPasswordSchema),
+  forgotPassword
+);
+
+
+/* ======================================================================
+   POST /users/password/reset
+   Define a nova senha usando o token recebido por e-mail
+   ====================================================================== */
+/**
+ * Após a troca, todas as sessões do usuário são encerradas e os tokens
+ * já emitidos deixam de valer: é preciso logar de novo com a nova senha.
+ */
+/**
+ * @swagger
+ * /users/password/reset:
+ *   post:
+ *     summary: Redefine a senha com o token recebido por e-mail
+ *     tags: [Autenticação]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token, password]
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *           example:
+ *             token: "q8Zr...base64url"
+ *             password: "novaSenha123"
+ *     responses:
+ *       200:
+ *         description: Senha redefinida.
+ *       400:
+ *         description: Dados inválidos ou link inválido/expirado/já usado.
+ */
+router.post("/password/reset", validate(resetPasswordSchema), resetPassword);
+
+
+/* ======================================================================
+   POST /users/verify
+   Confirma o e-mail com o token recebido no link
+   ====================================================================== */
+/**
+ * Rota pública: o link pode ser aberto em outro dispositivo, sem login.
+ * O token é de uso único e só vale para o e-mail ao qual foi enviado.
+ */
+/**
+ * @swagger
+ * /users/verify:
+ *   post:
+ *     summary: Verifica o e-mail do usuário
+ *     tags: [Autenticação]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token:
+ *                 type: string
+ *           example:
+ *             token: "Yk3p...base64url"
+ *     responses:
+ *       200:
+ *         description: E-mail verificado.
+ *       400:
+ *         description: Link inválido, expirado ou já usado.
+ */
+router.post("/verify", validate(verifyEmailSchema), verifyEmail);
+
+
+/* ======================================================================
+   POST /users/verify/resend
+   Envia um novo link de verificação para o usuário logado
+   ====================================================================== */
+/**
+ * Exige login: o link vai sempre para o e-mail cadastrado na conta.
+ * Links anteriores ainda não usados deixam de valer.
+ */
+/**
+ * @swagger
+ * /users/verify/resend:
+ *   post:
+ *     summary: Reenvia o link de verificação de e-mail
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Novo link enviado.
+ *       400:
+ *         description: E-mail já verificado.
+ *       401:
+ *         description: Token não fornecido
+ *       429:
+ *         description: Limite de reenvios por hora atingido (ver header Retry-After).
+ */
+router.post(
+  "/verify/resend",
+  autenticarToken,
+  resendVerificationLimit,
+  resendVerification
+);
 
 
 /* ======================================================================
    POST /users/logout
-   Invalida o token atual (adiciona à blacklist)
+   Invalida o token atual (revogação persistida pelo jti)
    ====================================================================== */
 /**
  * É obrigatório estar autenticado:
  * - Sem token → 401
  * - Com token inválido/expirado → 403
  *
- * O token é levado para a blacklist, evitando reuso.
+ * O token é registrado como revogado até expirar, evitando reuso, e a
+ * sessão é encerrada (o refresh token deixa de funcionar).
  */
 /**
  * @swagger
@@ -153,6 +504,37 @@ router.post("/login", login);
 router.post("/logout", autenticarToken, logout);
 
 
+/* ======================================================================
+   POST /users/logout-all
+   Sai de todos os dispositivos
+   ====================================================================== */
+/**
+ * Invalida de uma vez todos os tokens emitidos para o usuário até agora
+ * (inclusive o da própria requisição) e revoga todas as sessões ativas.
+ * Útil quando o usuário suspeita que a conta foi acessada por terceiros.
+ */
+/**
+ * @swagger
+ * /users/logout-all:
+ *   post:
+ *     summary: Encerra todas as sessões do usuário (todos os dispositivos)
+ *     tags: [Autenticação]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Todas as sessões encerradas
+ *         content:
+ *           application/json:
+ *             example:
+ *               message: "Você saiu de todos os dispositivos."
+ *               sessions: 3
+ *       401:
+ *         description: Token não fornecido
+ */
+router.post("/logout-all", autenticarToken, logoutAll);
+
+
 /* ======================================================================
    GET /users/me
    Retorna os dados do usuário autenticado
@@ -180,9 +562,217 @@ router.post("/logout", autenticarToken, logout);
 router.get("/me", autenticarToken, getMe);
 
 
+/* ======================================================================
+   GET /users/me/sessions
+   Lista as sessões ativas do usuário autenticado
+   ====================================================================== */
+/**
+ * @swagger
+ * /users/me/sessions:
+ *   get:
+ *     summary: Lista as sessões ativas (dispositivos logados)
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessões ativas; `current` indica a sessão desta requisição.
+ *         content:
+ *           application/json:
+ *             example:
+ *               - id: 7
+ *                 userAgent: "Mozilla/5.0 (Windows NT 10.0; Win64; x64)"
+ *                 ipAddress: "::1"
+ *                 createdAt: "2026-10-18T20:00:00.000Z"
+ *                 lastUsedAt: "2026-10-18T21:10:00.000Z"
+ *                 current: true
+ */
+router.get("/me/sessions", autenticarToken, getMySessions);
+
+
+/* ======================================================================
+   DELETE /users/me/sessions/:id
+   Encerra uma sessão do usuário autenticado
+   ====================================================================== */
+/**
+ * @swagger
+ * /users/me/sessions/{id}:
+ *   delete:
+ *     summary: Encerra uma sessão (refresh token e tokens de acesso dela)
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Sessão encerrada.
+ *       404:
+ *         description: Sessão não encontrada (ou de outro usuário).
+ */
+router.delete("/me/sessions/:id", autenticarToken, revokeMySession);
+
+
+/* ======================================================================
+   /users/me/2fa
+   Autenticação em dois fatores da própria conta (somente ADMIN)
+   ====================================================================== */
+/**
+ * Cadastro em duas etapas:
+ * 1) POST /me/2fa/setup  → segredo + URI otpauth (para o app autenticador)
+ * 2) POST /me/2fa/enable → o primeiro código do app ativa o 2FA e devolve
+ *    os códigos de recuperação (exibidos uma única vez)
+ *
+ * Desativar e gerar novos códigos exigem um código válido, para que um
+ * token de acesso roubado não baste para remover o segundo fator.
+ */
+/**
+ * @swagger
+ * /users/me/2fa:
+ *   get:
+ *     summary: Situação do 2FA da conta (ADMIN)
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Situação do 2FA
+ *         content:
+ *           application/json:
+ *             example:
+ *               enabled: true
+ *               enabledAt: "2026-10-19T03:00:00.000Z"
+ *               required: false
+ *               recoveryCodesRemaining: 9
+ */
+router.get("/me/2fa", autenticarToken, requirePermission("account:two-factor"), getTwoFactor);
+
+/**
+ * @swagger
+ * /users/me/2fa/setup:
+ *   post:
+ *     summary: Inicia o cadastro do 2FA (gera o segredo)
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Segredo base32 e URI otpauth para o app autenticador
+ *       400:
+ *         description: O 2FA já está ativo
+ */
+router.post(
+  "/me/2fa/setup",
+  autenticarToken,
+  requirePermission("account:two-factor"),
+  setupTwoFactor
+);
+
+/**
+ * @swagger
+ * /users/me/2fa/enable:
+ *   post:
+ *     summary: Confirma o cadastro com o primeiro código do app
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Código TOTP de 6 dígitos ou código de recuperação
+ *     responses:
+ *       200:
+ *         description: 2FA ativo; devolve os códigos de recuperação
+ *       400:
+ *         description: Código inválido ou cadastro não iniciado
+ */
+router.post(
+  "/me/2fa/enable",
+  autenticarToken,
+  requirePermission("account:two-factor"),
+  validate(twoFactorCodeSchema),
+  enableTwoFactor
+);
+
+/**
+ * @swagger
+ * /users/me/2fa/disable:
+ *   post:
+ *     summary: Desativa o 2FA
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Código TOTP de 6 dígitos ou código de recuperação
+ *     responses:
+ *       200:
+ *         description: 2FA desativado
+ *       400:
+ *         description: Código inválido, 2FA inativo ou obrigatório para ADMIN
+ */
+router.post(
+  "/me/2fa/disable",
+  autenticarToken,
+  requirePermission("account:two-factor"),
+  validate(twoFactorCodeSchema),
+  disableTwoFactor
+);
+
+/**
+ * @swagger
+ * /users/me/2fa/recovery-codes:
+ *   post:
+ *     summary: Gera novos códigos de recuperação (os antigos deixam de valer)
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Código TOTP de 6 dígitos ou código de recuperação
+ *     responses:
+ *       200:
+ *         description: Novos códigos de recuperação
+ *       400:
+ *         description: Código inválido ou 2FA inativo
+ */
+router.post(
+  "/me/2fa/recovery-codes",
+  autenticarToken,
+  requirePermission("account:two-factor"),
+  validate(twoFactorCodeSchema),
+  regenerateTwoFactorCodes
+);
+
+
 /* ======================================================================
    GET /users
-   ADMIN lista todos os usuários cadastrados
+   ADMIN busca os usuários cadastrados (paginado)
    ====================================================================== */
 /**
  * CLIENT não pode listar usuários, pois seria um vazamento de dados sensíveis.
@@ -192,17 +782,157 @@ router.get("/me", autenticarToken, getMe);
  * @swagger
  * /users:
  *   get:
- *     summary: Lista todos os usuários cadastrados (somente ADMIN)
+ *     summary: Busca usuários com filtros e paginação (somente ADMIN)
  *     tags: [Usuários]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Parte do nome, e-mail ou telefone
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [CLIENT, ADMIN, KITCHEN, COURIER]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, deactivated]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: pageSize
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
  *     responses:
  *       200:
- *         description: Lista retornada com sucesso
+ *         description: Página de usuários
+ *         content:
+ *           application/json:
+ *             example:
+ *               data:
+ *                 - id: 3
+ *                   name: "Maria Souza"
+ *                   email: "maria@email.com"
+ *                   type: "CLIENT"
+ *                   deactivatedAt: null
+ *                   ordersCount: 12
+ *               page: 1
+ *               pageSize: 20
+ *               total: 1
+ *               totalPages: 1
+ *       400:
+ *         description: Filtro inválido
  *       403:
  *         description: Acesso negado para CLIENT
  */
-router.get("/", autenticarToken, authorizeRole("ADMIN"), getUsers);
+router.get(
+  "/",
+  autenticarToken,
+  requirePermission("users:manage"),
+  validate(listUsersQuerySchema, "query"),
+  getUsers
+);
+
+
+/* ======================================================================
+   PATCH /users/:id/role
+   ADMIN define o tipo de um usuário
+   ====================================================================== */
+/**
+ * Tipos: CLIENT, ADMIN, KITCHEN (cozinha) e COURIER (entregador).
+ * - Vale na próxima requisição do usuário: o papel é lido do banco pelo
+ *   autenticarToken, não do token
+ * - O admin não altera o próprio papel (sempre sobra um ADMIN)
+ */
+/**
+ * @swagger
+ * /users/{id}/role:
+ *   patch:
+ *     summary: Define o tipo de um usuário (ADMIN)
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             type: "ADMIN"
+ *     responses:
+ *       200:
+ *         description: Tipo do usuário atualizado.
+ *       400:
+ *         description: Tipo inválido ou tentativa de alterar a própria conta.
+ *       404:
+ *         description: Usuário não encontrado.
+ */
+router.patch(
+  "/:id/role",
+  autenticarToken,
+  requirePermission("users:manage"),
+  validate(userRoleSchema),
+  updateUserRole
+);
+
+
+/* ======================================================================
+   PATCH /users/:id/status
+   ADMIN desativa ou reativa uma conta
+   ====================================================================== */
+/**
+ * Conta desativada:
+ * - login recusado (403, code ACCOUNT_DEACTIVATED)
+ * - tokens já emitidos recusados pelo autenticarToken
+ * - sessões abertas encerradas (refresh token deixa de valer)
+ * Os dados e pedidos da conta são mantidos; reativar devolve o acesso.
+ */
+/**
+ * @swagger
+ * /users/{id}/status:
+ *   patch:
+ *     summary: Desativa ou reativa uma conta (ADMIN)
+ *     tags: [Usuários]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           example:
+ *             active: false
+ *     responses:
+ *       200:
+ *         description: Situação da conta atualizada.
+ *       400:
+ *         description: Tentativa de desativar a própria conta.
+ *       404:
+ *         description: Usuário não encontrado.
+ */
+router.patch(
+  "/:id/status",
+  autenticarToken,
+  requirePermission("users:manage"),
+  validate(userStatusSchema),
+  updateUserStatus
+);
 
 
 /* ======================================================================
@@ -212,8 +942,8 @@ router.get("/", autenticarToken, authorizeRole("ADMIN"), getUsers);
 /**
  * Regras importantes:
  *
- * - ADMIN pode atualizar QUALQUER usuário
- * - CLIENT pode atualizar APENAS ELE MESMO
+ * - ADMIN ("users:manage") pode atualizar QUALQUER usuário
+ * - Os demais tipos podem atualizar APENAS ELES MESMOS
  *   → Isso é verificado automaticamente no controller (segurança dupla)
  *
  * Equilíbrio entre frontend simples e backend seguro.
@@ -233,7 +963,7 @@ router.get("/", autenticarToken, authorizeRole("ADMIN"), getUsers);
  *     summary: Atualiza um usuário existente
  *     description: 
  *       ADMIN pode atualizar qualquer usuário.  
- *       CLIENT só pode atualizar o próprio.
+ *       Os demais tipos só podem atualizar o próprio.
  *     tags: [Usuários]
  *     security:
  *       - bearerAuth: []
@@ -263,7 +993,6 @@ router.get("/", autenticarToken, authorizeRole("ADMIN"), getUsers);
 router.put(
   "/:id",
   autenticarToken,
-  authorizeRole("ADMIN", "CLIENT"),
   validate(updateUserSchema),
   updateUser
 );
@@ -0,0 +1,17 @@
+/**
+ * ======================================================================
+ *  FORMATO PÚBLICO DO ENDEREÇO
+ * ======================================================================
+ */
+export const serializeAddress = (address) => ({
+  id: address.id,
+  street: address.street,
+  number: address.number,
+  district: address.district,
+  city: address.city,
+  state: address.state,
+  zipCode: address.zipCode,
+  userId: address.userId,
+  createdAt: address.createdAt,
+  updatedAt: address.updatedAt,
+});
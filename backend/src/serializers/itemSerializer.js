@@ -0,0 +1,50 @@
+import { relation } from "./relation.js";
+
+/**
+ * ======================================================================
+ *  FORMATO PÚBLICO DO CARDÁPIO (ITENS E CATEGORIAS)
+ * ======================================================================
+ */
+
+const serializeModifierOption = (option) => ({
+  id: option.id,
+  name: option.name,
+  priceDelta: option.priceDelta,
+  groupId: option.groupId,
+  createdAt: option.createdAt,
+  updatedAt: option.updatedAt,
+});
+
+const serializeModifierGroup = (group) => ({
+  id: group.id,
+  name: group.name,
+  required: group.required,
+  minSelections: group.minSelections,
+  maxSelections: group.maxSelections,
+  itemId: group.itemId,
+  createdAt: group.createdAt,
+  updatedAt: group.updatedAt,
+  options: relation(group.options, serializeModifierOption),
+});
+
+export const serializeItem = (item) => ({
+  id: item.id,
+  description: item.description,
+  unitPrice: item.unitPrice,
+  imageUrl: item.imageUrl,
+  stockQuantity: item.stockQuantity,
+  available: item.available,
+  categoryId: item.categoryId,
+  createdAt: item.createdAt,
+  updatedAt: item.updatedAt,
+  category: relation(item.category, serializeCategory),
+  modifierGroups: relation(item.modifierGroups, serializeModifierGroup),
+});
+
+export const serializeCategory = (category) => ({
+  id: category.id,
+  description: category.description,
+  createdAt: category.createdAt,
+  updatedAt: category.updatedAt,
+  items: relation(category.items, serializeItem),
+});
@@ -0,0 +1,87 @@
+import { serializeItem } from "./itemSerializer.js";
+import { relation } from "./relation.js";
+import { serializeUser, serializeUserSummary } from "./userSerializer.js";
+
+/**
+ * ======================================================================
+ *  FORMATO PÚBLICO DO PEDIDO
+ * ======================================================================
+ *
+ * Usado nas respostas de /orders e nos eventos em tempo real
+ * (GET /orders/stream). O cliente do pedido passa pelo serializeUser,
+ * então um include `client: true` não expõe o hash da senha.
+ *
+ * O código de entrega (prova de entrega) só aparece para o dono do
+ * pedido, via serializeClientOrder — nunca para o entregador.
+ */
+
+const serializeOrderItemModifier = (modifier) => ({
+  id: modifier.id,
+  orderItemId: modifier.orderItemId,
+  optionId: modifier.optionId,
+  groupName: modifier.groupName,
+  optionName: modifier.optionName,
+  priceDelta: modifier.priceDelta,
+  createdAt: modifier.createdAt,
+});
+
+const serializeOrderItem = (orderItem) => ({
+  id: orderItem.id,
+  orderId: orderItem.orderId,
+  itemId: orderItem.itemId,
+  quantity: orderItem.quantity,
+  unitPrice: orderItem.unitPrice,
+  description: orderItem.description,
+  notes: orderItem.notes,
+  createdAt: orderItem.createdAt,
+  updatedAt: orderItem.updatedAt,
+  item: relation(orderItem.item, serializeItem),
+  modifiers: relation(orderItem.modifiers, serializeOrderItemModifier),
+});
+
+const serializeStatusEvent = (event) => ({
+  id: event.id,
+  orderId: event.orderId,
+  status: event.status,
+  userId: event.userId,
+  createdAt: event.createdAt,
+  user: relation(event.user, serializeUserSummary),
+});
+
+export const serializeOrder = (order) => ({
+  id: order.id,
+  clientId: order.clientId,
+  createdById: order.createdById,
+  paymentMethod: order.paymentMethod,
+  status: order.status,
+  subtotal: order.subtotal,
+  discount: order.discount,
+  total: order.total,
+  couponId: order.couponId,
+  couponCode: order.couponCode,
+  fulfillmentType: order.fulfillmentType,
+  deliveryFee: order.deliveryFee,
+  estimatedMinutes: order.estimatedMinutes,
+  deliveryZoneId: order.deliveryZoneId,
+  scheduledFor: order.scheduledFor,
+  cancelReason: order.cancelReason,
+  cancelledAt: order.cancelledAt,
+  cancelledById: order.cancelledById,
+  courierId: order.courierId,
+  createdAt: order.createdAt,
+  updatedAt: order.updatedAt,
+  client: relation(order.client, serializeUser),
+  cancelledBy: relation(order.cancelledBy, serializeUserSummary),
+  courier: relation(order.courier, serializeUserSummary),
+  orderItems: relation(order.orderItems, serializeOrderItem),
+  statusEvents: relation(order.statusEvents, serializeStatusEvent),
+});
+
+/**
+ * Pedido visto pelo próprio cliente: inclui o código que ele informa ao
+ * entregador na hora da entrega.
+ */
+export const serializeClientOrder = (order) => ({
+  ...serializeOrder(order),
+  deliveryCode: order.deliveryCode,
+});
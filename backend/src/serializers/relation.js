@@ -0,0 +1,15 @@
+/**
+ * ======================================================================
+ *  SERIALIZADORES — RELAÇÕES OPCIONAIS
+ * ======================================================================
+ *
+ * Uma relação só aparece na resposta quando veio do Prisma (include ou
+ * select). Assim o mesmo serializador atende consultas com e sem ela:
+ *  - undefined → relação não carregada, fica fora do JSON
+ *  - null      → relação vazia (ex.: pedido não cancelado)
+ *  - array     → cada elemento serializado
+ */
+export const relation = (value, serialize) => {
+  if (value === undefined || value === null) return value;
+  return Array.isArray(value) ? value.map(serialize) : serialize(value);
+};
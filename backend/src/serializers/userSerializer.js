@@ -0,0 +1,41 @@
+import { serializeAddress } from "./addressSerializer.js";
+import { relation } from "./relation.js";
+
+/**
+ * ======================================================================
+ *  FORMATO PÚBLICO DO USUÁRIO
+ * ======================================================================
+ *
+ * Lista explícita de campos: o que não está aqui nunca sai da API.
+ * Ficam de fora, entre outros:
+ *  - password                     → hash bcrypt
+ *  - totpSecret / totpLastStep    → segredo do 2FA
+ *  - tokensValidAfter             → controle interno de revogação
+ *
+ * Um campo novo no model User só aparece nas respostas depois de ser
+ * adicionado aqui.
+ */
+export const serializeUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  phone: user.phone,
+  email: user.email,
+  type: user.type,
+  emailVerifiedAt: user.emailVerifiedAt,
+  deactivatedAt: user.deactivatedAt,
+  createdAt: user.createdAt,
+  updatedAt: user.updatedAt,
+  address: relation(user.address, serializeAddress),
+  // Total de pedidos do cliente, quando a consulta pede o _count
+  ordersCount: user._count?.clientOrders,
+});
+
+/**
+ * Autor de uma ação (quem cancelou, quem mudou o status): só o
+ * necessário para exibir o nome.
+ */
+export const serializeUserSummary = (user) => ({
+  id: user.id,
+  name: user.name,
+  type: user.type,
+});
@@ -1,4 +1,8 @@
 import app from "./app.js";
+import prisma from "../prisma/client.js";
+import { startScheduledOrderPromoter } from "./services/scheduleService.js";
+import { startRevokedTokenPruner } from "./config/jwtConfig.js";
+import { startRateLimitPruner } from "./services/rateLimitStore.js";
 
 /**
  * ======================================================================
@@ -25,4 +29,13 @@ const PORT = process.env.PORT || 5001;
 app.listen(PORT, () => {
   console.log(`Swagger disponível em: http://localhost:${PORT}/api-docs`);
   console.log(`Uaifood API rodando na porta ${PORT}`);
+
+  // Pedidos agendados entram na fila da cozinha na antecedência configurada
+  startScheduledOrderPromoter(prisma);
+
+  // Revogações de tokens já expirados não precisam mais ser guardadas
+  startRevokedTokenPruner();
+
+  // Contadores de limite com a janela encerrada
+  startRateLimitPruner();
 });
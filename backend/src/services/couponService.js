@@ -0,0 +1,129 @@
+/**
+ * ======================================================================
+ *  REGRAS DE CUPONS DE DESCONTO
+ * ======================================================================
+ *
+ * Usado em dois pontos:
+ *  - POST /orders/preview → mostra o desconto no checkout
+ *  - POST /orders         → aplica o desconto de verdade (dentro da transação,
+ *                           com a linha do cupom travada — ver "lock")
+ *
+ * Assim, a regra é uma só e o valor exibido no checkout é o mesmo cobrado.
+ *
+ * Cada linha recebida tem o formato:
+ *   { itemId, categoryId, amount }   (amount = preço unitário × quantidade)
+ *
+ * 🎯 Observação:
+ * - Pedidos cancelados não contam no limite de usos do cupom.
+ */
+
+// Arredonda para centavos, evitando resíduos de ponto flutuante
+const toCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Erro de regra de cupom — o controller devolve 400 com a mensagem.
+ */
+const couponError = (message) => {
+  const error = new Error(message);
+  error.code = "INVALID_COUPON";
+  return error;
+};
+
+/**
+ * Normaliza o código digitado pelo cliente ("  bemvindo10 " → "BEMVINDO10").
+ */
+export const normalizeCouponCode = (code) => code.trim().toUpperCase();
+
+/**
+ * Valida o cupom para o pedido e calcula o desconto.
+ *
+ * @param db        prisma ou o client da transação (tx)
+ * @param code      código digitado
+ * @param clientId  cliente que está comprando
+ * @param lines     linhas do pedido ({ itemId, categoryId, amount })
+ * @param lock      true na criação do pedido (db = tx): trava a linha do
+ *                  cupom (SELECT ... FOR UPDATE) antes de contar os usos.
+ *                  Sem isso, dois checkouts simultâneos contam o mesmo
+ *                  "used < limite" e os dois gravam, estourando o limite.
+ *                  A trava vale até o fim da transação, então o segundo
+ *                  checkout só conta depois que o pedido do primeiro foi
+ *                  gravado (ou desfeito).
+ *
+ * Retorna { coupon, discount } ou lança erro com code "INVALID_COUPON".
+ */
+export const evaluateCoupon = async (db, { code, clientId, lines, lock = false }) => {
+  const coupon = await db.coupon.findUnique({
+    where: { code: normalizeCouponCode(code) },
+  });
+
+  if (!coupon || !coupon.active) {
+    throw couponError("Cupom inválido.");
+  }
+
+  // 1️⃣ Janela de validade
+  const now = new Date();
+
+  if (coupon.startsAt && now < coupon.startsAt) {
+    throw couponError("Este cupom ainda não está valendo.");
+  }
+
+  if (coupon.endsAt && now > coupon.endsAt) {
+    throw couponError("Este cupom expirou.");
+  }
+
+  // 2️⃣ Valor mínimo (sobre o subtotal do pedido inteiro)
+  const subtotal = lines.reduce((sum, l) => sum + l.amount, 0);
+
+  if (coupon.minOrderValue !== null && subtotal < coupon.minOrderValue) {
+    throw couponError(
+      `Este cupom exige pedido mínimo de R$ ${coupon.minOrderValue.toFixed(2)}.`
+    );
+  }
+
+  // 3️⃣ Limites de uso (pedidos cancelados não contam)
+  const hasLimit =
+    coupon.usageLimit !== null || coupon.usageLimitPerClient !== null;
+
+  if (lock && hasLimit) {
+    await db.$executeRaw`SELECT 1 FROM "Coupon" WHERE "id" = ${coupon.id} FOR UPDATE`;
+  }
+
+  const notCancelled = { couponId: coupon.id, status: { not: "cancelled" } };
+
+  if (coupon.usageLimit !== null) {
+    const used = await db.order.count({ where: notCancelled });
+
+    if (used >= coupon.usageLimit) {
+      throw couponError("Este cupom atingiu o limite de usos.");
+    }
+  }
+
+  if (coupon.usageLimitPerClient !== null) {
+    const used = await db.order.count({ where: { ...notCancelled, clientId } });
+
+    if (used >= coupon.usageLimitPerClient) {
+      throw couponError("Você já usou este cupom o máximo de vezes permitido.");
+    }
+  }
+
+  // 4️⃣ Restrição por categoria/item → desconto só sobre as linhas elegíveis
+  const eligible = lines.filter(
+    (l) =>
+      (coupon.categoryId === null || l.categoryId === coupon.categoryId) &&
+      (coupon.itemId === null || l.itemId === coupon.itemId)
+  );
+
+  const eligibleAmount = eligible.reduce((sum, l) => sum + l.amount, 0);
+
+  if (eligibleAmount <= 0) {
+    throw couponError("Este cupom não se aplica aos itens do carrinho.");
+  }
+
+  // 5️⃣ Cálculo do desconto (nunca maior que o valor elegível)
+  const discount =
+    coupon.type === "PERCENTAGE"
+      ? (eligibleAmount * coupon.value) / 100
+      : coupon.value;
+
+  return { coupon, discount: toCents(Math.min(discount, eligibleAmount)) };
+};
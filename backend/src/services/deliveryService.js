@@ -0,0 +1,81 @@
+/**
+ * ======================================================================
+ *  REGRAS DE ENTREGA POR ZONA DE CEP
+ * ======================================================================
+ *
+ * Usado em:
+ *  - POST /orders/preview → mostra taxa e prazo no checkout
+ *  - POST /orders         → grava taxa, prazo e zona no pedido
+ *
+ * O CEP considerado é o do endereço cadastrado do cliente
+ * (GET /addresses/me), sempre comparado com 8 dígitos e sem traço.
+ */
+
+/**
+ * Erro de entrega — o controller devolve 400 com a mensagem.
+ */
+const deliveryError = (message) => {
+  const error = new Error(message);
+  error.code = "DELIVERY_UNAVAILABLE";
+  return error;
+};
+
+/**
+ * Mantém apenas os dígitos do CEP ("38010-200" → "38010200").
+ */
+export const normalizeCep = (cep) => cep.replace(/\D/g, "");
+
+/**
+ * Localiza a zona ativa que atende o CEP.
+ * Havendo sobreposição, vence a faixa mais estreita (mais específica).
+ */
+export const findZoneForCep = async (db, cep) => {
+  const normalized = normalizeCep(cep);
+
+  // CEPs com 8 dígitos: a ordem de texto é a mesma da numérica
+  const zones = await db.deliveryZone.findMany({
+    where: {
+      active: true,
+      cepStart: { lte: normalized },
+      cepEnd: { gte: normalized },
+    },
+  });
+
+  const width = (z) => Number(z.cepEnd) - Number(z.cepStart);
+
+  return zones.sort((a, b) => width(a) - width(b))[0] ?? null;
+};
+
+/**
+ * Calcula a entrega do pedido de um cliente.
+ *
+ * @param db        prisma ou o client da transação (tx)
+ * @param clientId  cliente que está comprando
+ * @param subtotal  soma dos itens (para o pedido mínimo da zona)
+ *
+ * Retorna { zone, fee, estimatedMinutes }
+ * ou lança erro com code "DELIVERY_UNAVAILABLE".
+ */
+export const quoteDelivery = async (db, { clientId, subtotal }) => {
+  const address = await db.address.findUnique({ where: { userId: clientId } });
+
+  if (!address) {
+    throw deliveryError("Cadastre seu endereço antes de finalizar o pedido.");
+  }
+
+  const zone = await findZoneForCep(db, address.zipCode);
+
+  if (!zone) {
+    throw deliveryError(
+      `Ainda não entregamos no CEP ${address.zipCode}.`
+    );
+  }
+
+  if (zone.minOrderValue !== null && subtotal < zone.minOrderValue) {
+    throw deliveryError(
+      `O pedido mínimo para ${zone.name} é R$ ${zone.minOrderValue.toFixed(2)}.`
+    );
+  }
+
+  return { zone, fee: zone.fee, estimatedMinutes: zone.estimatedMinutes };
+};
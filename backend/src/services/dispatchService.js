@@ -0,0 +1,243 @@
+import crypto from "node:crypto";
+
+/**
+ * ======================================================================
+ *  DESPACHO DE ENTREGAS (ENTREGADORES)
+ * ======================================================================
+ *
+ * Usado em:
+ *  - GET   /couriers                       → entregadores e entregas em andamento
+ *  - POST  /orders/dispatch                → ADMIN atribui pedidos a um entregador
+ *  - GET   /orders/deliveries              → entregas do entregador logado
+ *  - POST  /orders/deliveries/:id/confirm  → entregador confirma a entrega
+ *
+ * Regras:
+ *  - Entregador é um usuário do tipo COURIER com a conta ativa
+ *  - Só pedidos DELIVERY ainda na loja (pending, preparing,
+ *    ready_for_delivery) podem ser atribuídos ou reatribuídos; na
+ *    reatribuição, o entregador anterior é avisado para tirar o pedido
+ *    da tela (ele deixa de vê-lo)
+ *  - Cada pedido DELIVERY nasce com um código de entrega de 4 dígitos,
+ *    exibido apenas para o cliente; o entregador só finaliza a entrega
+ *    ("delivering" → "delivered") com o código que o cliente informa
+ *  - Após MAX_CODE_ATTEMPTS códigos errados, apenas o ADMIN finaliza
+ */
+
+// Status em que o pedido ainda não saiu da loja
+export const ASSIGNABLE_STATUSES = ["pending", "preparing", "ready_for_delivery"];
+
+// Status em que a entrega está com o entregador ou a caminho dele
+const ACTIVE_DELIVERY_STATUSES = [...ASSIGNABLE_STATUSES, "delivering"];
+
+export const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Erro de regra de negócio — o controller devolve 400/404 com a mensagem.
+ */
+const dispatchError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Código de entrega: 4 dígitos aleatórios (ex.: "0427").
+ */
+export const generateDeliveryCode = () =>
+  String(crypto.randomInt(0, 10000)).padStart(4, "0");
+
+// ===================================================================
+// ENTREGADORES
+// ===================================================================
+
+/**
+ * Lista os entregadores ativos com o número de entregas em andamento
+ * (atribuídas e ainda não finalizadas), para o admin escolher a quem
+ * despachar.
+ */
+export const listCouriers = async (db) => {
+  const couriers = await db.user.findMany({
+    where: { type: "COURIER", deactivatedAt: null },
+    select: {
+      id: true,
+      name: true,
+      phone: true,
+      _count: {
+        select: {
+          courierOrders: {
+            where: { status: { in: ACTIVE_DELIVERY_STATUSES } },
+          },
+        },
+      },
+    },
+    orderBy: { name: "asc" },
+  });
+
+  return couriers.map(({ _count, ...courier }) => ({
+    ...courier,
+    activeDeliveries: _count.courierOrders,
+  }));
+};
+
+// ===================================================================
+// ATRIBUIÇÃO (ADMIN)
+// ===================================================================
+
+/**
+ * Atribui um ou mais pedidos ao entregador, de uma vez só: se algum
+ * pedido não puder ser atribuído, nenhum é.
+ *
+ * Retorna:
+ *  {
+ *    orders,      // pedidos atualizados (com cliente e entregador)
+ *    reassigned   // [{ order, previousCourierId }] — pedidos que eram
+ *                 // de outro entregador
+ *  }
+ */
+export const assignOrders = async (db, { courierId, orderIds }) => {
+  const courier = await db.user.findUnique({ where: { id: courierId } });
+
+  if (!courier || courier.type !== "COURIER" || courier.deactivatedAt) {
+    throw dispatchError("COURIER_NOT_FOUND", "Entregador não encontrado.");
+  }
+
+  const ids = [...new Set(orderIds)];
+
+  return db.$transaction(async (tx) => {
+    const orders = await tx.order.findMany({ where: { id: { in: ids } } });
+
+    if (orders.length !== ids.length) {
+      throw dispatchError(
+        "DISPATCH_STATE",
+        "Um ou mais pedidos não foram encontrados."
+      );
+    }
+
+    const invalid = orders.filter(
+      (o) =>
+        o.fulfillmentType !== "DELIVERY" ||
+        !ASSIGNABLE_STATUSES.includes(o.status)
+    );
+
+    if (invalid.length > 0) {
+      throw dispatchError(
+        "DISPATCH_STATE",
+        `Pedido(s) ${invalid.map((o) => `#${o.id}`).join(", ")} não podem ser atribuídos: apenas entregas que ainda não saíram da loja.`
+      );
+    }
+
+    // O filtro de status evita atribuir um pedido que avançou ou foi
+    // cancelado entre a leitura acima e esta atualização
+    const { count } = await tx.order.updateMany({
+      where: { id: { in: ids }, status: { in: ASSIGNABLE_STATUSES } },
+      data: { courierId },
+    });
+
+    if (count !== ids.length) {
+      throw dispatchError(
+        "DISPATCH_STATE",
+        "Um ou mais pedidos mudaram de status. Atualize a lista e tente novamente."
+      );
+    }
+
+    const updated = await tx.order.findMany({
+      where: { id: { in: ids } },
+      include: {
+        client: { include: { address: true } },
+        courier: { select: { id: true, name: true, type: true } },
+      },
+      orderBy: { id: "asc" },
+    });
+
+    // Entregador de cada pedido antes da atribuição
+    const previousCourier = new Map(orders.map((o) => [o.id, o.courierId]));
+
+    return {
+      orders: updated,
+      reassigned: updated
+        .filter((o) => ![null, courierId].includes(previousCourier.get(o.id)))
+        .map((order) => ({
+          order,
+          previousCourierId: previousCourier.get(order.id),
+        })),
+    };
+  });
+};
+
+// ===================================================================
+// ENTREGAS DO ENTREGADOR
+// ===================================================================
+
+/**
+ * Entregas atribuídas ao entregador e ainda não finalizadas, com o
+ * endereço e o telefone do cliente. As prontas para sair vêm primeiro.
+ */
+export const listCourierDeliveries = (db, courierId) =>
+  db.order.findMany({
+    where: { courierId, status: { in: ACTIVE_DELIVERY_STATUSES } },
+    include: {
+      client: { include: { address: true } },
+      orderItems: { include: { modifiers: true } },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+/**
+ * Confirma a entrega com o código informado pelo cliente e move o
+ * pedido para "delivered", registrando o evento na linha do tempo.
+ */
+export const confirmDelivery = async (db, { courierId, orderId, code }) => {
+  const order = await db.order.findUnique({ where: { id: orderId } });
+
+  // Entrega de outro entregador é tratada como inexistente
+  if (!order || order.courierId !== courierId) {
+    throw dispatchError("DELIVERY_NOT_FOUND", "Entrega não encontrada.");
+  }
+
+  if (order.status !== "delivering") {
+    throw dispatchError(
+      "DISPATCH_STATE",
+      "Só é possível confirmar entregas que já saíram para entrega."
+    );
+  }
+
+  if (order.deliveryCodeAttempts >= MAX_CODE_ATTEMPTS) {
+    throw dispatchError(
+      "DELIVERY_CODE_LOCKED",
+      "Muitas tentativas com código errado. Peça à loja para finalizar a entrega."
+    );
+  }
+
+  if (!order.deliveryCode || code !== order.deliveryCode) {
+    await db.order.update({
+      where: { id: orderId },
+      data: { deliveryCodeAttempts: { increment: 1 } },
+    });
+
+    throw dispatchError(
+      "INVALID_DELIVERY_CODE",
+      "Código de entrega incorreto. Confira com o cliente."
+    );
+  }
+
+  return db.$transaction(async (tx) => {
+    // Só finaliza se ninguém mudou o status nesse meio-tempo
+    const { count } = await tx.order.updateMany({
+      where: { id: orderId, status: "delivering" },
+      data: { status: "delivered" },
+    });
+
+    if (count === 0) {
+      throw dispatchError(
+        "DISPATCH_STATE",
+        "O pedido mudou de status. Atualize a lista."
+      );
+    }
+
+    await tx.orderStatusEvent.create({
+      data: { orderId, status: "delivered", userId: courierId },
+    });
+
+    return tx.order.findUnique({ where: { id: orderId } });
+  });
+};
@@ -0,0 +1,116 @@
+import crypto from "node:crypto";
+import { frontendLink, sendMail } from "./mailer.js";
+
+/**
+ * ======================================================================
+ *  VERIFICAÇÃO DE E-MAIL
+ * ======================================================================
+ *
+ * Usado em:
+ *  - POST /users/register      → conta nasce não verificada + envia o link
+ *  - PUT  /users/:id           → trocar o e-mail exige verificar de novo
+ *  - POST /users/verify        → confirma o e-mail com o token do link
+ *  - POST /users/verify/resend → envia um novo link
+ *
+ * Regras:
+ *  - O token é um valor aleatório; no banco fica só o hash
+ *  - Validade configurável por EMAIL_VERIFICATION_HOURS
+ *    (padrão: 48 horas)
+ *  - Um novo link invalida os anteriores ainda não usados
+ *  - O link só verifica o e-mail para o qual foi enviado
+ *  - Se clientes não verificados podem pedir é decidido pelo ADMIN
+ *    (StoreSettings.allowUnverifiedOrders)
+ */
+
+const EMAIL_VERIFICATION_HOURS =
+  Number(process.env.EMAIL_VERIFICATION_HOURS) || 48;
+
+/**
+ * Erro de token de verificação — o controller devolve 400 com a mensagem.
+ */
+const verificationError = () => {
+  const error = new Error(
+    "Link de verificação inválido ou expirado. Solicite um novo."
+  );
+  error.code = "INVALID_VERIFICATION_TOKEN";
+  return error;
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Gera um token para o e-mail atual do usuário e envia o link.
+ */
+export const sendVerificationEmail = async (db, user) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await db.$transaction([
+    db.emailVerificationToken.deleteMany({
+      where: { userId: user.id, usedAt: null },
+    }),
+    db.emailVerificationToken.create({
+      data: {
+        userId: user.id,
+        email: user.email,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_HOURS * 3600000),
+      },
+    }),
+  ]);
+
+  await sendMail({
+    to: user.email,
+    subject: "Uaifood — confirme seu e-mail",
+    text: [
+      `Olá, ${user.name}!`,
+      "",
+      "Confirme seu e-mail para receber as atualizações dos seus pedidos:",
+      "",
+      frontendLink("/verify-email", { token }),
+      "",
+      `O link vale por ${EMAIL_VERIFICATION_HOURS} horas.`,
+      "Se você não criou uma conta no Uaifood, ignore este e-mail.",
+    ].join("\n"),
+  });
+};
+
+/**
+ * Marca o e-mail do dono do token como verificado.
+ *
+ * Lança INVALID_VERIFICATION_TOKEN se o token não existir, estiver
+ * expirado ou for de um e-mail que o usuário não usa mais. Repetir um
+ * link já usado com sucesso apenas confirma de novo.
+ */
+export const verifyEmail = (db, token) =>
+  db.$transaction(async (tx) => {
+    const stored = await tx.emailVerificationToken.findUnique({
+      where: { tokenHash: hashToken(token) },
+      include: { user: true },
+    });
+
+    if (!stored || stored.user.email !== stored.email) {
+      throw verificationError();
+    }
+
+    // Link aberto de novo (ou duas vezes ao mesmo tempo) depois de
+    // já ter verificado este e-mail: não é erro
+    if (stored.usedAt && stored.user.emailVerifiedAt) {
+      return stored.user;
+    }
+
+    // Marca como usado só se ainda estiver válido (o updateMany
+    // condicional também resolve dois cliques simultâneos no link)
+    const now = new Date();
+    const { count } = await tx.emailVerificationToken.updateMany({
+      where: { id: stored.id, usedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now },
+    });
+
+    if (count === 0) throw verificationError();
+
+    return tx.user.update({
+      where: { id: stored.userId },
+      data: { emailVerifiedAt: now },
+    });
+  });
@@ -0,0 +1,90 @@
+/**
+ * ======================================================================
+ *  PROTEÇÃO DO LOGIN CONTRA FORÇA BRUTA
+ * ======================================================================
+ *
+ * Usado em:
+ *  - POST /users/login     (middleware loginThrottle + userController.login)
+ *  - POST /users/login/2fa (códigos errados contam na conta do desafio)
+ *
+ * Conta as falhas de login em dois contadores independentes:
+ *  - por conta (e-mail digitado) → protege uma conta específica
+ *  - por IP                      → protege contra quem testa várias contas
+ *
+ * Backoff exponencial: depois das tentativas livres, cada nova falha
+ * obriga a esperar o dobro da anterior (1s, 2s, 4s, ...) até o teto de
+ * LOGIN_MAX_LOCK_MINUTES (padrão: 15) — o bloqueio temporário.
+ *
+ * As falhas são esquecidas 1 hora após a primeira da janela, e o login
+ * concluído zera o contador da conta (o do IP continua: um atacante não
+ * deve conseguir zerá-lo entrando na própria conta). Com 2FA, só o
+ * código correto conclui o login: a senha certa não zera nada.
+ */
+
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const BASE_DELAY_MS = 1000;
+const MAX_LOCK_MS = (Number(process.env.LOGIN_MAX_LOCK_MINUTES) || 15) * 60000;
+
+// Tentativas sem espera antes de o backoff começar
+const LIMITS = {
+  account: Number(process.env.LOGIN_FREE_ATTEMPTS_ACCOUNT) || 3,
+  ip: Number(process.env.LOGIN_FREE_ATTEMPTS_IP) || 10,
+};
+
+// Contadores que se aplicam à tentativa (o e-mail pode faltar, como na
+// segunda etapa do login com 2FA)
+const keysFor = ({ email, ip }) =>
+  [
+    email && {
+      key: `login:account:${String(email).trim().toLowerCase()}`,
+      free: LIMITS.account,
+    },
+    ip && { key: `login:ip:${ip}`, free: LIMITS.ip },
+  ].filter(Boolean);
+
+/**
+ * Quanto tempo esperar após a última falha, dado o total de falhas.
+ */
+export const lockDelayMs = (failures, free) =>
+  failures < free
+    ? 0
+    : Math.min(BASE_DELAY_MS * 2 ** (failures - free), MAX_LOCK_MS);
+
+/**
+ * Até quando o login está bloqueado para esse e-mail/IP.
+ * Retorna null se a tentativa pode seguir.
+ */
+export const getLoginLock = async (store, { email, ip }) => {
+  let lockedUntil = null;
+
+  for (const { key, free } of keysFor({ email, ip })) {
+    const counter = await store.get(key);
+    if (!counter) continue;
+
+    const until = new Date(
+      new Date(counter.updatedAt).getTime() + lockDelayMs(counter.count, free)
+    );
+
+    if (until > new Date() && (!lockedUntil || until > lockedUntil)) {
+      lockedUntil = until;
+    }
+  }
+
+  return lockedUntil;
+};
+
+/**
+ * Registra uma falha (senha errada, e-mail inexistente ou código 2FA
+ * errado).
+ */
+export const registerLoginFailure = async (store, { email, ip }) => {
+  for (const { key } of keysFor({ email, ip })) {
+    await store.hit(key, FAILURE_WINDOW_MS);
+  }
+};
+
+/**
+ * Login concluído (senha e, se houver, 2FA): zera as falhas da conta.
+ */
+export const clearLoginFailures = (store, { email }) =>
+  store.reset(keysFor({ email })[0].key);
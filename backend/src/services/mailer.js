@@ -0,0 +1,101 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/**
+ * ======================================================================
+ *  ENVIO DE E-MAILS (MAILER PLUGÁVEL)
+ * ======================================================================
+ *
+ * Usado em:
+ *  - POST /users/password/forgot → link de redefinição de senha
+ *  - POST /users/register        → link de verificação de e-mail
+ *  - POST /users/verify/resend   → novo link de verificação
+ *
+ * Um mailer é qualquer objeto com:
+ *    send({ to, subject, text }) → Promise
+ *
+ * Transportes disponíveis (variável MAIL_TRANSPORT):
+ *  - "console" (padrão) → imprime a mensagem no terminal
+ *  - "file"             → grava cada mensagem como .json em MAIL_DIR
+ *                         (padrão: ./mails), útil para testes automatizados
+ *
+ * Para produção, um transporte SMTP/serviço externo pode ser registrado
+ * com setMailer() na inicialização, sem mudar quem envia os e-mails.
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || "Uaifood <nao-responda@uaifood.com>";
+
+// Endereço do frontend usado para montar os links dos e-mails
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+/**
+ * Link absoluto para uma página do frontend.
+ * Ex.: frontendLink("/reset-password", { token }) →
+ *      http://localhost:5173/reset-password?token=...
+ */
+export const frontendLink = (pathname, params = {}) =>
+  `${FRONTEND_URL}${pathname}?${new URLSearchParams(params)}`;
+
+/**
+ * Imprime o e-mail no terminal (desenvolvimento local).
+ */
+export const createConsoleMailer = () => ({
+  send: async ({ to, subject, text }) => {
+    console.log(
+      [
+        "📧 ----------------------------------------------",
+        `De: ${MAIL_FROM}`,
+        `Para: ${to}`,
+        `Assunto: ${subject}`,
+        "",
+        text,
+        "-------------------------------------------------",
+      ].join("\n")
+    );
+  },
+});
+
+/**
+ * Grava cada e-mail em um arquivo JSON dentro de `dir`.
+ * O nome do arquivo começa pelo timestamp, então a ordem de envio é
+ * a ordem alfabética.
+ */
+export const createFileMailer = (dir) => ({
+  send: async ({ to, subject, text }) => {
+    await fs.mkdir(dir, { recursive: true });
+
+    const file = path.join(
+      dir,
+      `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`
+    );
+
+    await fs.writeFile(
+      file,
+      JSON.stringify(
+        { from: MAIL_FROM, to, subject, text, sentAt: new Date() },
+        null,
+        2
+      )
+    );
+  },
+});
+
+const createDefaultMailer = () =>
+  process.env.MAIL_TRANSPORT === "file"
+    ? createFileMailer(process.env.MAIL_DIR || "mails")
+    : createConsoleMailer();
+
+let mailer = createDefaultMailer();
+
+/**
+ * Substitui o transporte usado pela aplicação (ex.: SMTP em produção,
+ * ou um mailer em memória nos testes).
+ */
+export const setMailer = (custom) => {
+  mailer = custom;
+};
+
+/**
+ * Envia um e-mail pelo transporte configurado.
+ */
+export const sendMail = (message) => mailer.send(message);
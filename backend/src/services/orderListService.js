@@ -0,0 +1,149 @@
+import { storeDayBounds } from "./storeHoursService.js";
+
+/**
+ * ======================================================================
+ *  LISTAGENS DE PEDIDOS (FILTROS, ORDENAÇÃO E PAGINAÇÃO)
+ * ======================================================================
+ *
+ * Usado em:
+ *  - GET /orders             → loja (restrita pelo orderScope do usuário)
+ *  - GET /orders/my          → pedidos do cliente logado
+ *  - GET /orders/client/:id  → ADMIN, pedidos de um cliente
+ *
+ * Regras:
+ *  - Os filtros chegam validados por listOrdersQuerySchema
+ *  - O escopo (quem pode ver o quê) é sempre aplicado por cima dos
+ *    filtros: um filtro nunca amplia o que o usuário enxerga
+ *  - Datas são dias no fuso da loja; agendados contam pelo dia da
+ *    entrega/retirada, os demais pelo dia da compra
+ *  - O ID desempata a ordenação, para as páginas não repetirem nem
+ *    pularem pedidos com o mesmo total ou horário
+ *  - Quando o escopo já fixa o cliente (scope.clientId), os filtros de
+ *    cliente da query (clientId/client) são ignorados
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Monta o filtro do Prisma a partir da query string.
+ */
+const buildOrderFilters = ({
+  status,
+  from,
+  to,
+  paymentMethod,
+  clientId,
+  client,
+  minTotal,
+  maxTotal,
+}) => {
+  const filters = [];
+
+  if (status) filters.push({ status: { in: status } });
+  if (paymentMethod) filters.push({ paymentMethod });
+  if (clientId) filters.push({ clientId });
+
+  if (client) {
+    filters.push({
+      client: {
+        OR: [
+          { name: { contains: client, mode: "insensitive" } },
+          { email: { contains: client, mode: "insensitive" } },
+        ],
+      },
+    });
+  }
+
+  if (minTotal !== undefined || maxTotal !== undefined) {
+    filters.push({
+      total: {
+        ...(minTotal !== undefined && { gte: minTotal }),
+        ...(maxTotal !== undefined && { lte: maxTotal }),
+      },
+    });
+  }
+
+  if (from || to) {
+    const range = {
+      ...(from && { gte: storeDayBounds(from).start }),
+      ...(to && { lt: storeDayBounds(to).end }),
+    };
+
+    filters.push({
+      OR: [
+        { scheduledFor: range },
+        { scheduledFor: null, createdAt: range },
+      ],
+    });
+  }
+
+  return filters;
+};
+
+/**
+ * Filtros da query que valem dentro do escopo: se o escopo já fixa o
+ * cliente, filtrar por outro cliente não faz sentido (e não pode ampliar
+ * nem trocar o que a rota mostra).
+ */
+const scopedQuery = (scope, query) => {
+  if (scope.clientId === undefined) return query;
+
+  const { clientId, client, ...rest } = query;
+  return rest;
+};
+
+/**
+ * Lista pedidos paginados.
+ *
+ *  - scope            → filtro fixo de quem pode ver (ex.: orderScope(req.user))
+ *  - query            → filtros, ordenação e paginação já validados
+ *  - include          → relações carregadas em cada pedido
+ *  - withStatusCounts → inclui o total de pedidos por status (com os
+ *                       mesmos filtros), para quadros que mostram só
+ *                       a página carregada
+ *
+ * Retorna { data, page, pageSize, total, totalPages } e, se pedido,
+ * statusCounts ({ pending: 3, preparing: 1, ... }).
+ */
+export const listOrders = async (
+  db,
+  { scope = {}, query = {}, include, withStatusCounts = false }
+) => {
+  const {
+    sortBy = "createdAt",
+    sortOrder = "desc",
+    page = 1,
+    pageSize = DEFAULT_PAGE_SIZE,
+  } = query;
+
+  const where = {
+    AND: [scope, ...buildOrderFilters(scopedQuery(scope, query))],
+  };
+
+  const [total, data, statusGroups] = await Promise.all([
+    db.order.count({ where }),
+    db.order.findMany({
+      where,
+      include,
+      orderBy: [{ [sortBy]: sortOrder }, { id: sortOrder }],
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    withStatusCounts
+      ? db.order.groupBy({ by: ["status"], where, _count: { _all: true } })
+      : null,
+  ]);
+
+  return {
+    data,
+    page,
+    pageSize,
+    total,
+    totalPages: Math.ceil(total / pageSize),
+    ...(statusGroups && {
+      statusCounts: Object.fromEntries(
+        statusGroups.map((group) => [group.status, group._count._all])
+      ),
+    }),
+  };
+};
@@ -0,0 +1,126 @@
+import crypto from "node:crypto";
+import bcrypt from "bcrypt";
+import { frontendLink, sendMail } from "./mailer.js";
+import { revokeAllSessions } from "./sessionService.js";
+
+/**
+ * ======================================================================
+ *  REDEFINIÇÃO DE SENHA ("ESQUECI MINHA SENHA")
+ * ======================================================================
+ *
+ * Usado em:
+ *  - POST /users/password/forgot → gera o token e envia o link por e-mail
+ *  - POST /users/password/reset  → troca a senha usando o token
+ *
+ * Regras:
+ *  - O token é um valor aleatório; no banco fica só o hash
+ *  - Uso único e validade curta (PASSWORD_RESET_MINUTES, padrão: 30)
+ *  - Pedir um novo link invalida os anteriores ainda não usados
+ *  - E-mail não cadastrado NÃO gera erro: a resposta é a mesma, para não
+ *    revelar quais e-mails têm conta
+ *  - Pelo mesmo motivo, o envio do e-mail não é aguardado e uma falha no
+ *    mailer só é registrada no log (senão, e-mails cadastrados dariam
+ *    erro 500 ou demorariam mais para responder)
+ *  - Após a troca, todas as sessões e tokens do usuário são encerrados
+ *    (quem tinha a senha antiga perde o acesso)
+ */
+
+const PASSWORD_RESET_MINUTES =
+  Number(process.env.PASSWORD_RESET_MINUTES) || 30;
+
+/**
+ * Erro de token de redefinição — o controller devolve 400 com a mensagem.
+ */
+const resetError = () => {
+  const error = new Error(
+    "Link de redefinição inválido ou expirado. Solicite um novo."
+  );
+  error.code = "INVALID_RESET_TOKEN";
+  return error;
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Gera um token de redefinição e envia o link para o e-mail informado.
+ * Não faz nada (silenciosamente) se o e-mail não estiver cadastrado.
+ * Falhas no envio vão para o log, sem chegar a quem pediu.
+ */
+export const requestPasswordReset = async (db, email) => {
+  const user = await db.user.findUnique({ where: { email } });
+
+  if (!user) return;
+
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await db.$transaction([
+    db.passwordResetToken.deleteMany({
+      where: { userId: user.id, usedAt: null },
+    }),
+    db.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_MINUTES * 60000),
+      },
+    }),
+  ]);
+
+  sendMail({
+    to: user.email,
+    subject: "Uaifood — redefinição de senha",
+    text: [
+      `Olá, ${user.name}!`,
+      "",
+      "Recebemos um pedido para redefinir a senha da sua conta.",
+      "Para criar uma nova senha, acesse o link abaixo:",
+      "",
+      frontendLink("/reset-password", { token }),
+      "",
+      `O link vale por ${PASSWORD_RESET_MINUTES} minutos e pode ser usado uma única vez.`,
+      "Se você não fez esse pedido, ignore este e-mail: sua senha continua a mesma.",
+    ].join("\n"),
+  }).catch((error) =>
+    console.error("Erro ao enviar e-mail de redefinição de senha:", error.message)
+  );
+};
+
+/**
+ * Troca a senha do dono do token.
+ *
+ * Lança INVALID_RESET_TOKEN se o token não existir, já tiver sido usado
+ * ou estiver expirado.
+ */
+export const resetPassword = async (db, token, password) => {
+  const stored = await db.passwordResetToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!stored) throw resetError();
+
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  await db.$transaction(async (tx) => {
+    // Marca o token como usado só se ainda estiver válido (o updateMany
+    // condicional também resolve dois envios simultâneos do mesmo link)
+    const now = new Date();
+    const { count } = await tx.passwordResetToken.updateMany({
+      where: { id: stored.id, usedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now },
+    });
+
+    if (count === 0) throw resetError();
+
+    // tokensValidAfter: access tokens já emitidos deixam de valer
+    await tx.user.update({
+      where: { id: stored.userId },
+      data: { password: hashedPassword, tokensValidAfter: now },
+    });
+
+    await revokeAllSessions(tx, {
+      userId: stored.userId,
+      reason: "password-reset",
+    });
+  });
+};
@@ -0,0 +1,161 @@
+import prisma from "../../prisma/client.js";
+
+/**
+ * ======================================================================
+ *  ARMAZENAMENTO DOS CONTADORES DE LIMITE (RATE LIMIT)
+ * ======================================================================
+ *
+ * Usado por:
+ *  - middlewares/rateLimit.js          → limite de requisições por rota
+ *  - services/loginThrottleService.js  → tentativas de login com falha
+ *
+ * Todo store implementa a mesma interface:
+ *
+ *   hit(key, windowMs) → { count, resetAt, updatedAt }
+ *       soma 1 ao contador; se a janela anterior já terminou, recomeça
+ *       em 1 com uma janela nova de windowMs
+ *   get(key)           → { count, resetAt, updatedAt } | null
+ *       contador atual (null se não existir ou a janela tiver terminado)
+ *   reset(key)         → apaga o contador
+ *   prune()            → apaga contadores com a janela encerrada
+ *
+ * Implementações (variável RATE_LIMIT_STORE):
+ *  - "memory" (padrão) → Map no processo; some ao reiniciar e não é
+ *                        compartilhado entre instâncias da API
+ *  - "database"        → tabela RateLimitCounter; vale para várias
+ *                        instâncias e sobrevive a reinícios
+ */
+
+// ===================================================================
+// STORE EM MEMÓRIA
+// ===================================================================
+export const createMemoryStore = () => {
+  const counters = new Map();
+
+  // Leitura síncrona, para o hit não ter await entre ler e gravar
+  const read = (key) => {
+    const counter = counters.get(key);
+    return counter && counter.resetAt > new Date() ? { ...counter } : null;
+  };
+
+  return {
+    get: async (key) => read(key),
+
+    /**
+     * Lê, soma e grava sem nenhum await no meio: no event loop do Node,
+     * o bloco inteiro roda sem ser interrompido por outra requisição, e
+     * hits simultâneos não leem o mesmo valor (nenhum incremento se perde).
+     */
+    hit: async (key, windowMs) => {
+      const now = new Date();
+      const current = read(key);
+
+      const counter = current
+        ? { ...current, count: current.count + 1, updatedAt: now }
+        : {
+            count: 1,
+            resetAt: new Date(now.getTime() + windowMs),
+            updatedAt: now,
+          };
+
+      counters.set(key, counter);
+      return { ...counter };
+    },
+
+    reset: async (key) => {
+      counters.delete(key);
+    },
+
+    prune: async () => {
+      const now = new Date();
+      let removed = 0;
+
+      for (const [key, counter] of counters) {
+        if (counter.resetAt <= now) {
+          counters.delete(key);
+          removed++;
+        }
+      }
+
+      return removed;
+    },
+  };
+};
+
+// ===================================================================
+// STORE NO BANCO (RateLimitCounter)
+// ===================================================================
+export const createDatabaseStore = (db) => ({
+  get: (key) =>
+    db.rateLimitCounter.findFirst({
+      where: { key, resetAt: { gt: new Date() } },
+      select: { count: true, resetAt: true, updatedAt: true },
+    }),
+
+  /**
+   * Upsert atômico em um único INSERT ... ON CONFLICT DO UPDATE: o
+   * incremento é feito pelo banco ("count" + 1) sob o lock da linha, e
+   * a janela vencida recomeça no mesmo comando. Nada é lido antes, então
+   * várias requisições (ou instâncias) na mesma chave não perdem hits.
+   */
+  hit: async (key, windowMs) => {
+    const now = new Date();
+    const resetAt = new Date(now.getTime() + windowMs);
+
+    const [counter] = await db.$queryRaw`
+      INSERT INTO "RateLimitCounter" ("key", "count", "resetAt", "updatedAt")
+      VALUES (${key}, 1, ${resetAt}, ${now})
+      ON CONFLICT ("key") DO UPDATE SET
+        "count" = CASE WHEN "RateLimitCounter"."resetAt" <= ${now}
+                       THEN 1 ELSE "RateLimitCounter"."count" + 1 END,
+        "resetAt" = CASE WHEN "RateLimitCounter"."resetAt" <= ${now}
+                         THEN ${resetAt} ELSE "RateLimitCounter"."resetAt" END,
+        "updatedAt" = ${now}
+      RETURNING "count", "resetAt", "updatedAt"`;
+
+    return counter;
+  },
+
+  reset: async (key) => {
+    await db.rateLimitCounter.deleteMany({ where: { key } });
+  },
+
+  prune: async () => {
+    const { count } = await db.rateLimitCounter.deleteMany({
+      where: { resetAt: { lte: new Date() } },
+    });
+
+    return count;
+  },
+});
+
+// ===================================================================
+// STORE DA APLICAÇÃO
+// ===================================================================
+const store =
+  process.env.RATE_LIMIT_STORE === "database"
+    ? createDatabaseStore(prisma)
+    : createMemoryStore();
+
+/**
+ * Store compartilhado por todos os limites da API.
+ */
+export const getRateLimitStore = () => store;
+
+/**
+ * Limpa periodicamente os contadores vencidos (padrão: a cada 10 min).
+ * Devolve a função que interrompe o agendador.
+ */
+export const startRateLimitPruner = (intervalMs = 600000) => {
+  const timer = setInterval(
+    () =>
+      store
+        .prune()
+        .catch((error) =>
+          console.error("Erro ao limpar contadores de limite:", error.message)
+        ),
+    intervalMs
+  );
+
+  return () => clearInterval(timer);
+};
@@ -0,0 +1,294 @@
+import { Prisma } from "@prisma/client";
+import { STORE_TIMEZONE, storeDayBounds } from "./storeHoursService.js";
+
+/**
+ * ======================================================================
+ *  RELATÓRIOS DE VENDAS (ADMIN)
+ * ======================================================================
+ *
+ * Usado em:
+ *  - GET /reports/summary          → pedidos, faturamento e ticket médio
+ *  - GET /reports/revenue          → faturamento por dia, semana ou mês
+ *  - GET /reports/top-items        → itens mais vendidos
+ *  - GET /reports/top-categories   → categorias mais vendidas
+ *  - GET /reports/payment-methods  → divisão por forma de pagamento
+ *  - GET /reports/peak-hours       → pedidos por hora do dia
+ *
+ * Regras:
+ *  - Venda é todo pedido não cancelado, contado no dia da compra
+ *    (createdAt), inclusive os agendados
+ *  - Períodos e horas estão no fuso da loja (STORE_TIMEZONE)
+ *  - Tudo é calculado no banco (aggregate/groupBy do Prisma ou SQL com
+ *    GROUP BY), sem carregar os pedidos na memória
+ *  - Faturamento do pedido é o total cobrado (com desconto e taxa de
+ *    entrega); o de itens e categorias é a soma dos itens vendidos
+ *    (quantidade × preço unitário), antes do desconto do cupom
+ */
+
+const DEFAULT_RANKING_LIMIT = 10;
+
+// Valores em reais com 2 casas (somas de Float acumulam resíduos)
+const money = (value) => Math.round((value ?? 0) * 100) / 100;
+
+// Instantes de início e fim (exclusivo) do período, no fuso da loja
+const periodBounds = ({ from, to }) => ({
+  start: storeDayBounds(from).start,
+  end: storeDayBounds(to).end,
+});
+
+// Pedidos que contam como venda no período
+const salesWhere = ({ start, end }) => ({
+  createdAt: { gte: start, lt: end },
+  status: { not: "cancelled" },
+});
+
+// Mesmo filtro, para as consultas em SQL (alias "o" = Order)
+const salesSql = ({ start, end }) => Prisma.sql`
+  o."status" <> 'cancelled'
+  AND o."createdAt" >= ${start}
+  AND o."createdAt" < ${end}`;
+
+// Horário da compra no relógio da loja (createdAt é gravado em UTC)
+const localCreatedAt = Prisma.sql`(o."createdAt" AT TIME ZONE 'UTC' AT TIME ZONE ${STORE_TIMEZONE})`;
+
+// ===================================================================
+// RESUMO DO PERÍODO
+// ===================================================================
+
+/**
+ * Número de pedidos, faturamento, ticket médio, descontos concedidos,
+ * taxas de entrega e pedidos cancelados no período.
+ */
+export const getSalesSummary = async (db, query) => {
+  const bounds = periodBounds(query);
+
+  const [sales, cancelledOrders] = await Promise.all([
+    db.order.aggregate({
+      where: salesWhere(bounds),
+      _count: { _all: true },
+      _sum: { total: true, discount: true, deliveryFee: true },
+      _avg: { total: true },
+    }),
+    db.order.count({
+      where: {
+        createdAt: { gte: bounds.start, lt: bounds.end },
+        status: "cancelled",
+      },
+    }),
+  ]);
+
+  return {
+    from: query.from,
+    to: query.to,
+    orders: sales._count._all,
+    revenue: money(sales._sum.total),
+    averageTicket: money(sales._avg.total),
+    discounts: money(sales._sum.discount),
+    deliveryFees: money(sales._sum.deliveryFee),
+    cancelledOrders,
+  };
+};
+
+// ===================================================================
+// FATURAMENTO POR PERÍODO
+// ===================================================================
+
+/**
+ * Início do dia/semana/mês que contém a data "YYYY-MM-DD"
+ * (semanas começam na segunda-feira, como o date_trunc do PostgreSQL).
+ */
+const periodStart = (date, groupBy) => {
+  const d = new Date(`${date}T00:00:00Z`);
+
+  if (groupBy === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  if (groupBy === "month") d.setUTCDate(1);
+
+  return d;
+};
+
+/**
+ * Todos os períodos entre from e to, para a série não ter buracos nos
+ * dias sem venda.
+ */
+const periodKeys = (from, to, groupBy) => {
+  const keys = [];
+  const d = periodStart(from, groupBy);
+
+  while (d.toISOString().slice(0, 10) <= to) {
+    keys.push(d.toISOString().slice(0, 10));
+
+    if (groupBy === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+    else d.setUTCDate(d.getUTCDate() + (groupBy === "week" ? 7 : 1));
+  }
+
+  return keys;
+};
+
+/**
+ * Série de faturamento agrupada por dia, semana ou mês. Cada ponto traz
+ * o início do período ("YYYY-MM-DD"), pedidos, faturamento e ticket médio.
+ */
+export const getRevenueSeries = async (db, { from, to, groupBy = "day" }) => {
+  const rows = await db.$queryRaw`
+    SELECT to_char(date_trunc(${groupBy}, ${localCreatedAt}), 'YYYY-MM-DD') AS "period",
+           COUNT(*)::int AS "orders",
+           COALESCE(SUM(o."total"), 0)::float AS "revenue"
+    FROM "Order" o
+    WHERE ${salesSql(periodBounds({ from, to }))}
+    GROUP BY 1
+    ORDER BY 1`;
+
+  const byPeriod = new Map(rows.map((row) => [row.period, row]));
+
+  return {
+    from,
+    to,
+    groupBy,
+    data: periodKeys(from, to, groupBy).map((period) => {
+      const { orders = 0, revenue = 0 } = byPeriod.get(period) ?? {};
+
+      return {
+        period,
+        orders,
+        revenue: money(revenue),
+        averageTicket: orders ? money(revenue / orders) : 0,
+      };
+    }),
+  };
+};
+
+// ===================================================================
+// RANKINGS (ITENS E CATEGORIAS)
+// ===================================================================
+
+// Critério principal do ranking; o outro desempata
+const rankingOrder = (by) =>
+  by === "revenue"
+    ? Prisma.sql`"revenue" DESC, "quantity" DESC`
+    : Prisma.sql`"quantity" DESC, "revenue" DESC`;
+
+/**
+ * Itens mais vendidos por unidades (by = "quantity") ou faturamento
+ * (by = "revenue"), com a categoria e em quantos pedidos apareceram.
+ */
+export const getTopItems = async (
+  db,
+  { from, to, by = "quantity", limit = DEFAULT_RANKING_LIMIT }
+) => {
+  const rows = await db.$queryRaw`
+    SELECT i."id",
+           i."description" AS "name",
+           c."description" AS "category",
+           SUM(oi."quantity")::int AS "quantity",
+           SUM(oi."quantity" * oi."unitPrice")::float AS "revenue",
+           COUNT(DISTINCT o."id")::int AS "orders"
+    FROM "OrderItem" oi
+    JOIN "Order" o ON o."id" = oi."orderId"
+    JOIN "Item" i ON i."id" = oi."itemId"
+    JOIN "Category" c ON c."id" = i."categoryId"
+    WHERE ${salesSql(periodBounds({ from, to }))}
+    GROUP BY i."id", i."description", c."description"
+    ORDER BY ${rankingOrder(by)}
+    LIMIT ${limit}`;
+
+  return {
+    from,
+    to,
+    by,
+    data: rows.map((row) => ({ ...row, revenue: money(row.revenue) })),
+  };
+};
+
+/**
+ * Categorias mais vendidas, somando os itens de cada uma.
+ */
+export const getTopCategories = async (
+  db,
+  { from, to, by = "quantity", limit = DEFAULT_RANKING_LIMIT }
+) => {
+  const rows = await db.$queryRaw`
+    SELECT c."id",
+           c."description" AS "name",
+           SUM(oi."quantity")::int AS "quantity",
+           SUM(oi."quantity" * oi."unitPrice")::float AS "revenue",
+           COUNT(DISTINCT o."id")::int AS "orders"
+    FROM "OrderItem" oi
+    JOIN "Order" o ON o."id" = oi."orderId"
+    JOIN "Item" i ON i."id" = oi."itemId"
+    JOIN "Category" c ON c."id" = i."categoryId"
+    WHERE ${salesSql(periodBounds({ from, to }))}
+    GROUP BY c."id", c."description"
+    ORDER BY ${rankingOrder(by)}
+    LIMIT ${limit}`;
+
+  return {
+    from,
+    to,
+    by,
+    data: rows.map((row) => ({ ...row, revenue: money(row.revenue) })),
+  };
+};
+
+// ===================================================================
+// FORMAS DE PAGAMENTO
+// ===================================================================
+
+/**
+ * Pedidos e faturamento por forma de pagamento, com a participação
+ * (%) de cada uma no faturamento do período.
+ */
+export const getPaymentMethodSplit = async (db, { from, to }) => {
+  const groups = await db.order.groupBy({
+    by: ["paymentMethod"],
+    where: salesWhere(periodBounds({ from, to })),
+    _count: { _all: true },
+    _sum: { total: true },
+  });
+
+  const totalRevenue = groups.reduce((sum, g) => sum + (g._sum.total ?? 0), 0);
+
+  return {
+    from,
+    to,
+    data: groups
+      .map((g) => ({
+        paymentMethod: g.paymentMethod,
+        orders: g._count._all,
+        revenue: money(g._sum.total),
+        share: totalRevenue
+          ? Math.round(((g._sum.total ?? 0) / totalRevenue) * 1000) / 10
+          : 0,
+      }))
+      .sort((a, b) => b.revenue - a.revenue),
+  };
+};
+
+// ===================================================================
+// HORÁRIOS DE PICO
+// ===================================================================
+
+/**
+ * Pedidos e faturamento por hora do dia (0–23, no fuso da loja),
+ * somando todos os dias do período. Horas sem pedido vêm zeradas.
+ */
+export const getPeakHours = async (db, { from, to }) => {
+  const rows = await db.$queryRaw`
+    SELECT EXTRACT(HOUR FROM ${localCreatedAt})::int AS "hour",
+           COUNT(*)::int AS "orders",
+           COALESCE(SUM(o."total"), 0)::float AS "revenue"
+    FROM "Order" o
+    WHERE ${salesSql(periodBounds({ from, to }))}
+    GROUP BY 1
+    ORDER BY 1`;
+
+  const byHour = new Map(rows.map((row) => [row.hour, row]));
+
+  return {
+    from,
+    to,
+    data: Array.from({ length: 24 }, (_, hour) => {
+      const { orders = 0, revenue = 0 } = byHour.get(hour) ?? {};
+      return { hour, orders, revenue: money(revenue) };
+    }),
+  };
+};
@@ -0,0 +1,188 @@
+import { ORDER_STATUS_CHANGED, publishOrderEvent } from "../events/orderEvents.js";
+import { getOpeningWindows, toStoreTime } from "./storeHoursService.js";
+import { getStoreSettings } from "./settingsService.js";
+
+/**
+ * ======================================================================
+ *  PEDIDOS AGENDADOS (FAIXAS DE HORÁRIO)
+ * ======================================================================
+ *
+ * Usado em:
+ *  - GET /store/slots → faixas oferecidas no checkout
+ *  - POST /orders     → valida a faixa escolhida e a capacidade
+ *  - server.js        → promove agendados para a fila da cozinha
+ *
+ * Regras:
+ *  - As faixas são geradas dentro dos turnos do horário de funcionamento
+ *    (já considerando feriados e horários especiais), com a duração de
+ *    StoreSettings.slotMinutes
+ *  - Só são oferecidas faixas que começam depois da antecedência
+ *    (scheduleLeadMinutes): antes disso o pedido normal já atende
+ *  - Cada faixa aceita até slotCapacity pedidos não cancelados
+ *  - O pedido agendado fica em "scheduled" e vai para "pending"
+ *    scheduleLeadMinutes antes do início da faixa
+ */
+
+/**
+ * Erro de agendamento — o controller devolve 400 com a mensagem.
+ */
+const slotError = (message) => {
+  const error = new Error(message);
+  error.code = "SLOT_UNAVAILABLE";
+  return error;
+};
+
+/**
+ * Quantidade de pedidos (não cancelados) por início de faixa.
+ */
+const countBySlot = async (db, from, to) => {
+  const usage = await db.order.groupBy({
+    by: ["scheduledFor"],
+    where: {
+      scheduledFor: { gte: from, lte: to },
+      status: { not: "cancelled" },
+    },
+    _count: { _all: true },
+  });
+
+  return new Map(usage.map((u) => [u.scheduledFor.getTime(), u._count._all]));
+};
+
+/**
+ * Lista as faixas de horário disponíveis para agendamento.
+ *
+ * Retorna:
+ *  [{ start, end, date, time, remaining }]
+ *   - start/end: instantes (Date) da faixa
+ *   - date/time: "YYYY-MM-DD" e "HH:MM" no fuso da loja
+ *   - remaining: vagas restantes (0 = lotada)
+ */
+export const getTimeSlots = async (db, now = new Date()) => {
+  const settings = await getStoreSettings(db);
+  const windows = await getOpeningWindows(db, now, settings.scheduleDaysAhead);
+
+  const earliest = now.getTime() + settings.scheduleLeadMinutes * 60000;
+  const step = settings.slotMinutes * 60000;
+
+  const slots = [];
+
+  for (const window of windows) {
+    for (
+      let start = window.start.getTime();
+      start + step <= window.end.getTime();
+      start += step
+    ) {
+      if (start < earliest) continue;
+
+      slots.push({ start: new Date(start), end: new Date(start + step) });
+    }
+  }
+
+  if (slots.length === 0) return [];
+
+  const used = await countBySlot(db, slots[0].start, slots.at(-1).start);
+
+  return slots.map((slot) => ({
+    ...slot,
+    ...toStoreTime(slot.start),
+    remaining: Math.max(
+      0,
+      settings.slotCapacity - (used.get(slot.start.getTime()) ?? 0)
+    ),
+  }));
+};
+
+/**
+ * Confere se a faixa escolhida existe e ainda tem vaga.
+ *
+ * Deve ser chamada dentro da transação que cria o pedido: o lock
+ * consultivo do Postgres serializa pedidos concorrentes para a mesma
+ * faixa, então a contagem não fica desatualizada até o commit.
+ *
+ * Retorna o início da faixa (Date) ou lança SLOT_UNAVAILABLE.
+ */
+export const reserveTimeSlot = async (tx, scheduledFor, now = new Date()) => {
+  const slots = await getTimeSlots(tx, now);
+  const slot = slots.find((s) => s.start.getTime() === scheduledFor.getTime());
+
+  if (!slot) {
+    throw slotError("Horário de agendamento indisponível. Escolha outra faixa.");
+  }
+
+  // Chave do lock: minutos desde 1970 (cabe em int4 por muitos anos)
+  const lockKey = Math.floor(slot.start.getTime() / 60000);
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${lockKey}::int)`;
+
+  const settings = await getStoreSettings(tx);
+  const taken = await tx.order.count({
+    where: { scheduledFor: slot.start, status: { not: "cancelled" } },
+  });
+
+  if (taken >= settings.slotCapacity) {
+    throw slotError(
+      `A faixa das ${slot.time} está lotada. Escolha outro horário.`
+    );
+  }
+
+  return slot.start;
+};
+
+/**
+ * Move para "pending" os pedidos agendados cuja faixa começa dentro da
+ * antecedência configurada, registrando o evento e avisando via SSE.
+ *
+ * O updateMany condicional evita promover o mesmo pedido duas vezes
+ * (ex.: admin enviou manualmente para a cozinha no mesmo instante).
+ */
+export const promoteScheduledOrders = async (db, now = new Date()) => {
+  const settings = await getStoreSettings(db);
+  const limit = new Date(now.getTime() + settings.scheduleLeadMinutes * 60000);
+
+  const due = await db.order.findMany({
+    where: { status: "scheduled", scheduledFor: { lte: limit } },
+    select: { id: true },
+  });
+
+  const promoted = [];
+
+  for (const { id } of due) {
+    const order = await db.$transaction(async (tx) => {
+      const { count } = await tx.order.updateMany({
+        where: { id, status: "scheduled" },
+        data: { status: "pending" },
+      });
+
+      if (count === 0) return null;
+
+      // Sem autor: a promoção é automática
+      await tx.orderStatusEvent.create({
+        data: { orderId: id, status: "pending", userId: null },
+      });
+
+      return tx.order.findUnique({ where: { id } });
+    });
+
+    if (order) {
+      publishOrderEvent(ORDER_STATUS_CHANGED, order);
+      promoted.push(order);
+    }
+  }
+
+  return promoted;
+};
+
+/**
+ * Roda a promoção periodicamente (padrão: a cada minuto).
+ * Devolve a função que interrompe o agendador.
+ */
+export const startScheduledOrderPromoter = (db, intervalMs = 60000) => {
+  const run = () =>
+    promoteScheduledOrders(db).catch((error) =>
+      console.error("Erro ao promover pedidos agendados:", error.message)
+    );
+
+  run();
+  const timer = setInterval(run, intervalMs);
+
+  return () => clearInterval(timer);
+};
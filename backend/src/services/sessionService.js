@@ -0,0 +1,168 @@
+import crypto from "node:crypto";
+
+/**
+ * ======================================================================
+ *  SESSÕES E REFRESH TOKENS ROTATIVOS
+ * ======================================================================
+ *
+ * Usado em:
+ *  - POST /users/login          → abre a sessão e emite o 1º refresh token
+ *  - POST /users/refresh        → troca o refresh token por um novo
+ *  - POST /users/logout         → encerra a sessão atual
+ *  - GET/DELETE /users/me/sessions → lista e revoga sessões
+ *
+ * Regras:
+ *  - O refresh token é um valor aleatório; no banco fica só o hash
+ *  - Cada refresh token vale UMA troca (rotação). Apresentar um token já
+ *    trocado indica que ele vazou: a sessão inteira é revogada e tanto o
+ *    invasor quanto o usuário legítimo precisam logar de novo
+ *  - Validade configurável por REFRESH_TOKEN_DAYS (padrão: 30 dias),
+ *    renovada a cada troca enquanto a sessão estiver em uso
+ */
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+/**
+ * Erro de sessão — o controller devolve 401 com a mensagem.
+ */
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.code = "INVALID_REFRESH_TOKEN";
+  return error;
+};
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Gera um refresh token novo para a sessão e grava o hash.
+ * Devolve o valor em texto (enviado ao cliente uma única vez).
+ */
+const issueRefreshToken = async (db, sessionId) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+
+  await db.refreshToken.create({
+    data: {
+      sessionId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 86400000),
+    },
+  });
+
+  return token;
+};
+
+/**
+ * Abre uma sessão para o usuário (login).
+ *
+ * Retorna { session, refreshToken }.
+ */
+export const createSession = (db, userId, { userAgent, ipAddress }) =>
+  db.$transaction(async (tx) => {
+    const session = await tx.session.create({
+      data: { userId, userAgent, ipAddress },
+    });
+
+    return { session, refreshToken: await issueRefreshToken(tx, session.id) };
+  });
+
+/**
+ * Troca um refresh token válido por um novo (rotação).
+ *
+ * Retorna { session, user, refreshToken } ou lança INVALID_REFRESH_TOKEN.
+ * Em caso de reutilização, a sessão é revogada antes do erro.
+ */
+export const rotateRefreshToken = async (db, token) => {
+  const stored = await db.refreshToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { session: { include: { user: true } } },
+  });
+
+  if (!stored || stored.session.revokedAt || stored.expiresAt <= new Date()) {
+    throw sessionError("Sessão expirada. Faça login novamente.");
+  }
+
+  // Conta desativada: as sessões já são revogadas na desativação, mas a
+  // troca também é recusada caso alguma tenha escapado
+  if (stored.session.user.deactivatedAt) {
+    throw sessionError("Sua conta foi desativada.");
+  }
+
+  // Só marca como usado se ninguém usou antes (o updateMany condicional
+  // também resolve duas renovações simultâneas com o mesmo token)
+  const { count } = await db.refreshToken.updateMany({
+    where: { id: stored.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    await revokeSession(db, {
+      sessionId: stored.sessionId,
+      userId: stored.session.userId,
+      reason: "reuse",
+    });
+
+    throw sessionError(
+      "Sessão encerrada por segurança (token reutilizado). Faça login novamente."
+    );
+  }
+
+  return db.$transaction(async (tx) => {
+    const session = await tx.session.update({
+      where: { id: stored.sessionId },
+      data: { lastUsedAt: new Date() },
+    });
+
+    return {
+      session,
+      user: stored.session.user,
+      refreshToken: await issueRefreshToken(tx, session.id),
+    };
+  });
+};
+
+/**
+ * Sessões ativas do usuário: não revogadas e com refresh token válido.
+ */
+export const listActiveSessions = (db, userId) =>
+  db.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      refreshTokens: { some: { usedAt: null, expiresAt: { gt: new Date() } } },
+    },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+    },
+    orderBy: { lastUsedAt: "desc" },
+  });
+
+/**
+ * Revoga uma sessão do usuário. Retorna false se ela não existir
+ * (ou pertencer a outro usuário) ou já estiver encerrada.
+ */
+export const revokeSession = async (db, { sessionId, userId, reason }) => {
+  const { count } = await db.session.updateMany({
+    where: { id: sessionId, userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokeReason: reason },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Revoga todas as sessões ainda ativas do usuário ("sair de todos os
+ * dispositivos"). Retorna quantas foram encerradas.
+ */
+export const revokeAllSessions = async (db, { userId, reason }) => {
+  const { count } = await db.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokeReason: reason },
+  });
+
+  return count;
+};
@@ -0,0 +1,27 @@
+/**
+ * ======================================================================
+ *  CONFIGURAÇÕES DA LOJA
+ * ======================================================================
+ *
+ * Registro único (StoreSettings, id = 1) com os parâmetros ajustados
+ * pelo ADMIN em PUT /store/settings.
+ *
+ * Nunca falta: se o registro ainda não existe, é criado com os valores
+ * padrão definidos no schema do Prisma.
+ */
+
+const SETTINGS_ID = 1;
+
+export const getStoreSettings = (db) =>
+  db.storeSettings.upsert({
+    where: { id: SETTINGS_ID },
+    update: {},
+    create: { id: SETTINGS_ID },
+  });
+
+export const updateStoreSettings = (db, data) =>
+  db.storeSettings.upsert({
+    where: { id: SETTINGS_ID },
+    update: data,
+    create: { id: SETTINGS_ID, ...data },
+  });
@@ -0,0 +1,296 @@
+/**
+ * ======================================================================
+ *  HORÁRIO DE FUNCIONAMENTO DA LOJA
+ * ======================================================================
+ *
+ * Usado em:
+ *  - GET /store/status → banner "aberto/fechado" no frontend
+ *  - POST /orders      → recusa pedidos com a loja fechada
+ *  - services/scheduleService.js → faixas de horário para agendamento
+ *
+ * Regras:
+ *  - O horário semanal (OpeningHour) vale para cada dia da semana
+ *  - Uma exceção (StoreException) na data substitui o horário semanal:
+ *    fecha o dia inteiro ou define um horário especial
+ *  - Turnos com fechamento menor que a abertura viram a noite
+ *    (ex.: 18:00 → 02:00 continua aberto à 01:00 do dia seguinte)
+ *  - Sem nenhum horário semanal cadastrado, a loja é considerada sempre
+ *    aberta (exceto nas datas marcadas como fechadas)
+ *
+ * Todos os horários estão no fuso da loja (STORE_TIMEZONE).
+ */
+
+export const STORE_TIMEZONE =
+  process.env.STORE_TIMEZONE || "America/Sao_Paulo";
+
+const WEEKDAY_KEYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const WEEKDAY_NAMES = [
+  "domingo",
+  "segunda-feira",
+  "terça-feira",
+  "quarta-feira",
+  "quinta-feira",
+  "sexta-feira",
+  "sábado",
+];
+
+// "18:30" → 1110 (minutos desde a meia-noite)
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Data, dia da semana e minutos do dia no fuso da loja.
+ */
+const localNow = (now) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: STORE_TIMEZONE,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((p) => [p.type, p.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAY_KEYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+/**
+ * Soma dias a uma data "YYYY-MM-DD" (sem depender do fuso do servidor).
+ */
+const addDays = (date, days) => {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+
+  return { date: d.toISOString().slice(0, 10), weekday: d.getUTCDay() };
+};
+
+/**
+ * Converte uma data "YYYY-MM-DD" + minutos do dia (no fuso da loja)
+ * no instante correspondente. Minutos além de 1440 caem no dia seguinte.
+ */
+const zonedDate = (date, minutes) => {
+  const guess = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+
+  // Diferença entre o relógio da loja e UTC nesse instante
+  const local = localNow(new Date(guess));
+  const localAsUtc = Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60000;
+
+  return new Date(guess - (localAsUtc - guess));
+};
+
+/**
+ * Horário semanal + exceções entre duas datas, indexadas por data.
+ */
+const loadCalendar = async (db, from, to) => {
+  const [weekly, exceptionList] = await Promise.all([
+    db.openingHour.findMany(),
+    db.storeException.findMany({
+      where: { date: { gte: from, lte: to } },
+    }),
+  ]);
+
+  return {
+    weekly,
+    exceptions: new Map(exceptionList.map((e) => [e.date, e])),
+  };
+};
+
+/**
+ * Turnos de uma data: a exceção (se houver) substitui o horário semanal.
+ */
+const shiftsFor = ({ date, weekday }, weekly, exceptions) => {
+  const exception = exceptions.get(date);
+
+  if (exception) {
+    return exception.closed
+      ? []
+      : [{ opensAt: exception.opensAt, closesAt: exception.closesAt }];
+  }
+
+  // Sem horário semanal cadastrado: o dia inteiro (00:00 → 00:00)
+  if (weekly.length === 0) return [{ opensAt: "00:00", closesAt: "00:00" }];
+
+  return weekly
+    .filter((h) => h.weekday === weekday)
+    .sort((a, b) => toMinutes(a.opensAt) - toMinutes(b.opensAt));
+};
+
+const isOvernight = (shift) =>
+  toMinutes(shift.closesAt) <= toMinutes(shift.opensAt);
+
+/**
+ * Texto da próxima abertura: "abre hoje às 18:00", "abre amanhã às 11:00"…
+ */
+const describeOpening = (offset, weekday, time) => {
+  const day =
+    offset === 0 ? "hoje" : offset === 1 ? "amanhã" : WEEKDAY_NAMES[weekday];
+
+  return `abre ${day} às ${time}`;
+};
+
+/**
+ * Calcula se a loja está aberta agora.
+ *
+ * Retorna:
+ *  {
+ *    open,          // boolean
+ *    message,       // "Aberto até 23:00" | "Fechado • abre hoje às 18:00"
+ *    closesAt,      // "HH:MM" quando aberta (null se sem horário definido)
+ *    nextOpening,   // { date, weekday, time, text } quando fechada
+ *    reason,        // descrição da exceção do dia (ex.: "Feriado")
+ *    timezone
+ *  }
+ */
+export const getStoreStatus = async (db, now = new Date()) => {
+  const today = localNow(now);
+  const yesterday = addDays(today.date, -1);
+  const lastDay = addDays(today.date, 7);
+
+  const { weekly, exceptions } = await loadCalendar(
+    db,
+    yesterday.date,
+    lastDay.date
+  );
+
+  const todayException = exceptions.get(today.date);
+  const reason = todayException?.description ?? null;
+
+  // 1️⃣ Sem horário semanal: sempre aberta, salvo exceção do dia
+  if (weekly.length === 0 && !todayException) {
+    return {
+      open: true,
+      message: "Aberto",
+      closesAt: null,
+      nextOpening: null,
+      reason,
+      timezone: STORE_TIMEZONE,
+    };
+  }
+
+  // 2️⃣ Turno de ontem que virou a noite e ainda não terminou
+  const fromYesterday = shiftsFor(yesterday, weekly, exceptions).find(
+    (s) => isOvernight(s) && today.minutes < toMinutes(s.closesAt)
+  );
+
+  // 3️⃣ Turno de hoje em andamento
+  const current =
+    fromYesterday ??
+    shiftsFor(today, weekly, exceptions).find((s) => {
+      const start = toMinutes(s.opensAt);
+      const end = toMinutes(s.closesAt);
+
+      return isOvernight(s)
+        ? today.minutes >= start
+        : today.minutes >= start && today.minutes < end;
+    });
+
+  if (current) {
+    return {
+      open: true,
+      message: `Aberto até ${current.closesAt}`,
+      closesAt: current.closesAt,
+      nextOpening: null,
+      reason,
+      timezone: STORE_TIMEZONE,
+    };
+  }
+
+  // 4️⃣ Fechada: procura o próximo turno nos próximos 7 dias
+  let nextOpening = null;
+
+  for (let offset = 0; offset <= 7 && !nextOpening; offset++) {
+    const day = offset === 0 ? today : addDays(today.date, offset);
+
+    const shift = shiftsFor(day, weekly, exceptions).find(
+      (s) => offset > 0 || toMinutes(s.opensAt) > today.minutes
+    );
+
+    if (shift) {
+      nextOpening = {
+        date: day.date,
+        weekday: day.weekday,
+        time: shift.opensAt,
+        text: describeOpening(offset, day.weekday, shift.opensAt),
+      };
+    }
+  }
+
+  return {
+    open: false,
+    message: nextOpening ? `Fechado • ${nextOpening.text}` : "Fechado",
+    closesAt: null,
+    nextOpening,
+    reason,
+    timezone: STORE_TIMEZONE,
+  };
+};
+
+/**
+ * Períodos em que a loja funciona, de agora até `days` dias à frente.
+ *
+ * Retorna [{ start, end }] (Date) em ordem cronológica, já sem os
+ * períodos encerrados. Inclui o turno de ontem que vira a noite.
+ */
+export const getOpeningWindows = async (db, now, days) => {
+  const today = localNow(now);
+  const yesterday = addDays(today.date, -1);
+
+  const { weekly, exceptions } = await loadCalendar(
+    db,
+    yesterday.date,
+    addDays(today.date, days).date
+  );
+
+  const windows = [];
+
+  for (let offset = -1; offset <= days; offset++) {
+    const day = addDays(today.date, offset);
+
+    for (const shift of shiftsFor(day, weekly, exceptions)) {
+      const start = toMinutes(shift.opensAt);
+      const end = toMinutes(shift.closesAt) + (isOvernight(shift) ? 1440 : 0);
+
+      windows.push({
+        start: zonedDate(day.date, start),
+        end: zonedDate(day.date, end),
+      });
+    }
+  }
+
+  return windows
+    .filter((w) => w.end > now)
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Início e fim (exclusivo) de um dia "YYYY-MM-DD" no fuso da loja.
+ * Usado nos filtros por data das listagens de pedidos.
+ */
+export const storeDayBounds = (date) => ({
+  start: zonedDate(date, 0),
+  end: zonedDate(date, 24 * 60),
+});
+
+/**
+ * Data "YYYY-MM-DD" e horário "HH:MM" de um instante, no fuso da loja.
+ */
+export const toStoreTime = (instant) => {
+  const { date, minutes } = localNow(instant);
+  const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+  const mm = String(minutes % 60).padStart(2, "0");
+
+  return { date, time: `${hh}:${mm}` };
+};
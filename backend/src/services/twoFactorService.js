@@ -0,0 +1,400 @@
+import crypto from "node:crypto";
+import { getStoreSettings } from "./settingsService.js";
+
+/**
+ * ======================================================================
+ *  AUTENTICAÇÃO EM DOIS FATORES (TOTP) — CONTAS ADMIN
+ * ======================================================================
+ *
+ * Usado em:
+ *  - POST /users/login            → senha ok + 2FA ativo = desafio, sem token
+ *  - POST /users/login/2fa        → código do app conclui o login
+ *  - /users/me/2fa/*              → cadastro, desativação e códigos de
+ *                                   recuperação (ADMIN)
+ *
+ * TOTP (RFC 6238), compatível com Google Authenticator, Authy etc.:
+ *  - segredo de 160 bits em base32
+ *  - código de 6 dígitos, renovado a cada 30s (HMAC-SHA1)
+ *  - aceita 1 intervalo de diferença de relógio para cada lado
+ *  - cada intervalo só é aceito uma vez (totpLastStep), então um código
+ *    interceptado não serve para um segundo login
+ *
+ * Códigos de recuperação: 10 códigos de uso único, exibidos uma única
+ * vez; no banco fica só o hash.
+ *
+ * Obrigatoriedade: com StoreSettings.requireAdminTwoFactor, o ADMIN sem
+ * 2FA cadastra o app no próprio login (desafio "enroll").
+ */
+
+const ISSUER = "Uaifood";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODES = 10;
+const CHALLENGE_MINUTES = 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+/**
+ * Código ou desafio inválido — o controller devolve 400/401 com a mensagem.
+ */
+const twoFactorError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const invalidCode = () =>
+  twoFactorError("INVALID_TWO_FACTOR_CODE", "Código de verificação inválido.");
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// ===================================================================
+// TOTP
+// ===================================================================
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = "";
+  for (const char of text.replace(/=+$/, "").toUpperCase()) {
+    bits += BASE32.indexOf(char).toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Código TOTP do segredo em um intervalo de 30s (step).
+ */
+export const totpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Truncamento dinâmico (RFC 4226, seção 5.3)
+  const offset = digest[digest.length - 1] & 0xf;
+  const value = (digest.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(value).padStart(DIGITS, "0");
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Intervalo em que o código confere (tolerância de ±1) ou null.
+ */
+const matchTotpStep = (secret, code, now = Date.now()) => {
+  const step = currentStep(now);
+
+  for (const candidate of [step - 1, step, step + 1]) {
+    const expected = Buffer.from(totpCode(secret, candidate));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) return candidate;
+  }
+
+  return null;
+};
+
+/**
+ * URI lida pelos apps autenticadores (é o conteúdo do QR code).
+ */
+const otpauthUri = (secret, email) =>
+  `otpauth://totp/${encodeURIComponent(`${ISSUER}:${email}`)}?` +
+  new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+// ===================================================================
+// CONFERÊNCIA DE CÓDIGOS (TOTP OU RECUPERAÇÃO)
+// ===================================================================
+const normalizeCode = (code) => String(code).replace(/[\s-]/g, "").toLowerCase();
+
+/**
+ * Confere e CONSOME um código do usuário:
+ * - 6 dígitos → TOTP; o intervalo aceito é gravado em totpLastStep
+ * - outro formato → código de recuperação (só com o 2FA já ativo)
+ *
+ * Os updates condicionais garantem que o mesmo código não seja aceito
+ * duas vezes, nem em requisições simultâneas.
+ */
+const consumeCode = async (db, user, code) => {
+  const normalized = normalizeCode(code);
+
+  if (/^\d{6}$/.test(normalized)) {
+    if (!user.totpSecret) return false;
+
+    const step = matchTotpStep(user.totpSecret, normalized);
+    if (step === null) return false;
+
+    const { count } = await db.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }],
+      },
+      data: { totpLastStep: step },
+    });
+
+    return count > 0;
+  }
+
+  if (!user.totpEnabledAt) return false;
+
+  const { count } = await db.recoveryCode.updateMany({
+    where: { userId: user.id, codeHash: hash(normalized), usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Gera um conjunto novo de códigos de recuperação (os antigos deixam
+ * de valer). Devolve os valores em texto — exibidos uma única vez.
+ */
+const issueRecoveryCodes = async (db, userId) => {
+  const codes = Array.from({ length: RECOVERY_CODES }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.recoveryCode.deleteMany({ where: { userId } });
+  await db.recoveryCode.createMany({
+    data: codes.map((code) => ({ userId, codeHash: hash(normalizeCode(code)) })),
+  });
+
+  return codes;
+};
+
+// ===================================================================
+// GERENCIAMENTO (ADMIN LOGADO)
+// ===================================================================
+
+/**
+ * O 2FA é obrigatório para este usuário?
+ */
+export const isTwoFactorRequired = async (db, user) =>
+  user.type === "ADMIN" && (await getStoreSettings(db)).requireAdminTwoFactor;
+
+export const getTwoFactorStatus = async (db, user) => ({
+  enabled: Boolean(user.totpEnabledAt),
+  enabledAt: user.totpEnabledAt,
+  required: await isTwoFactorRequired(db, user),
+  recoveryCodesRemaining: user.totpEnabledAt
+    ? await db.recoveryCode.count({ where: { userId: user.id, usedAt: null } })
+    : 0,
+});
+
+/**
+ * 1ª etapa do cadastro: gera o segredo (ainda inativo).
+ * Retorna { secret, otpauthUri } para o app autenticador.
+ */
+export const startEnrollment = async (db, user) => {
+  if (user.totpEnabledAt) {
+    throw twoFactorError("TWO_FACTOR_STATE", "O 2FA já está ativo nesta conta.");
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  await db.user.update({
+    where: { id: user.id },
+    data: { totpSecret: secret, totpLastStep: null },
+  });
+
+  return { secret, otpauthUri: otpauthUri(secret, user.email) };
+};
+
+/**
+ * 2ª etapa do cadastro: o primeiro código do app ativa o 2FA.
+ * Retorna os códigos de recuperação.
+ */
+export const confirmEnrollment = async (db, user, code) => {
+  if (user.totpEnabledAt) {
+    throw twoFactorError("TWO_FACTOR_STATE", "O 2FA já está ativo nesta conta.");
+  }
+
+  if (!user.totpSecret) {
+    throw twoFactorError(
+      "TWO_FACTOR_STATE",
+      "Inicie o cadastro do 2FA antes de confirmar o código."
+    );
+  }
+
+  if (!(await consumeCode(db, user, code))) throw invalidCode();
+
+  await db.user.update({
+    where: { id: user.id },
+    data: { totpEnabledAt: new Date() },
+  });
+
+  return issueRecoveryCodes(db, user.id);
+};
+
+/**
+ * Desativa o 2FA (exige um código válido). Bloqueado quando o 2FA é
+ * obrigatório para administradores.
+ */
+export const disableTwoFactor = async (db, user, code) => {
+  if (!user.totpEnabledAt) {
+    throw twoFactorError("TWO_FACTOR_STATE", "O 2FA não está ativo nesta conta.");
+  }
+
+  if (await isTwoFactorRequired(db, user)) {
+    throw twoFactorError(
+      "TWO_FACTOR_STATE",
+      "O 2FA é obrigatório para administradores e não pode ser desativado."
+    );
+  }
+
+  if (!(await consumeCode(db, user, code))) throw invalidCode();
+
+  await db.$transaction([
+    db.recoveryCode.deleteMany({ where: { userId: user.id } }),
+    db.user.update({
+      where: { id: user.id },
+      data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null },
+    }),
+  ]);
+};
+
+/**
+ * Troca os códigos de recuperação (exige um código válido).
+ */
+export const regenerateRecoveryCodes = async (db, user, code) => {
+  if (!user.totpEnabledAt) {
+    throw twoFactorError("TWO_FACTOR_STATE", "O 2FA não está ativo nesta conta.");
+  }
+
+  if (!(await consumeCode(db, user, code))) throw invalidCode();
+
+  return issueRecoveryCodes(db, user.id);
+};
+
+// ===================================================================
+// DESAFIO DE LOGIN
+// ===================================================================
+
+/**
+ * Cria o desafio após a senha correta. Retorna o token (texto) que o
+ * frontend devolve junto com o código em POST /users/login/2fa.
+ */
+export const createLoginChallenge = async (db, user, purpose) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  // Desafios antigos do usuário (concluídos ou vencidos) não servem mais
+  await db.loginChallenge.deleteMany({
+    where: {
+      userId: user.id,
+      OR: [{ usedAt: { not: null } }, { expiresAt: { lte: new Date() } }],
+    },
+  });
+
+  await db.loginChallenge.create({
+    data: {
+      userId: user.id,
+      tokenHash: hash(token),
+      purpose,
+      expiresAt: new Date(Date.now() + CHALLENGE_MINUTES * 60000),
+    },
+  });
+
+  return token;
+};
+
+/**
+ * Carrega o desafio ainda válido (com o usuário), antes de conferir o
+ * código: o controller checa a conta (desativada, bloqueio por falhas).
+ * Lança TWO_FACTOR_CHALLENGE_EXPIRED → refazer o login com a senha.
+ */
+export const findLoginChallenge = async (db, token) => {
+  const challenge = await db.loginChallenge.findUnique({
+    where: { tokenHash: hash(token) },
+    include: { user: true },
+  });
+
+  if (
+    !challenge ||
+    challenge.usedAt ||
+    challenge.expiresAt <= new Date() ||
+    challenge.attempts >= MAX_CHALLENGE_ATTEMPTS
+  ) {
+    throw twoFactorError(
+      "TWO_FACTOR_CHALLENGE_EXPIRED",
+      "A verificação expirou. Faça login novamente."
+    );
+  }
+
+  return challenge;
+};
+
+/**
+ * Conclui o desafio (já carregado por findLoginChallenge) com o código
+ * do app (ou de recuperação).
+ *
+ * Retorna { user, recoveryCodes } — recoveryCodes só no cadastro
+ * ("enroll"). Lança:
+ *  - TWO_FACTOR_CHALLENGE_EXPIRED → refazer o login com a senha
+ *  - INVALID_TWO_FACTOR_CODE      → código errado (conta tentativa)
+ *
+ * As tentativas por desafio são só um teto: cada login com a senha abre
+ * um desafio novo, então o limite real de códigos errados é o contador
+ * de falhas da conta (services/loginThrottleService.js), que só zera
+ * quando o 2FA é concluído.
+ */
+export const completeLoginChallenge = async (db, challenge, code) => {
+  if (!(await consumeCode(db, challenge.user, code))) {
+    await db.loginChallenge.update({
+      where: { id: challenge.id },
+      data: { attempts: { increment: 1 } },
+    });
+
+    throw invalidCode();
+  }
+
+  const { count } = await db.loginChallenge.updateMany({
+    where: { id: challenge.id, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+
+  if (count === 0) {
+    throw twoFactorError(
+      "TWO_FACTOR_CHALLENGE_EXPIRED",
+      "A verificação expirou. Faça login novamente."
+    );
+  }
+
+  if (challenge.purpose !== "enroll") {
+    return { user: challenge.user, recoveryCodes: null };
+  }
+
+  await db.user.update({
+    where: { id: challenge.user.id },
+    data: { totpEnabledAt: new Date() },
+  });
+
+  return {
+    user: challenge.user,
+    recoveryCodes: await issueRecoveryCodes(db, challenge.user.id),
+  };
+};
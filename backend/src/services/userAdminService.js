@@ -0,0 +1,158 @@
+import { revokeAllSessions } from "./sessionService.js";
+import { closeUserStreams } from "../events/orderEvents.js";
+
+/**
+ * ======================================================================
+ *  GESTÃO DE USUÁRIOS PELO ADMIN
+ * ======================================================================
+ *
+ * Usado em:
+ *  - GET   /users             → busca e paginação
+ *  - PATCH /users/:id/role    → alterar o tipo (CLIENT, ADMIN, KITCHEN, COURIER)
+ *  - PATCH /users/:id/status  → desativar/reativar a conta
+ *
+ * Regras:
+ *  - O admin não altera o próprio papel nem desativa a própria conta:
+ *    assim sempre sobra ao menos um ADMIN ativo (quem fez a alteração)
+ *  - O papel é lido do banco a cada requisição (verifyToken), então a
+ *    mudança de papel vale na hora, sem novo login
+ *  - Conta desativada: login, tokens já emitidos e refresh tokens são
+ *    recusados; as sessões abertas são encerradas
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Erro de regra de negócio — o controller devolve 404/400 com a mensagem.
+ */
+const userError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// ===================================================================
+// BUSCA E PAGINAÇÃO
+// ===================================================================
+
+/**
+ * Lista usuários com filtros opcionais:
+ *  - search → parte do nome, e-mail ou telefone (sem diferenciar maiúsculas)
+ *  - type   → CLIENT, ADMIN, KITCHEN ou COURIER
+ *  - status → "active" ou "deactivated"
+ *
+ * Retorna { data, page, pageSize, total, totalPages }.
+ */
+export const listUsers = async (
+  db,
+  { search, type, status, page = 1, pageSize = DEFAULT_PAGE_SIZE }
+) => {
+  const where = {
+    ...(search && {
+      OR: [
+        { name: { contains: search, mode: "insensitive" } },
+        { email: { contains: search, mode: "insensitive" } },
+        { phone: { contains: search } },
+      ],
+    }),
+    ...(type && { type }),
+    ...(status === "active" && { deactivatedAt: null }),
+    ...(status === "deactivated" && { deactivatedAt: { not: null } }),
+  };
+
+  const [total, data] = await Promise.all([
+    db.user.count({ where }),
+    db.user.findMany({
+      where,
+      include: { address: true, _count: { select: { clientOrders: true } } },
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+  ]);
+
+  return {
+    data,
+    page,
+    pageSize,
+    total,
+    totalPages: Math.ceil(total / pageSize),
+  };
+};
+
+// ===================================================================
+// ALTERAÇÕES (PAPEL E SITUAÇÃO)
+// ===================================================================
+
+/**
+ * Carrega o usuário alvo, recusando alterações na própria conta.
+ */
+const findTarget = async (db, actorId, userId, selfMessage) => {
+  if (actorId === userId) {
+    throw userError("USER_STATE", selfMessage);
+  }
+
+  const user = await db.user.findUnique({ where: { id: userId } });
+
+  if (!user) {
+    throw userError("USER_NOT_FOUND", "Usuário não encontrado.");
+  }
+
+  return user;
+};
+
+/**
+ * Altera o tipo (papel) de um usuário.
+ */
+export const changeUserRole = async (db, { actorId, userId, type }) => {
+  await findTarget(
+    db,
+    actorId,
+    userId,
+    "Você não pode alterar o seu próprio tipo de usuário."
+  );
+
+  return db.user.update({
+    where: { id: userId },
+    data: { type },
+    include: { address: true },
+  });
+};
+
+/**
+ * Desativa (active = false) ou reativa (active = true) uma conta.
+ *
+ * Na desativação, as sessões abertas são encerradas, os desafios de
+ * 2FA pendentes apagados e as conexões de tempo real (SSE) fechadas; os
+ * tokens de acesso já emitidos passam a ser recusados pelo verifyToken.
+ */
+export const setUserActive = async (db, { actorId, userId, active }) => {
+  const user = await findTarget(
+    db,
+    actorId,
+    userId,
+    "Você não pode desativar a sua própria conta."
+  );
+
+  if (active) {
+    return db.user.update({
+      where: { id: userId },
+      data: { deactivatedAt: null },
+      include: { address: true },
+    });
+  }
+
+  const updated = await db.user.update({
+    where: { id: userId },
+    // Desativar de novo mantém a data original
+    data: { deactivatedAt: user.deactivatedAt ?? new Date() },
+    include: { address: true },
+  });
+
+  await revokeAllSessions(db, { userId, reason: "deactivated" });
+  await db.loginChallenge.deleteMany({ where: { userId } });
+
+  closeUserStreams(userId);
+
+  return updated;
+};
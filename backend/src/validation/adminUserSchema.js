@@ -0,0 +1,48 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+import { optionalParam, paginationParams } from "./queryParams.js";
+
+// ======================================================================
+// SCHEMAS DA GESTÃO DE USUÁRIOS (ADMIN)
+// ----------------------------------------------------------------------
+// Rotas que usam estes schemas:
+//   GET   /users             → listUsersQuerySchema (query string)
+//   PATCH /users/:id/role    → userRoleSchema
+//   PATCH /users/:id/status  → userStatusSchema
+// ======================================================================
+
+const USER_TYPES = ["CLIENT", "ADMIN", "KITCHEN", "COURIER"];
+const USER_STATUSES = ["active", "deactivated"];
+
+export const listUsersQuerySchema = z.object({
+  /**
+   * search
+   * --------------------------------------------------------------
+   * Parte do nome, e-mail ou telefone.
+   */
+  search: optionalParam(z.string().trim().max(100)),
+
+  type: optionalParam(
+    z.enum(USER_TYPES, {
+      message: messages.invalidEnum("Tipo de usuário", USER_TYPES),
+    })
+  ),
+
+  status: optionalParam(
+    z.enum(USER_STATUSES, {
+      message: messages.invalidEnum("Situação", USER_STATUSES),
+    })
+  ),
+
+  ...paginationParams,
+});
+
+export const userRoleSchema = z.object({
+  type: z.enum(USER_TYPES, {
+    message: messages.invalidEnum("Tipo de usuário", USER_TYPES),
+  }),
+});
+
+export const userStatusSchema = z.object({
+  active: z.boolean({ message: messages.invalidBoolean("O campo active") }),
+});
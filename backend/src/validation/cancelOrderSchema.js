@@ -0,0 +1,35 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+
+// ======================================================================
+// SCHEMAS DE CANCELAMENTO DE PEDIDO
+// ----------------------------------------------------------------------
+// Dois cenários diferentes:
+//   - ADMIN cancela qualquer pedido ainda não finalizado
+//     → o motivo é OBRIGATÓRIO (auditoria e atendimento ao cliente)
+//   - CLIENT cancela o próprio pedido enquanto ainda está "pending"
+//     → o motivo é opcional (desistência simples)
+//
+// Rotas que usam estes schemas:
+//   PATCH /orders/cancel/:id     → cancelOrderSchema (ADMIN)
+//   PATCH /orders/my/:id/cancel  → cancelMyOrderSchema (CLIENT)
+// ======================================================================
+
+/**
+ * reason
+ * --------------------------------------------------------------
+ * Texto livre explicando o cancelamento.
+ * Mínimo de 3 caracteres para evitar motivos vazios como "x".
+ */
+const reason = z
+  .string()
+  .trim()
+  .min(3, messages.minLength("Motivo do cancelamento", 3));
+
+export const cancelOrderSchema = z.object({
+  reason,
+});
+
+export const cancelMyOrderSchema = z.object({
+  reason: reason.optional(),
+});
@@ -0,0 +1,85 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+
+// ======================================================================
+// SCHEMA DE VALIDAÇÃO DO CUPOM
+// ----------------------------------------------------------------------
+// Rotas que usam este schema:
+//   POST /coupons      → criação de cupom (ADMIN)
+//   PUT  /coupons/:id  → edição de cupom (ADMIN)
+//
+// Este schema garante que:
+//   - o código seja legível e único depois de normalizado (maiúsculas)
+//   - o valor seja coerente com o tipo (percentual entre 0 e 100)
+//   - a janela de validade não esteja invertida
+//   - a restrição seja por categoria OU por item
+//
+// Campos opcionais aceitam null para "remover" a regra na edição.
+// ======================================================================
+
+export const couponSchema = z
+  .object({
+    /**
+     * Código digitado pelo cliente no checkout.
+     * Salvo sempre em maiúsculas ("bemvindo10" → "BEMVINDO10").
+     */
+    code: z
+      .string()
+      .trim()
+      .min(3, messages.minLength("Código", 3))
+      .transform((code) => code.toUpperCase()),
+
+    description: z.string().trim().optional().nullable(),
+
+    /**
+     * PERCENTAGE → value é o percentual (10 = 10%)
+     * FIXED      → value é o desconto em reais
+     */
+    type: z.enum(["PERCENTAGE", "FIXED"], {
+      errorMap: () => ({
+        message: messages.invalidEnum("Tipo de desconto", ["PERCENTAGE", "FIXED"]),
+      }),
+    }),
+
+    value: z.number().positive(messages.invalidPrice),
+
+    /**
+     * Subtotal mínimo do pedido para o cupom valer.
+     */
+    minOrderValue: z.number().positive(messages.invalidPrice).optional().nullable(),
+
+    /**
+     * Janela de validade (ISO 8601). Sem datas = válido sempre.
+     */
+    startsAt: z.coerce.date().optional().nullable(),
+    endsAt: z.coerce.date().optional().nullable(),
+
+    /**
+     * Limites de uso: total (todos os clientes) e por cliente.
+     */
+    usageLimit: z.number().int().positive(messages.positiveQuantity).optional().nullable(),
+    usageLimitPerClient: z
+      .number()
+      .int()
+      .positive(messages.positiveQuantity)
+      .optional()
+      .nullable(),
+
+    /**
+     * Restrição opcional: desconto só sobre itens de uma categoria
+     * ou sobre um item específico.
+     */
+    categoryId: z.number().int(messages.invalidId("ID da categoria")).optional().nullable(),
+    itemId: z.number().int(messages.invalidId("ID do item")).optional().nullable(),
+
+    active: z.boolean().optional(),
+  })
+  .refine((c) => c.type !== "PERCENTAGE" || c.value <= 100, {
+    message: messages.invalidPercentage,
+  })
+  .refine((c) => !c.startsAt || !c.endsAt || c.startsAt < c.endsAt, {
+    message: messages.invalidDateRange,
+  })
+  .refine((c) => !(c.categoryId && c.itemId), {
+    message: messages.invalidCouponTarget,
+  });
@@ -0,0 +1,70 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+
+// ======================================================================
+// SCHEMA DE VALIDAÇÃO DA ZONA DE ENTREGA
+// ----------------------------------------------------------------------
+// Rotas que usam este schema:
+//   POST /delivery-zones      → criação de zona (ADMIN)
+//   PUT  /delivery-zones/:id  → edição de zona (ADMIN)
+//
+// A faixa pode ser enviada de duas formas:
+//   - cepStart + cepEnd  → faixa explícita ("38000000" a "38099999")
+//   - cepPrefix          → atalho: "380" vira 38000000 a 38099999
+//
+// Em ambos os casos o banco guarda apenas cepStart/cepEnd com 8 dígitos.
+// ======================================================================
+
+// CEP completo, aceitando traço ("38010-200" → "38010200")
+const cep = z
+  .string()
+  .transform((value) => value.replace(/\D/g, ""))
+  .pipe(z.string().regex(/^\d{8}$/, messages.invalidCEP));
+
+export const deliveryZoneSchema = z
+  .object({
+    /**
+     * Nome exibido ao cliente e ao admin (ex.: "Centro", "Bairros Norte").
+     */
+    name: z.string().trim().min(2, messages.minLength("Nome da zona", 2)),
+
+    cepStart: cep.optional(),
+    cepEnd: cep.optional(),
+
+    /**
+     * Prefixo de 1 a 8 dígitos (alternativa a cepStart/cepEnd).
+     */
+    cepPrefix: z
+      .string()
+      .regex(/^\d{1,8}$/, messages.invalidCEP)
+      .optional(),
+
+    /**
+     * Taxa de entrega — pode ser zero (entrega grátis).
+     */
+    fee: z.number().min(0, messages.invalidPrice),
+
+    minOrderValue: z.number().positive(messages.invalidPrice).optional().nullable(),
+
+    /**
+     * Prazo estimado em minutos, exibido no checkout e no pedido.
+     */
+    estimatedMinutes: z.number().int().positive(messages.positiveQuantity),
+
+    active: z.boolean().optional(),
+  })
+  .refine((zone) => zone.cepPrefix || (zone.cepStart && zone.cepEnd), {
+    message: messages.required("Faixa de CEP (cepStart/cepEnd ou cepPrefix)"),
+  })
+  .transform(({ cepPrefix, ...zone }) =>
+    cepPrefix
+      ? {
+          ...zone,
+          cepStart: cepPrefix.padEnd(8, "0"),
+          cepEnd: cepPrefix.padEnd(8, "9"),
+        }
+      : zone
+  )
+  .refine((zone) => zone.cepStart <= zone.cepEnd, {
+    message: messages.invalidCepRange,
+  });
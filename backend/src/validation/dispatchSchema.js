@@ -0,0 +1,34 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+
+// ======================================================================
+// SCHEMAS DO DESPACHO DE ENTREGAS
+// ----------------------------------------------------------------------
+// Rotas que usam estes schemas:
+//   POST /orders/dispatch                → dispatchOrdersSchema (ADMIN)
+//   POST /orders/deliveries/:id/confirm  → confirmDeliverySchema (COURIER)
+// ======================================================================
+
+export const dispatchOrdersSchema = z.object({
+  courierId: z.number().int(messages.invalidId("ID do entregador")),
+
+  /**
+   * orderIds
+   * --------------------------------------------------------------
+   * Um ou mais pedidos atribuídos de uma vez (ex.: entregas do mesmo
+   * bairro saindo juntas).
+   */
+  orderIds: z
+    .array(z.number().int(messages.invalidId("ID do pedido")))
+    .min(1, messages.mustContainOrders)
+    .max(20, messages.mustContainOrders),
+});
+
+export const confirmDeliverySchema = z.object({
+  /**
+   * code
+   * --------------------------------------------------------------
+   * Código de 4 dígitos que o cliente informa ao entregador.
+   */
+  code: z.string().trim().regex(/^\d{4}$/, messages.invalidDeliveryCode),
+});
@@ -0,0 +1,20 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+
+// ======================================================================
+// SCHEMA DE VERIFICAÇÃO DE E-MAIL
+// ----------------------------------------------------------------------
+// O link enviado no cadastro abre a tela do frontend, que envia o token.
+//
+// Rota que usa este schema:
+//   POST /users/verify → verifyEmailSchema
+// ======================================================================
+
+export const verifyEmailSchema = z.object({
+  /**
+   * token
+   * --------------------------------------------------------------
+   * Valor recebido no link do e-mail (validado no service).
+   */
+  token: z.string().min(1, messages.required("Token")),
+});
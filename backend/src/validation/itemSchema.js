@@ -16,6 +16,67 @@ import { messages } from "./messages.js";
  * Como os itens são exibidos diretamente para o cliente, validar bem
  * evita inconsistências no front e erros de cálculo nos pedidos.
  */
+/**
+ * GRUPO DE MODIFICADORES
+ *
+ * Define as opções configuráveis de um item (tamanhos, adicionais,
+ * remoções). Cada grupo precisa de pelo menos uma opção e os limites
+ * de seleção devem ser coerentes com a quantidade de opções.
+ *
+ * Exemplo:
+ *  {
+ *    name: "Adicionais",
+ *    required: false,
+ *    minSelections: 0,
+ *    maxSelections: 2,
+ *    options: [
+ *      { name: "Bacon extra", priceDelta: 4 },
+ *      { name: "Ovo", priceDelta: 2.5 }
+ *    ]
+ *  }
+ */
+const modifierGroupSchema = z
+  .object({
+    name: z.string().min(2, messages.minLength("Nome do grupo", 2)),
+
+    /**
+     * required = true obriga o cliente a escolher ao menos 1 opção.
+     */
+    required: z.boolean().default(false),
+
+    minSelections: z
+      .number()
+      .int(messages.invalidId("Mínimo de seleções"))
+      .min(0)
+      .default(0),
+
+    maxSelections: z
+      .number()
+      .int(messages.invalidId("Máximo de seleções"))
+      .min(1)
+      .default(1),
+
+    /**
+     * priceDelta pode ser zero ("Sem cebola") ou negativo (desconto),
+     * mas nunca pode deixar o item com preço final negativo — isso é
+     * garantido no cálculo do pedido.
+     */
+    options: z
+      .array(
+        z.object({
+          name: z.string().min(1, messages.required("Nome da opção")),
+          priceDelta: z.number().default(0),
+        })
+      )
+      .nonempty(messages.mustContainOptions),
+  })
+  .refine((g) => g.minSelections <= g.maxSelections, {
+    message: messages.invalidSelectionRange,
+  })
+  .refine((g) => g.maxSelections <= g.options.length, {
+    message: messages.invalidSelectionRange,
+  });
+
 export const itemSchema = z.object({
   /**
    * Descrição do item.
@@ -80,4 +141,45 @@ export const itemSchema = z.object({
    *  é o Prisma (via constraint de chave estrangeira).
    */
   categoryId: z.number().int(messages.invalidId("ID da categoria")),
+
+  /**
+   * Grupos de modificadores do item (opcional).
+   *
+   * Regras:
+   *  - Ausente → mantém os grupos atuais (no PUT) ou cria sem grupos (no POST)
+   *  - Enviado → substitui TODOS os grupos do item pela lista recebida
+   *
+   * Pedidos antigos não são afetados, pois guardam snapshot das opções.
+   */
+  modifierGroups: z.array(modifierGroupSchema).optional(),
+
+  /**
+   * Quantidade em estoque (opcional).
+   *
+   * Regras:
+   *  - null     → estoque não controlado (item nunca "acaba")
+   *  - inteiro ≥ 0 → decrementado a cada pedido
+   *  - ausente  → mantém o valor atual (no PUT)
+   */
+  stockQuantity: z
+    .number()
+    .int(messages.invalidStock)
+    .min(0, messages.invalidStock)
+    .nullable()
+    .optional(),
+
+  /**
+   * Disponibilidade manual (pausar/reativar o item no cardápio).
+   */
+  available: z.boolean().optional(),
+});
+
+/**
+ * SCHEMA DE DISPONIBILIDADE
+ *
+ * Usado em PATCH /items/:id/availability para o admin pausar ou
+ * reativar um item rapidamente, sem reenviar o item completo.
+ */
+export const itemAvailabilitySchema = z.object({
+  available: z.boolean({ message: messages.required("O campo available") }),
 });
@@ -27,6 +27,11 @@ export const messages = {
    */
   minLength: (field, n) => `${field} deve ter pelo menos ${n} caracteres.`,
 
+  /**
+   * Campos com comprimento máximo (ex.: observações livres).
+   */
+  maxLength: (field, n) => `${field} deve ter no máximo ${n} caracteres.`,
+
   /**
    * E-mail inválido.
    * Usado em userSchema e updateUserSchema.
@@ -82,6 +87,114 @@ export const messages = {
    */
   mustContainItems: "O pedido deve conter pelo menos um item.",
 
+  /**
+   * Grupos de modificadores sem opções.
+   * Um grupo como "Tamanho" sem nenhuma opção não faz sentido.
+   */
+  mustContainOptions: "O grupo deve conter pelo menos uma opção.",
+
+  /**
+   * Limites de seleção incoerentes no grupo de modificadores.
+   * Ex.: mínimo 3 e máximo 1, ou máximo maior que o número de opções.
+   */
+  invalidSelectionRange:
+    "Limites de seleção inválidos: o mínimo deve ser ≤ máximo e o máximo ≤ número de opções.",
+
+  /**
+   * Estoque inválido.
+   * Evita quantidades negativas ou decimais no controle de estoque.
+   */
+  invalidStock: "O estoque deve ser um número inteiro maior ou igual a zero.",
+
+  /**
+   * Percentual de desconto fora da faixa.
+   * Um cupom de 0% não faz sentido e acima de 100% geraria total negativo.
+   */
+  invalidPercentage: "O percentual de desconto deve estar entre 0 e 100.",
+
+  /**
+   * Janela de validade invertida (fim antes do início).
+   */
+  invalidDateRange: "A data final deve ser posterior à data inicial.",
+
+  /**
+   * Período de relatório longo demais (consultas agregadas pesadas).
+   */
+  invalidReportRange: (days) => `O período do relatório deve ter no máximo ${days} dias.`,
+
+  /**
+   * Faixa de valores invertida (máximo menor que o mínimo).
+   */
+  invalidAmountRange: "O valor máximo deve ser maior ou igual ao valor mínimo.",
+
+  /**
+   * Valores em dinheiro que não podem ser negativos (ex.: filtros de total).
+   */
+  invalidAmount: (field) => `${field} deve ser um número maior ou igual a zero.`,
+
+  /**
+   * Cupom restrito a categoria E item ao mesmo tempo.
+   * Escolher os dois tornaria a regra ambígua.
+   */
+  invalidCouponTarget: "Restrinja o cupom a uma categoria OU a um item, não aos dois.",
+
+  /**
+   * Faixa de CEP invertida (final menor que o inicial).
+   */
+  invalidCepRange: "O CEP final deve ser maior ou igual ao CEP inicial.",
+
+  /**
+   * Horário fora do formato HH:MM (24h).
+   */
+  invalidTime: (field) => `${field} deve estar no formato HH:MM (ex.: 18:30).`,
+
+  /**
+   * Dia da semana fora da faixa 0–6.
+   */
+  invalidWeekday: "O dia da semana deve ser de 0 (domingo) a 6 (sábado).",
+
+  /**
+   * Turno com abertura igual ao fechamento (duração zero).
+   */
+  invalidShift: "Abertura e fechamento não podem ser iguais.",
+
+  /**
+   * Data fora do formato YYYY-MM-DD ou inexistente (ex.: 2026-02-31).
+   */
+  invalidDate: (field) => `${field} deve ser uma data válida no formato AAAA-MM-DD.`,
+
+  /**
+   * Data/hora fora do formato ISO 8601.
+   */
+  invalidDateTime: (field) =>
+    `${field} deve ser uma data/hora ISO válida (ex.: 2026-10-18T21:00:00Z).`,
+
+  /**
+   * Número inteiro fora da faixa permitida.
+   */
+  invalidRange: (field, min, max) =>
+    `${field} deve ser um número inteiro entre ${min} e ${max}.`,
+
+  /**
+   * Campo que aceita apenas true/false.
+   */
+  invalidBoolean: (field) => `${field} deve ser verdadeiro ou falso.`,
+
+  /**
+   * Código 2FA em formato impossível (nem TOTP, nem recuperação).
+   */
+  invalidTwoFactorCode: "Código de verificação inválido.",
+
+  /**
+   * Despacho sem pedidos (ou com pedidos demais de uma vez).
+   */
+  mustContainOrders: "Informe de 1 a 20 pedidos.",
+
+  /**
+   * Código de entrega fora do formato (4 dígitos).
+   */
+  invalidDeliveryCode: "O código de entrega deve ter 4 dígitos.",
+
   /**
    * CEP inválido (sem hífen).
    * Ex.: 38000000 é válido → formato brasileiro sem máscara.
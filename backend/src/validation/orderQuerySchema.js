@@ -0,0 +1,122 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+import { dateString, optionalParam, paginationParams } from "./queryParams.js";
+
+// ======================================================================
+// SCHEMA DOS FILTROS DAS LISTAGENS DE PEDIDOS (QUERY STRING)
+// ----------------------------------------------------------------------
+// Rotas que usam este schema:
+//   GET /orders                → loja (ADMIN/KITCHEN/COURIER)
+//   GET /orders/my             → cliente logado
+//   GET /orders/client/:id     → ADMIN, pedidos de um cliente
+//
+// Exemplo:
+//   /orders?status=pending,preparing&from=2026-10-01&to=2026-10-18
+//          &paymentMethod=PIX&minTotal=50&sortBy=total&sortOrder=asc
+//          &page=2&pageSize=20
+// ======================================================================
+
+const ORDER_STATUSES = [
+  "scheduled",
+  "pending",
+  "preparing",
+  "ready_for_delivery",
+  "delivering",
+  "ready_for_pickup",
+  "picked_up",
+  "delivered",
+  "cancelled",
+];
+
+const PAYMENT_METHODS = ["CASH", "DEBIT", "CREDIT", "PIX"];
+const SORT_FIELDS = ["createdAt", "total"];
+const SORT_ORDERS = ["asc", "desc"];
+
+const dateParam = (field) => optionalParam(dateString(field));
+
+const amountParam = (field) =>
+  optionalParam(
+    z.coerce
+      .number({ message: messages.invalidAmount(field) })
+      .min(0, messages.invalidAmount(field))
+  );
+
+export const listOrdersQuerySchema = z
+  .object({
+    /**
+     * status
+     * --------------------------------------------------------------
+     * Um ou mais status separados por vírgula (ex.: pending,preparing).
+     */
+    status: optionalParam(
+      z.preprocess(
+        (value) => (typeof value === "string" ? value.split(",") : value),
+        z
+          .array(
+            z.enum(ORDER_STATUSES, {
+              message: messages.invalidEnum("Status", ORDER_STATUSES),
+            })
+          )
+          .min(1)
+      )
+    ),
+
+    /**
+     * from / to
+     * --------------------------------------------------------------
+     * Dias "AAAA-MM-DD" no fuso da loja, ambos inclusivos. Agendados
+     * contam pelo dia da entrega/retirada; os demais, pelo dia da compra.
+     */
+    from: dateParam("Data inicial"),
+    to: dateParam("Data final"),
+
+    paymentMethod: optionalParam(
+      z.enum(PAYMENT_METHODS, {
+        message: messages.invalidEnum("Método de pagamento", PAYMENT_METHODS),
+      })
+    ),
+
+    /**
+     * clientId / client
+     * --------------------------------------------------------------
+     * Cliente pelo ID ou por parte do nome/e-mail. Ignorados nas rotas
+     * que já fixam o cliente (/orders/my e /orders/client/:id).
+     */
+    clientId: optionalParam(
+      z.coerce
+        .number()
+        .int(messages.invalidId("Cliente"))
+        .positive(messages.invalidId("Cliente"))
+    ),
+    client: optionalParam(z.string().trim().max(100)),
+
+    minTotal: amountParam("Valor mínimo"),
+    maxTotal: amountParam("Valor máximo"),
+
+    sortBy: optionalParam(
+      z.enum(SORT_FIELDS, {
+        message: messages.invalidEnum("Ordenação", SORT_FIELDS),
+      })
+    ),
+    sortOrder: optionalParam(
+      z.enum(SORT_ORDERS, {
+        message: messages.invalidEnum("Sentido da ordenação", SORT_ORDERS),
+      })
+    ),
+
+    ...paginationParams,
+  })
+  .refine((q) => !q.from || !q.to || q.from <= q.to, {
+    message: messages.invalidDateRange,
+    path: ["to"],
+  })
+  .refine(
+    (q) =>
+      q.minTotal === undefined ||
+      q.maxTotal === undefined ||
+      q.minTotal <= q.maxTotal,
+    {
+      message: messages.invalidAmountRange,
+      path: ["maxTotal"],
+    }
+  );
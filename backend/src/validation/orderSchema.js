@@ -8,6 +8,10 @@ import { messages } from "./messages.js";
 //   - forma de pagamento seja válida
 //   - o pedido sempre tenha itens
 //   - cada item tenha ID e quantidade válidos
+//   - opções de modificadores sejam enviadas como lista de IDs
+//   - o código de cupom, se enviado, não seja vazio
+//   - o tipo de atendimento seja entrega ou retirada
+//   - o horário de agendamento, se enviado, seja uma data ISO válida
 //
 // Ele protege o sistema de inconsistências que poderiam:
 ///  - quebrar cálculos de total
@@ -16,6 +20,96 @@ import { messages } from "./messages.js";
 //   - impactar relatórios e painel do ADMIN
 // ======================================================================
 
+/**
+ * items
+ * --------------------------------------------------------------
+ * Um pedido SEMPRE precisa ter itens.
+ * Cada item contém:
+ *  - itemId (número inteiro)
+ *  - quantity (quantidade positiva)
+ *  - notes (observação opcional para a cozinha)
+ *
+ * A validação evita:
+ *  - pedidos vazios
+ *  - produtos sem ID válido
+ *  - quantidades inválidas (0, negativo, string etc.)
+ */
+const items = z
+  .array(
+    z.object({
+      /**
+       * ID do item — precisa ser um número inteiro.
+       */
+      itemId: z.number().int(messages.invalidId("ID do item")),
+
+      /**
+       * Quantidade — precisa ser maior que zero.
+       */
+      quantity: z.number().positive(messages.positiveQuantity),
+
+      /**
+       * IDs das opções de modificadores escolhidas (ex.: "Bacon extra").
+       * Opcional; as regras de cada grupo (obrigatório, mín./máx.)
+       * são validadas no controller, que conhece o cardápio.
+       */
+      options: z
+        .array(z.number().int(messages.invalidId("ID da opção")))
+        .default([]),
+
+      /**
+       * Observação para a cozinha (ex.: "sem cebola", "bem passado").
+       * Exibida no ticket da tela da cozinha.
+       */
+      notes: z
+        .string()
+        .trim()
+        .max(140, messages.maxLength("Observação", 140))
+        .optional(),
+    })
+  )
+  .nonempty(messages.mustContainItems); // impede pedidos vazios
+
+/**
+ * couponCode
+ * --------------------------------------------------------------
+ * Código de cupom opcional (ex.: "BEMVINDO10").
+ * As regras (validade, limites, itens elegíveis) são conferidas
+ * no backend no momento do pedido.
+ */
+const couponCode = z
+  .string()
+  .trim()
+  .min(1, messages.required("Código do cupom"))
+  .optional();
+
+/**
+ * fulfillmentType
+ * --------------------------------------------------------------
+ * DELIVERY (padrão) → entrega no endereço cadastrado, com taxa da zona
+ * PICKUP            → retirada no balcão, sem endereço e sem taxa
+ */
+const fulfillmentType = z
+  .enum(["DELIVERY", "PICKUP"], {
+    errorMap: () => ({
+      message: messages.invalidEnum("Tipo de atendimento", ["DELIVERY", "PICKUP"]),
+    }),
+  })
+  .default("DELIVERY");
+
+/**
+ * scheduledFor
+ * --------------------------------------------------------------
+ * Início da faixa de horário escolhida (ISO 8601, como devolvido por
+ * GET /store/slots). Ausente/null = pedido para agora.
+ * A existência da faixa e a capacidade são conferidas no backend.
+ */
+const scheduledFor = z
+  .string()
+  .datetime({ offset: true, message: messages.invalidDateTime("Horário de agendamento") })
+  .transform((value) => new Date(value))
+  .optional()
+  .nullable();
+
 export const orderSchema = z.object({
   /**
    * paymentMethod
@@ -37,32 +131,23 @@ export const orderSchema = z.object({
     }),
   }),
 
-  /**
-   * items
-   * --------------------------------------------------------------
-   * Um pedido SEMPRE precisa ter itens.
-   * Cada item contém:
-   *  - itemId (número inteiro)
-   *  - quantity (quantidade positiva)
-   *
-   * A validação evita:
-   *  - pedidos vazios
-   *  - produtos sem ID válido
-   *  - quantidades inválidas (0, negativo, string etc.)
-   */
-  items: z
-    .array(
-      z.object({
-        /**
-         * ID do item — precisa ser um número inteiro.
-         */
-        itemId: z.number().int(messages.invalidId("ID do item")),
+  items,
+
+  couponCode,
+
+  fulfillmentType,
 
-        /**
-         * Quantidade — precisa ser maior que zero.
-         */
-        quantity: z.number().positive(messages.positiveQuantity),
-      })
-    )
-    .nonempty(messages.mustContainItems), // impede pedidos vazios
+  scheduledFor,
+});
+
+// ======================================================================
+// PRÉVIA DO PEDIDO (checkout)
+// ----------------------------------------------------------------------
+// Mesmos itens, cupom e atendimento do pedido, sem forma de pagamento.
+// Usado em POST /orders/preview para exibir subtotal, desconto e total.
+// ======================================================================
+export const orderPreviewSchema = z.object({
+  items,
+  couponCode,
+  fulfillmentType,
 });
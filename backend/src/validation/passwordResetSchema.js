@@ -0,0 +1,39 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+
+// ======================================================================
+// SCHEMAS DE REDEFINIÇÃO DE SENHA
+// ----------------------------------------------------------------------
+// Fluxo "Esqueci minha senha" em duas etapas:
+//   1. O usuário informa o e-mail e recebe um link com um token
+//   2. O link abre a tela de nova senha, que envia o token + a senha
+//
+// Rotas que usam estes schemas:
+//   POST /users/password/forgot → forgotPasswordSchema
+//   POST /users/password/reset  → resetPasswordSchema
+// ======================================================================
+
+export const forgotPasswordSchema = z.object({
+  /**
+   * email
+   * --------------------------------------------------------------
+   * Mesma validação do cadastro (userSchema).
+   */
+  email: z.string().email(messages.invalidEmail),
+});
+
+export const resetPasswordSchema = z.object({
+  /**
+   * token
+   * --------------------------------------------------------------
+   * Valor recebido no link do e-mail (validado no service).
+   */
+  token: z.string().min(1, messages.required("Token")),
+
+  /**
+   * password
+   * --------------------------------------------------------------
+   * Mesma regra de senha do cadastro (userSchema).
+   */
+  password: z.string().min(6, messages.invalidPassword),
+});
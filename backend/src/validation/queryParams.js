@@ -0,0 +1,55 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+
+// ======================================================================
+// PARÂMETROS DE QUERY STRING REUTILIZÁVEIS
+// ----------------------------------------------------------------------
+// A query string chega sempre como texto: números passam por coerce e
+// parâmetros vazios (ex.: ?type=) contam como ausentes.
+//
+// Usado por:
+//   - adminUserSchema  → GET /users
+//   - orderQuerySchema → GET /orders, /orders/my, /orders/client/:id
+//   - reportSchema     → GET /reports/* (datas do período)
+// ======================================================================
+
+// Parâmetro de query vazio (ex.: ?type=) conta como ausente
+export const optionalParam = (schema) =>
+  z.preprocess((value) => (value === "" ? undefined : value), schema.optional());
+
+/**
+ * Paginação por página: page (1, 2, ...) e pageSize (1–100).
+ */
+export const paginationParams = {
+  page: optionalParam(
+    z.coerce
+      .number()
+      .int(messages.invalidId("Página"))
+      .min(1, messages.invalidId("Página"))
+  ),
+  pageSize: optionalParam(
+    z.coerce
+      .number()
+      .int(messages.invalidRange("Itens por página", 1, 100))
+      .min(1, messages.invalidRange("Itens por página", 1, 100))
+      .max(100, messages.invalidRange("Itens por página", 1, 100))
+  ),
+};
+
+/**
+ * Dia "AAAA-MM-DD" que existe no calendário.
+ *
+ * Só o formato não basta: 2026-13-45 quebraria o cálculo do período
+ * (Invalid Date) e 2026-02-31 viraria 03/03 sem aviso. A data precisa
+ * voltar igual depois de convertida.
+ */
+const isRealDate = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+export const dateString = (field, options) =>
+  z
+    .string(options)
+    .regex(/^\d{4}-\d{2}-\d{2}$/, messages.invalidDate(field))
+    .refine(isRealDate, messages.invalidDate(field));
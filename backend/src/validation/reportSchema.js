@@ -0,0 +1,87 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+import { dateString, optionalParam } from "./queryParams.js";
+
+// ======================================================================
+// SCHEMAS DOS RELATÓRIOS DE VENDAS (QUERY STRING)
+// ----------------------------------------------------------------------
+// Rotas que usam estes schemas:
+//   GET /reports/summary          → reportRangeSchema
+//   GET /reports/payment-methods  → reportRangeSchema
+//   GET /reports/peak-hours       → reportRangeSchema
+//   GET /reports/revenue          → revenueReportSchema
+//   GET /reports/top-items        → rankingReportSchema
+//   GET /reports/top-categories   → rankingReportSchema
+//
+// Todo relatório cobre um período "from" → "to" (dias AAAA-MM-DD no fuso
+// da loja, ambos inclusivos), limitado a MAX_REPORT_DAYS.
+// ======================================================================
+
+const MAX_REPORT_DAYS = 366;
+
+const GROUP_BY = ["day", "week", "month"];
+const RANKING_BY = ["quantity", "revenue"];
+
+const rangeParams = {
+  from: dateString("Data inicial", { message: messages.required("Data inicial") }),
+  to: dateString("Data final", { message: messages.required("Data final") }),
+};
+
+// Dias do período, contando o primeiro e o último
+const rangeDays = (q) => (Date.parse(q.to) - Date.parse(q.from)) / 86400000 + 1;
+
+// As mesmas regras de período para todos os relatórios
+const withRangeRules = (schema) =>
+  schema
+    .refine((q) => q.from <= q.to, {
+      message: messages.invalidDateRange,
+      path: ["to"],
+    })
+    .refine((q) => rangeDays(q) <= MAX_REPORT_DAYS, {
+      message: messages.invalidReportRange(MAX_REPORT_DAYS),
+      path: ["to"],
+    });
+
+export const reportRangeSchema = withRangeRules(z.object(rangeParams));
+
+export const revenueReportSchema = withRangeRules(
+  z.object({
+    ...rangeParams,
+
+    /**
+     * groupBy
+     * --------------------------------------------------------------
+     * Agrupamento da série: dia, semana (começa na segunda) ou mês.
+     */
+    groupBy: optionalParam(
+      z.enum(GROUP_BY, {
+        message: messages.invalidEnum("Agrupamento", GROUP_BY),
+      })
+    ),
+  })
+);
+
+export const rankingReportSchema = withRangeRules(
+  z.object({
+    ...rangeParams,
+
+    /**
+     * by
+     * --------------------------------------------------------------
+     * Critério do ranking: unidades vendidas ou faturamento.
+     */
+    by: optionalParam(
+      z.enum(RANKING_BY, {
+        message: messages.invalidEnum("Critério", RANKING_BY),
+      })
+    ),
+
+    limit: optionalParam(
+      z.coerce
+        .number()
+        .int(messages.invalidRange("Limite", 1, 50))
+        .min(1, messages.invalidRange("Limite", 1, 50))
+        .max(50, messages.invalidRange("Limite", 1, 50))
+    ),
+  })
+);
@@ -0,0 +1,104 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+
+// ======================================================================
+// SCHEMAS DO HORÁRIO DE FUNCIONAMENTO
+// ----------------------------------------------------------------------
+// Rotas que usam estes schemas:
+//   PUT  /store/hours        → openingHoursSchema (ADMIN)
+//   POST /store/exceptions   → storeExceptionSchema (ADMIN)
+//   PUT  /store/settings     → storeSettingsSchema (ADMIN)
+//
+// Horários sempre em "HH:MM" (24h) no fuso da loja.
+// Fechamento menor que a abertura = turno que vira a noite (18:00 → 02:00).
+// ======================================================================
+
+// "HH:MM" entre 00:00 e 23:59
+const time = (field) =>
+  z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, messages.invalidTime(field));
+
+/**
+ * Horário semanal completo.
+ * --------------------------------------------------------------
+ * O PUT substitui todos os turnos: dias sem turno ficam fechados.
+ * Lista vazia = loja sempre aberta.
+ *
+ * Exemplo:
+ *  { hours: [
+ *      { weekday: 5, opensAt: "18:00", closesAt: "23:30" },
+ *      { weekday: 6, opensAt: "18:00", closesAt: "02:00" }
+ *  ] }
+ */
+export const openingHoursSchema = z.object({
+  hours: z.array(
+    z
+      .object({
+        // 0 = domingo … 6 = sábado
+        weekday: z
+          .number()
+          .int(messages.invalidWeekday)
+          .min(0, messages.invalidWeekday)
+          .max(6, messages.invalidWeekday),
+        opensAt: time("Abertura"),
+        closesAt: time("Fechamento"),
+      })
+      .refine((h) => h.opensAt !== h.closesAt, {
+        message: messages.invalidShift,
+      })
+  ),
+});
+
+/**
+ * Exceção de calendário (feriado, evento, horário especial).
+ * --------------------------------------------------------------
+ * closed = true  → fechado o dia todo
+ * closed = false → exige opensAt e closesAt (horário especial)
+ */
+export const storeExceptionSchema = z
+  .object({
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, messages.invalidDate("Data")),
+    closed: z.boolean().default(true),
+    opensAt: time("Abertura").optional().nullable(),
+    closesAt: time("Fechamento").optional().nullable(),
+    description: z.string().trim().optional().nullable(),
+  })
+  .refine((e) => e.closed || (e.opensAt && e.closesAt), {
+    message: messages.required("Horário especial (abertura e fechamento)"),
+  })
+  // Em dia fechado o horário especial não faz sentido
+  .transform((e) =>
+    e.closed ? { ...e, opensAt: null, closesAt: null } : e
+  );
+
+/**
+ * Configurações da loja.
+ * --------------------------------------------------------------
+ * slotMinutes           → duração de cada faixa (ex.: 30 min)
+ * slotCapacity          → pedidos agendados aceitos por faixa
+ * scheduleLeadMinutes   → antecedência com que o agendado vai para a cozinha
+ * scheduleDaysAhead     → até quantos dias à frente é possível agendar
+ * allowUnverifiedOrders → clientes sem e-mail verificado podem pedir?
+ * requireAdminTwoFactor → 2FA (TOTP) obrigatório para contas ADMIN?
+ */
+const integerBetween = (field, min, max) =>
+  z
+    .number()
+    .int(messages.invalidRange(field, min, max))
+    .min(min, messages.invalidRange(field, min, max))
+    .max(max, messages.invalidRange(field, min, max));
+
+export const storeSettingsSchema = z
+  .object({
+    slotMinutes: integerBetween("Duração da faixa (min)", 10, 240),
+    slotCapacity: integerBetween("Capacidade por faixa", 1, 500),
+    scheduleLeadMinutes: integerBetween("Antecedência (min)", 0, 720),
+    scheduleDaysAhead: integerBetween("Dias para agendar", 0, 14),
+    allowUnverifiedOrders: z.boolean({
+      message: messages.invalidBoolean("Permitir pedidos sem e-mail verificado"),
+    }),
+    requireAdminTwoFactor: z.boolean({
+      message: messages.invalidBoolean("Exigir 2FA para administradores"),
+    }),
+  })
+  // Atualização parcial: campos ausentes mantêm o valor atual
+  .partial();
@@ -0,0 +1,34 @@
+import { z } from "zod";
+import { messages } from "./messages.js";
+
+// ======================================================================
+// SCHEMAS DE AUTENTICAÇÃO EM DOIS FATORES
+// ----------------------------------------------------------------------
+// O "code" pode ser:
+//   - o código de 6 dígitos do app autenticador (ex.: "482913")
+//   - um código de recuperação (ex.: "a36ba-8fc44")
+//
+// Rotas que usam estes schemas:
+//   POST /users/login/2fa               → loginTwoFactorSchema
+//   POST /users/me/2fa/enable           → twoFactorCodeSchema
+//   POST /users/me/2fa/disable          → twoFactorCodeSchema
+//   POST /users/me/2fa/recovery-codes   → twoFactorCodeSchema
+// ======================================================================
+
+const code = z
+  .string({ message: messages.required("Código") })
+  .trim()
+  .min(6, messages.minLength("Código", 6))
+  .max(20, messages.invalidTwoFactorCode);
+
+export const twoFactorCodeSchema = z.object({ code });
+
+export const loginTwoFactorSchema = z.object({
+  /**
+   * challengeToken
+   * --------------------------------------------------------------
+   * Devolvido por POST /users/login quando a conta tem 2FA.
+   */
+  challengeToken: z.string().min(1, messages.required("challengeToken")),
+  code,
+});
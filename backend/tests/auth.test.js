@@ -0,0 +1,61 @@
+import request from "supertest";
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// VERIFICAÇÃO DO TOKEN DE ACESSO (autenticarToken → verifyToken)
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+const { prismaMock, createUserRecord } = await import("./helpers/prismaMock.js");
+const { default: app } = await import("../src/app.js");
+const { generateToken } = await import("../src/config/jwtConfig.js");
+
+let client;
+
+beforeAll(() => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+  client = createUserRecord({ id: 1 });
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  prismaMock.db.users.splice(0, Infinity, structuredClone(client));
+});
+
+describe("sessão do token (claim sid)", () => {
+  it("aceita o token de uma sessão ativa", async () => {
+    const res = await request(app)
+      .get("/users/me")
+      .set("Authorization", `Bearer ${generateToken(client, 5)}`);
+
+    expect(res.status).toBe(200);
+    expect(prismaMock.session.findUnique).toHaveBeenCalledWith(
+      expect.objectContaining({ where: { id: 5 } })
+    );
+  });
+
+  it("recusa o token de uma sessão encerrada", async () => {
+    prismaMock.session.findUnique.mockResolvedValueOnce({ revokedAt: new Date() });
+
+    const res = await request(app)
+      .get("/users/me")
+      .set("Authorization", `Bearer ${generateToken(client, 5)}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("SESSION_REVOKED");
+  });
+
+  it("recusa o token de uma sessão que não existe mais", async () => {
+    prismaMock.session.findUnique.mockResolvedValueOnce(null);
+
+    const res = await request(app)
+      .get("/users/me")
+      .set("Authorization", `Bearer ${generateToken(client, 5)}`);
+
+    expect(res.status).toBe(401);
+  });
+});
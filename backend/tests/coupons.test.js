@@ -0,0 +1,262 @@
+import request from "supertest";
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// CUPONS DE DESCONTO
+// ----------------------------------------------------------------------
+// As regras (validade, pedido mínimo, itens elegíveis, cálculo e limites
+// de uso) passam pelas rotas de verdade: a prévia do checkout e a
+// criação do pedido, que usam o mesmo services/couponService.js.
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+const {
+  prismaMock,
+  createCouponRecord,
+  createItemRecord,
+  createOrderRecord,
+  createUserRecord,
+} = await import("./helpers/prismaMock.js");
+const { default: app } = await import("../src/app.js");
+const { generateToken } = await import("../src/config/jwtConfig.js");
+const { getRateLimitStore } = await import("../src/services/rateLimitStore.js");
+
+let client;
+
+const bearer = (user) => `Bearer ${generateToken(user, 1)}`;
+
+// Carrinho padrão: 2 × X-Salada (R$ 18,90) + 1 × Batata (R$ 12,00) = R$ 49,80
+const CART = [
+  { itemId: 3, quantity: 2 },
+  { itemId: 4, quantity: 1 },
+];
+
+const addCoupon = (overrides) =>
+  prismaMock.db.coupons.push(createCouponRecord(overrides));
+
+const preview = (couponCode, items = CART) =>
+  request(app)
+    .post("/orders/preview")
+    .set("Authorization", bearer(client))
+    .send({ items, couponCode, fulfillmentType: "PICKUP" });
+
+const placeOrder = (couponCode) =>
+  request(app)
+    .post("/orders")
+    .set("Authorization", bearer(client))
+    .send({
+      items: CART,
+      couponCode,
+      paymentMethod: "PIX",
+      fulfillmentType: "PICKUP",
+    });
+
+// Pedido já gravado com o cupom (conta nos limites de uso)
+const addCouponOrder = (overrides = {}) =>
+  prismaMock.db.orders.push(
+    createOrderRecord(structuredClone(client), {
+      id: prismaMock.db.orders.length + 10,
+      couponId: 1,
+      ...overrides,
+    })
+  );
+
+beforeAll(() => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+
+  client = createUserRecord({ id: 1 });
+});
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  prismaMock.db.users.splice(0, Infinity, structuredClone(client));
+  prismaMock.db.orders.splice(0);
+  prismaMock.db.coupons.splice(0);
+  prismaMock.db.items.splice(
+    0,
+    Infinity,
+    createItemRecord({ id: 3, description: "X-Salada", unitPrice: 18.9, categoryId: 1 }),
+    createItemRecord({ id: 4, description: "Batata", unitPrice: 12, categoryId: 2 })
+  );
+
+  await getRateLimitStore().reset(`create-order:${client.id}`);
+});
+
+// ===================================================================
+// CÁLCULO DO DESCONTO
+// ===================================================================
+describe("cálculo do desconto", () => {
+  it("percentual sobre o subtotal, com o código normalizado", async () => {
+    addCoupon({ type: "PERCENTAGE", value: 10 });
+
+    const res = await preview("  bemvindo10 ");
+
+    expect(res.status).toBe(200);
+    expect(res.body.subtotal).toBeCloseTo(49.8);
+    expect(res.body.discount).toBe(4.98);
+    expect(res.body.total).toBeCloseTo(44.82);
+    expect(res.body.couponCode).toBe("BEMVINDO10");
+  });
+
+  it("valor fixo nunca passa do valor elegível", async () => {
+    addCoupon({ type: "FIXED", value: 100 });
+
+    const res = await preview("BEMVINDO10");
+
+    expect(res.status).toBe(200);
+    expect(res.body.discount).toBeCloseTo(49.8);
+    expect(res.body.total).toBeCloseTo(0);
+  });
+
+  it("cupom de um item só desconta sobre esse item", async () => {
+    addCoupon({ type: "PERCENTAGE", value: 50, itemId: 4 });
+
+    const res = await preview("BEMVINDO10");
+
+    expect(res.status).toBe(200);
+    expect(res.body.discount).toBe(6);
+  });
+
+  it("cupom de categoria só desconta sobre os itens dela", async () => {
+    addCoupon({ type: "FIXED", value: 50, categoryId: 2 });
+
+    const res = await preview("BEMVINDO10");
+
+    expect(res.status).toBe(200);
+    expect(res.body.discount).toBe(12);
+  });
+
+  it("recusa o cupom quando nenhum item do carrinho é elegível", async () => {
+    addCoupon({ categoryId: 9 });
+
+    const res = await preview("BEMVINDO10");
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Este cupom não se aplica aos itens do carrinho.");
+  });
+});
+
+// ===================================================================
+// VALIDADE E PEDIDO MÍNIMO
+// ===================================================================
+describe("validade e pedido mínimo", () => {
+  it("recusa cupom inexistente ou inativo", async () => {
+    addCoupon({ active: false });
+
+    expect((await preview("NAOEXISTE")).body.message).toBe("Cupom inválido.");
+    expect((await preview("BEMVINDO10")).body.message).toBe("Cupom inválido.");
+  });
+
+  it("recusa cupom expirado", async () => {
+    addCoupon({ endsAt: new Date(Date.now() - 60000) });
+
+    const res = await preview("BEMVINDO10");
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Este cupom expirou.");
+  });
+
+  it("recusa cupom que ainda não começou", async () => {
+    addCoupon({ startsAt: new Date(Date.now() + 60000) });
+
+    const res = await preview("BEMVINDO10");
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Este cupom ainda não está valendo.");
+  });
+
+  it("exige o pedido mínimo sobre o subtotal", async () => {
+    addCoupon({ minOrderValue: 50 });
+
+    const res = await preview("BEMVINDO10");
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Este cupom exige pedido mínimo de R$ 50.00.");
+  });
+});
+
+// ===================================================================
+// LIMITES DE USO
+// ===================================================================
+describe("limites de uso", () => {
+  it("aplica o cupom e grava o desconto no pedido", async () => {
+    addCoupon({ usageLimit: 1 });
+
+    const res = await placeOrder("BEMVINDO10");
+
+    expect(res.status).toBe(201);
+    expect(res.body.discount).toBe(4.98);
+    expect(prismaMock.db.orders[0].couponId).toBe(1);
+  });
+
+  it("recusa o pedido quando o limite total foi atingido", async () => {
+    addCoupon({ usageLimit: 1 });
+    addCouponOrder();
+
+    const res = await placeOrder("BEMVINDO10");
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Este cupom atingiu o limite de usos.");
+    expect(prismaMock.order.create).not.toHaveBeenCalled();
+  });
+
+  it("pedidos cancelados não contam no limite", async () => {
+    addCoupon({ usageLimit: 1 });
+    addCouponOrder({ status: "cancelled" });
+
+    const res = await placeOrder("BEMVINDO10");
+
+    expect(res.status).toBe(201);
+  });
+
+  it("recusa o pedido quando o limite por cliente foi atingido", async () => {
+    addCoupon({ usageLimitPerClient: 1 });
+    addCouponOrder();
+    // Uso de outro cliente não conta para este
+    addCouponOrder({ clientId: 99 });
+
+    const res = await placeOrder("BEMVINDO10");
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      "Você já usou este cupom o máximo de vezes permitido."
+    );
+  });
+
+  it("trava o cupom antes de contar os usos", async () => {
+    addCoupon({ usageLimit: 5 });
+
+    await placeOrder("BEMVINDO10");
+
+    const [lock] = prismaMock.$executeRaw.mock.calls;
+    expect(lock[0].join("?")).toContain('FROM "Coupon" WHERE "id" = ? FOR UPDATE');
+    expect(lock[1]).toBe(1);
+    expect(prismaMock.$executeRaw.mock.invocationCallOrder[0]).toBeLessThan(
+      prismaMock.order.count.mock.invocationCallOrder[0]
+    );
+  });
+
+  it("checkouts simultâneos não passam do limite", async () => {
+    addCoupon({ usageLimit: 1 });
+
+    // O primeiro pedido demora a ser gravado: o segundo checkout chega
+    // enquanto a transação do primeiro ainda está aberta
+    const create = prismaMock.order.create.getMockImplementation();
+    prismaMock.order.create.mockImplementationOnce(async (args) => {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return create(args);
+    });
+
+    const responses = await Promise.all([
+      placeOrder("BEMVINDO10"),
+      placeOrder("BEMVINDO10"),
+    ]);
+
+    expect(responses.map((r) => r.status).sort()).toEqual([201, 400]);
+    expect(prismaMock.db.orders).toHaveLength(1);
+  });
+});
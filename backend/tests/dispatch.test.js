@@ -0,0 +1,271 @@
+import { EventEmitter } from "node:events";
+import request from "supertest";
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// DESPACHO DE ENTREGAS
+// ----------------------------------------------------------------------
+// - ADMIN atribui (e reatribui) entregas; o entregador anterior é avisado
+// - O entregador só vê e avança as entregas atribuídas a ele
+// - A entrega só é finalizada com o código que o cliente informa
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+const { prismaMock, createOrderRecord, createUserRecord } = await import(
+  "./helpers/prismaMock.js"
+);
+const { default: app } = await import("../src/app.js");
+const { generateToken, verifyToken } = await import("../src/config/jwtConfig.js");
+const { streamOrders } = await import("../src/controllers/orderController.js");
+
+let client;
+let admin;
+let courier;
+let otherCourier;
+
+const bearer = (user) => `Bearer ${generateToken(user, 1)}`;
+
+const storedOrder = (id) => prismaMock.db.orders.find((o) => o.id === id);
+
+// Abre um stream como o autenticarToken deixaria a requisição
+const openStream = async (user) => {
+  const token = generateToken(user, 1);
+
+  const req = new EventEmitter();
+  req.headers = { authorization: `Bearer ${token}` };
+  req.user = await verifyToken(token);
+
+  const res = {
+    set: vi.fn(),
+    flushHeaders: vi.fn(),
+    write: vi.fn(),
+    end: vi.fn(() => req.emit("close")),
+  };
+
+  streamOrders(req, res);
+  return { res, close: () => req.emit("close") };
+};
+
+// Nomes dos eventos recebidos por um stream
+const receivedEvents = (res) =>
+  res.write.mock.calls
+    .map(([chunk]) => chunk.match(/^event: (.+)$/m)?.[1])
+    .filter(Boolean);
+
+const dispatch = (courierId, orderIds) =>
+  request(app)
+    .post("/orders/dispatch")
+    .set("Authorization", bearer(admin))
+    .send({ courierId, orderIds });
+
+const confirm = (user, orderId, code) =>
+  request(app)
+    .post(`/orders/deliveries/${orderId}/confirm`)
+    .set("Authorization", bearer(user))
+    .send({ code });
+
+const addOrder = (overrides) =>
+  prismaMock.db.orders.push(
+    createOrderRecord(structuredClone(client), {
+      fulfillmentType: "DELIVERY",
+      deliveryCode: "4821",
+      ...overrides,
+    })
+  );
+
+beforeAll(() => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+
+  client = createUserRecord({ id: 1 });
+  admin = createUserRecord({ id: 2, email: "admin@uaifood.com", type: "ADMIN" });
+  courier = createUserRecord({ id: 5, email: "moto1@uaifood.com", type: "COURIER" });
+  otherCourier = createUserRecord({ id: 6, email: "moto2@uaifood.com", type: "COURIER" });
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  prismaMock.db.users.splice(
+    0,
+    Infinity,
+    ...[client, admin, courier, otherCourier].map((u) => structuredClone(u))
+  );
+  prismaMock.db.orders.splice(0);
+});
+
+// ===================================================================
+// ATRIBUIÇÃO (ADMIN)
+// ===================================================================
+describe("POST /orders/dispatch", () => {
+  it("atribui a entrega e avisa o entregador em tempo real", async () => {
+    addOrder({ id: 10, status: "preparing" });
+    const stream = await openStream(courier);
+
+    const res = await dispatch(courier.id, [10]);
+
+    expect(res.status).toBe(200);
+    expect(res.body[0].courierId).toBe(courier.id);
+    expect(res.body[0]).not.toHaveProperty("deliveryCode");
+    expect(storedOrder(10).courierId).toBe(courier.id);
+    expect(receivedEvents(stream.res)).toEqual(["order-assigned"]);
+
+    stream.close();
+  });
+
+  it("recusa quem não é entregador", async () => {
+    addOrder({ id: 10 });
+
+    const res = await dispatch(client.id, [10]);
+
+    expect(res.status).toBe(404);
+    expect(storedOrder(10).courierId).toBeNull();
+  });
+
+  it("não atribui nada se um dos pedidos não puder sair", async () => {
+    addOrder({ id: 10 });
+    addOrder({ id: 11, fulfillmentType: "PICKUP", deliveryCode: null });
+    addOrder({ id: 12, status: "delivering", courierId: otherCourier.id });
+
+    const res = await dispatch(courier.id, [10, 11, 12]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain("#11, #12");
+    expect(storedOrder(10).courierId).toBeNull();
+    expect(storedOrder(12).courierId).toBe(otherCourier.id);
+  });
+
+  it("na reatribuição, o entregador anterior recebe a remoção", async () => {
+    addOrder({ id: 10, status: "ready_for_delivery", courierId: courier.id });
+    const previous = await openStream(courier);
+    const next = await openStream(otherCourier);
+
+    const res = await dispatch(otherCourier.id, [10]);
+
+    expect(res.status).toBe(200);
+    expect(receivedEvents(previous.res)).toEqual(["order-unassigned"]);
+    expect(receivedEvents(next.res)).toEqual(["order-assigned"]);
+
+    const [removal] = previous.res.write.mock.lastCall;
+    expect(JSON.parse(removal.split("data: ")[1]).id).toBe(10);
+
+    previous.close();
+    next.close();
+  });
+
+  it("atribuir de novo ao mesmo entregador não gera remoção", async () => {
+    addOrder({ id: 10, courierId: courier.id });
+    const stream = await openStream(courier);
+
+    await dispatch(courier.id, [10]);
+
+    expect(receivedEvents(stream.res)).toEqual(["order-assigned"]);
+    stream.close();
+  });
+});
+
+// ===================================================================
+// ESCOPO DO ENTREGADOR
+// ===================================================================
+describe("escopo do entregador", () => {
+  beforeEach(() => {
+    addOrder({ id: 10, status: "preparing", courierId: courier.id });
+    addOrder({ id: 11, status: "delivering", courierId: otherCourier.id });
+    addOrder({ id: 12, status: "delivered", courierId: courier.id });
+  });
+
+  it("GET /orders/deliveries traz só as entregas dele em andamento", async () => {
+    const res = await request(app)
+      .get("/orders/deliveries")
+      .set("Authorization", bearer(courier));
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((o) => o.id)).toEqual([10]);
+    expect(res.body[0]).not.toHaveProperty("deliveryCode");
+  });
+
+  it("GET /orders traz só os pedidos atribuídos a ele", async () => {
+    const res = await request(app)
+      .get("/orders")
+      .set("Authorization", bearer(courier));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((o) => o.id)).toEqual([10, 12]);
+  });
+
+  it("não avança a entrega de outro entregador", async () => {
+    storedOrder(11).status = "ready_for_delivery";
+
+    const res = await request(app)
+      .patch("/orders/status/11")
+      .set("Authorization", bearer(courier));
+
+    expect(res.status).toBe(404);
+    expect(storedOrder(11).status).toBe("ready_for_delivery");
+  });
+});
+
+// ===================================================================
+// CONFIRMAÇÃO COM O CÓDIGO DO CLIENTE
+// ===================================================================
+describe("POST /orders/deliveries/:id/confirm", () => {
+  beforeEach(() => {
+    addOrder({ id: 10, status: "delivering", courierId: courier.id });
+  });
+
+  it("finaliza a entrega com o código certo", async () => {
+    const res = await confirm(courier, 10, "4821");
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("delivered");
+    expect(res.body).not.toHaveProperty("deliveryCode");
+    expect(prismaMock.orderStatusEvent.create).toHaveBeenCalledWith({
+      data: { orderId: 10, status: "delivered", userId: courier.id },
+    });
+  });
+
+  it("recusa o código errado e conta a tentativa", async () => {
+    const res = await confirm(courier, 10, "0000");
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Código de entrega incorreto. Confira com o cliente.");
+    expect(storedOrder(10).status).toBe("delivering");
+    expect(storedOrder(10).deliveryCodeAttempts).toBe(1);
+  });
+
+  it("depois de 5 códigos errados, nem o certo finaliza", async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await confirm(courier, 10, "0000");
+    }
+
+    const res = await confirm(courier, 10, "4821");
+
+    expect(res.status).toBe(429);
+    expect(storedOrder(10).status).toBe("delivering");
+  });
+
+  it("entrega de outro entregador é tratada como inexistente", async () => {
+    const res = await confirm(otherCourier, 10, "4821");
+
+    expect(res.status).toBe(404);
+    expect(storedOrder(10).deliveryCodeAttempts).toBe(0);
+  });
+
+  it("só confirma entregas que já saíram da loja", async () => {
+    storedOrder(10).status = "ready_for_delivery";
+
+    const res = await confirm(courier, 10, "4821");
+
+    expect(res.status).toBe(400);
+    expect(storedOrder(10).status).toBe("ready_for_delivery");
+  });
+
+  it("recusa código fora do formato de 4 dígitos", async () => {
+    const res = await confirm(courier, 10, "48");
+
+    expect(res.status).toBe(400);
+    expect(storedOrder(10).deliveryCodeAttempts).toBe(0);
+  });
+});
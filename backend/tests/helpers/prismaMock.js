@@ -0,0 +1,444 @@
+import { vi } from "vitest";
+
+/**
+ * ======================================================================
+ *  PRISMA EM MEMÓRIA (TESTES)
+ * ======================================================================
+ *
+ * Substitui o prisma/client.js nos testes (vi.mock), sem banco:
+ *  - users/orders são os registros "do banco", com TODOS os campos —
+ *    inclusive password e totpSecret, como o Prisma devolveria
+ *  - as consultas ignoram include/select: quem decide o que sai na
+ *    resposta são os serializers, que é justamente o que se testa
+ *  - cada delegate é um vi.fn(), para os testes ajustarem quando
+ *    precisarem de outro comportamento
+ *  - os filtros (where) entendem igualdade, in, not, gte/gt/lte/lt, AND
+ *    e OR; filtros por relação (ex.: client: { name }) são ignorados
+ *  - $transaction imita os locks do Postgres: um SELECT ... FOR UPDATE ou
+ *    pg_advisory_xact_lock segura a chave até o fim da transação, e outra
+ *    transação que peça a mesma chave espera
+ */
+
+const clone = (value) => structuredClone(value);
+
+export const createUserRecord = (overrides = {}) => ({
+  id: 1,
+  name: "Cliente Teste",
+  phone: "34999990000",
+  email: "cliente@uaifood.com",
+  password: "$2b$04$hash.da.senha.que.nunca.pode.vazar",
+  type: "CLIENT",
+  emailVerifiedAt: new Date("2026-10-01T12:00:00Z"),
+  deactivatedAt: null,
+  tokensValidAfter: null,
+  totpSecret: "JBSWY3DPEHPK3PXP",
+  totpEnabledAt: null,
+  totpLastStep: null,
+  createdAt: new Date("2026-10-01T12:00:00Z"),
+  updatedAt: new Date("2026-10-01T12:00:00Z"),
+  address: null,
+  _count: { clientOrders: 1 },
+  ...overrides,
+});
+
+export const createOrderRecord = (client, overrides = {}) => ({
+  id: 10,
+  clientId: client.id,
+  createdById: client.id,
+  paymentMethod: "PIX",
+  status: "pending",
+  subtotal: 37.8,
+  discount: 0,
+  total: 37.8,
+  couponId: null,
+  couponCode: null,
+  fulfillmentType: "PICKUP",
+  deliveryFee: 0,
+  estimatedMinutes: null,
+  deliveryZoneId: null,
+  scheduledFor: null,
+  cancelReason: null,
+  cancelledAt: null,
+  cancelledById: null,
+  courierId: null,
+  deliveryCode: null,
+  deliveryCodeAttempts: 0,
+  createdAt: new Date("2026-10-18T19:00:00Z"),
+  updatedAt: new Date("2026-10-18T19:00:00Z"),
+  client,
+  cancelledBy: null,
+  courier: null,
+  orderItems: [
+    {
+      id: 100,
+      orderId: 10,
+      itemId: 3,
+      quantity: 2,
+      unitPrice: 18.9,
+      description: "X-Salada",
+      notes: null,
+      createdAt: new Date("2026-10-18T19:00:00Z"),
+      updatedAt: new Date("2026-10-18T19:00:00Z"),
+      item: { id: 3, description: "X-Salada", unitPrice: 18.9, categoryId: 1 },
+      modifiers: [],
+    },
+  ],
+  statusEvents: [
+    {
+      id: 1000,
+      orderId: 10,
+      status: "pending",
+      userId: client.id,
+      createdAt: new Date("2026-10-18T19:00:00Z"),
+      user: client,
+    },
+  ],
+  ...overrides,
+});
+
+export const createItemRecord = (overrides = {}) => ({
+  id: 3,
+  description: "X-Salada",
+  unitPrice: 18.9,
+  imageUrl: null,
+  stockQuantity: null,
+  available: true,
+  categoryId: 1,
+  modifierGroups: [],
+  createdAt: new Date("2026-10-01T12:00:00Z"),
+  updatedAt: new Date("2026-10-01T12:00:00Z"),
+  ...overrides,
+});
+
+export const createCouponRecord = (overrides = {}) => ({
+  id: 1,
+  code: "BEMVINDO10",
+  description: null,
+  type: "PERCENTAGE",
+  value: 10,
+  minOrderValue: null,
+  startsAt: null,
+  endsAt: null,
+  usageLimit: null,
+  usageLimitPerClient: null,
+  categoryId: null,
+  itemId: null,
+  active: true,
+  createdAt: new Date("2026-10-01T12:00:00Z"),
+  updatedAt: new Date("2026-10-01T12:00:00Z"),
+  ...overrides,
+});
+
+// Valores padrão do StoreSettings no schema do Prisma
+export const createSettingsRecord = (overrides = {}) => ({
+  id: 1,
+  slotMinutes: 30,
+  slotCapacity: 5,
+  scheduleLeadMinutes: 45,
+  scheduleDaysAhead: 2,
+  allowUnverifiedOrders: true,
+  requireAdminTwoFactor: false,
+  updatedAt: new Date("2026-10-01T12:00:00Z"),
+  ...overrides,
+});
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !(value instanceof Date);
+
+const same = (a, b) =>
+  a instanceof Date || b instanceof Date
+    ? a?.valueOf() === b?.valueOf()
+    : a === b;
+
+const matchesField = (value, condition) => {
+  if (!isPlainObject(condition)) return same(value, condition);
+
+  const { in: list, not, gte, gt, lte, lt } = condition;
+
+  if (list !== undefined && !list.some((v) => same(value, v))) return false;
+  if ("not" in condition && same(value, not)) return false;
+  if (gte !== undefined && !(value >= gte)) return false;
+  if (gt !== undefined && !(value > gt)) return false;
+  if (lte !== undefined && !(value <= lte)) return false;
+  if (lt !== undefined && !(value < lt)) return false;
+
+  return true;
+};
+
+export const matchesWhere = (record, where = {}) =>
+  Object.entries(where).every(([key, condition]) => {
+    if (key === "AND") return condition.every((w) => matchesWhere(record, w));
+    if (key === "OR") return condition.some((w) => matchesWhere(record, w));
+
+    // Relação carregada no registro: o filtro não é avaliado
+    if (isPlainObject(record[key])) return true;
+
+    return matchesField(record[key], condition);
+  });
+
+// Aplica o data de um update, inclusive { increment } e { decrement }
+const applyData = (record, data) => {
+  for (const [key, value] of Object.entries(data)) {
+    if (value?.increment !== undefined) record[key] += value.increment;
+    else if (value?.decrement !== undefined) record[key] -= value.decrement;
+    else record[key] = value;
+  }
+};
+
+const nextId = (records) => Math.max(0, ...records.map((r) => r.id)) + 1;
+
+export const createPrismaMock = () => {
+  const db = {
+    users: [],
+    orders: [],
+    items: [],
+    coupons: [],
+    openingHours: [],
+    storeExceptions: [],
+    recoveryCodes: [],
+    loginChallenges: [],
+    settings: createSettingsRecord(),
+  };
+
+  // Chave travada → promessa resolvida quando a transação dona termina
+  const locks = new Map();
+
+  const acquireLock = async (key, held) => {
+    while (locks.has(key)) await locks.get(key);
+
+    let release;
+    locks.set(key, new Promise((resolve) => (release = resolve)));
+    held.push(() => {
+      locks.delete(key);
+      release();
+    });
+  };
+
+  const findUser = (where = {}) =>
+    db.users.find((u) =>
+      where.id !== undefined ? u.id === where.id : u.email === where.email
+    ) ?? null;
+
+  const findOrder = (where = {}) =>
+    db.orders.find((o) => o.id === where.id) ?? null;
+
+  const findOrders = (where) => db.orders.filter((o) => matchesWhere(o, where));
+
+  // updateMany/deleteMany genéricos: devolvem { count } como o Prisma
+  const updateWhere = (records, where, data) => {
+    const matched = records.filter((r) => matchesWhere(r, where));
+    matched.forEach((record) => applyData(record, data));
+    return { count: matched.length };
+  };
+
+  const deleteWhere = (records, where) => {
+    const kept = records.filter((r) => !matchesWhere(r, where));
+    const count = records.length - kept.length;
+    records.splice(0, Infinity, ...kept);
+    return { count };
+  };
+
+  // Monta o pedido a partir do nested create do Prisma
+  const buildOrder = ({ orderItems, statusEvents, ...fields }) => {
+    const id = nextId(db.orders);
+    const client = findUser({ id: fields.clientId });
+
+    return createOrderRecord(clone(client), {
+      ...fields,
+      id,
+      orderItems: (orderItems?.create ?? []).map((oi, index) => ({
+        id: id * 100 + index,
+        orderId: id,
+        ...oi,
+        item: clone(db.items.find((i) => i.id === oi.itemId) ?? null),
+        modifiers: oi.modifiers?.create ?? [],
+      })),
+      statusEvents: statusEvents
+        ? [{ id: id * 100, orderId: id, ...statusEvents.create, user: clone(client) }]
+        : [],
+    });
+  };
+
+  const prisma = {
+    db,
+
+    user: {
+      findUnique: vi.fn(async ({ where }) => clone(findUser(where))),
+      findMany: vi.fn(async () => clone(db.users)),
+      count: vi.fn(async () => db.users.length),
+      create: vi.fn(async ({ data }) => {
+        const user = createUserRecord({ ...data, id: db.users.length + 1 });
+        db.users.push(user);
+        return clone(user);
+      }),
+      update: vi.fn(async ({ where, data }) => {
+        const user = findUser(where);
+        Object.assign(user, data);
+        return clone(user);
+      }),
+      updateMany: vi.fn(async ({ where, data }) => updateWhere(db.users, where, data)),
+    },
+
+    order: {
+      findUnique: vi.fn(async ({ where }) => clone(findOrder(where))),
+      findFirst: vi.fn(async ({ where }) => clone(findOrders(where)[0] ?? null)),
+      findMany: vi.fn(async ({ where } = {}) => clone(findOrders(where))),
+      count: vi.fn(async ({ where } = {}) => findOrders(where).length),
+      create: vi.fn(async ({ data }) => {
+        const order = buildOrder(data);
+        db.orders.push(order);
+        return clone(order);
+      }),
+      update: vi.fn(async ({ where, data }) => {
+        const order = findOrder(where);
+        applyData(order, data);
+        return clone(order);
+      }),
+      aggregate: vi.fn(async () => ({
+        _count: { _all: 0 },
+        _sum: { total: null, discount: null, deliveryFee: null },
+        _avg: { total: null },
+      })),
+      // Contagem por um campo (ex.: status, scheduledFor)
+      groupBy: vi.fn(async ({ by: [field], where }) => {
+        const groups = new Map();
+
+        for (const o of findOrders(where)) {
+          const key = o[field]?.valueOf();
+          const group = groups.get(key) ?? { [field]: o[field], _count: { _all: 0 } };
+          group._count._all += 1;
+          groups.set(key, group);
+        }
+
+        return clone([...groups.values()]);
+      }),
+      // Escrita condicional: só altera os pedidos que ainda batem com o
+      // where (ex.: id + status lido)
+      updateMany: vi.fn(async ({ where, data }) => {
+        const matched = findOrders(where);
+        matched.forEach((order) => applyData(order, data));
+        return { count: matched.length };
+      }),
+    },
+
+    orderStatusEvent: { create: vi.fn(async ({ data }) => data) },
+
+    orderItem: {
+      findMany: vi.fn(async ({ where }) =>
+        clone(findOrder({ id: where.orderId })?.orderItems ?? [])
+      ),
+    },
+
+    item: {
+      findMany: vi.fn(async ({ where }) =>
+        clone(db.items.filter((i) => matchesWhere(i, where)))
+      ),
+      updateMany: vi.fn(async () => ({ count: 1 })),
+    },
+
+    coupon: {
+      findUnique: vi.fn(async ({ where }) =>
+        clone(db.coupons.find((c) => c.code === where.code) ?? null)
+      ),
+    },
+
+    storeSettings: { upsert: vi.fn(async () => clone(db.settings)) },
+    openingHour: { findMany: vi.fn(async () => clone(db.openingHours)) },
+    storeException: {
+      findMany: vi.fn(async ({ where }) =>
+        clone(db.storeExceptions.filter((e) => matchesWhere(e, where)))
+      ),
+    },
+
+    session: {
+      findUnique: vi.fn(async ({ where }) => ({ id: where.id, revokedAt: null })),
+      create: vi.fn(async ({ data }) => ({ id: 1, ...data })),
+      updateMany: vi.fn(async () => ({ count: 1 })),
+    },
+
+    refreshToken: { create: vi.fn(async () => ({})) },
+    revokedToken: { findUnique: vi.fn(async () => null) },
+
+    // Códigos de recuperação do 2FA (só o hash, como no banco)
+    recoveryCode: {
+      count: vi.fn(async ({ where }) =>
+        db.recoveryCodes.filter((c) => matchesWhere(c, where)).length
+      ),
+      createMany: vi.fn(async ({ data }) => {
+        for (const code of data) {
+          db.recoveryCodes.push({ id: nextId(db.recoveryCodes), usedAt: null, ...code });
+        }
+        return { count: data.length };
+      }),
+      updateMany: vi.fn(async ({ where, data }) => updateWhere(db.recoveryCodes, where, data)),
+      deleteMany: vi.fn(async ({ where }) => deleteWhere(db.recoveryCodes, where)),
+    },
+
+    // Desafios do login com 2FA (sempre com o usuário, como o include)
+    loginChallenge: {
+      findUnique: vi.fn(async ({ where }) => {
+        const challenge = db.loginChallenges.find((c) => c.tokenHash === where.tokenHash);
+        return challenge
+          ? clone({ ...challenge, user: findUser({ id: challenge.userId }) })
+          : null;
+      }),
+      create: vi.fn(async ({ data }) => {
+        const challenge = {
+          id: nextId(db.loginChallenges),
+          attempts: 0,
+          usedAt: null,
+          createdAt: new Date(),
+          ...data,
+        };
+        db.loginChallenges.push(challenge);
+        return clone(challenge);
+      }),
+      update: vi.fn(async ({ where, data }) => {
+        const challenge = db.loginChallenges.find((c) => c.id === where.id);
+        applyData(challenge, data);
+        return clone(challenge);
+      }),
+      updateMany: vi.fn(async ({ where, data }) => updateWhere(db.loginChallenges, where, data)),
+      deleteMany: vi.fn(async ({ where }) => deleteWhere(db.loginChallenges, where)),
+    },
+
+    passwordResetToken: {
+      deleteMany: vi.fn(async () => ({ count: 0 })),
+      create: vi.fn(async () => ({})),
+    },
+
+    emailVerificationToken: {
+      deleteMany: vi.fn(async () => ({ count: 0 })),
+      create: vi.fn(async () => ({})),
+    },
+
+    // SQL cru: registra a chamada (os locks ficam no client da transação)
+    $executeRaw: vi.fn(async () => 1),
+    $queryRaw: vi.fn(async () => []),
+
+    // Transação interativa (callback) ou em lote (array de promessas)
+    $transaction: vi.fn(async (arg) => {
+      if (typeof arg !== "function") return Promise.all(arg);
+
+      const held = [];
+      const tx = {
+        ...prisma,
+        $executeRaw: async (strings, ...values) => {
+          await prisma.$executeRaw(strings, ...values);
+          await acquireLock(JSON.stringify([strings, values]), held);
+          return 1;
+        },
+      };
+
+      try {
+        return await arg(tx);
+      } finally {
+        held.forEach((release) => release());
+      }
+    }),
+  };
+
+  return prisma;
+};
+
+export const prismaMock = createPrismaMock();
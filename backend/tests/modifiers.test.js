@@ -0,0 +1,207 @@
+import request from "supertest";
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// OPÇÕES DOS ITENS (MODIFICADORES)
+// ----------------------------------------------------------------------
+// O preço é sempre calculado no servidor (preço do item + opções) e as
+// regras de cada grupo — obrigatório, mínimo e máximo de escolhas,
+// opções que pertencem ao item — são conferidas antes de tocar no
+// estoque ou gravar o pedido.
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+const { prismaMock, createItemRecord, createUserRecord } = await import(
+  "./helpers/prismaMock.js"
+);
+const { default: app } = await import("../src/app.js");
+const { generateToken } = await import("../src/config/jwtConfig.js");
+const { getRateLimitStore } = await import("../src/services/rateLimitStore.js");
+
+let client;
+
+const bearer = (user) => `Bearer ${generateToken(user, 1)}`;
+
+const group = (id, name, options, rules = {}) => ({
+  id,
+  name,
+  required: false,
+  minSelections: 0,
+  maxSelections: 1,
+  itemId: 3,
+  options: options.map(([optionId, optionName, priceDelta]) => ({
+    id: optionId,
+    name: optionName,
+    priceDelta,
+    groupId: id,
+  })),
+  ...rules,
+});
+
+// X-Salada (R$ 18,90): ponto da carne obrigatório e até 2 adicionais
+const burger = () =>
+  createItemRecord({
+    id: 3,
+    description: "X-Salada",
+    unitPrice: 18.9,
+    modifierGroups: [
+      group(1, "Ponto da carne", [[11, "Mal passado", 0], [12, "Bem passado", 0]], {
+        required: true,
+      }),
+      group(2, "Adicionais", [[21, "Bacon", 4.5], [22, "Ovo", 2], [23, "Cheddar", 3]], {
+        maxSelections: 2,
+      }),
+    ],
+  });
+
+// Batata com o próprio grupo de molhos
+const fries = () =>
+  createItemRecord({
+    id: 4,
+    description: "Batata",
+    unitPrice: 12,
+    modifierGroups: [
+      { ...group(3, "Molhos", [[31, "Maionese", 1]]), itemId: 4 },
+    ],
+  });
+
+const preview = (items) =>
+  request(app)
+    .post("/orders/preview")
+    .set("Authorization", bearer(client))
+    .send({ items, fulfillmentType: "PICKUP" });
+
+beforeAll(() => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+
+  client = createUserRecord({ id: 1 });
+});
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  prismaMock.db.users.splice(0, Infinity, structuredClone(client));
+  prismaMock.db.orders.splice(0);
+  prismaMock.db.items.splice(0, Infinity, burger(), fries());
+
+  await getRateLimitStore().reset(`create-order:${client.id}`);
+});
+
+// ===================================================================
+// PREÇO NO SERVIDOR
+// ===================================================================
+describe("preço com as opções", () => {
+  it("soma as opções ao preço do item e grava o snapshot no pedido", async () => {
+    const res = await request(app)
+      .post("/orders")
+      .set("Authorization", bearer(client))
+      .send({
+        items: [{ itemId: 3, quantity: 2, options: [11, 21, 22] }],
+        paymentMethod: "PIX",
+        fulfillmentType: "PICKUP",
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.subtotal).toBeCloseTo(50.8);
+
+    const [line] = res.body.orderItems;
+    expect(line.unitPrice).toBeCloseTo(25.4);
+    expect(line.modifiers).toEqual([
+      expect.objectContaining({ optionId: 11, groupName: "Ponto da carne", optionName: "Mal passado", priceDelta: 0 }),
+      expect.objectContaining({ optionId: 21, groupName: "Adicionais", optionName: "Bacon", priceDelta: 4.5 }),
+      expect.objectContaining({ optionId: 22, groupName: "Adicionais", optionName: "Ovo", priceDelta: 2 }),
+    ]);
+  });
+
+  it("ignora preço enviado pelo cliente", async () => {
+    const res = await preview([
+      { itemId: 3, quantity: 1, options: [12], unitPrice: 0.01 },
+    ]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.subtotal).toBeCloseTo(18.9);
+  });
+
+  it("opção com desconto nunca deixa o item com preço negativo", async () => {
+    prismaMock.db.items[1].modifierGroups[0].options[0].priceDelta = -30;
+
+    const res = await preview([{ itemId: 4, quantity: 1, options: [31] }]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.subtotal).toBe(0);
+  });
+});
+
+// ===================================================================
+// REGRAS DOS GRUPOS
+// ===================================================================
+describe("regras dos grupos", () => {
+  it("exige uma opção no grupo obrigatório", async () => {
+    const res = await preview([{ itemId: 3, quantity: 1, options: [21] }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      'Escolha pelo menos 1 opção(ões) em "Ponto da carne" para "X-Salada".'
+    );
+  });
+
+  it("respeita o mínimo de escolhas do grupo", async () => {
+    prismaMock.db.items[0].modifierGroups[1].minSelections = 2;
+
+    const res = await preview([{ itemId: 3, quantity: 1, options: [11, 21] }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      'Escolha pelo menos 2 opção(ões) em "Adicionais" para "X-Salada".'
+    );
+  });
+
+  it("respeita o máximo de escolhas do grupo", async () => {
+    const res = await preview([
+      { itemId: 3, quantity: 1, options: [11, 21, 22, 23] },
+    ]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      'Escolha no máximo 2 opção(ões) em "Adicionais" para "X-Salada".'
+    );
+  });
+
+  it("recusa opção de um grupo de outro item", async () => {
+    const res = await preview([{ itemId: 3, quantity: 1, options: [11, 31] }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Opção 31 não pertence ao item "X-Salada".');
+  });
+
+  it("recusa opção que saiu do cardápio (carrinho antigo)", async () => {
+    // O admin editou o item e os grupos foram recriados com novos IDs
+    prismaMock.db.items[0].modifierGroups[0].options[0].id = 13;
+
+    const res = await preview([{ itemId: 3, quantity: 1, options: [11] }]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Opção 11 não pertence ao item "X-Salada".');
+  });
+
+  it("não grava nem baixa estoque quando uma linha é recusada", async () => {
+    const res = await request(app)
+      .post("/orders")
+      .set("Authorization", bearer(client))
+      .send({
+        items: [
+          { itemId: 4, quantity: 1, options: [31] },
+          { itemId: 3, quantity: 1, options: [] },
+        ],
+        paymentMethod: "PIX",
+        fulfillmentType: "PICKUP",
+      });
+
+    expect(res.status).toBe(400);
+    expect(prismaMock.item.updateMany).not.toHaveBeenCalled();
+    expect(prismaMock.order.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,119 @@
+import request from "supertest";
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// LISTAGENS DE PEDIDOS
+// ----------------------------------------------------------------------
+// - GET /orders traz o total de cada status (colunas do quadro)
+// - Rotas que já fixam o cliente ignoram os filtros de cliente da query
+// - Datas inexistentes nos filtros são recusadas com 400 (não com 500)
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+const { prismaMock, createOrderRecord, createUserRecord } = await import(
+  "./helpers/prismaMock.js"
+);
+const { default: app } = await import("../src/app.js");
+const { generateToken } = await import("../src/config/jwtConfig.js");
+
+let client;
+let admin;
+
+const bearer = (user) => `Bearer ${generateToken(user, 1)}`;
+
+// Filtro (where) usado na última contagem de pedidos
+const lastWhere = () => prismaMock.order.count.mock.lastCall[0].where;
+
+beforeAll(() => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+
+  client = createUserRecord({ id: 1 });
+  admin = createUserRecord({ id: 2, email: "admin@uaifood.com", type: "ADMIN" });
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  prismaMock.db.users.splice(0, Infinity, structuredClone(client), structuredClone(admin));
+  prismaMock.db.orders.splice(
+    0,
+    Infinity,
+    createOrderRecord(structuredClone(client), { id: 10, status: "pending" }),
+    createOrderRecord(structuredClone(client), { id: 11, status: "pending" }),
+    createOrderRecord(structuredClone(client), { id: 12, status: "preparing" })
+  );
+});
+
+describe("GET /orders", () => {
+  it("traz o total de cada status com os mesmos filtros da página", async () => {
+    const res = await request(app)
+      .get("/orders?pageSize=1&paymentMethod=PIX")
+      .set("Authorization", bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(3);
+    expect(res.body.statusCounts).toEqual({ pending: 2, preparing: 1 });
+    expect(prismaMock.order.groupBy.mock.lastCall[0].where).toEqual(lastWhere());
+  });
+
+  it("aplica os filtros de cliente", async () => {
+    await request(app)
+      .get("/orders?clientId=7&client=ana")
+      .set("Authorization", bearer(admin));
+
+    const filters = JSON.stringify(lastWhere());
+    expect(filters).toContain('"clientId":7');
+    expect(filters).toContain('"ana"');
+  });
+});
+
+describe("rotas que fixam o cliente", () => {
+  it("GET /orders/my ignora clientId e client da query", async () => {
+    const res = await request(app)
+      .get("/orders/my?clientId=2&client=admin")
+      .set("Authorization", bearer(client));
+
+    expect(res.status).toBe(200);
+    expect(res.body.statusCounts).toBeUndefined();
+    expect(lastWhere()).toEqual({ AND: [{ clientId: client.id }] });
+  });
+
+  it("GET /orders/client/:clientId ignora clientId e client da query", async () => {
+    const res = await request(app)
+      .get(`/orders/client/${client.id}?clientId=2&client=admin&status=pending`)
+      .set("Authorization", bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(lastWhere()).toEqual({
+      AND: [{ clientId: client.id }, { status: { in: ["pending"] } }],
+    });
+  });
+});
+
+describe("filtro por data", () => {
+  it.each(["2026-13-45", "2026-02-31", "2026-1-5"])(
+    "recusa a data %s com 400",
+    async (date) => {
+      const res = await request(app)
+        .get(`/orders?from=${date}`)
+        .set("Authorization", bearer(admin));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(
+        "Data inicial deve ser uma data válida no formato AAAA-MM-DD."
+      );
+      expect(prismaMock.order.count).not.toHaveBeenCalled();
+    }
+  );
+
+  it("aceita 29 de fevereiro em ano bissexto", async () => {
+    const res = await request(app)
+      .get("/orders?from=2028-02-29&to=2028-02-29")
+      .set("Authorization", bearer(admin));
+
+    expect(res.status).toBe(200);
+  });
+});
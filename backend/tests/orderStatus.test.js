@@ -0,0 +1,136 @@
+import request from "supertest";
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// CONCORRÊNCIA NAS MUDANÇAS DE STATUS DO PEDIDO
+// ----------------------------------------------------------------------
+// Simula a corrida "leu o pedido → outra pessoa mudou o status → grava":
+// a leitura devolve o status antigo, mas o banco já está no novo. A
+// escrita precisa ser condicionada ao status lido (409 se mudou).
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+const { prismaMock, createOrderRecord, createUserRecord } = await import(
+  "./helpers/prismaMock.js"
+);
+const { default: app } = await import("../src/app.js");
+const { generateToken } = await import("../src/config/jwtConfig.js");
+
+let client;
+let admin;
+
+const bearer = (user) => `Bearer ${generateToken(user, 1)}`;
+
+const storedOrder = () => prismaMock.db.orders[0];
+
+// A próxima leitura do pedido devolve uma cópia com o status antigo
+const readStale = (status) =>
+  prismaMock.order.findUnique.mockResolvedValueOnce({
+    ...structuredClone(storedOrder()),
+    status,
+  });
+
+beforeAll(() => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+
+  client = createUserRecord({ id: 1 });
+  admin = createUserRecord({ id: 2, email: "admin@uaifood.com", type: "ADMIN" });
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  prismaMock.db.users.splice(0, Infinity, structuredClone(client), structuredClone(admin));
+  prismaMock.db.orders.splice(0, Infinity, createOrderRecord(structuredClone(client)));
+});
+
+// ===================================================================
+// AVANÇAR STATUS
+// ===================================================================
+describe("PATCH /orders/status/:id", () => {
+  it("avança o pedido e devolve o status gravado", async () => {
+    const res = await request(app)
+      .patch("/orders/status/10")
+      .set("Authorization", bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("preparing");
+    expect(prismaMock.orderStatusEvent.create).toHaveBeenCalledOnce();
+  });
+
+  it("recusa com 409 se o pedido foi cancelado depois da leitura", async () => {
+    storedOrder().status = "cancelled";
+    readStale("pending");
+
+    const res = await request(app)
+      .patch("/orders/status/10")
+      .set("Authorization", bearer(admin));
+
+    expect(res.status).toBe(409);
+    expect(storedOrder().status).toBe("cancelled");
+    expect(prismaMock.orderStatusEvent.create).not.toHaveBeenCalled();
+  });
+
+  it("recusa com 409 o segundo de dois avanços simultâneos", async () => {
+    storedOrder().status = "preparing";
+    readStale("pending");
+
+    const res = await request(app)
+      .patch("/orders/status/10")
+      .set("Authorization", bearer(admin));
+
+    expect(res.status).toBe(409);
+    expect(storedOrder().status).toBe("preparing");
+  });
+});
+
+// ===================================================================
+// CANCELAR (CLIENTE E ADMIN)
+// ===================================================================
+describe("cancelamento", () => {
+  it("cancela e devolve o estoque uma única vez", async () => {
+    storedOrder().deliveryCode = "4821";
+
+    const res = await request(app)
+      .patch("/orders/my/10/cancel")
+      .set("Authorization", bearer(client))
+      .send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("cancelled");
+    // Mesma visão do cliente das outras rotas /orders/my
+    expect(res.body.deliveryCode).toBe("4821");
+    expect(prismaMock.item.updateMany).toHaveBeenCalledOnce();
+  });
+
+  it("recusa com 409 o segundo de dois cancelamentos simultâneos", async () => {
+    storedOrder().status = "cancelled";
+    readStale("pending");
+
+    const res = await request(app)
+      .patch("/orders/cancel/10")
+      .set("Authorization", bearer(admin))
+      .send({ reason: "Cliente desistiu" });
+
+    expect(res.status).toBe(409);
+    expect(prismaMock.item.updateMany).not.toHaveBeenCalled();
+    expect(prismaMock.orderStatusEvent.create).not.toHaveBeenCalled();
+  });
+
+  it("recusa com 409 se o pedido avançou depois da leitura", async () => {
+    storedOrder().status = "preparing";
+    readStale("pending");
+
+    const res = await request(app)
+      .patch("/orders/my/10/cancel")
+      .set("Authorization", bearer(client))
+      .send({});
+
+    expect(res.status).toBe(409);
+    expect(storedOrder().status).toBe("preparing");
+    expect(prismaMock.item.updateMany).not.toHaveBeenCalled();
+  });
+});
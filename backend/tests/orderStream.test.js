@@ -0,0 +1,164 @@
+import { EventEmitter } from "node:events";
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// STREAM DE PEDIDOS (SSE) COM A CONEXÃO ABERTA
+// ----------------------------------------------------------------------
+// O token é conferido na conexão e continua sendo conferido depois:
+// expirado antes de um envio ou inválido na verificação periódica,
+// o servidor encerra o stream. Desativar a conta encerra na hora as
+// conexões do usuário. O dono do pedido recebe a visão do cliente.
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+const { prismaMock, createOrderRecord, createUserRecord } = await import(
+  "./helpers/prismaMock.js"
+);
+const { generateToken, verifyToken } = await import("../src/config/jwtConfig.js");
+const { ORDER_CREATED, publishOrderEvent } = await import(
+  "../src/events/orderEvents.js"
+);
+const { streamOrders } = await import("../src/controllers/orderController.js");
+const { setUserActive } = await import("../src/services/userAdminService.js");
+
+let admin;
+
+// Abre um stream como o autenticarToken deixaria a requisição
+const openStream = async (user) => {
+  const token = generateToken(user, 1);
+
+  const req = new EventEmitter();
+  req.headers = { authorization: `Bearer ${token}` };
+  req.user = await verifyToken(token);
+
+  const res = {
+    set: vi.fn(),
+    flushHeaders: vi.fn(),
+    write: vi.fn(),
+    end: vi.fn(() => req.emit("close")),
+  };
+
+  streamOrders(req, res);
+  return { req, res };
+};
+
+const publishOrder = () =>
+  publishOrderEvent(ORDER_CREATED, createOrderRecord(createUserRecord()));
+
+// Pedido enviado na última mensagem do stream
+const lastSentOrder = (res) =>
+  JSON.parse(res.write.mock.lastCall[0].split("data: ")[1]);
+
+beforeAll(() => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+  admin = createUserRecord({ id: 2, email: "admin@uaifood.com", type: "ADMIN" });
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  prismaMock.db.users.splice(0, Infinity, structuredClone(admin));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("GET /orders/stream", () => {
+  it("repassa os eventos enquanto o token vale", async () => {
+    const { req, res } = await openStream(admin);
+
+    publishOrder();
+
+    expect(res.write).toHaveBeenLastCalledWith(expect.stringContaining("event: order-created"));
+    expect(res.end).not.toHaveBeenCalled();
+
+    req.emit("close");
+  });
+
+  it("o dono do pedido recebe a visão do cliente, com o código de entrega", async () => {
+    const client = createUserRecord({ id: 1 });
+    prismaMock.db.users.push(structuredClone(client));
+
+    const owner = await openStream(client);
+    const store = await openStream(admin);
+
+    publishOrderEvent(
+      ORDER_CREATED,
+      createOrderRecord(client, { fulfillmentType: "DELIVERY", deliveryCode: "4821" })
+    );
+
+    expect(lastSentOrder(owner.res).deliveryCode).toBe("4821");
+    expect(lastSentOrder(store.res)).not.toHaveProperty("deliveryCode");
+
+    owner.req.emit("close");
+    store.req.emit("close");
+  });
+
+  it("encerra a conexão em vez de enviar com o token expirado", async () => {
+    const { req, res } = await openStream(admin);
+    req.user.exp = Math.floor(Date.now() / 1000) - 1;
+    res.write.mockClear();
+
+    publishOrder();
+
+    expect(res.write).not.toHaveBeenCalled();
+    expect(res.end).toHaveBeenCalledOnce();
+  });
+
+  it("encerra a conexão quando a sessão é revogada", async () => {
+    vi.useFakeTimers();
+    const { res } = await openStream(admin);
+
+    prismaMock.session.findUnique.mockResolvedValueOnce({ revokedAt: new Date() });
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(res.end).toHaveBeenCalledOnce();
+
+    // Depois de encerrada, a conexão não recebe mais nada
+    res.write.mockClear();
+    publishOrder();
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  it("encerra a conexão quando a conta é desativada", async () => {
+    vi.useFakeTimers();
+    const { res } = await openStream(admin);
+
+    prismaMock.db.users[0].deactivatedAt = new Date();
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(res.end).toHaveBeenCalledOnce();
+  });
+
+  it("encerra na hora as conexões de quem o admin desativa", async () => {
+    const client = createUserRecord({ id: 1 });
+    prismaMock.db.users.push(structuredClone(client));
+
+    const first = await openStream(client);
+    const second = await openStream(client);
+    const other = await openStream(admin);
+
+    await setUserActive(prismaMock, { actorId: admin.id, userId: client.id, active: false });
+
+    expect(first.res.end).toHaveBeenCalledOnce();
+    expect(second.res.end).toHaveBeenCalledOnce();
+    expect(other.res.end).not.toHaveBeenCalled();
+
+    other.req.emit("close");
+  });
+
+  it("atualiza o papel do usuário na verificação periódica", async () => {
+    vi.useFakeTimers();
+    const { req } = await openStream(admin);
+
+    prismaMock.db.users[0].type = "KITCHEN";
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(req.user.type).toBe("KITCHEN");
+    req.emit("close");
+  });
+});
@@ -0,0 +1,80 @@
+import request from "supertest";
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// "ESQUECI MINHA SENHA" NÃO REVELA QUEM TEM CONTA
+// ----------------------------------------------------------------------
+// E-mail cadastrado ou não, com o mailer funcionando ou falhando, a
+// resposta é a mesma. A rota também tem limite por IP.
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+const { prismaMock, createUserRecord } = await import("./helpers/prismaMock.js");
+const { default: app } = await import("../src/app.js");
+const { setMailer } = await import("../src/services/mailer.js");
+const { getRateLimitStore } = await import("../src/services/rateLimitStore.js");
+
+const mailer = { send: vi.fn() };
+
+const forgot = (email) =>
+  request(app).post("/users/password/forgot").send({ email });
+
+beforeAll(() => {
+  setMailer(mailer);
+});
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  prismaMock.db.users.splice(0, Infinity, createUserRecord());
+
+  // Cada teste começa com o limite por IP zerado (supertest usa o loopback)
+  await getRateLimitStore().reset("forgot-password:::ffff:127.0.0.1");
+});
+
+describe("POST /users/password/forgot", () => {
+  it("responde igual para e-mail cadastrado e desconhecido", async () => {
+    mailer.send.mockResolvedValue();
+
+    const known = await forgot("cliente@uaifood.com");
+    const unknown = await forgot("ninguem@uaifood.com");
+
+    expect(known.status).toBe(200);
+    expect(unknown.status).toBe(200);
+    expect(known.body).toEqual(unknown.body);
+    expect(mailer.send).toHaveBeenCalledOnce();
+  });
+
+  it("responde igual mesmo com o mailer fora do ar", async () => {
+    const log = vi.spyOn(console, "error").mockImplementation(() => {});
+    mailer.send.mockRejectedValue(new Error("SMTP indisponível"));
+
+    const known = await forgot("cliente@uaifood.com");
+    const unknown = await forgot("ninguem@uaifood.com");
+
+    expect(known.status).toBe(200);
+    expect(known.body).toEqual(unknown.body);
+    expect(log).toHaveBeenCalledWith(
+      "Erro ao enviar e-mail de redefinição de senha:",
+      "SMTP indisponível"
+    );
+
+    log.mockRestore();
+  });
+
+  it("limita os pedidos por IP", async () => {
+    mailer.send.mockResolvedValue();
+
+    for (let i = 0; i < 5; i++) {
+      expect((await forgot("ninguem@uaifood.com")).status).toBe(200);
+    }
+
+    const res = await forgot("ninguem@uaifood.com");
+
+    expect(res.status).toBe(429);
+    expect(res.headers["retry-after"]).toBeTruthy();
+  });
+});
@@ -0,0 +1,66 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// STORES DOS CONTADORES DE LIMITE
+// ----------------------------------------------------------------------
+// Hits simultâneos na mesma chave não podem perder incrementos.
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+const { createDatabaseStore, createMemoryStore } = await import(
+  "../src/services/rateLimitStore.js"
+);
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("createMemoryStore", () => {
+  it("não perde incrementos com hits simultâneos", async () => {
+    const store = createMemoryStore();
+
+    const counters = await Promise.all(
+      Array.from({ length: 50 }, () => store.hit("login:1.2.3.4", 60000))
+    );
+
+    expect(counters.map((c) => c.count).sort((a, b) => a - b)).toEqual(
+      Array.from({ length: 50 }, (_, i) => i + 1)
+    );
+    expect((await store.get("login:1.2.3.4")).count).toBe(50);
+  });
+
+  it("recomeça em 1 quando a janela termina", async () => {
+    vi.useFakeTimers();
+    const store = createMemoryStore();
+
+    await store.hit("register:1.2.3.4", 60000);
+    await store.hit("register:1.2.3.4", 60000);
+    vi.advanceTimersByTime(60000);
+
+    expect(await store.get("register:1.2.3.4")).toBeNull();
+    expect((await store.hit("register:1.2.3.4", 60000)).count).toBe(1);
+  });
+});
+
+describe("createDatabaseStore", () => {
+  it("incrementa com um único upsert atômico, sem ler antes", async () => {
+    const row = { count: 3, resetAt: new Date(), updatedAt: new Date() };
+    const db = {
+      $queryRaw: vi.fn(async () => [row]),
+      rateLimitCounter: { findFirst: vi.fn() },
+    };
+
+    const counter = await createDatabaseStore(db).hit("login:1.2.3.4", 60000);
+    const sql = db.$queryRaw.mock.calls[0][0].join("?");
+
+    expect(counter).toBe(row);
+    expect(db.$queryRaw).toHaveBeenCalledOnce();
+    expect(db.rateLimitCounter.findFirst).not.toHaveBeenCalled();
+    expect(sql).toMatch(/ON CONFLICT \("key"\) DO UPDATE/);
+    expect(sql).toContain('"RateLimitCounter"."count" + 1');
+  });
+});
@@ -0,0 +1,209 @@
+import { Prisma } from "@prisma/client";
+import request from "supertest";
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// RELATÓRIOS DE VENDAS
+// ----------------------------------------------------------------------
+// - O período (from/to) precisa ser de datas reais e caber no limite
+// - Os dias são do fuso da loja (America/Sao_Paulo, UTC−3): o dia
+//   2026-10-01 vai de 03:00Z até 03:00Z do dia seguinte
+// - As séries vêm completas (períodos sem venda zerados)
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+// Fixado antes de importar o app (o fuso é lido na carga do módulo)
+process.env.STORE_TIMEZONE = "America/Sao_Paulo";
+
+const { prismaMock, createUserRecord } = await import("./helpers/prismaMock.js");
+const { default: app } = await import("../src/app.js");
+const { generateToken } = await import("../src/config/jwtConfig.js");
+
+let admin;
+
+const report = (path) =>
+  request(app)
+    .get(path)
+    .set("Authorization", `Bearer ${generateToken(admin, 1)}`);
+
+// Consulta SQL (texto e parâmetros) da última chamada ao $queryRaw
+const lastQuery = () => Prisma.sql(...prismaMock.$queryRaw.mock.lastCall);
+
+beforeAll(() => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+
+  admin = createUserRecord({ id: 2, email: "admin@uaifood.com", type: "ADMIN" });
+});
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  prismaMock.db.users.splice(0, Infinity, structuredClone(admin));
+});
+
+// ===================================================================
+// PERÍODO
+// ===================================================================
+describe("validação do período", () => {
+  it.each(["2026-13-45", "2026-02-31"])(
+    "recusa a data inexistente %s",
+    async (date) => {
+      const res = await report(`/reports/summary?from=${date}&to=2026-10-18`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe(
+        "Data inicial deve ser uma data válida no formato AAAA-MM-DD."
+      );
+    }
+  );
+
+  it("exige as duas datas", async () => {
+    const res = await report("/reports/summary?from=2026-10-01");
+
+    expect(res.status).toBe(400);
+    expect(prismaMock.order.aggregate).not.toHaveBeenCalled();
+  });
+
+  it("recusa data final antes da inicial", async () => {
+    const res = await report("/reports/summary?from=2026-10-18&to=2026-10-01");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("A data final deve ser posterior à data inicial.");
+  });
+
+  it("aceita até 366 dias e recusa acima disso", async () => {
+    const ok = await report("/reports/summary?from=2028-01-01&to=2028-12-31");
+    const tooLong = await report("/reports/summary?from=2026-01-01&to=2027-01-02");
+
+    expect(ok.status).toBe(200);
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body.error).toContain("366");
+  });
+});
+
+// ===================================================================
+// FUSO DA LOJA
+// ===================================================================
+describe("dias no fuso da loja", () => {
+  it("o resumo filtra do início do primeiro dia ao fim do último", async () => {
+    prismaMock.order.aggregate.mockResolvedValueOnce({
+      _count: { _all: 3 },
+      _sum: { total: 100.004, discount: 5, deliveryFee: 10 },
+      _avg: { total: 33.334666 },
+    });
+    prismaMock.order.count.mockResolvedValueOnce(1);
+
+    const res = await report("/reports/summary?from=2026-10-01&to=2026-10-18");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      from: "2026-10-01",
+      to: "2026-10-18",
+      orders: 3,
+      revenue: 100,
+      averageTicket: 33.33,
+      discounts: 5,
+      deliveryFees: 10,
+      cancelledOrders: 1,
+    });
+
+    const { where } = prismaMock.order.aggregate.mock.lastCall[0];
+    expect(where).toEqual({
+      createdAt: {
+        gte: new Date("2026-10-01T03:00:00Z"),
+        lt: new Date("2026-10-19T03:00:00Z"),
+      },
+      status: { not: "cancelled" },
+    });
+  });
+
+  it("as consultas em SQL agrupam pelo horário da loja", async () => {
+    await report("/reports/peak-hours?from=2026-10-01&to=2026-10-01");
+
+    const query = lastQuery();
+    expect(query.sql).toContain('AT TIME ZONE \'UTC\' AT TIME ZONE ?');
+    expect(query.values).toEqual([
+      "America/Sao_Paulo",
+      new Date("2026-10-01T03:00:00Z"),
+      new Date("2026-10-02T03:00:00Z"),
+    ]);
+  });
+});
+
+// ===================================================================
+// SÉRIES E RANKINGS
+// ===================================================================
+describe("séries e rankings", () => {
+  it("faturamento por dia preenche os dias sem venda", async () => {
+    prismaMock.$queryRaw.mockResolvedValueOnce([
+      { period: "2026-10-02", orders: 2, revenue: 90.5 },
+    ]);
+
+    const res = await report("/reports/revenue?from=2026-10-01&to=2026-10-03");
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([
+      { period: "2026-10-01", orders: 0, revenue: 0, averageTicket: 0 },
+      { period: "2026-10-02", orders: 2, revenue: 90.5, averageTicket: 45.25 },
+      { period: "2026-10-03", orders: 0, revenue: 0, averageTicket: 0 },
+    ]);
+  });
+
+  it("semanas começam na segunda-feira e meses no dia 1", async () => {
+    // 2026-10-01 é uma quinta-feira
+    const weeks = await report(
+      "/reports/revenue?from=2026-10-01&to=2026-10-18&groupBy=week"
+    );
+    const months = await report(
+      "/reports/revenue?from=2026-09-15&to=2026-11-02&groupBy=month"
+    );
+
+    expect(weeks.body.data.map((p) => p.period)).toEqual([
+      "2026-09-28",
+      "2026-10-05",
+      "2026-10-12",
+    ]);
+    expect(months.body.data.map((p) => p.period)).toEqual([
+      "2026-09-01",
+      "2026-10-01",
+      "2026-11-01",
+    ]);
+  });
+
+  it("horários de pico sempre com as 24 horas", async () => {
+    prismaMock.$queryRaw.mockResolvedValueOnce([
+      { hour: 19, orders: 4, revenue: 180 },
+    ]);
+
+    const res = await report("/reports/peak-hours?from=2026-10-01&to=2026-10-18");
+
+    expect(res.body.data).toHaveLength(24);
+    expect(res.body.data[19]).toEqual({ hour: 19, orders: 4, revenue: 180 });
+    expect(res.body.data[0]).toEqual({ hour: 0, orders: 0, revenue: 0 });
+  });
+
+  it("ranking de itens ordena pelo critério pedido e respeita o limite", async () => {
+    await report("/reports/top-items?from=2026-10-01&to=2026-10-18&by=revenue&limit=3");
+
+    const query = lastQuery();
+    expect(query.sql).toContain('ORDER BY "revenue" DESC, "quantity" DESC');
+    expect(query.values.at(-1)).toBe(3);
+  });
+
+  it("formas de pagamento com a participação no faturamento", async () => {
+    prismaMock.order.groupBy.mockResolvedValueOnce([
+      { paymentMethod: "CASH", _count: { _all: 1 }, _sum: { total: 25 } },
+      { paymentMethod: "PIX", _count: { _all: 3 }, _sum: { total: 75 } },
+    ]);
+
+    const res = await report("/reports/payment-methods?from=2026-10-01&to=2026-10-18");
+
+    expect(res.body.data).toEqual([
+      { paymentMethod: "PIX", orders: 3, revenue: 75, share: 75 },
+      { paymentMethod: "CASH", orders: 1, revenue: 25, share: 25 },
+    ]);
+  });
+});
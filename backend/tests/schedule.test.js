@@ -0,0 +1,237 @@
+import request from "supertest";
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// PEDIDOS AGENDADOS (FAIXAS DE HORÁRIO)
+// ----------------------------------------------------------------------
+// - Faixas geradas dentro do horário de funcionamento, respeitando a
+//   antecedência mínima
+// - Cada faixa aceita até slotCapacity pedidos não cancelados; a
+//   reserva trava a faixa até o fim da transação
+// - Agendados entram na fila da cozinha perto da hora
+//
+// Loja aberta todos os dias das 11:00 às 14:00 (America/Sao_Paulo,
+// UTC−3), faixas de 30 min, 5 vagas, 45 min de antecedência.
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+// Fixado antes de importar o app (o fuso é lido na carga do módulo)
+process.env.STORE_TIMEZONE = "America/Sao_Paulo";
+
+const {
+  prismaMock,
+  createItemRecord,
+  createOrderRecord,
+  createSettingsRecord,
+  createUserRecord,
+} = await import("./helpers/prismaMock.js");
+const { default: app } = await import("../src/app.js");
+const { generateToken } = await import("../src/config/jwtConfig.js");
+const { getTimeSlots, promoteScheduledOrders } = await import(
+  "../src/services/scheduleService.js"
+);
+const { getRateLimitStore } = await import("../src/services/rateLimitStore.js");
+
+let client;
+
+// Instante a partir do horário local da loja (UTC−3)
+const local = (dateTime) => new Date(`${dateTime}:00-03:00`);
+
+const setNow = (dateTime) => {
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(local(dateTime));
+};
+
+const placeOrder = (scheduledFor) =>
+  request(app)
+    .post("/orders")
+    .set("Authorization", `Bearer ${generateToken(client, 1)}`)
+    .send({
+      items: [{ itemId: 3, quantity: 1 }],
+      paymentMethod: "PIX",
+      fulfillmentType: "PICKUP",
+      scheduledFor: scheduledFor.toISOString(),
+    });
+
+// Pedidos já agendados para a faixa
+const fillSlot = (start, count, overrides = {}) => {
+  for (let i = 0; i < count; i++) {
+    prismaMock.db.orders.push(
+      createOrderRecord(structuredClone(client), {
+        id: prismaMock.db.orders.length + 10,
+        status: "scheduled",
+        scheduledFor: start,
+        ...overrides,
+      })
+    );
+  }
+};
+
+beforeAll(() => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+
+  client = createUserRecord({ id: 1 });
+});
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  prismaMock.db.users.splice(0, Infinity, structuredClone(client));
+  prismaMock.db.orders.splice(0);
+  prismaMock.db.items.splice(0, Infinity, createItemRecord());
+  prismaMock.db.storeExceptions.splice(0);
+  prismaMock.db.settings = createSettingsRecord();
+  prismaMock.db.openingHours.splice(
+    0,
+    Infinity,
+    ...[0, 1, 2, 3, 4, 5, 6].map((weekday) => ({
+      id: weekday + 1,
+      weekday,
+      opensAt: "11:00",
+      closesAt: "14:00",
+    }))
+  );
+
+  await getRateLimitStore().reset(`create-order:${client.id}`);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// ===================================================================
+// GERAÇÃO DAS FAIXAS
+// ===================================================================
+describe("getTimeSlots", () => {
+  it("gera as faixas dentro dos turnos dos próximos dias", async () => {
+    const slots = await getTimeSlots(prismaMock, local("2026-10-19T10:00"));
+
+    // Segunda, terça e quarta: 6 faixas de 30 min entre 11:00 e 14:00
+    expect(slots).toHaveLength(18);
+    expect(slots[0]).toMatchObject({
+      start: local("2026-10-19T11:00"),
+      end: local("2026-10-19T11:30"),
+      date: "2026-10-19",
+      time: "11:00",
+      remaining: 5,
+    });
+    expect(slots[5].time).toBe("13:30");
+    expect(slots.at(-1).date).toBe("2026-10-21");
+  });
+
+  it("respeita a antecedência mínima", async () => {
+    const slots = await getTimeSlots(prismaMock, local("2026-10-19T10:30"));
+
+    // 10:30 + 45 min = 11:15 → a faixa das 11:00 já não é oferecida
+    expect(slots[0].time).toBe("11:30");
+  });
+
+  it("pula os dias fechados por exceção", async () => {
+    prismaMock.db.storeExceptions.push({ id: 1, date: "2026-10-20", closed: true });
+
+    const slots = await getTimeSlots(prismaMock, local("2026-10-19T10:00"));
+
+    expect(slots.map((s) => s.date)).not.toContain("2026-10-20");
+  });
+
+  it("desconta as vagas já usadas (cancelados não contam)", async () => {
+    fillSlot(local("2026-10-19T11:00"), 2);
+    fillSlot(local("2026-10-19T11:00"), 1, { status: "cancelled" });
+
+    const [first] = await getTimeSlots(prismaMock, local("2026-10-19T10:00"));
+
+    expect(first.remaining).toBe(3);
+  });
+});
+
+// ===================================================================
+// RESERVA NA CRIAÇÃO DO PEDIDO
+// ===================================================================
+describe("POST /orders agendado", () => {
+  it("aceita a faixa mesmo com a loja fechada agora", async () => {
+    setNow("2026-10-19T10:00");
+
+    const res = await placeOrder(local("2026-10-19T11:00"));
+
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe("scheduled");
+    expect(new Date(res.body.scheduledFor)).toEqual(local("2026-10-19T11:00"));
+
+    const [lock] = prismaMock.$executeRaw.mock.calls;
+    expect(lock[0].join("?")).toContain("pg_advisory_xact_lock");
+  });
+
+  it("recusa a faixa lotada", async () => {
+    setNow("2026-10-19T10:00");
+    fillSlot(local("2026-10-19T11:00"), 5);
+
+    const res = await placeOrder(local("2026-10-19T11:00"));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      "A faixa das 11:00 está lotada. Escolha outro horário."
+    );
+    expect(prismaMock.order.create).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    ["depois do fechamento", "2026-10-19T14:00"],
+    ["fora do início de uma faixa", "2026-10-19T11:15"],
+    ["além dos dias oferecidos", "2026-10-22T11:00"],
+    ["dentro da antecedência mínima", "2026-10-19T10:30"],
+  ])("recusa horário %s", async (_, start) => {
+    setNow("2026-10-19T10:00");
+
+    const res = await placeOrder(local(start));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      "Horário de agendamento indisponível. Escolha outra faixa."
+    );
+  });
+
+  it("pedidos simultâneos não passam da capacidade", async () => {
+    setNow("2026-10-19T10:00");
+    fillSlot(local("2026-10-19T11:00"), 4);
+
+    // O primeiro pedido demora a ser gravado: o segundo chega enquanto a
+    // transação do primeiro ainda está aberta
+    const create = prismaMock.order.create.getMockImplementation();
+    prismaMock.order.create.mockImplementationOnce(async (args) => {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return create(args);
+    });
+
+    const responses = await Promise.all([
+      placeOrder(local("2026-10-19T11:00")),
+      placeOrder(local("2026-10-19T11:00")),
+    ]);
+
+    expect(responses.map((r) => r.status).sort()).toEqual([201, 400]);
+    expect(prismaMock.db.orders).toHaveLength(5);
+  });
+});
+
+// ===================================================================
+// ENTRADA NA FILA DA COZINHA
+// ===================================================================
+describe("promoteScheduledOrders", () => {
+  it("libera para a cozinha só os que estão dentro da antecedência", async () => {
+    fillSlot(local("2026-10-19T11:00"), 1);
+    fillSlot(local("2026-10-19T12:00"), 1);
+
+    const promoted = await promoteScheduledOrders(
+      prismaMock,
+      local("2026-10-19T10:20")
+    );
+
+    expect(promoted.map((o) => o.id)).toEqual([10]);
+    expect(prismaMock.db.orders.map((o) => o.status)).toEqual(["pending", "scheduled"]);
+    expect(prismaMock.orderStatusEvent.create).toHaveBeenCalledWith({
+      data: { orderId: 10, status: "pending", userId: null },
+    });
+  });
+});
@@ -0,0 +1,220 @@
+import bcrypt from "bcrypt";
+import request from "supertest";
+import { beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// CAMPOS SENSÍVEIS NUNCA SAEM NA RESPOSTA
+// ----------------------------------------------------------------------
+// Chama as rotas de usuário, pedido e admin com o banco em memória
+// devolvendo os registros completos (hash da senha e segredo do 2FA) e
+// confere que o JSON da resposta não traz nenhum dos dois — em nenhum
+// nível (cliente do pedido, autor do status, listas paginadas...).
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+const { prismaMock, createOrderRecord, createUserRecord } = await import(
+  "./helpers/prismaMock.js"
+);
+const { default: app } = await import("../src/app.js");
+const { generateToken } = await import("../src/config/jwtConfig.js");
+const { setMailer } = await import("../src/services/mailer.js");
+
+const PASSWORD = "senha-do-cliente";
+
+const SENSITIVE_KEYS = ["password", "totpSecret"];
+
+/**
+ * Procura as chaves sensíveis em qualquer nível do JSON e também os
+ * valores (para pegar o hash exposto com outro nome).
+ */
+const expectNoSensitiveData = (body) => {
+  const json = JSON.stringify(body);
+
+  for (const key of SENSITIVE_KEYS) {
+    expect(json).not.toContain(`"${key}"`);
+  }
+
+  for (const user of prismaMock.db.users) {
+    expect(json).not.toContain(user.password);
+    expect(json).not.toContain(user.totpSecret);
+  }
+};
+
+const bearer = (user) => `Bearer ${generateToken(user, 1)}`;
+
+let client;
+let admin;
+
+beforeAll(async () => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+
+  // Sem saída no console a cada e-mail de verificação
+  setMailer({ send: async () => {} });
+
+  client = createUserRecord({
+    id: 1,
+    password: await bcrypt.hash(PASSWORD, 4),
+  });
+
+  admin = createUserRecord({
+    id: 2,
+    name: "Admin Teste",
+    email: "admin@uaifood.com",
+    type: "ADMIN",
+    totpSecret: "KRSXG5CTMVRXEZLU",
+    totpEnabledAt: new Date("2026-10-01T12:00:00Z"),
+  });
+});
+
+beforeEach(() => {
+  prismaMock.db.users.splice(0, Infinity, structuredClone(client), structuredClone(admin));
+  prismaMock.db.orders.splice(0, Infinity, createOrderRecord(structuredClone(client)));
+});
+
+// ===================================================================
+// USUÁRIOS
+// ===================================================================
+describe("rotas de usuário", () => {
+  it("POST /users/register", async () => {
+    const res = await request(app).post("/users/register").send({
+      name: "Novo Cliente",
+      phone: "34988887777",
+      email: "novo@uaifood.com",
+      password: "senha-nova-123",
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.email).toBe("novo@uaifood.com");
+    expectNoSensitiveData(res.body);
+  });
+
+  it("POST /users/login", async () => {
+    const res = await request(app)
+      .post("/users/login")
+      .send({ email: client.email, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeTruthy();
+    expectNoSensitiveData(res.body);
+  });
+
+  it("GET /users/me", async () => {
+    const res = await request(app)
+      .get("/users/me")
+      .set("Authorization", bearer(client));
+
+    expect(res.status).toBe(200);
+    expect(res.body.id).toBe(client.id);
+    expectNoSensitiveData(res.body);
+  });
+
+  it("PUT /users/:id", async () => {
+    const res = await request(app)
+      .put(`/users/${client.id}`)
+      .set("Authorization", bearer(client))
+      .send({
+        name: "Cliente Renomeado",
+        phone: client.phone,
+        email: client.email,
+        password: "outra-senha-123",
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.name).toBe("Cliente Renomeado");
+    expectNoSensitiveData(res.body);
+  });
+});
+
+// ===================================================================
+// PEDIDOS
+// ===================================================================
+describe("rotas de pedido", () => {
+  it("GET /orders/my", async () => {
+    const res = await request(app)
+      .get("/orders/my")
+      .set("Authorization", bearer(client));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(1);
+    expectNoSensitiveData(res.body);
+  });
+
+  it("GET /orders/my/:id", async () => {
+    const res = await request(app)
+      .get("/orders/my/10")
+      .set("Authorization", bearer(client));
+
+    expect(res.status).toBe(200);
+    expectNoSensitiveData(res.body);
+  });
+
+  it("GET /orders (ADMIN, com o cliente de cada pedido)", async () => {
+    const res = await request(app)
+      .get("/orders")
+      .set("Authorization", bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data[0].client.email).toBe(client.email);
+    expectNoSensitiveData(res.body);
+  });
+
+  it("GET /orders/client/:clientId", async () => {
+    const res = await request(app)
+      .get(`/orders/client/${client.id}`)
+      .set("Authorization", bearer(admin));
+
+    expect(res.status).toBe(200);
+    expectNoSensitiveData(res.body);
+  });
+
+  it("GET /orders/details/:id", async () => {
+    const res = await request(app)
+      .get("/orders/details/10")
+      .set("Authorization", bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.client.id).toBe(client.id);
+    expectNoSensitiveData(res.body);
+  });
+});
+
+// ===================================================================
+// ADMIN — GESTÃO DE USUÁRIOS
+// ===================================================================
+describe("rotas de admin", () => {
+  it("GET /users", async () => {
+    const res = await request(app)
+      .get("/users")
+      .set("Authorization", bearer(admin));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expectNoSensitiveData(res.body);
+  });
+
+  it("PATCH /users/:id/role", async () => {
+    const res = await request(app)
+      .patch(`/users/${client.id}/role`)
+      .set("Authorization", bearer(admin))
+      .send({ type: "KITCHEN" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.type).toBe("KITCHEN");
+    expectNoSensitiveData(res.body);
+  });
+
+  it("PATCH /users/:id/status", async () => {
+    const res = await request(app)
+      .patch(`/users/${client.id}/status`)
+      .set("Authorization", bearer(admin))
+      .send({ active: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body.deactivatedAt).toBeTruthy();
+    expectNoSensitiveData(res.body);
+  });
+});
@@ -0,0 +1,188 @@
+import request from "supertest";
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// HORÁRIO DE FUNCIONAMENTO
+// ----------------------------------------------------------------------
+// - Aberto/fechado pelo horário semanal, com turnos que viram a noite e
+//   exceções (feriados) que substituem o dia
+// - Os dias são do fuso da loja (America/Sao_Paulo, UTC−3), não do UTC
+// - Com a loja fechada, POST /orders recusa pedidos para agora
+//
+// 2026-10-19 é uma segunda-feira (weekday 1).
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+// Fixado antes de importar o app (o fuso é lido na carga do módulo)
+process.env.STORE_TIMEZONE = "America/Sao_Paulo";
+
+const { prismaMock, createItemRecord, createUserRecord } = await import(
+  "./helpers/prismaMock.js"
+);
+const { default: app } = await import("../src/app.js");
+const { generateToken } = await import("../src/config/jwtConfig.js");
+const { getStoreStatus } = await import("../src/services/storeHoursService.js");
+const { getRateLimitStore } = await import("../src/services/rateLimitStore.js");
+
+let client;
+
+// Instante a partir do horário local da loja (UTC−3)
+const local = (dateTime) => new Date(`${dateTime}:00-03:00`);
+
+const setHours = (...hours) =>
+  prismaMock.db.openingHours.splice(
+    0,
+    Infinity,
+    ...hours.map(([weekday, opensAt, closesAt], index) => ({
+      id: index + 1,
+      weekday,
+      opensAt,
+      closesAt,
+    }))
+  );
+
+beforeAll(() => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+
+  client = createUserRecord({ id: 1 });
+});
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  prismaMock.db.users.splice(0, Infinity, structuredClone(client));
+  prismaMock.db.orders.splice(0);
+  prismaMock.db.items.splice(0, Infinity, createItemRecord());
+  prismaMock.db.openingHours.splice(0);
+  prismaMock.db.storeExceptions.splice(0);
+
+  await getRateLimitStore().reset(`create-order:${client.id}`);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// ===================================================================
+// ABERTO / FECHADO
+// ===================================================================
+describe("getStoreStatus", () => {
+  it("sem horário cadastrado, a loja está sempre aberta", async () => {
+    const status = await getStoreStatus(prismaMock, local("2026-10-19T04:00"));
+
+    expect(status.open).toBe(true);
+  });
+
+  it("aberta dentro do turno do dia", async () => {
+    setHours([1, "11:00", "15:00"]);
+
+    const status = await getStoreStatus(prismaMock, local("2026-10-19T12:00"));
+
+    expect(status).toMatchObject({ open: true, message: "Aberto até 15:00" });
+  });
+
+  it("fechada antes do turno, com a próxima abertura", async () => {
+    setHours([1, "11:00", "15:00"], [2, "11:00", "15:00"]);
+
+    const before = await getStoreStatus(prismaMock, local("2026-10-19T10:00"));
+    const after = await getStoreStatus(prismaMock, local("2026-10-19T15:00"));
+
+    expect(before).toMatchObject({ open: false, message: "Fechado • abre hoje às 11:00" });
+    expect(after.message).toBe("Fechado • abre amanhã às 11:00");
+  });
+
+  it("usa o dia da loja, não o do UTC", async () => {
+    // 22:30 de segunda na loja já é terça (01:30Z) em UTC
+    setHours([1, "18:00", "23:00"]);
+
+    const status = await getStoreStatus(prismaMock, new Date("2026-10-20T01:30:00Z"));
+
+    expect(status.open).toBe(true);
+  });
+
+  it("turno que vira a noite continua aberto no dia seguinte", async () => {
+    // Domingo 18:00 → 02:00 de segunda
+    setHours([0, "18:00", "02:00"]);
+
+    const late = await getStoreStatus(prismaMock, local("2026-10-19T01:30"));
+    const closed = await getStoreStatus(prismaMock, local("2026-10-19T02:00"));
+
+    expect(late).toMatchObject({ open: true, message: "Aberto até 02:00" });
+    expect(closed.open).toBe(false);
+  });
+
+  it("feriado fecha o dia, mesmo dentro do horário semanal", async () => {
+    setHours([1, "11:00", "15:00"]);
+    prismaMock.db.storeExceptions.push({
+      id: 1,
+      date: "2026-10-19",
+      closed: true,
+      description: "Feriado municipal",
+    });
+
+    const status = await getStoreStatus(prismaMock, local("2026-10-19T12:00"));
+
+    expect(status).toMatchObject({ open: false, reason: "Feriado municipal" });
+  });
+
+  it("horário especial substitui o semanal no dia", async () => {
+    setHours([1, "11:00", "15:00"]);
+    prismaMock.db.storeExceptions.push({
+      id: 1,
+      date: "2026-10-19",
+      closed: false,
+      opensAt: "17:00",
+      closesAt: "20:00",
+    });
+
+    const noon = await getStoreStatus(prismaMock, local("2026-10-19T12:00"));
+    const evening = await getStoreStatus(prismaMock, local("2026-10-19T18:00"));
+
+    expect(noon.open).toBe(false);
+    expect(evening).toMatchObject({ open: true, message: "Aberto até 20:00" });
+  });
+});
+
+// ===================================================================
+// PEDIDO COM A LOJA FECHADA
+// ===================================================================
+describe("POST /orders com a loja fechada", () => {
+  const placeOrder = () =>
+    request(app)
+      .post("/orders")
+      .set("Authorization", `Bearer ${generateToken(client, 1)}`)
+      .send({
+        items: [{ itemId: 3, quantity: 1 }],
+        paymentMethod: "PIX",
+        fulfillmentType: "PICKUP",
+      });
+
+  it("recusa o pedido para agora, informando a próxima abertura", async () => {
+    setHours([1, "11:00", "15:00"]);
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(local("2026-10-19T10:00"));
+
+    const res = await placeOrder();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      "A loja está fechada no momento — abre hoje às 11:00."
+    );
+    expect(res.body.store.open).toBe(false);
+    expect(prismaMock.order.create).not.toHaveBeenCalled();
+  });
+
+  it("aceita o pedido com a loja aberta", async () => {
+    setHours([1, "11:00", "15:00"]);
+    vi.useFakeTimers({ toFake: ["Date"] });
+    vi.setSystemTime(local("2026-10-19T11:00"));
+
+    const res = await placeOrder();
+
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe("pending");
+  });
+});
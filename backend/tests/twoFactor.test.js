@@ -0,0 +1,295 @@
+import bcrypt from "bcrypt";
+import crypto from "node:crypto";
+import request from "supertest";
+import { afterEach, beforeAll, beforeEach, describe, expect, it, vi } from "vitest";
+
+// ======================================================================
+// AUTENTICAÇÃO EM DOIS FATORES (TOTP)
+// ----------------------------------------------------------------------
+// - Com 2FA ativo, a senha certa só abre um desafio; o token sai com o
+//   código do app (±1 intervalo de 30s) ou um código de recuperação
+// - Cada código TOTP e cada código de recuperação vale uma única vez
+// - Cadastro em duas etapas (segredo → primeiro código) e desativação
+//   com código
+// - O totpSecret gravado nunca aparece nas respostas
+// ======================================================================
+
+vi.mock("../prisma/client.js", async () => {
+  const { prismaMock } = await import("./helpers/prismaMock.js");
+  return { default: prismaMock };
+});
+
+const { prismaMock, createUserRecord } = await import("./helpers/prismaMock.js");
+const { default: app } = await import("../src/app.js");
+const { generateToken } = await import("../src/config/jwtConfig.js");
+const { totpCode } = await import("../src/services/twoFactorService.js");
+const { getRateLimitStore } = await import("../src/services/rateLimitStore.js");
+
+const PASSWORD = "senha-do-admin";
+const SECRET = "KRSXG5CTMVRXEZLU";
+const RECOVERY_CODE = "a36ba-8fc44";
+const IP = "::ffff:127.0.0.1";
+
+// Meio de um intervalo de 30s: os vizinhos ficam a 15s de distância
+const NOW = new Date("2026-10-19T15:00:15Z");
+const STEP = Math.floor(NOW.getTime() / 1000 / 30);
+
+let admin;
+
+const bearer = (user) => `Bearer ${generateToken(user, 1)}`;
+
+const storedAdmin = () => prismaMock.db.users.find((u) => u.id === admin.id);
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+/**
+ * Nem a chave totpSecret nem o valor de algum segredo gravado podem
+ * sair no JSON.
+ */
+const expectNoTotpSecret = (body) => {
+  const json = JSON.stringify(body);
+
+  expect(json).not.toContain('"totpSecret"');
+  for (const user of prismaMock.db.users) {
+    if (user.totpSecret) expect(json).not.toContain(user.totpSecret);
+  }
+};
+
+const login = () =>
+  request(app)
+    .post("/users/login")
+    .send({ email: admin.email, password: PASSWORD });
+
+const loginTwoFactor = async (code) => {
+  const { body } = await login();
+
+  return request(app)
+    .post("/users/login/2fa")
+    .send({ challengeToken: body.challengeToken, code });
+};
+
+const manage = (action, code) =>
+  request(app)
+    .post(`/users/me/2fa/${action}`)
+    .set("Authorization", bearer(admin))
+    .send(code === undefined ? {} : { code });
+
+beforeAll(async () => {
+  process.env.SECRET_JWT = "segredo-dos-testes";
+
+  admin = createUserRecord({
+    id: 2,
+    name: "Admin Teste",
+    email: "admin@uaifood.com",
+    type: "ADMIN",
+    password: await bcrypt.hash(PASSWORD, 4),
+    totpSecret: SECRET,
+    totpEnabledAt: new Date("2026-10-01T12:00:00Z"),
+  });
+});
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  vi.useFakeTimers({ toFake: ["Date"] });
+  vi.setSystemTime(NOW);
+
+  prismaMock.db.users.splice(0, Infinity, structuredClone(admin));
+  prismaMock.db.loginChallenges.splice(0);
+  prismaMock.db.recoveryCodes.splice(
+    0,
+    Infinity,
+    { id: 1, userId: admin.id, codeHash: sha256(RECOVERY_CODE.replace("-", "")), usedAt: null }
+  );
+  prismaMock.db.settings.requireAdminTwoFactor = false;
+
+  // Limite de login e backoff de falhas (o supertest chama de 127.0.0.1)
+  const store = getRateLimitStore();
+  await store.reset(`login:${IP}`);
+  await store.reset(`login:ip:${IP}`);
+  await store.reset(`login:account:${admin.email}`);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+// ===================================================================
+// LOGIN COM 2FA
+// ===================================================================
+describe("POST /users/login/2fa", () => {
+  it("a senha certa abre o desafio, sem emitir token", async () => {
+    const res = await login();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      twoFactorRequired: true,
+      challengeToken: expect.any(String),
+    });
+    expect(prismaMock.session.create).not.toHaveBeenCalled();
+  });
+
+  it("o código do app conclui o login", async () => {
+    const res = await loginTwoFactor(totpCode(SECRET, STEP));
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body).not.toHaveProperty("recoveryCodes");
+    expect(prismaMock.db.loginChallenges[0].usedAt).not.toBeNull();
+    expectNoTotpSecret(res.body);
+  });
+
+  it("aceita 1 intervalo de diferença de relógio, não 2", async () => {
+    expect((await loginTwoFactor(totpCode(SECRET, STEP - 1))).status).toBe(200);
+    expect((await loginTwoFactor(totpCode(SECRET, STEP + 2))).status).toBe(400);
+  });
+
+  it("recusa o código errado e conta a tentativa no desafio", async () => {
+    const code = totpCode(SECRET, STEP) === "000000" ? "111111" : "000000";
+
+    const res = await loginTwoFactor(code);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("Código de verificação inválido.");
+    expect(res.body).not.toHaveProperty("token");
+    expect(prismaMock.db.loginChallenges[0].attempts).toBe(1);
+  });
+
+  it("o mesmo código do app não serve para um segundo login", async () => {
+    const code = totpCode(SECRET, STEP);
+
+    const first = await loginTwoFactor(code);
+    const second = await loginTwoFactor(code);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(400);
+    expect(storedAdmin().totpLastStep).toBe(STEP);
+  });
+
+  it("o código de recuperação vale uma única vez", async () => {
+    const first = await loginTwoFactor(RECOVERY_CODE);
+    const second = await loginTwoFactor(RECOVERY_CODE);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(400);
+    expect(prismaMock.db.recoveryCodes[0].usedAt).not.toBeNull();
+  });
+
+  it("o desafio vence depois de 5 minutos", async () => {
+    const { body } = await login();
+    vi.setSystemTime(new Date(NOW.getTime() + 5 * 60000));
+
+    const res = await request(app)
+      .post("/users/login/2fa")
+      .send({ challengeToken: body.challengeToken, code: totpCode(SECRET, STEP + 10) });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("A verificação expirou. Faça login novamente.");
+  });
+});
+
+// ===================================================================
+// CADASTRO E DESATIVAÇÃO (ADMIN LOGADO)
+// ===================================================================
+describe("/users/me/2fa", () => {
+  beforeEach(() => {
+    Object.assign(storedAdmin(), { totpSecret: null, totpEnabledAt: null });
+    prismaMock.db.recoveryCodes.splice(0);
+  });
+
+  it("cadastra em duas etapas e devolve os códigos de recuperação", async () => {
+    const setup = await manage("setup");
+
+    expect(setup.status).toBe(200);
+    expect(setup.body.otpauthUri).toContain(`secret=${setup.body.secret}`);
+    expect(storedAdmin().totpEnabledAt).toBeNull();
+
+    const enable = await manage("enable", totpCode(setup.body.secret, STEP));
+
+    expect(enable.status).toBe(200);
+    expect(enable.body.recoveryCodes).toHaveLength(10);
+    expect(storedAdmin().totpEnabledAt).not.toBeNull();
+    expectNoTotpSecret(enable.body);
+
+    // No banco fica só o hash de cada código
+    const stored = JSON.stringify(prismaMock.db.recoveryCodes);
+    for (const code of enable.body.recoveryCodes) {
+      expect(stored).not.toContain(code);
+    }
+
+    const status = await request(app)
+      .get("/users/me/2fa")
+      .set("Authorization", bearer(admin));
+
+    expect(status.body).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+    expectNoTotpSecret(status.body);
+  });
+
+  it("não ativa com o código errado", async () => {
+    const setup = await manage("setup");
+    const wrong = totpCode(setup.body.secret, STEP + 5);
+
+    const res = await manage("enable", wrong);
+
+    expect(res.status).toBe(400);
+    expect(storedAdmin().totpEnabledAt).toBeNull();
+    expect(prismaMock.db.recoveryCodes).toHaveLength(0);
+  });
+
+  it("desativa com um código válido e apaga os códigos de recuperação", async () => {
+    const setup = await manage("setup");
+    await manage("enable", totpCode(setup.body.secret, STEP));
+
+    const res = await manage("disable", totpCode(setup.body.secret, STEP + 1));
+
+    expect(res.status).toBe(200);
+    expect(storedAdmin()).toMatchObject({
+      totpSecret: null,
+      totpEnabledAt: null,
+      totpLastStep: null,
+    });
+    expect(prismaMock.db.recoveryCodes).toHaveLength(0);
+    expectNoTotpSecret(res.body);
+  });
+
+  it("não desativa quando o 2FA é obrigatório para ADMIN", async () => {
+    Object.assign(storedAdmin(), { totpSecret: SECRET, totpEnabledAt: NOW });
+    prismaMock.db.settings.requireAdminTwoFactor = true;
+
+    const res = await manage("disable", totpCode(SECRET, STEP));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe(
+      "O 2FA é obrigatório para administradores e não pode ser desativado."
+    );
+    expect(storedAdmin().totpEnabledAt).not.toBeNull();
+  });
+
+  it("2FA obrigatório: o login cadastra o app e o primeiro código entra", async () => {
+    prismaMock.db.settings.requireAdminTwoFactor = true;
+
+    const { body } = await login();
+
+    expect(body).toMatchObject({ twoFactorSetupRequired: true });
+    expect(body).not.toHaveProperty("token");
+
+    const res = await request(app)
+      .post("/users/login/2fa")
+      .send({ challengeToken: body.challengeToken, code: totpCode(body.secret, STEP) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.token).toEqual(expect.any(String));
+    expect(res.body.recoveryCodes).toHaveLength(10);
+    expectNoTotpSecret(res.body);
+  });
+
+  it("conta de cliente não gerencia 2FA", async () => {
+    const client = createUserRecord({ id: 1 });
+    prismaMock.db.users.push(client);
+
+    const res = await request(app)
+      .post("/users/me/2fa/setup")
+      .set("Authorization", bearer(client));
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -8,6 +8,9 @@ import Navbar from "./components/Navbar";
 // Páginas
 import Login from "./pages/Login";
 import Register from "./pages/Register";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
 import Home from "./pages/Home";
 import Profile from "./pages/Profile";
 import Orders from "./pages/Orders";
@@ -16,7 +19,16 @@ import Checkout from "./pages/Checkout";
 import AdminCategories from "./pages/AdminCategories";
 import AdminItems from "./pages/AdminItems";
 import AdminOrders from "./pages/AdminOrders";
+import AdminCoupons from "./pages/AdminCoupons";
+import AdminDeliveryZones from "./pages/AdminDeliveryZones";
+import AdminStoreHours from "./pages/AdminStoreHours";
+import AdminUsers from "./pages/AdminUsers";
+import AdminDashboard from "./pages/AdminDashboard";
 import Address from "./pages/Address";
+import Sessions from "./pages/Sessions";
+import TwoFactor from "./pages/TwoFactor";
+import Deliveries from "./pages/Deliveries";
+import Kitchen from "./pages/Kitchen";
 
 export default function App() {
   return (
@@ -38,14 +50,18 @@ export default function App() {
                 ============================================================== */}
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password" element={<ResetPassword />} />
+            <Route path="/verify-email" element={<VerifyEmail />} />
 
             {/* ================================================================
-                ROTAS PROTEGIDAS PARA CLIENT E ADMIN
+                ROTAS PROTEGIDAS PARA QUALQUER USUÁRIO AUTENTICADO
+                (clientes e equipe: ADMIN, KITCHEN, COURIER)
                 ============================================================== */}
             <Route
               path="/"
               element={
-                <ProtectedRoute allowed={["CLIENT", "ADMIN"]}>
+                <ProtectedRoute allowed={["CLIENT", "ADMIN", "KITCHEN", "COURIER"]}>
                   <Home />
                 </ProtectedRoute>
               }
@@ -54,12 +70,21 @@ export default function App() {
             <Route
               path="/profile"
               element={
-                <ProtectedRoute allowed={["CLIENT", "ADMIN"]}>
+                <ProtectedRoute allowed={["CLIENT", "ADMIN", "KITCHEN", "COURIER"]}>
                   <Profile />
                 </ProtectedRoute>
               }
             />
 
+            <Route
+              path="/sessions"
+              element={
+                <ProtectedRoute allowed={["CLIENT", "ADMIN", "KITCHEN", "COURIER"]}>
+                  <Sessions />
+                </ProtectedRoute>
+              }
+            />
+
             <Route
               path="/address"
               element={
@@ -99,9 +124,42 @@ export default function App() {
               }
             />
 
+            {/* ================================================================
+                TELA DA COZINHA (KDS) — ADMIN E KITCHEN
+                ============================================================== */}
+            <Route
+              path="/kitchen"
+              element={
+                <ProtectedRoute allowed={["ADMIN", "KITCHEN"]}>
+                  <Kitchen />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* ================================================================
+                ROTAS EXCLUSIVAS DO ENTREGADOR (COURIER)
+                ============================================================== */}
+            <Route
+              path="/deliveries"
+              element={
+                <ProtectedRoute allowed={["COURIER"]}>
+                  <Deliveries />
+                </ProtectedRoute>
+              }
+            />
+
             {/* ================================================================
                 ROTAS EXCLUSIVAS DO ADMIN
                 ============================================================== */}
+            <Route
+              path="/admin/dashboard"
+              element={
+                <ProtectedRoute allowed={["ADMIN"]}>
+                  <AdminDashboard />
+                </ProtectedRoute>
+              }
+            />
+
             <Route
               path="/admin/categories"
               element={
@@ -123,12 +181,57 @@ export default function App() {
             <Route
               path="/admin/orders"
               element={
-                <ProtectedRoute allowed={["ADMIN"]}>
+                <ProtectedRoute allowed={["ADMIN", "KITCHEN"]}>
                   <AdminOrders />
                 </ProtectedRoute>
               }
             />
 
+            <Route
+              path="/admin/coupons"
+              element={
+                <ProtectedRoute allowed={["ADMIN"]}>
+                  <AdminCoupons />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/admin/delivery-zones"
+              element={
+                <ProtectedRoute allowed={["ADMIN"]}>
+                  <AdminDeliveryZones />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/admin/store-hours"
+              element={
+                <ProtectedRoute allowed={["ADMIN"]}>
+                  <AdminStoreHours />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/admin/users"
+              element={
+                <ProtectedRoute allowed={["ADMIN"]}>
+                  <AdminUsers />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/security/2fa"
+              element={
+                <ProtectedRoute allowed={["ADMIN"]}>
+                  <TwoFactor />
+                </ProtectedRoute>
+              }
+            />
+
             <Route path="*" element={<Navigate to="/" />} />
           </Routes>
 
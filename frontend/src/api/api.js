@@ -6,6 +6,7 @@ import axios from "axios";
 // Contem:
 // - URL base da API
 // - Token JWT automático em todas as requisições
+// - Renovação automática da sessão (refresh token) quando o token expira
 //
 const API = axios.create({
   // Usa a variável de ambiente definida no Vite
@@ -13,6 +14,27 @@ const API = axios.create({
 });
 
 
+// ======================================================================
+// ARMAZENAMENTO DOS TOKENS
+// ======================================================================
+// - authToken: JWT de acesso (curto), enviado em todas as requisições
+// - refreshToken: usado apenas para obter um novo par em /users/refresh
+//
+export const saveTokens = ({ token, refreshToken }) => {
+  localStorage.setItem("authToken", token);
+  localStorage.setItem("refreshToken", refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem("authToken");
+  localStorage.removeItem("refreshToken");
+};
+
+// Evento disparado quando a sessão não pode mais ser renovada;
+// o AuthContext escuta e limpa o usuário logado.
+export const SESSION_EXPIRED_EVENT = "uaifood:session-expired";
+
+
 // ======================================================================
 // INTERCEPTOR DE REQUISIÇÃO
 // ======================================================================
@@ -34,6 +56,140 @@ API.interceptors.request.use((config) => {
 });
 
 
+// ======================================================================
+// RENOVAÇÃO DA SESSÃO
+// ======================================================================
+// Cada refresh token vale UMA troca. Se várias requisições expirarem ao
+// mesmo tempo, todas aguardam a mesma renovação (refreshPromise) — duas
+// trocas com o mesmo token seriam vistas como reutilização pelo backend
+// e encerrariam a sessão.
+//
+let refreshPromise = null;
+
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem("refreshToken");
+
+    refreshPromise = (
+      refreshToken
+        ? axios.post(`${import.meta.env.VITE_API_URL}/users/refresh`, {
+            refreshToken,
+          })
+        : Promise.reject(new Error("Sem refresh token."))
+    )
+      .then((res) => {
+        saveTokens(res.data);
+        return res.data.token;
+      })
+      .catch((err) => {
+        clearTokens();
+        window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+        throw err;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+
+// ======================================================================
+// INTERCEPTOR DE RESPOSTA
+// ======================================================================
+// Token expirado (401) → renova a sessão e repete a requisição original
+// uma única vez. Login e renovação não passam por aqui (401 = credenciais).
+// Sessão encerrada em outro lugar (401 SESSION_REVOKED) segue o mesmo
+// caminho: a renovação é recusada e a sessão local é encerrada.
+//
+// Conta desativada pelo admin (403 ACCOUNT_DEACTIVATED) → encerra a
+// sessão local, como uma sessão expirada.
+//
+API.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const original = error.config;
+
+    if (error.response?.data?.code === "ACCOUNT_DEACTIVATED") {
+      clearTokens();
+      window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+      throw error;
+    }
+
+    const canRefresh =
+      error.response?.status === 401 &&
+      original &&
+      !original._retried &&
+      !["/users/login", "/users/login/2fa", "/users/refresh"].includes(
+        original.url
+      ) &&
+      localStorage.getItem("refreshToken");
+
+    if (!canRefresh) throw error;
+
+    original._retried = true;
+
+    const token = await refreshSession();
+    original.headers.Authorization = `Bearer ${token}`;
+
+    return API(original);
+  }
+);
+
+
+// ======================================================================
+// STREAM DE EVENTOS (SSE)
+// ======================================================================
+// O EventSource do navegador não passa pelo axios e não aceita headers,
+// por isso o token vai na query string (?token=...).
+//
+// Se a conexão for recusada (ex.: o token expirou e a conexão caiu), a
+// sessão é renovada e o stream reabre com o token novo, mantendo os
+// listeners já registrados.
+//
+// Uso:
+//   const stream = openEventStream("/orders/stream");
+//   stream.addEventListener("order-created", (e) => JSON.parse(e.data));
+//   stream.close(); // ao desmontar o componente
+//
+export const openEventStream = (path) => {
+  const listeners = [];
+  let source = null;
+  let closed = false;
+
+  const connect = () => {
+    const token = localStorage.getItem("authToken");
+    const query = token ? `?token=${encodeURIComponent(token)}` : "";
+
+    source = new EventSource(`${import.meta.env.VITE_API_URL}${path}${query}`);
+    listeners.forEach(([type, fn]) => source.addEventListener(type, fn));
+
+    source.onerror = () => {
+      // CONNECTING = o próprio navegador vai tentar de novo
+      if (closed || source.readyState !== EventSource.CLOSED) return;
+
+      setTimeout(() => {
+        if (!closed) refreshSession().then(connect).catch(() => {});
+      }, 5000);
+    };
+  };
+
+  connect();
+
+  return {
+    addEventListener: (type, fn) => {
+      listeners.push([type, fn]);
+      source.addEventListener(type, fn);
+    },
+    close: () => {
+      closed = true;
+      source.close();
+    },
+  };
+};
+
+
 // ======================================================================
 // EXPORTAÇÃO
 // ======================================================================
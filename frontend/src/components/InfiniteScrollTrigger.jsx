@@ -0,0 +1,70 @@
+import { useEffect, useRef } from "react";
+
+// ======================================================================
+// COMPONENTE InfiniteScrollTrigger (ROLAGEM INFINITA)
+// ======================================================================
+// Objetivo:
+// - Ficar no fim de uma lista paginada e pedir a próxima página quando
+//   aparece na tela (IntersectionObserver)
+// - Enquanto a página carrega, mostra o aviso de carregamento; sem mais
+//   páginas, não renderiza nada
+// - O botão "Carregar mais" cobre navegadores sem IntersectionObserver
+//   e quem navega pelo teclado
+// - Se a página falhar (error), para de pedir sozinho e oferece
+//   "Tentar novamente", para não repetir a requisição em loop
+//
+// Uso:
+//   <InfiniteScrollTrigger
+//     hasMore={page < totalPages}
+//     loading={loadingMore}
+//     error={loadMoreError}
+//     onLoadMore={loadMore}
+//   />
+// ======================================================================
+
+export default function InfiniteScrollTrigger({
+  hasMore,
+  loading,
+  error,
+  onLoadMore,
+}) {
+  const sentinelRef = useRef(null);
+
+  // O observer é recriado a cada página carregada: se o fim da lista
+  // continuar visível (lista curta), a próxima página já é pedida
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || loading || error) return;
+    if (!window.IntersectionObserver) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) onLoadMore();
+      },
+      { rootMargin: "200px" }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loading, error, onLoadMore]);
+
+  if (!hasMore) return null;
+
+  return (
+    <div ref={sentinelRef} className="py-4 text-center text-gray-500">
+      {loading ? (
+        "Carregando mais..."
+      ) : (
+        <>
+          {error && <p className="text-red-600 mb-2">{error}</p>}
+          <button
+            onClick={onLoadMore}
+            className="px-4 py-2 border rounded-lg hover:bg-gray-100"
+          >
+            {error ? "Tentar novamente" : "Carregar mais"}
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
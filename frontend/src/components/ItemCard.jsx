@@ -1,5 +1,6 @@
-import { useContext } from "react";
+import { useContext, useState } from "react";
 import { CartContext } from "../context/CartContext";
+import ModifierSelector from "./ModifierSelector";
 
 // ======================================================================
 // COMPONENTE DE CARD DO ITEM
@@ -8,19 +9,29 @@ import { CartContext } from "../context/CartContext";
 // - Exibir um item do menu com imagem, descrição e preço
 // - Garantir que todas as imagens fiquem padronizadas visualmente
 // - Permitir adicionar o item ao carrinho via contexto global
+// - Quando o item tem modificadores, abrir a escolha de opções antes
+// - Exibir itens pausados/esgotados como indisponíveis
 // ======================================================================
 
 export default function ItemCard({ item }) {
   // Obtém do contexto a função que adiciona itens ao carrinho
   const { addToCart } = useContext(CartContext);
 
+  // Exibe o seletor de opções (apenas para itens com modificadores)
+  const [choosing, setChoosing] = useState(false);
+
+  const hasModifiers = item.modifierGroups?.length > 0;
+
+  // Pausado pelo admin ou com estoque controlado zerado
+  const unavailable = !item.available || item.stockQuantity === 0;
+
   return (
     <div className="bg-white rounded-xl shadow-md hover:shadow-lg transition p-3 flex flex-col">
       <div className="w-full h-40 flex items-center justify-center bg-white overflow-hidden rounded-lg">
         <img
           src={item.imageUrl}
           alt={item.description}
-          className="max-h-full object-contain"
+          className={`max-h-full object-contain ${unavailable ? "opacity-40 grayscale" : ""}`}
         />
       </div>
 
@@ -34,15 +45,39 @@ export default function ItemCard({ item }) {
         R$ {item.unitPrice.toFixed(2)}
       </p>
 
-      <button
-        onClick={() => {
-          console.log("ITEM RECEBIDO NO CARD:", item);
-          addToCart(item);
-        }}
-        className="mt-auto bg-red-500 hover:bg-red-600 text-white p-2 rounded-lg font-semibold transition"
-      >
-        Adicionar ao carrinho +
-      </button>
+      {unavailable ? (
+        <button
+          disabled
+          className="mt-auto bg-gray-300 text-gray-600 p-2 rounded-lg font-semibold cursor-not-allowed"
+        >
+          Indisponível
+        </button>
+      ) : choosing ? (
+        <ModifierSelector
+          groups={item.modifierGroups}
+          onCancel={() => setChoosing(false)}
+          onConfirm={(options) => {
+            addToCart(item, options);
+            setChoosing(false);
+          }}
+        />
+      ) : (
+        <button
+          onClick={() => {
+            console.log("ITEM RECEBIDO NO CARD:", item);
+
+            if (hasModifiers) {
+              setChoosing(true);
+              return;
+            }
+
+            addToCart(item);
+          }}
+          className="mt-auto bg-red-500 hover:bg-red-600 text-white p-2 rounded-lg font-semibold transition"
+        >
+          {hasModifiers ? "Escolher opções +" : "Adicionar ao carrinho +"}
+        </button>
+      )}
     </div>
   );
 }
@@ -0,0 +1,129 @@
+import { useState } from "react";
+
+// ======================================================================
+// COMPONENTE DE ESCOLHA DE MODIFICADORES
+// ======================================================================
+// Objetivo:
+// - Exibir os grupos de opções de um item (tamanho, adicionais, remoções)
+// - Usar "radio" quando o grupo permite só 1 escolha e "checkbox" nos demais
+// - Respeitar os limites de cada grupo (obrigatório, mínimo e máximo)
+//
+// As mesmas regras são validadas novamente no backend ao criar o pedido.
+// ======================================================================
+
+// Mínimo efetivo: grupo obrigatório exige ao menos 1 opção
+const minFor = (group) =>
+  group.required ? Math.max(1, group.minSelections) : group.minSelections;
+
+export default function ModifierSelector({ groups, onConfirm, onCancel }) {
+  // IDs das opções marcadas
+  const [selected, setSelected] = useState([]);
+
+  // --------------------------------------------------------------------
+  // MARCAR / DESMARCAR OPÇÃO
+  // --------------------------------------------------------------------
+  const toggle = (group, optionId) => {
+    const groupIds = group.options.map((o) => o.id);
+
+    setSelected((prev) => {
+      if (prev.includes(optionId)) {
+        return prev.filter((id) => id !== optionId);
+      }
+
+      // Grupo de escolha única: troca a opção marcada
+      if (group.maxSelections === 1) {
+        return [...prev.filter((id) => !groupIds.includes(id)), optionId];
+      }
+
+      // Não deixa ultrapassar o máximo do grupo
+      const count = prev.filter((id) => groupIds.includes(id)).length;
+      if (count >= group.maxSelections) return prev;
+
+      return [...prev, optionId];
+    });
+  };
+
+  // Grupos que ainda não atingiram o mínimo exigido
+  const pending = groups.filter(
+    (g) => g.options.filter((o) => selected.includes(o.id)).length < minFor(g)
+  );
+
+  // --------------------------------------------------------------------
+  // CONFIRMAR ESCOLHAS
+  // --------------------------------------------------------------------
+  // Devolve as opções no formato guardado no carrinho.
+  // --------------------------------------------------------------------
+  const handleConfirm = () => {
+    const options = groups.flatMap((g) =>
+      g.options
+        .filter((o) => selected.includes(o.id))
+        .map((o) => ({
+          id: o.id,
+          name: o.name,
+          groupName: g.name,
+          priceDelta: o.priceDelta,
+        }))
+    );
+
+    onConfirm(options);
+  };
+
+  return (
+    <div className="mt-3 space-y-3 border-t pt-3">
+      {groups.map((group) => (
+        <fieldset key={group.id} className="space-y-1">
+          <legend className="font-semibold text-sm text-gray-800">
+            {group.name}{" "}
+            <span className="text-gray-500 font-normal">
+              {group.required ? "(obrigatório" : "(opcional"}
+              {group.maxSelections > 1 && `, até ${group.maxSelections}`})
+            </span>
+          </legend>
+
+          {group.options.map((option) => (
+            <label key={option.id} className="flex items-center gap-2 text-sm">
+              <input
+                type={group.maxSelections === 1 ? "radio" : "checkbox"}
+                name={`group-${group.id}`}
+                checked={selected.includes(option.id)}
+                onChange={() => toggle(group, option.id)}
+                onClick={() =>
+                  // Permite desmarcar um radio clicando nele de novo
+                  group.maxSelections === 1 &&
+                  selected.includes(option.id) &&
+                  toggle(group, option.id)
+                }
+              />
+              <span className="flex-1">{option.name}</span>
+              {option.priceDelta !== 0 && (
+                <span className="text-gray-600">
+                  {option.priceDelta > 0 ? "+" : "-"} R${" "}
+                  {Math.abs(option.priceDelta).toFixed(2)}
+                </span>
+              )}
+            </label>
+          ))}
+        </fieldset>
+      ))}
+
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 bg-gray-200 p-2 rounded-lg font-semibold"
+        >
+          Voltar
+        </button>
+
+        <button
+          type="button"
+          onClick={handleConfirm}
+          disabled={pending.length > 0}
+          className="flex-1 bg-red-500 hover:bg-red-600 text-white p-2 rounded-lg font-semibold disabled:opacity-50"
+        >
+          Confirmar
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -2,13 +2,14 @@ import { useContext } from "react";
 import { AuthContext } from "../context/AuthContext";
 import { CartContext } from "../context/CartContext";
 import { Link, useNavigate } from "react-router-dom";
-import API from "../api/api";
+import API, { clearTokens } from "../api/api";
 
 // ======================================================================
 // COMPONENTE NAVBAR
 // ======================================================================
 // Objetivo:
-// - Exibir um menu superior dinâmico baseado no tipo do usuário (ADMIN / CLIENT)
+// - Exibir um menu superior dinâmico baseado no tipo do usuário
+//   (ADMIN / CLIENT / KITCHEN / COURIER)
 // - Mostrar ações específicas, como carrinho, pedidos, categorias etc.
 // - Implementar o fluxo de logout limpando backend + frontend
 // - Garantir navegação fluida com React Router
@@ -26,7 +27,7 @@ export default function Navbar() {
   // --------------------------------------------------------------
   // FUNÇÃO DE LOGOUT
   // --------------------------------------------------------------
-  // - Envia requisição ao backend para invalidar o token (blacklist)
+  // - Envia requisição ao backend para invalidar o token (revogação)
   // - Garante limpeza local mesmo se backend falhar
   // - Redireciona para /login
   // --------------------------------------------------------------
@@ -37,7 +38,7 @@ export default function Navbar() {
       console.warn("Erro ao deslogar:", err);
     }
 
-    localStorage.removeItem("authToken");
+    clearTokens();
     setUser(null);
     navigate("/login");
   };
@@ -59,12 +60,31 @@ export default function Navbar() {
            ---------------------------------------------------------- */}
         {user?.type === "ADMIN" && (
           <>
+            <Link to="/admin/dashboard">Dashboard</Link>
             <Link to="/admin/categories">Categorias</Link>
             <Link to="/admin/items">Itens</Link>
             <Link to="/admin/orders">Pedidos</Link>
+            <Link to="/kitchen">Cozinha</Link>
+            <Link to="/admin/coupons">Cupons</Link>
+            <Link to="/admin/delivery-zones">Entregas</Link>
+            <Link to="/admin/store-hours">Horários</Link>
+            <Link to="/admin/users">Usuários</Link>
           </>
         )}
 
+        {/* ----------------------------------------------------------
+           LINKS DA EQUIPE (COZINHA E ENTREGADORES)
+           ---------------------------------------------------------- */}
+        {user?.type === "KITCHEN" && (
+          <>
+            <Link to="/kitchen">Cozinha</Link>
+            <Link to="/admin/orders">Pedidos</Link>
+          </>
+        )}
+        {user?.type === "COURIER" && (
+          <Link to="/deliveries">Minhas entregas</Link>
+        )}
+
         {/* ----------------------------------------------------------
            LINKS EXCLUSIVOS PARA CLIENTES
            ---------------------------------------------------------- */}
@@ -0,0 +1,72 @@
+import { useState } from "react";
+
+// ======================================================================
+// COMPONENTE DE LINHA DO TEMPO DO PEDIDO
+// ======================================================================
+// Objetivo:
+// - Exibir cada status alcançado pelo pedido (OrderStatusEvent)
+// - Mostrar quando cada etapa começou e quem fez a mudança
+// - Mostrar quanto tempo o pedido ficou em cada etapa
+//
+// Recebe:
+// - events: lista de statusEvents vinda do backend (ordem cronológica)
+// - labels: rótulos amigáveis dos status (mesmos usados na página)
+// ======================================================================
+
+// Status finais não têm "próxima etapa", então não contamos tempo neles
+const FINAL_STATUSES = ["delivered", "picked_up", "cancelled"];
+
+// Converte milissegundos em texto curto: "12 min", "1h 05min"
+const formatDuration = (ms) => {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  const rest = String(minutes % 60).padStart(2, "0");
+  return `${hours}h ${rest}min`;
+};
+
+export default function OrderTimeline({ events, labels }) {
+  // Momento em que a linha do tempo foi aberta (referência do "até agora")
+  const [now] = useState(() => Date.now());
+
+  if (!events || events.length === 0) {
+    return <p className="text-gray-500 text-sm">Sem histórico disponível.</p>;
+  }
+
+  return (
+    <ol className="border-l-2 border-red-200 ml-2 space-y-3">
+      {events.map((event, index) => {
+        const start = new Date(event.createdAt);
+        const next = events[index + 1];
+        const isFinal = FINAL_STATUSES.includes(event.status);
+
+        // Etapa concluída → até o próximo evento
+        // Etapa atual (não final) → até agora
+        const duration = next
+          ? formatDuration(new Date(next.createdAt) - start)
+          : !isFinal && `${formatDuration(now - start)} até agora`;
+
+        return (
+          <li key={event.id} className="ml-4 relative">
+            <span className="absolute -left-[1.4rem] top-1.5 w-3 h-3 rounded-full bg-red-500" />
+
+            <p className="font-semibold text-gray-800">
+              {labels?.[event.status] ?? event.status}
+            </p>
+
+            <p className="text-gray-500 text-sm">
+              {start.toLocaleString("pt-BR")}
+              {event.user && ` • por ${event.user.name}`}
+            </p>
+
+            {duration && (
+              <p className="text-gray-600 text-sm">⏱ {duration}</p>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
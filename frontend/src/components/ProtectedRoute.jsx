@@ -7,7 +7,7 @@ import { AuthContext } from "../context/AuthContext";
 // ======================================================================
 // Objetivo:
 // - Bloquear acesso a rotas que exigem autenticação
-// - Restringir por tipo de usuário (CLIENT / ADMIN)
+// - Restringir por tipo de usuário (CLIENT / ADMIN / KITCHEN / COURIER)
 //
 // Funcionamento:
 // 1. Verifica se ainda está carregando informações do usuário
@@ -26,7 +26,7 @@ export default function ProtectedRoute({ children, allowed }) {
   if (!user) return <Navigate to="/login" />;
 
   // --------------------------------------------------------------------
-  // Caso a rota exija permissões específicas (ADMIN / CLIENT)
+  // Caso a rota exija tipos específicos (ex.: ADMIN, KITCHEN)
   // --------------------------------------------------------------------
   if (allowed && !allowed.includes(user.type)) {
     // Segurança: usuário autenticado, mas sem permissão
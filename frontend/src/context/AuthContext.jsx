@@ -1,5 +1,5 @@
 import { createContext, useState, useEffect } from "react";
-import API from "../api/api";
+import API, { clearTokens, SESSION_EXPIRED_EVENT } from "../api/api";
 
 // ======================================================================
 // CONTEXTO DE AUTENTICAÇÃO
@@ -40,8 +40,8 @@ export default function AuthProvider({ children }) {
       console.warn("Erro ao fazer logout no servidor:", err);
     }
 
-    // Remove o token local para encerrar a sessão imediatamente
-    localStorage.removeItem("authToken");
+    // Remove os tokens locais para encerrar a sessão imediatamente
+    clearTokens();
 
     // Reseta dados do usuário no contexto
     setUser(null);
@@ -53,12 +53,14 @@ export default function AuthProvider({ children }) {
   //
   // Fluxo:
   // 1. Verifica se existe token salvo
-  // 2. Se existir, tenta buscar "/users/me"
+  // 2. Se existir, tenta buscar "/users/me" (o axios renova a sessão
+  //    com o refresh token caso o token de acesso tenha expirado)
   // 3. Se der certo, usuário está autenticado
-  // 4. Se der erro, remove token
+  // 4. Se der erro, remove os tokens
   //
   useEffect(() => {
-    const token = localStorage.getItem("authToken");
+    const token =
+      localStorage.getItem("authToken") || localStorage.getItem("refreshToken");
 
     // Caso não exista token, não tenta validar no backend
     if (!token) {
@@ -73,8 +75,8 @@ export default function AuthProvider({ children }) {
         const res = await API.get("/users/me");
         setUser(res.data); // backend retorna o usuário já completo
       } catch (err) {
-        // Se o token expirou, foi invalidado ou está corrompido
-        localStorage.removeItem("authToken");
+        // Se a sessão expirou, foi revogada ou o token está corrompido
+        clearTokens();
         setUser(null);
       } finally {
         // Libera a interface para renderizar
@@ -85,6 +87,19 @@ export default function AuthProvider({ children }) {
     loadUser();
   }, []);
 
+  // ====================================================================
+  // SESSÃO EXPIRADA DURANTE O USO
+  // ====================================================================
+  // Quando o refresh token é recusado (expirado, revogado em outro
+  // dispositivo ou reutilizado), o api.js avisa e deslogamos localmente.
+  //
+  useEffect(() => {
+    const handleExpired = () => setUser(null);
+
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(SESSION_EXPIRED_EVENT, handleExpired);
+  }, []);
+
   // ====================================================================
   // PROVEDOR DO CONTEXTO
   // ====================================================================
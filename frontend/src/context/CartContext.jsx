@@ -2,13 +2,28 @@ import { createContext, useEffect, useState } from "react";
 
 export const CartContext = createContext();
 
+// Cada linha do carrinho é identificada pelo item + opções escolhidas.
+// Assim "X-Salada com bacon" e "X-Salada sem cebola" ficam separados.
+const cartKey = (itemId, options = []) =>
+  `${itemId}:${options.map((o) => o.id).sort((a, b) => a - b).join(",")}`;
+
 export default function CartProvider({ children }) {
   const [cart, setCart] = useState([]);
 
   // Carrega do localStorage quando o app inicia
   useEffect(() => {
     const saved = localStorage.getItem("cart");
-    if (saved) setCart(JSON.parse(saved));
+
+    // Carrinhos salvos antes dos modificadores não têm key/options
+    if (saved) {
+      setCart(
+        JSON.parse(saved).map((i) => ({
+          ...i,
+          options: i.options ?? [],
+          key: i.key ?? cartKey(i.id, i.options),
+        }))
+      );
+    }
   }, []);
 
   // Atualiza o localStorage sempre que o carrinho mudar
@@ -17,43 +32,68 @@ export default function CartProvider({ children }) {
   }, [cart]);
 
   // Adicionar item ao carrinho
-  const addToCart = (item) => {
+  // options: opções de modificadores escolhidas ({ id, name, groupName, priceDelta })
+  const addToCart = (item, options = []) => {
+    const key = cartKey(item.id, options);
+
     setCart((prev) => {
       console.log("CARRINHO ANTES:", prev);
-      const existing = prev.find((i) => i.id === item.id);
+      const existing = prev.find((i) => i.key === key);
 
       if (existing) {
         const updated = prev.map((i) =>
-          i.id === item.id ? { ...i, quantity: i.quantity + 1 } : i
+          i.key === key ? { ...i, quantity: i.quantity + 1 } : i
         );
         console.log("CARRINHO DEPOIS:", updated);
         return updated;
       }
 
-      const newCart = [...prev, { ...item, quantity: 1 }];
+      // O preço da linha já considera as variações das opções.
+      // É apenas uma prévia: o backend recalcula tudo no pedido.
+      const unitPrice = options.reduce(
+        (sum, o) => sum + o.priceDelta,
+        item.unitPrice
+      );
+
+      const newCart = [
+        ...prev,
+        { ...item, key, options, unitPrice, quantity: 1 },
+      ];
       console.log("CARRINHO DEPOIS:", newCart);
       return newCart;
     });
   };
 
-  // Remover item
-  const removeFromCart = (id) => {
-    setCart((prev) => prev.filter((i) => i.id !== id));
+  // Remover linha do carrinho
+  const removeFromCart = (key) => {
+    setCart((prev) => prev.filter((i) => i.key !== key));
   };
 
   // Alterar quantidade
-  const updateQuantity = (id, qty) => {
+  const updateQuantity = (key, qty) => {
     setCart((prev) =>
-      prev.map((i) => (i.id === id ? { ...i, quantity: Math.max(1, qty) } : i))
+      prev.map((i) => (i.key === key ? { ...i, quantity: Math.max(1, qty) } : i))
     );
   };
 
+  // Observação da linha para a cozinha (ex.: "sem cebola")
+  const updateNotes = (key, notes) => {
+    setCart((prev) => prev.map((i) => (i.key === key ? { ...i, notes } : i)));
+  };
+
   // Limpar carrinho
   const clearCart = () => setCart([]);
 
   return (
     <CartContext.Provider
-      value={{ cart, addToCart, removeFromCart, updateQuantity, clearCart }}
+      value={{
+        cart,
+        addToCart,
+        removeFromCart,
+        updateQuantity,
+        updateNotes,
+        clearCart,
+      }}
     >
       {children}
     </CartContext.Provider>
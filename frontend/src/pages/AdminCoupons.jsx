@@ -0,0 +1,436 @@
+import { useEffect, useState } from "react";
+import API from "../api/api";
+
+// ======================================================================
+// COMPONENTE AdminCoupons
+// ======================================================================
+// Responsável por:
+// - Listar cupons com regras e quantidade de usos
+// - Criar, editar, pausar e excluir cupons
+//
+// Regras:
+// - Apenas ADMIN acessa essa tela (rota protegida por ProtectedRoute)
+// - Backend valida as regras com Zod (percentual, datas, restrição)
+// - Campos opcionais vazios são enviados como null (regra desligada)
+// ======================================================================
+
+const EMPTY_FORM = {
+  code: "",
+  description: "",
+  type: "PERCENTAGE",
+  value: "",
+  minOrderValue: "",
+  startsAt: "",
+  endsAt: "",
+  usageLimit: "",
+  usageLimitPerClient: "",
+  categoryId: "",
+  itemId: "",
+  active: true,
+};
+
+// "" → null; demais valores → número
+const numberOrNull = (value) => (value === "" ? null : Number(value));
+
+// ISO → valor aceito por <input type="datetime-local"> (horário local)
+const toLocalInput = (iso) => {
+  if (!iso) return "";
+  const d = new Date(iso);
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16);
+};
+
+// Resumo legível do desconto: "10%" ou "R$ 5,00"
+const describeValue = (coupon) =>
+  coupon.type === "PERCENTAGE"
+    ? `${coupon.value}%`
+    : `R$ ${coupon.value.toFixed(2)}`;
+
+export default function AdminCoupons() {
+  const [coupons, setCoupons] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [msg, setMsg] = useState("");
+
+  // -------------------------------------------------------------------
+  // CARREGAR CUPONS E CATEGORIAS (para a restrição por categoria/item)
+  // -------------------------------------------------------------------
+  const loadCoupons = () =>
+    API.get("/coupons")
+      .then((res) => setCoupons(res.data))
+      .catch(() => setCoupons([]))
+      .finally(() => setLoading(false));
+
+  useEffect(() => {
+    loadCoupons();
+
+    API.get("/categories")
+      .then((res) => setCategories(res.data))
+      .catch(() => setCategories([]));
+  }, []);
+
+  const allItems = categories.flatMap((c) => c.items ?? []);
+
+  const setField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  // -------------------------------------------------------------------
+  // CRIAR OU EDITAR CUPOM
+  // -------------------------------------------------------------------
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMsg("");
+
+    const payload = {
+      code: form.code,
+      description: form.description || null,
+      type: form.type,
+      value: Number(form.value),
+      minOrderValue: numberOrNull(form.minOrderValue),
+      startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+      endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : null,
+      usageLimit: numberOrNull(form.usageLimit),
+      usageLimitPerClient: numberOrNull(form.usageLimitPerClient),
+      categoryId: numberOrNull(form.categoryId),
+      itemId: numberOrNull(form.itemId),
+      active: form.active,
+    };
+
+    try {
+      if (editing) {
+        await API.put(`/coupons/${editing}`, payload);
+        setMsg("Cupom atualizado com sucesso!");
+      } else {
+        await API.post("/coupons", payload);
+        setMsg("Cupom criado com sucesso!");
+      }
+
+      setForm(EMPTY_FORM);
+      setEditing(null);
+      loadCoupons();
+
+    } catch (err) {
+      setMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao salvar cupom."
+      );
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // PAUSAR / REATIVAR CUPOM
+  // -------------------------------------------------------------------
+  const toggleActive = async (coupon) => {
+    // O PUT exige o cupom completo; reaproveitamos os campos atuais
+    const data = Object.fromEntries(
+      Object.keys(EMPTY_FORM).map((field) => [field, coupon[field]])
+    );
+
+    try {
+      await API.put(`/coupons/${coupon.id}`, { ...data, active: !coupon.active });
+      loadCoupons();
+    } catch {
+      setMsg("Erro ao alterar o cupom.");
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // EXCLUSÃO DE CUPOM
+  // -------------------------------------------------------------------
+  const handleDelete = async (id) => {
+    if (!confirm("Tem certeza que deseja excluir este cupom?")) return;
+
+    try {
+      await API.delete(`/coupons/${id}`);
+      setMsg("Cupom removido com sucesso!");
+      loadCoupons();
+    } catch {
+      setMsg("Erro ao excluir cupom.");
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // INICIAR EDIÇÃO
+  // -------------------------------------------------------------------
+  const startEdit = (coupon) => {
+    setEditing(coupon.id);
+    setForm({
+      code: coupon.code,
+      description: coupon.description ?? "",
+      type: coupon.type,
+      value: String(coupon.value),
+      minOrderValue: coupon.minOrderValue ?? "",
+      startsAt: toLocalInput(coupon.startsAt),
+      endsAt: toLocalInput(coupon.endsAt),
+      usageLimit: coupon.usageLimit ?? "",
+      usageLimitPerClient: coupon.usageLimitPerClient ?? "",
+      categoryId: coupon.categoryId ?? "",
+      itemId: coupon.itemId ?? "",
+      active: coupon.active,
+    });
+  };
+
+  // ====================================================================
+  // RENDERIZAÇÃO DO COMPONENTE
+  // ====================================================================
+  return (
+    <div className="p-6 max-w-3xl mx-auto space-y-6">
+
+      <h1 className="text-3xl font-bold text-red-600">
+        Gerenciar Cupons 🎟️
+      </h1>
+
+      {/* Mensagens de feedback */}
+      {msg && (
+        <div className="bg-green-100 text-green-700 p-3 rounded-lg font-medium">
+          {msg}
+        </div>
+      )}
+
+      {/* ----------------------------------------------------------------- */}
+      {/* FORMULÁRIO */}
+      {/* ----------------------------------------------------------------- */}
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white p-6 shadow rounded-lg space-y-4"
+      >
+        <h2 className="text-xl font-bold">
+          {editing ? "Editar Cupom" : "Criar Cupom"}
+        </h2>
+
+        <div className="grid grid-cols-2 gap-3">
+          <input
+            type="text"
+            placeholder="Código (ex.: BEMVINDO10)"
+            value={form.code}
+            onChange={(e) => setField("code", e.target.value)}
+            className="border p-3 rounded-lg uppercase"
+            required
+          />
+
+          <input
+            type="text"
+            placeholder="Descrição (opcional)"
+            value={form.description}
+            onChange={(e) => setField("description", e.target.value)}
+            className="border p-3 rounded-lg"
+          />
+
+          <select
+            value={form.type}
+            onChange={(e) => setField("type", e.target.value)}
+            className="border p-3 rounded-lg bg-white"
+          >
+            <option value="PERCENTAGE">Percentual (%)</option>
+            <option value="FIXED">Valor fixo (R$)</option>
+          </select>
+
+          <input
+            type="number"
+            step="0.01"
+            placeholder={form.type === "PERCENTAGE" ? "Percentual" : "Valor em R$"}
+            value={form.value}
+            onChange={(e) => setField("value", e.target.value)}
+            className="border p-3 rounded-lg"
+            required
+          />
+
+          <input
+            type="number"
+            step="0.01"
+            placeholder="Pedido mínimo (R$)"
+            value={form.minOrderValue}
+            onChange={(e) => setField("minOrderValue", e.target.value)}
+            className="border p-3 rounded-lg"
+          />
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={form.active}
+              onChange={(e) => setField("active", e.target.checked)}
+            />
+            Ativo
+          </label>
+
+          <label className="text-sm text-gray-600">
+            Início
+            <input
+              type="datetime-local"
+              value={form.startsAt}
+              onChange={(e) => setField("startsAt", e.target.value)}
+              className="w-full border p-3 rounded-lg"
+            />
+          </label>
+
+          <label className="text-sm text-gray-600">
+            Fim
+            <input
+              type="datetime-local"
+              value={form.endsAt}
+              onChange={(e) => setField("endsAt", e.target.value)}
+              className="w-full border p-3 rounded-lg"
+            />
+          </label>
+
+          <input
+            type="number"
+            min="1"
+            placeholder="Limite total de usos"
+            value={form.usageLimit}
+            onChange={(e) => setField("usageLimit", e.target.value)}
+            className="border p-3 rounded-lg"
+          />
+
+          <input
+            type="number"
+            min="1"
+            placeholder="Limite por cliente"
+            value={form.usageLimitPerClient}
+            onChange={(e) => setField("usageLimitPerClient", e.target.value)}
+            className="border p-3 rounded-lg"
+          />
+
+          {/* Restrição: categoria OU item (escolher um limpa o outro) */}
+          <select
+            value={form.categoryId}
+            onChange={(e) =>
+              setForm((prev) => ({ ...prev, categoryId: e.target.value, itemId: "" }))
+            }
+            className="border p-3 rounded-lg bg-white"
+          >
+            <option value="">Todas as categorias</option>
+            {categories.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.description}
+              </option>
+            ))}
+          </select>
+
+          <select
+            value={form.itemId}
+            onChange={(e) =>
+              setForm((prev) => ({ ...prev, itemId: e.target.value, categoryId: "" }))
+            }
+            className="border p-3 rounded-lg bg-white"
+          >
+            <option value="">Todos os itens</option>
+            {allItems.map((i) => (
+              <option key={i.id} value={i.id}>
+                {i.description}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <button className="bg-red-500 hover:bg-red-600 text-white p-3 rounded-lg font-bold w-full">
+          {editing ? "Salvar Alterações" : "Criar Cupom"}
+        </button>
+
+        {/* Botão para cancelar edição */}
+        {editing && (
+          <button
+            type="button"
+            onClick={() => {
+              setEditing(null);
+              setForm(EMPTY_FORM);
+            }}
+            className="mt-2 w-full bg-gray-300 p-3 rounded-lg font-semibold"
+          >
+            Cancelar edição
+          </button>
+        )}
+      </form>
+
+      {/* ----------------------------------------------------------------- */}
+      {/* LISTA DE CUPONS */}
+      {/* ----------------------------------------------------------------- */}
+      <div className="space-y-4">
+        <h2 className="text-xl font-bold">Cupons Existentes</h2>
+
+        {loading ? (
+          <p>Carregando...</p>
+        ) : coupons.length === 0 ? (
+          <p className="text-gray-500">Nenhum cupom cadastrado.</p>
+        ) : (
+          coupons.map((coupon) => (
+            <div
+              key={coupon.id}
+              className={`bg-white shadow p-4 rounded-lg flex justify-between items-center ${
+                coupon.active ? "" : "opacity-60"
+              }`}
+            >
+              <div className="space-y-1">
+                <p className="font-semibold">
+                  {coupon.code} — {describeValue(coupon)}
+                  {!coupon.active && (
+                    <span className="ml-2 text-sm text-gray-500">(pausado)</span>
+                  )}
+                </p>
+
+                {coupon.description && (
+                  <p className="text-gray-600 text-sm">{coupon.description}</p>
+                )}
+
+                <p className="text-gray-500 text-sm">
+                  Usos: {coupon.used}
+                  {coupon.usageLimit !== null && ` / ${coupon.usageLimit}`}
+                  {coupon.usageLimitPerClient !== null &&
+                    ` • ${coupon.usageLimitPerClient} por cliente`}
+                  {coupon.minOrderValue !== null &&
+                    ` • mínimo R$ ${coupon.minOrderValue.toFixed(2)}`}
+                </p>
+
+                {(coupon.category || coupon.item) && (
+                  <p className="text-gray-500 text-sm">
+                    Apenas: {coupon.category?.description ?? coupon.item?.description}
+                  </p>
+                )}
+
+                {(coupon.startsAt || coupon.endsAt) && (
+                  <p className="text-gray-500 text-sm">
+                    Validade:{" "}
+                    {coupon.startsAt
+                      ? new Date(coupon.startsAt).toLocaleString("pt-BR")
+                      : "—"}{" "}
+                    até{" "}
+                    {coupon.endsAt
+                      ? new Date(coupon.endsAt).toLocaleString("pt-BR")
+                      : "—"}
+                  </p>
+                )}
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => toggleActive(coupon)}
+                  className="px-4 py-2 bg-gray-500 hover:bg-gray-600 text-white rounded-lg"
+                >
+                  {coupon.active ? "Pausar" : "Reativar"}
+                </button>
+
+                <button
+                  onClick={() => startEdit(coupon)}
+                  className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg"
+                >
+                  Editar
+                </button>
+
+                <button
+                  onClick={() => handleDelete(coupon.id)}
+                  className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg"
+                >
+                  Excluir
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+    </div>
+  );
+}
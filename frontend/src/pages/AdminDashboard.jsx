@@ -0,0 +1,495 @@
+import { useEffect, useState } from "react";
+import API from "../api/api";
+
+// ======================================================================
+// COMPONENTE AdminDashboard (RELATÓRIOS DE VENDAS)
+// ======================================================================
+// Responsável por:
+// - Escolher o período do relatório (datas ou atalhos: hoje, 7 e 30 dias,
+//   mês atual)
+// - Resumo: faturamento, pedidos, ticket médio, descontos e cancelados
+//   (GET /reports/summary)
+// - Faturamento por dia, semana ou mês (GET /reports/revenue)
+// - Itens e categorias mais vendidos, por quantidade ou faturamento
+//   (GET /reports/top-items e /reports/top-categories)
+// - Divisão por forma de pagamento (GET /reports/payment-methods)
+// - Pedidos por hora do dia (GET /reports/peak-hours)
+//
+// Regras:
+// - Apenas ADMIN acessa essa tela (rota protegida por ProtectedRoute)
+// - Venda é todo pedido não cancelado, no dia da compra (fuso da loja)
+// - Os gráficos são feitos com Tailwind (barras em flex), sem biblioteca
+// ======================================================================
+
+const paymentLabels = {
+  CREDIT: "Crédito",
+  DEBIT: "Débito",
+  PIX: "PIX",
+  CASH: "Dinheiro",
+};
+
+const paymentColors = {
+  CREDIT: "bg-blue-500",
+  DEBIT: "bg-green-500",
+  PIX: "bg-teal-500",
+  CASH: "bg-yellow-500",
+};
+
+const groupByLabels = { day: "Dia", week: "Semana", month: "Mês" };
+
+const monthNames = [
+  "jan", "fev", "mar", "abr", "mai", "jun",
+  "jul", "ago", "set", "out", "nov", "dez",
+];
+
+// Mensagem de erro padrão das chamadas à API
+const errorMessage = (err, fallback) =>
+  err.response?.data?.message || err.response?.data?.error || fallback;
+
+const money = (value) => `R$ ${value.toFixed(2)}`;
+
+// Data local no formato do input (AAAA-MM-DD)
+const toDateInput = (d) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Período dos últimos N dias, incluindo hoje
+const lastDays = (days) => {
+  const from = new Date();
+  from.setDate(from.getDate() - (days - 1));
+  return { from: toDateInput(from), to: toDateInput(new Date()) };
+};
+
+const PRESETS = [
+  { label: "Hoje", range: () => lastDays(1) },
+  { label: "7 dias", range: () => lastDays(7) },
+  { label: "30 dias", range: () => lastDays(30) },
+  {
+    label: "Este mês",
+    range: () => {
+      const today = new Date();
+      const first = new Date(today.getFullYear(), today.getMonth(), 1);
+      return { from: toDateInput(first), to: toDateInput(today) };
+    },
+  },
+];
+
+// Rótulo curto do período no eixo do gráfico ("2026-10-05" → "05/10")
+const periodLabel = (period, groupBy) => {
+  const [year, month, day] = period.split("-");
+  if (groupBy === "month") return `${monthNames[Number(month) - 1]}/${year.slice(2)}`;
+  return `${day}/${month}`;
+};
+
+// ======================================================================
+// GRÁFICO DE BARRAS VERTICAIS
+// ======================================================================
+// Uma barra por ponto, com altura proporcional ao maior valor. O valor
+// exato aparece ao passar o mouse (title) e o rótulo fica embaixo.
+// ======================================================================
+function BarChart({ data, value, label, tooltip, color = "bg-red-500" }) {
+  const max = Math.max(...data.map(value), 0);
+
+  // Muitos pontos: mostra só alguns rótulos para não encavalar
+  const labelEvery = Math.ceil(data.length / 12);
+
+  if (max === 0) {
+    return <p className="text-gray-500 text-sm py-8 text-center">Nenhuma venda no período.</p>;
+  }
+
+  return (
+    <div className="flex items-end gap-1 h-48">
+      {data.map((point, index) => (
+        <div
+          key={label(point)}
+          title={tooltip(point)}
+          className="flex-1 h-full flex flex-col justify-end items-center min-w-0"
+        >
+          <div
+            className={`w-full rounded-t ${color} hover:opacity-80`}
+            style={{ height: `${(value(point) / max) * 100}%` }}
+          />
+          <span className="text-[10px] text-gray-500 mt-1 h-3 truncate">
+            {index % labelEvery === 0 ? label(point) : ""}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ======================================================================
+// RANKING COM BARRAS HORIZONTAIS (ITENS E CATEGORIAS)
+// ======================================================================
+function RankingList({ rows, by }) {
+  if (rows.length === 0) {
+    return <p className="text-gray-500 text-sm">Nenhuma venda no período.</p>;
+  }
+
+  const max = Math.max(...rows.map((r) => r[by]));
+
+  return (
+    <ol className="space-y-2">
+      {rows.map((row, index) => (
+        <li key={row.id}>
+          <div className="flex justify-between text-sm">
+            <span className="truncate">
+              {index + 1}. {row.name}
+              {row.category && <span className="text-gray-400"> • {row.category}</span>}
+            </span>
+            <span className="font-semibold whitespace-nowrap ml-2">
+              {row.quantity} un. • {money(row.revenue)}
+            </span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded">
+            <div
+              className="h-2 bg-red-500 rounded"
+              style={{ width: `${(row[by] / max) * 100}%` }}
+            />
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// ======================================================================
+// CARD DO RESUMO
+// ======================================================================
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="bg-white p-4 shadow rounded-xl">
+      <p className="text-gray-500 text-sm">{label}</p>
+      <p className="text-2xl font-bold">{value}</p>
+      {hint && <p className="text-gray-400 text-xs">{hint}</p>}
+    </div>
+  );
+}
+
+// ======================================================================
+// COMPONENTE PRINCIPAL
+// ======================================================================
+export default function AdminDashboard() {
+  // Período do relatório (padrão: últimos 30 dias)
+  const [range, setRange] = useState(() => lastDays(30));
+  const [groupBy, setGroupBy] = useState("day");
+  const [rankingBy, setRankingBy] = useState("quantity");
+  const [msg, setMsg] = useState("");
+
+  // Relatórios (null = ainda carregando)
+  const [summary, setSummary] = useState(null);
+  const [revenue, setRevenue] = useState(null);
+  const [topItems, setTopItems] = useState(null);
+  const [topCategories, setTopCategories] = useState(null);
+  const [payments, setPayments] = useState(null);
+  const [peakHours, setPeakHours] = useState(null);
+
+  const rangeError = range.from > range.to ? "A data final deve ser posterior à data inicial." : "";
+
+  // -------------------------------------------------------------------
+  // CARREGAMENTO DOS RELATÓRIOS
+  // -------------------------------------------------------------------
+  // Cada grupo recarrega só quando os seus parâmetros mudam (ex.: trocar
+  // dia → mês não busca os rankings de novo). Respostas de um período
+  // antigo, que chegam depois de uma troca, são descartadas.
+  // -------------------------------------------------------------------
+  useEffect(() => {
+    if (rangeError) return;
+    let ignore = false;
+
+    Promise.all([
+      API.get("/reports/summary", { params: range }),
+      API.get("/reports/payment-methods", { params: range }),
+      API.get("/reports/peak-hours", { params: range }),
+    ])
+      .then(([summaryRes, paymentsRes, hoursRes]) => {
+        if (ignore) return;
+        setSummary(summaryRes.data);
+        setPayments(paymentsRes.data.data);
+        setPeakHours(hoursRes.data.data);
+        setMsg("");
+      })
+      .catch((err) => {
+        if (!ignore) setMsg(errorMessage(err, "Erro ao carregar os relatórios."));
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [range, rangeError]);
+
+  useEffect(() => {
+    if (rangeError) return;
+    let ignore = false;
+
+    API.get("/reports/revenue", { params: { ...range, groupBy } })
+      .then((res) => {
+        if (!ignore) setRevenue(res.data);
+      })
+      .catch((err) => {
+        if (!ignore) setMsg(errorMessage(err, "Erro ao carregar o faturamento."));
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [range, rangeError, groupBy]);
+
+  useEffect(() => {
+    if (rangeError) return;
+    let ignore = false;
+    const params = { ...range, by: rankingBy, limit: 10 };
+
+    Promise.all([
+      API.get("/reports/top-items", { params }),
+      API.get("/reports/top-categories", { params }),
+    ])
+      .then(([itemsRes, categoriesRes]) => {
+        if (ignore) return;
+        setTopItems(itemsRes.data.data);
+        setTopCategories(categoriesRes.data.data);
+      })
+      .catch((err) => {
+        if (!ignore) setMsg(errorMessage(err, "Erro ao carregar os rankings."));
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [range, rangeError, rankingBy]);
+
+  const setRangeField = (field, value) =>
+    setRange((prev) => ({ ...prev, [field]: value }));
+
+  const peak = peakHours?.reduce(
+    (best, h) => (h.orders > (best?.orders ?? 0) ? h : best),
+    null
+  );
+
+  // ====================================================================
+  // RENDERIZAÇÃO DO COMPONENTE
+  // ====================================================================
+  return (
+    <div className="p-6 max-w-6xl mx-auto space-y-6">
+      <h1 className="text-3xl font-bold text-red-600">Dashboard de Vendas 📊</h1>
+
+      {/* ----------------------------------------------------------------- */}
+      {/* PERÍODO */}
+      {/* ----------------------------------------------------------------- */}
+      <div className="bg-white p-4 shadow rounded-lg flex flex-wrap gap-3 items-center">
+        <label className="flex items-center gap-2">
+          De
+          <input
+            type="date"
+            className="border p-2 rounded-lg"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => setRangeField("from", e.target.value)}
+            required
+          />
+        </label>
+
+        <label className="flex items-center gap-2">
+          até
+          <input
+            type="date"
+            className="border p-2 rounded-lg"
+            value={range.to}
+            min={range.from}
+            onChange={(e) => setRangeField("to", e.target.value)}
+            required
+          />
+        </label>
+
+        {PRESETS.map((preset) => (
+          <button
+            key={preset.label}
+            onClick={() => setRange(preset.range())}
+            className="px-3 py-2 border rounded-lg hover:bg-gray-100"
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      {(rangeError || msg) && (
+        <div className="bg-red-100 text-red-700 p-3 rounded-lg">{rangeError || msg}</div>
+      )}
+
+      {/* ----------------------------------------------------------------- */}
+      {/* RESUMO */}
+      {/* ----------------------------------------------------------------- */}
+      {summary ? (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <StatCard label="Faturamento" value={money(summary.revenue)} />
+          <StatCard label="Pedidos" value={summary.orders} />
+          <StatCard label="Ticket médio" value={money(summary.averageTicket)} />
+          <StatCard
+            label="Descontos"
+            value={money(summary.discounts)}
+            hint={`Taxas de entrega: ${money(summary.deliveryFees)}`}
+          />
+          <StatCard label="Cancelados" value={summary.cancelledOrders} />
+        </div>
+      ) : (
+        <p className="text-gray-500">Carregando resumo...</p>
+      )}
+
+      {/* ----------------------------------------------------------------- */}
+      {/* FATURAMENTO POR PERÍODO */}
+      {/* ----------------------------------------------------------------- */}
+      <section className="bg-white p-5 shadow rounded-xl space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-xl font-bold">Faturamento</h2>
+
+          <div className="flex gap-1">
+            {Object.entries(groupByLabels).map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setGroupBy(value)}
+                className={`px-3 py-1 rounded-lg text-sm ${
+                  groupBy === value ? "bg-red-500 text-white" : "border hover:bg-gray-100"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {revenue ? (
+          <BarChart
+            data={revenue.data}
+            value={(p) => p.revenue}
+            label={(p) => periodLabel(p.period, revenue.groupBy)}
+            tooltip={(p) =>
+              `${periodLabel(p.period, revenue.groupBy)}: ${money(p.revenue)} em ${p.orders} pedido(s) • ticket médio ${money(p.averageTicket)}`
+            }
+          />
+        ) : (
+          <p className="text-gray-500">Carregando...</p>
+        )}
+      </section>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        {/* --------------------------------------------------------------- */}
+        {/* HORÁRIOS DE PICO */}
+        {/* --------------------------------------------------------------- */}
+        <section className="bg-white p-5 shadow rounded-xl space-y-4">
+          <h2 className="text-xl font-bold">Pedidos por hora</h2>
+
+          {peakHours ? (
+            <>
+              <BarChart
+                data={peakHours}
+                value={(h) => h.orders}
+                label={(h) => `${h.hour}h`}
+                tooltip={(h) => `${h.hour}h: ${h.orders} pedido(s) • ${money(h.revenue)}`}
+                color="bg-orange-500"
+              />
+              {peak && (
+                <p className="text-gray-600 text-sm">
+                  Pico às <strong>{peak.hour}h</strong>, com {peak.orders} pedido(s) no período.
+                </p>
+              )}
+            </>
+          ) : (
+            <p className="text-gray-500">Carregando...</p>
+          )}
+        </section>
+
+        {/* --------------------------------------------------------------- */}
+        {/* FORMAS DE PAGAMENTO */}
+        {/* --------------------------------------------------------------- */}
+        <section className="bg-white p-5 shadow rounded-xl space-y-4">
+          <h2 className="text-xl font-bold">Formas de pagamento</h2>
+
+          {!payments ? (
+            <p className="text-gray-500">Carregando...</p>
+          ) : payments.length === 0 ? (
+            <p className="text-gray-500 text-sm">Nenhuma venda no período.</p>
+          ) : (
+            <>
+              {/* Barra única dividida pela participação no faturamento */}
+              <div className="flex h-6 rounded overflow-hidden">
+                {payments.map((p) => (
+                  <div
+                    key={p.paymentMethod}
+                    title={`${paymentLabels[p.paymentMethod] ?? p.paymentMethod}: ${p.share}%`}
+                    className={paymentColors[p.paymentMethod] ?? "bg-gray-400"}
+                    style={{ width: `${p.share}%` }}
+                  />
+                ))}
+              </div>
+
+              <ul className="space-y-1 text-sm">
+                {payments.map((p) => (
+                  <li key={p.paymentMethod} className="flex justify-between">
+                    <span className="flex items-center gap-2">
+                      <span
+                        className={`inline-block w-3 h-3 rounded ${
+                          paymentColors[p.paymentMethod] ?? "bg-gray-400"
+                        }`}
+                      />
+                      {paymentLabels[p.paymentMethod] ?? p.paymentMethod}
+                    </span>
+                    <span>
+                      {p.orders} pedido(s) • {money(p.revenue)} •{" "}
+                      <strong>{p.share}%</strong>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </section>
+      </div>
+
+      {/* ----------------------------------------------------------------- */}
+      {/* RANKINGS */}
+      {/* ----------------------------------------------------------------- */}
+      <div className="flex justify-end gap-1">
+        {[
+          ["quantity", "Por quantidade"],
+          ["revenue", "Por faturamento"],
+        ].map(([value, label]) => (
+          <button
+            key={value}
+            onClick={() => setRankingBy(value)}
+            className={`px-3 py-1 rounded-lg text-sm ${
+              rankingBy === value ? "bg-red-500 text-white" : "border hover:bg-gray-100"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <section className="bg-white p-5 shadow rounded-xl space-y-4">
+          <h2 className="text-xl font-bold">Itens mais vendidos</h2>
+          {topItems ? (
+            <RankingList rows={topItems} by={rankingBy} />
+          ) : (
+            <p className="text-gray-500">Carregando...</p>
+          )}
+        </section>
+
+        <section className="bg-white p-5 shadow rounded-xl space-y-4">
+          <h2 className="text-xl font-bold">Categorias mais vendidas</h2>
+          {topCategories ? (
+            <RankingList rows={topCategories} by={rankingBy} />
+          ) : (
+            <p className="text-gray-500">Carregando...</p>
+          )}
+        </section>
+      </div>
+
+      <p className="text-gray-400 text-xs">
+        Faturamento de itens e categorias: quantidade × preço unitário, antes
+        do desconto de cupons. Pedidos cancelados não entram nas vendas.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,345 @@
+import { useEffect, useState } from "react";
+import API from "../api/api";
+
+// ======================================================================
+// COMPONENTE AdminDeliveryZones
+// ======================================================================
+// Responsável por:
+// - Listar as zonas de entrega (faixas de CEP)
+// - Criar, editar, pausar e excluir zonas
+//
+// Regras:
+// - Apenas ADMIN acessa essa tela (rota protegida por ProtectedRoute)
+// - A faixa pode ser informada por CEP inicial/final ou por prefixo
+//   (ex.: "380" → 38000000 a 38099999); o backend converte o prefixo
+// - A taxa cobrada no pedido é sempre calculada no backend
+// ======================================================================
+
+const EMPTY_FORM = {
+  name: "",
+  cepPrefix: "",
+  cepStart: "",
+  cepEnd: "",
+  fee: "",
+  minOrderValue: "",
+  estimatedMinutes: "",
+  active: true,
+};
+
+// "38010200" → "38010-200"
+const formatCep = (cep) => `${cep.slice(0, 5)}-${cep.slice(5)}`;
+
+export default function AdminDeliveryZones() {
+  const [zones, setZones] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [msg, setMsg] = useState("");
+
+  // -------------------------------------------------------------------
+  // CARREGAR ZONAS
+  // -------------------------------------------------------------------
+  const loadZones = () =>
+    API.get("/delivery-zones")
+      .then((res) => setZones(res.data))
+      .catch(() => setZones([]))
+      .finally(() => setLoading(false));
+
+  useEffect(() => {
+    loadZones();
+  }, []);
+
+  const setField = (field, value) =>
+    setForm((prev) => ({ ...prev, [field]: value }));
+
+  // Corpo aceito pelo backend a partir de uma zona já salva
+  const toPayload = (zone) => ({
+    name: zone.name,
+    cepStart: zone.cepStart,
+    cepEnd: zone.cepEnd,
+    fee: zone.fee,
+    minOrderValue: zone.minOrderValue,
+    estimatedMinutes: zone.estimatedMinutes,
+    active: zone.active,
+  });
+
+  // -------------------------------------------------------------------
+  // CRIAR OU EDITAR ZONA
+  // -------------------------------------------------------------------
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMsg("");
+
+    const payload = {
+      name: form.name,
+      // Prefixo tem prioridade; sem ele, usamos a faixa explícita
+      ...(form.cepPrefix
+        ? { cepPrefix: form.cepPrefix }
+        : { cepStart: form.cepStart, cepEnd: form.cepEnd }),
+      fee: Number(form.fee),
+      minOrderValue: form.minOrderValue === "" ? null : Number(form.minOrderValue),
+      estimatedMinutes: Number(form.estimatedMinutes),
+      active: form.active,
+    };
+
+    try {
+      if (editing) {
+        await API.put(`/delivery-zones/${editing}`, payload);
+        setMsg("Zona atualizada com sucesso!");
+      } else {
+        await API.post("/delivery-zones", payload);
+        setMsg("Zona criada com sucesso!");
+      }
+
+      setForm(EMPTY_FORM);
+      setEditing(null);
+      loadZones();
+
+    } catch (err) {
+      setMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao salvar zona."
+      );
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // PAUSAR / REATIVAR ZONA
+  // -------------------------------------------------------------------
+  const toggleActive = async (zone) => {
+    try {
+      await API.put(`/delivery-zones/${zone.id}`, {
+        ...toPayload(zone),
+        active: !zone.active,
+      });
+      loadZones();
+    } catch {
+      setMsg("Erro ao alterar a zona.");
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // EXCLUSÃO DE ZONA
+  // -------------------------------------------------------------------
+  const handleDelete = async (id) => {
+    if (!confirm("Tem certeza que deseja excluir esta zona?")) return;
+
+    try {
+      await API.delete(`/delivery-zones/${id}`);
+      setMsg("Zona removida com sucesso!");
+      loadZones();
+    } catch {
+      setMsg("Erro ao excluir zona.");
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // INICIAR EDIÇÃO
+  // -------------------------------------------------------------------
+  const startEdit = (zone) => {
+    setEditing(zone.id);
+    setForm({
+      name: zone.name,
+      cepPrefix: "",
+      cepStart: zone.cepStart,
+      cepEnd: zone.cepEnd,
+      fee: String(zone.fee),
+      minOrderValue: zone.minOrderValue ?? "",
+      estimatedMinutes: String(zone.estimatedMinutes),
+      active: zone.active,
+    });
+  };
+
+  // ====================================================================
+  // RENDERIZAÇÃO DO COMPONENTE
+  // ====================================================================
+  return (
+    <div className="p-6 max-w-3xl mx-auto space-y-6">
+
+      <h1 className="text-3xl font-bold text-red-600">
+        Zonas de Entrega 🚚
+      </h1>
+
+      {/* Mensagens de feedback */}
+      {msg && (
+        <div className="bg-green-100 text-green-700 p-3 rounded-lg font-medium">
+          {msg}
+        </div>
+      )}
+
+      {/* ----------------------------------------------------------------- */}
+      {/* FORMULÁRIO */}
+      {/* ----------------------------------------------------------------- */}
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white p-6 shadow rounded-lg space-y-4"
+      >
+        <h2 className="text-xl font-bold">
+          {editing ? "Editar Zona" : "Criar Zona"}
+        </h2>
+
+        <div className="grid grid-cols-2 gap-3">
+          <input
+            type="text"
+            placeholder="Nome (ex.: Centro)"
+            value={form.name}
+            onChange={(e) => setField("name", e.target.value)}
+            className="border p-3 rounded-lg col-span-2"
+            required
+          />
+
+          <input
+            type="text"
+            placeholder="Prefixo do CEP (ex.: 3801)"
+            value={form.cepPrefix}
+            onChange={(e) => setField("cepPrefix", e.target.value)}
+            className="border p-3 rounded-lg col-span-2"
+          />
+
+          <input
+            type="text"
+            placeholder="CEP inicial"
+            value={form.cepStart}
+            onChange={(e) => setField("cepStart", e.target.value)}
+            disabled={Boolean(form.cepPrefix)}
+            className="border p-3 rounded-lg disabled:bg-gray-100"
+          />
+
+          <input
+            type="text"
+            placeholder="CEP final"
+            value={form.cepEnd}
+            onChange={(e) => setField("cepEnd", e.target.value)}
+            disabled={Boolean(form.cepPrefix)}
+            className="border p-3 rounded-lg disabled:bg-gray-100"
+          />
+
+          <input
+            type="number"
+            step="0.01"
+            min="0"
+            placeholder="Taxa de entrega (R$)"
+            value={form.fee}
+            onChange={(e) => setField("fee", e.target.value)}
+            className="border p-3 rounded-lg"
+            required
+          />
+
+          <input
+            type="number"
+            step="0.01"
+            placeholder="Pedido mínimo (R$)"
+            value={form.minOrderValue}
+            onChange={(e) => setField("minOrderValue", e.target.value)}
+            className="border p-3 rounded-lg"
+          />
+
+          <input
+            type="number"
+            min="1"
+            placeholder="Prazo estimado (min)"
+            value={form.estimatedMinutes}
+            onChange={(e) => setField("estimatedMinutes", e.target.value)}
+            className="border p-3 rounded-lg"
+            required
+          />
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={form.active}
+              onChange={(e) => setField("active", e.target.checked)}
+            />
+            Ativa
+          </label>
+        </div>
+
+        <button className="bg-red-500 hover:bg-red-600 text-white p-3 rounded-lg font-bold w-full">
+          {editing ? "Salvar Alterações" : "Criar Zona"}
+        </button>
+
+        {/* Botão para cancelar edição */}
+        {editing && (
+          <button
+            type="button"
+            onClick={() => {
+              setEditing(null);
+              setForm(EMPTY_FORM);
+            }}
+            className="mt-2 w-full bg-gray-300 p-3 rounded-lg font-semibold"
+          >
+            Cancelar edição
+          </button>
+        )}
+      </form>
+
+      {/* ----------------------------------------------------------------- */}
+      {/* LISTA DE ZONAS */}
+      {/* ----------------------------------------------------------------- */}
+      <div className="space-y-4">
+        <h2 className="text-xl font-bold">Zonas Cadastradas</h2>
+
+        {loading ? (
+          <p>Carregando...</p>
+        ) : zones.length === 0 ? (
+          <p className="text-gray-500">
+            Nenhuma zona cadastrada — nenhum pedido poderá ser entregue.
+          </p>
+        ) : (
+          zones.map((zone) => (
+            <div
+              key={zone.id}
+              className={`bg-white shadow p-4 rounded-lg flex justify-between items-center ${
+                zone.active ? "" : "opacity-60"
+              }`}
+            >
+              <div className="space-y-1">
+                <p className="font-semibold">
+                  {zone.name}
+                  {!zone.active && (
+                    <span className="ml-2 text-sm text-gray-500">(pausada)</span>
+                  )}
+                </p>
+
+                <p className="text-gray-600 text-sm">
+                  CEP {formatCep(zone.cepStart)} a {formatCep(zone.cepEnd)}
+                </p>
+
+                <p className="text-gray-500 text-sm">
+                  Taxa R$ {zone.fee.toFixed(2)} • ~{zone.estimatedMinutes} min
+                  {zone.minOrderValue !== null &&
+                    ` • mínimo R$ ${zone.minOrderValue.toFixed(2)}`}
+                </p>
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => toggleActive(zone)}
+                  className="px-4 py-2 bg-gray-500 hover:bg-gray-600 text-white rounded-lg"
+                >
+                  {zone.active ? "Pausar" : "Reativar"}
+                </button>
+
+                <button
+                  onClick={() => startEdit(zone)}
+                  className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg"
+                >
+                  Editar
+                </button>
+
+                <button
+                  onClick={() => handleDelete(zone.id)}
+                  className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg"
+                >
+                  Excluir
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+    </div>
+  );
+}
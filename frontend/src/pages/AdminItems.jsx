@@ -11,6 +11,8 @@ import API from "../api/api";
 // - Criar itens
 // - Editar itens existentes
 // - Excluir itens
+// - Configurar grupos de modificadores (tamanhos, adicionais, remoções)
+// - Controlar estoque e pausar/reativar itens
 // ======================================================================
 
 export default function AdminItems() {
@@ -27,6 +29,8 @@ export default function AdminItems() {
     unitPrice: "",
     imageUrl: "",
     categoryId: "",
+    stockQuantity: "",
+    modifierGroups: [],
   });
 
   // Se 'editing' tiver um ID, estamos editando o item
@@ -70,6 +74,18 @@ export default function AdminItems() {
       unitPrice: Number(form.unitPrice),
       imageUrl: form.imageUrl,
       categoryId: Number(form.categoryId),
+      // Campo vazio = estoque não controlado
+      stockQuantity: form.stockQuantity === "" ? null : Number(form.stockQuantity),
+      modifierGroups: form.modifierGroups.map((g) => ({
+        name: g.name,
+        required: g.required,
+        minSelections: Number(g.minSelections),
+        maxSelections: Number(g.maxSelections),
+        options: g.options.map((o) => ({
+          name: o.name,
+          priceDelta: Number(o.priceDelta),
+        })),
+      })),
     };
 
     try {
@@ -89,6 +105,8 @@ export default function AdminItems() {
         unitPrice: "",
         imageUrl: "",
         categoryId: "",
+        stockQuantity: "",
+        modifierGroups: [],
       });
 
       setEditing(null);
@@ -125,6 +143,21 @@ export default function AdminItems() {
     }
   };
 
+  // --------------------------------------------------------------------
+  // PAUSAR / REATIVAR ITEM
+  // --------------------------------------------------------------------
+  const toggleAvailability = async (item) => {
+    try {
+      await API.patch(`/items/${item.id}/availability`, {
+        available: !item.available,
+      });
+      setMsg(item.available ? "Item pausado." : "Item reativado.");
+      loadData();
+    } catch {
+      setMsg("Erro ao alterar disponibilidade.");
+    }
+  };
+
   // --------------------------------------------------------------------
   // INICIAR MODO DE EDIÇÃO
   // --------------------------------------------------------------------
@@ -138,9 +171,75 @@ export default function AdminItems() {
       unitPrice: item.unitPrice,
       imageUrl: item.imageUrl || "",
       categoryId: item.categoryId,
+      stockQuantity: item.stockQuantity ?? "",
+      modifierGroups: (item.modifierGroups ?? []).map((g) => ({
+        name: g.name,
+        required: g.required,
+        minSelections: g.minSelections,
+        maxSelections: g.maxSelections,
+        options: g.options.map((o) => ({
+          name: o.name,
+          priceDelta: o.priceDelta,
+        })),
+      })),
     });
   };
 
+  // --------------------------------------------------------------------
+  // EDIÇÃO DOS GRUPOS DE MODIFICADORES
+  // --------------------------------------------------------------------
+  // Os grupos ficam no próprio formulário e são enviados junto com o item.
+  // O backend substitui todos os grupos do item pela lista enviada.
+  // --------------------------------------------------------------------
+  const setGroups = (update) =>
+    setForm((prev) => ({ ...prev, modifierGroups: update(prev.modifierGroups) }));
+
+  const addGroup = () =>
+    setGroups((groups) => [
+      ...groups,
+      {
+        name: "",
+        required: false,
+        minSelections: 0,
+        maxSelections: 1,
+        options: [{ name: "", priceDelta: 0 }],
+      },
+    ]);
+
+  const updateGroup = (gi, changes) =>
+    setGroups((groups) =>
+      groups.map((g, i) => (i === gi ? { ...g, ...changes } : g))
+    );
+
+  const removeGroup = (gi) =>
+    setGroups((groups) => groups.filter((_, i) => i !== gi));
+
+  const addOption = (gi) =>
+    setGroups((groups) =>
+      groups.map((g, i) =>
+        i === gi ? { ...g, options: [...g.options, { name: "", priceDelta: 0 }] } : g
+      )
+    );
+
+  const updateOption = (gi, oi, changes) =>
+    setGroups((groups) =>
+      groups.map((g, i) =>
+        i === gi
+          ? {
+              ...g,
+              options: g.options.map((o, j) => (j === oi ? { ...o, ...changes } : o)),
+            }
+          : g
+      )
+    );
+
+  const removeOption = (gi, oi) =>
+    setGroups((groups) =>
+      groups.map((g, i) =>
+        i === gi ? { ...g, options: g.options.filter((_, j) => j !== oi) } : g
+      )
+    );
+
   // =====================================================================
   // RENDER
   // =====================================================================
@@ -193,6 +292,16 @@ export default function AdminItems() {
           onChange={(e) => setForm({ ...form, imageUrl: e.target.value })}
         />
 
+        <input
+          type="number"
+          min="0"
+          step="1"
+          placeholder="Estoque (vazio = não controlar)"
+          className="w-full border p-3 rounded"
+          value={form.stockQuantity}
+          onChange={(e) => setForm({ ...form, stockQuantity: e.target.value })}
+        />
+
         <select
           className="w-full border p-3 rounded bg-white"
           value={form.categoryId}
@@ -208,6 +317,113 @@ export default function AdminItems() {
           ))}
         </select>
 
+        {/* ------------------------------------------------------------- */}
+        {/* GRUPOS DE MODIFICADORES */}
+        {/* ------------------------------------------------------------- */}
+        <div className="space-y-3">
+          <div className="flex justify-between items-center">
+            <h3 className="font-semibold">Opções do item</h3>
+            <button
+              type="button"
+              onClick={addGroup}
+              className="text-red-600 font-semibold text-sm"
+            >
+              + Adicionar grupo
+            </button>
+          </div>
+
+          {form.modifierGroups.map((group, gi) => (
+            <div key={gi} className="border rounded-lg p-3 space-y-2">
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  placeholder="Nome do grupo (ex.: Tamanho, Adicionais)"
+                  className="flex-1 border p-2 rounded"
+                  value={group.name}
+                  onChange={(e) => updateGroup(gi, { name: e.target.value })}
+                  required
+                />
+                <button
+                  type="button"
+                  onClick={() => removeGroup(gi)}
+                  className="text-red-600 text-sm font-semibold"
+                >
+                  Remover grupo
+                </button>
+              </div>
+
+              <div className="flex gap-4 items-center text-sm">
+                <label className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={group.required}
+                    onChange={(e) => updateGroup(gi, { required: e.target.checked })}
+                  />
+                  Obrigatório
+                </label>
+
+                <label className="flex items-center gap-1">
+                  Mín.
+                  <input
+                    type="number"
+                    min="0"
+                    className="w-16 border p-1 rounded"
+                    value={group.minSelections}
+                    onChange={(e) => updateGroup(gi, { minSelections: e.target.value })}
+                  />
+                </label>
+
+                <label className="flex items-center gap-1">
+                  Máx.
+                  <input
+                    type="number"
+                    min="1"
+                    className="w-16 border p-1 rounded"
+                    value={group.maxSelections}
+                    onChange={(e) => updateGroup(gi, { maxSelections: e.target.value })}
+                  />
+                </label>
+              </div>
+
+              {group.options.map((option, oi) => (
+                <div key={oi} className="flex gap-2">
+                  <input
+                    type="text"
+                    placeholder="Opção (ex.: Bacon extra)"
+                    className="flex-1 border p-2 rounded"
+                    value={option.name}
+                    onChange={(e) => updateOption(gi, oi, { name: e.target.value })}
+                    required
+                  />
+                  <input
+                    type="number"
+                    step="0.01"
+                    placeholder="+ R$"
+                    className="w-24 border p-2 rounded"
+                    value={option.priceDelta}
+                    onChange={(e) => updateOption(gi, oi, { priceDelta: e.target.value })}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeOption(gi, oi)}
+                    className="text-gray-500 px-2"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+
+              <button
+                type="button"
+                onClick={() => addOption(gi)}
+                className="text-red-600 text-sm font-semibold"
+              >
+                + Adicionar opção
+              </button>
+            </div>
+          ))}
+        </div>
+
         <button className="w-full bg-red-500 hover:bg-red-600 text-white p-3 rounded-lg font-bold">
           {editing ? "Salvar Alterações" : "Criar Item"}
         </button>
@@ -222,6 +438,8 @@ export default function AdminItems() {
                 unitPrice: "",
                 imageUrl: "",
                 categoryId: "",
+                stockQuantity: "",
+                modifierGroups: [],
               });
             }}
             className="mt-2 w-full bg-gray-300 p-3 rounded-lg font-semibold"
@@ -265,10 +483,31 @@ export default function AdminItems() {
                   <p className="text-gray-500 text-sm">
                     Categoria: {item.category?.description}
                   </p>
+
+                  <p className="text-gray-500 text-sm">
+                    Estoque:{" "}
+                    {item.stockQuantity === null ? "não controlado" : item.stockQuantity}
+                    {!item.available && (
+                      <span className="ml-2 text-red-600 font-semibold">PAUSADO</span>
+                    )}
+                  </p>
+
+                  {item.modifierGroups?.length > 0 && (
+                    <p className="text-gray-500 text-sm">
+                      Opções: {item.modifierGroups.map((g) => g.name).join(", ")}
+                    </p>
+                  )}
                 </div>
               </div>
 
               <div className="flex gap-3">
+                <button
+                  onClick={() => toggleAvailability(item)}
+                  className="px-4 py-2 bg-gray-200 hover:bg-gray-300 rounded-lg"
+                >
+                  {item.available ? "Pausar" : "Reativar"}
+                </button>
+
                 <button
                   onClick={() => startEdit(item)}
                   className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg"
@@ -1,80 +1,677 @@
-import { useEffect, useState } from "react";
-import API from "../api/api";
+import { useContext, useEffect, useRef, useState } from "react";
+import API, { openEventStream } from "../api/api";
+import { AuthContext } from "../context/AuthContext";
+import InfiniteScrollTrigger from "../components/InfiniteScrollTrigger";
 
 // ======================================================================
 // DEFINIÇÃO DO FLUXO DE STATUS DO PEDIDO
 // ======================================================================
 //
-//  O backend exige que o status avance em fluxo rígido:
-//  pending - preparing - delivering - delivered
+//  O backend exige que o status avance em fluxo rígido, que depende do
+//  tipo de atendimento do pedido:
+//  DELIVERY: pending - preparing - ready_for_delivery - delivering - delivered
+//  PICKUP:   pending - preparing - ready_for_pickup - picked_up
 //
-// - nextStatus: diz qual é o próximo status permitido
+//  Pedidos agendados começam em "scheduled" e entram na fila ("pending")
+//  automaticamente, com a antecedência configurada em Horários — ou
+//  antes, se o admin enviar manualmente para a cozinha.
+//
+//  Em qualquer etapa não finalizada o admin pode cancelar o pedido
+//  (status "cancelled"), informando obrigatoriamente o motivo.
+//
+//  A equipe só avança as etapas que lhe cabem (mesma regra do backend,
+//  em config/permissions.js):
+//  KITCHEN: pending - preparing - pronto
+//  COURIER: usa a tela Minhas entregas e finaliza com o código do cliente
+//
+//  Entregas só saem da loja com um entregador: o admin seleciona os
+//  pedidos DELIVERY ainda na loja e os atribui (POST /orders/dispatch).
+//
+// - nextStatus: diz qual é o próximo status permitido (por atendimento)
+// - advanceRoles: quem pode avançar o pedido a partir de cada status
 // - statusLabels: rótulos amigáveis usados na UI
 // - statusColors: classes Tailwind para estilização dinâmica
 // ======================================================================
 
 const nextStatus = {
-  pending: "preparing",
-  preparing: "delivering",
-  delivering: "delivered",
+  DELIVERY: {
+    scheduled: "pending",
+    pending: "preparing",
+    preparing: "ready_for_delivery",
+    ready_for_delivery: "delivering",
+    delivering: "delivered",
+  },
+  PICKUP: {
+    scheduled: "pending",
+    pending: "preparing",
+    preparing: "ready_for_pickup",
+    ready_for_pickup: "picked_up",
+  },
+};
+
+const advanceRoles = {
+  scheduled: ["ADMIN"],
+  pending: ["ADMIN", "KITCHEN"],
+  preparing: ["ADMIN", "KITCHEN"],
+  ready_for_delivery: ["ADMIN", "COURIER"],
+  delivering: ["ADMIN"],
+  ready_for_pickup: ["ADMIN"],
 };
 
+// Entregas que ainda podem ser atribuídas (não saíram da loja)
+const assignableStatuses = ["pending", "preparing", "ready_for_delivery"];
+
 const statusLabels = {
+  scheduled: "AGENDADO",
   pending: "PENDENTE",
   preparing: "PREPARANDO",
+  ready_for_delivery: "PRONTO PARA ENTREGA",
   delivering: "SAIU PARA ENTREGA",
   delivered: "ENTREGUE",
+  ready_for_pickup: "PRONTO PARA RETIRADA",
+  picked_up: "RETIRADO",
+  cancelled: "CANCELADO",
 };
 
 const statusColors = {
+  scheduled: "bg-orange-100 text-orange-700",
   pending: "bg-yellow-100 text-yellow-700",
   preparing: "bg-blue-100 text-blue-700",
+  ready_for_delivery: "bg-indigo-100 text-indigo-700",
   delivering: "bg-purple-100 text-purple-700",
   delivered: "bg-green-100 text-green-700",
+  ready_for_pickup: "bg-purple-100 text-purple-700",
+  picked_up: "bg-green-100 text-green-700",
+  cancelled: "bg-red-100 text-red-700",
+};
+
+// Colunas do quadro: um status por coluna, na ordem do fluxo
+// (entrega e retirada dividem as etapas iniciais)
+const columns = [
+  "scheduled",
+  "pending",
+  "preparing",
+  "ready_for_delivery",
+  "delivering",
+  "delivered",
+  "ready_for_pickup",
+  "picked_up",
+  "cancelled",
+];
+
+const paymentLabels = {
+  CREDIT: "Crédito",
+  DEBIT: "Débito",
+  PIX: "PIX",
+  CASH: "Dinheiro",
+};
+
+// ======================================================================
+// REGRA DE MOVIMENTO NO QUADRO
+// ======================================================================
+// Um card só pode ir para a coluna seguinte do seu fluxo (ou para
+// "Cancelado", pelo admin). Retorna null se o movimento é permitido,
+// "" se o card voltou para a própria coluna (nada a fazer) ou o motivo
+// da recusa, exibido ao soltar o card no lugar errado.
+// ======================================================================
+const moveError = (order, target, userType) => {
+  const next = nextStatus[order.fulfillmentType]?.[order.status];
+
+  if (target === order.status) return "";
+
+  if (target === "cancelled") {
+    if (userType !== "ADMIN") return "Apenas o admin cancela pedidos.";
+    return next ? null : "Pedido já finalizado.";
+  }
+
+  if (!next) return "Pedido já finalizado.";
+
+  if (target !== next) {
+    return `Pedido #${order.id} só pode ir de ${statusLabels[order.status]} para ${statusLabels[next]}.`;
+  }
+
+  if (!advanceRoles[order.status]?.includes(userType)) {
+    return `Você não pode avançar pedidos em ${statusLabels[order.status]}.`;
+  }
+
+  if (target === "delivering" && !order.courierId) {
+    return "Atribua um entregador antes de enviar o pedido para entrega.";
+  }
+
+  return null;
+};
+
+// Data local (AAAA-MM-DD) usada no filtro: agendados contam pela faixa
+const orderDate = (order) => {
+  const d = new Date(order.scheduledFor ?? order.createdAt);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// ======================================================================
+// PAGINAÇÃO E FILTROS (GET /orders)
+// ======================================================================
+// O backend filtra e pagina; as páginas seguintes chegam pela rolagem.
+// Os mesmos filtros são conferidos no navegador para os pedidos que
+// entram em tempo real (SSE), que chegam sem passar pela busca.
+// ======================================================================
+const PAGE_SIZE = 50;
+
+// Filtros do quadro → query string ("12" busca pelo ID do cliente)
+const filterParams = ({ date, paymentMethod, client }) => {
+  const search = client.trim();
+  const byId = /^\d+$/.test(search);
+
+  return {
+    ...(date && { from: date, to: date }),
+    ...(paymentMethod && { paymentMethod }),
+    ...(byId && { clientId: search }),
+    ...(search && !byId && { client: search }),
+  };
+};
+
+const matchesFilters = (order, { date, paymentMethod, client }) => {
+  const search = client.trim().toLowerCase();
+
+  return (
+    (!date || orderDate(order) === date) &&
+    (!paymentMethod || order.paymentMethod === paymentMethod) &&
+    (!search ||
+      order.client?.name?.toLowerCase().includes(search) ||
+      order.client?.email?.toLowerCase().includes(search) ||
+      String(order.clientId) === search)
+  );
+};
+
+// Acrescenta uma página ao quadro, sem repetir pedidos que já chegaram
+// por tempo real (um pedido novo empurra os demais para a página seguinte)
+const appendOrders = (prev, page) => {
+  const seen = new Set(prev.map((o) => o.id));
+  return [...prev, ...page.filter((o) => !seen.has(o.id))];
 };
 
+// ======================================================================
+// CARD DE UM PEDIDO
+// ======================================================================
+// Arrastável para a próxima coluna. O botão de avançar continua
+// disponível para quem usa toque ou teclado.
+// ======================================================================
+function OrderCard({
+  order,
+  userType,
+  selected,
+  rejected,
+  onSelect,
+  onAdvance,
+  onCancel,
+  onDragStart,
+}) {
+  const next = nextStatus[order.fulfillmentType]?.[order.status];
+  const canAdvance =
+    next && advanceRoles[order.status]?.includes(userType);
+  const canCancel = next && userType === "ADMIN";
+  const canDispatch =
+    userType === "ADMIN" &&
+    order.fulfillmentType === "DELIVERY" &&
+    assignableStatuses.includes(order.status);
+
+  return (
+    <div
+      draggable={Boolean(next)}
+      onDragStart={(e) => onDragStart(e, order)}
+      className={`bg-white p-3 shadow rounded-lg space-y-2 text-sm ${
+        next ? "cursor-grab active:cursor-grabbing" : ""
+      } ${rejected ? "ring-2 ring-red-500 animate-pulse" : ""}`}
+    >
+      {/* Cabeçalho: número e total */}
+      <div className="flex justify-between items-start">
+        <span className="font-bold text-base">#{order.id}</span>
+        <span className="font-semibold text-red-600">
+          R$ {order.total?.toFixed(2) ?? "0.00"}
+        </span>
+      </div>
+
+      <p className="text-gray-700">
+        <strong>{order.client?.name}</strong>
+      </p>
+
+      <p className="text-gray-500">
+        {new Date(order.createdAt).toLocaleTimeString("pt-BR", {
+          hour: "2-digit",
+          minute: "2-digit",
+        })}{" "}
+        • {order.fulfillmentType === "PICKUP" ? "🏪 Retirada" : "🛵 Entrega"} •{" "}
+        {paymentLabels[order.paymentMethod] ?? order.paymentMethod}
+      </p>
+
+      {/* Faixa de horário escolhida pelo cliente */}
+      {order.scheduledFor && (
+        <p className="text-orange-700 font-semibold">
+          📅{" "}
+          {new Date(order.scheduledFor).toLocaleString("pt-BR", {
+            dateStyle: "short",
+            timeStyle: "short",
+          })}
+        </p>
+      )}
+
+      {/* Itens (com opções e observações) */}
+      <ul className="text-gray-800">
+        {(order.orderItems ?? []).map((item) => (
+          <li key={item.id}>
+            {item.quantity}× {item.description}
+            {item.modifiers?.length > 0 && (
+              <span className="block text-gray-500 text-xs">
+                {item.modifiers.map((m) => m.optionName).join(", ")}
+              </span>
+            )}
+            {item.notes && (
+              <span className="block text-orange-700 text-xs">
+                📝 {item.notes}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Entregador responsável e seleção para o despacho */}
+      {order.fulfillmentType === "DELIVERY" &&
+        (order.courier || canDispatch) && (
+          <div className="flex justify-between items-center text-gray-700">
+            <span>🛵 {order.courier?.name ?? "sem entregador"}</span>
+
+            {canDispatch && (
+              <label className="flex items-center gap-1 text-xs">
+                <input
+                  type="checkbox"
+                  checked={selected}
+                  onChange={() => onSelect(order.id)}
+                />
+                Despachar
+              </label>
+            )}
+          </div>
+        )}
+
+      {/* Dados do cancelamento */}
+      {order.status === "cancelled" && (
+        <div className="bg-red-50 text-red-700 p-2 rounded text-xs">
+          <p>
+            Por <strong>{order.cancelledBy?.name ?? "—"}</strong>
+            {order.cancelledBy?.type === "CLIENT" && " (cliente)"}
+          </p>
+          <p>Motivo: {order.cancelReason}</p>
+        </div>
+      )}
+
+      {/* Avançar / cancelar sem arrastar */}
+      {(canAdvance || canCancel) && (
+        <div className="flex gap-2">
+          {canAdvance && (
+            <button
+              onClick={() => onAdvance(order)}
+              className="flex-1 bg-blue-500 hover:bg-blue-600 text-white py-1 rounded font-semibold"
+            >
+              {order.status === "scheduled" ? "Enviar à cozinha" : "Avançar →"}
+            </button>
+          )}
+
+          {canCancel && (
+            <button
+              onClick={() => onCancel(order)}
+              className="bg-gray-200 hover:bg-gray-300 text-red-600 px-2 rounded font-semibold"
+            >
+              Cancelar
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ======================================================================
 // COMPONENTE AdminOrders
 // ======================================================================
 // Responsável por:
-// - Listar todos os pedidos (somente ADMIN)
-// - Exibir itens, cliente, total e status
-// - Avançar status do pedido seguindo fluxo controlado
+// - Mostrar os pedidos (ADMIN e KITCHEN) num quadro kanban, com uma
+//   coluna por status e o total de pedidos em cada uma
+// - Avançar o status arrastando o card para a próxima coluna
+//   (PATCH /orders/status/:id); movimentos inválidos são recusados
+//   com destaque vermelho na coluna e no card
+// - Cancelar arrastando para "Cancelado" (com motivo, somente ADMIN)
+// - Filtrar por data, forma de pagamento e cliente (no backend), com
+//   rolagem infinita: mais recentes primeiro, o resto ao rolar
+// - Atribuir entregas a um entregador (somente ADMIN)
+// - Receber novos pedidos e mudanças de status em tempo real (SSE)
 // ======================================================================
 
 export default function AdminOrders() {
-  const [orders, setOrders] = useState([]);  
-  const [loading, setLoading] = useState(true); 
+  const { user } = useContext(AuthContext);
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
   const [msg, setMsg] = useState("");
 
+  // Filtros do quadro (a busca por cliente é aplicada após a digitação)
+  const [filters, setFilters] = useState({
+    date: "",
+    paymentMethod: "",
+    client: "",
+  });
+  const [clientInput, setClientInput] = useState("");
+
+  // Paginação: última página carregada, total de páginas e de pedidos
+  const [pagination, setPagination] = useState({
+    page: 0,
+    totalPages: 0,
+    total: 0,
+  });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState("");
+
+  // Total de cada coluna (statusCounts do backend): o quadro só tem as
+  // páginas já carregadas. countsVersion pede uma recontagem.
+  const [statusCounts, setStatusCounts] = useState({});
+  const [countsVersion, setCountsVersion] = useState(0);
+  const filtersRef = useRef(filters);
+
+  // Busca em andamento: respostas de filtros antigos são descartadas
+  const requestRef = useRef(0);
+
+  // Arrastar e soltar: card em movimento, coluna sob o cursor e card
+  // recusado (destacado por alguns instantes)
+  const [dragging, setDragging] = useState(null);
+  const [overColumn, setOverColumn] = useState(null);
+  const [rejectedId, setRejectedId] = useState(null);
+
+  // Despacho: entregadores ativos, pedidos marcados e entregador escolhido
+  const [couriers, setCouriers] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [courierId, setCourierId] = useState("");
+  const isAdmin = user?.type === "ADMIN";
+
   // --------------------------------------------------------------------
-  // FUNÇÃO QUE BUSCA TODOS OS PEDIDOS
+  // CARREGAMENTO DOS PEDIDOS (primeira página, a cada mudança de filtro)
   // --------------------------------------------------------------------
-  const loadOrders = () => {
-    setLoading(true);
+  useEffect(() => {
+    const request = ++requestRef.current;
 
-    API.get("/orders")
-      .then((res) => setOrders(res.data))
-      .catch(() => setOrders([]))
+    API.get("/orders", {
+      params: { ...filterParams(filters), pageSize: PAGE_SIZE },
+    })
+      .then((res) => {
+        if (request !== requestRef.current) return;
+        setOrders(res.data.data);
+        setPagination({
+          page: res.data.page,
+          totalPages: res.data.totalPages,
+          total: res.data.total,
+        });
+        setStatusCounts(res.data.statusCounts ?? {});
+        setLoadMoreError("");
+      })
+      .catch(() => {
+        if (request === requestRef.current) setOrders([]);
+      })
       .finally(() => setLoading(false));
+  }, [filters]);
+
+  // A recontagem usa os filtros atuais sem depender deles
+  useEffect(() => {
+    filtersRef.current = filters;
+  }, [filters]);
+
+  // --------------------------------------------------------------------
+  // TOTAIS DAS COLUNAS
+  // --------------------------------------------------------------------
+  // Eventos em tempo real mudam os totais, mas o quadro não sabe o
+  // status anterior de pedidos que ainda não carregou: recontamos no
+  // backend (uma página de 1 pedido), agrupando rajadas de eventos.
+  // --------------------------------------------------------------------
+  useEffect(() => {
+    if (countsVersion === 0) return;
+
+    const timer = setTimeout(() => {
+      const request = requestRef.current;
+
+      API.get("/orders", {
+        params: { ...filterParams(filtersRef.current), pageSize: 1 },
+      })
+        .then((res) => {
+          if (request === requestRef.current) {
+            setStatusCounts(res.data.statusCounts ?? {});
+          }
+        })
+        .catch(() => {});
+    }, 1000);
+
+    return () => clearTimeout(timer);
+  }, [countsVersion]);
+
+  // Busca por cliente: espera a digitação parar antes de consultar
+  useEffect(() => {
+    const timer = setTimeout(
+      () =>
+        setFilters((prev) =>
+          prev.client === clientInput ? prev : { ...prev, client: clientInput }
+        ),
+      400
+    );
+    return () => clearTimeout(timer);
+  }, [clientInput]);
+
+  // Rolagem infinita: próxima página com os mesmos filtros
+  const loadMore = () => {
+    if (loadingMore) return;
+
+    const request = requestRef.current;
+    setLoadingMore(true);
+    setLoadMoreError("");
+
+    API.get("/orders", {
+      params: {
+        ...filterParams(filters),
+        page: pagination.page + 1,
+        pageSize: PAGE_SIZE,
+      },
+    })
+      .then((res) => {
+        if (request !== requestRef.current) return;
+        setOrders((prev) => appendOrders(prev, res.data.data));
+        setPagination({
+          page: res.data.page,
+          totalPages: res.data.totalPages,
+          total: res.data.total,
+        });
+        setStatusCounts(res.data.statusCounts ?? {});
+      })
+      .catch(() => setLoadMoreError("Erro ao carregar mais pedidos."))
+      .finally(() => setLoadingMore(false));
   };
 
-  // Carrega pedidos ao montar componente
+  // Entregadores (com o número de entregas em andamento)
+  const loadCouriers = () =>
+    API.get("/couriers")
+      .then((res) => setCouriers(res.data))
+      .catch(() => setCouriers([]));
+
   useEffect(() => {
-    loadOrders();
+    if (isAdmin) loadCouriers();
+  }, [isAdmin]);
+
+  // --------------------------------------------------------------------
+  // ATUALIZAÇÃO EM TEMPO REAL (SSE)
+  // --------------------------------------------------------------------
+  // Novos pedidos entram no quadro e mudanças de status feitas por outros
+  // usuários (ou cancelamentos de clientes) movem os cards sem reload.
+  // --------------------------------------------------------------------
+  useEffect(() => {
+    const stream = openEventStream("/orders/stream");
+
+    stream.addEventListener("order-created", (e) => {
+      const order = JSON.parse(e.data);
+      setOrders((prev) =>
+        prev.some((o) => o.id === order.id) ? prev : [order, ...prev]
+      );
+      setCountsVersion((v) => v + 1);
+    });
+
+    // Mudanças de status e atribuições de entregador
+    const applyChanges = (e) => {
+      const changes = JSON.parse(e.data);
+      setOrders((prev) =>
+        prev.map((o) => (o.id === changes.id ? { ...o, ...changes } : o))
+      );
+    };
+
+    stream.addEventListener("order-status-changed", (e) => {
+      applyChanges(e);
+      setCountsVersion((v) => v + 1);
+    });
+    stream.addEventListener("order-assigned", applyChanges);
+
+    return () => stream.close();
   }, []);
 
+  // Substitui o pedido alterado no quadro
+  const replaceOrder = (updated) =>
+    setOrders((prev) =>
+      prev.map((o) => (o.id === updated.id ? { ...o, ...updated } : o))
+    );
+
   // --------------------------------------------------------------------
   // AVANÇAR STATUS DO PEDIDO
   // --------------------------------------------------------------------
-  const updateStatus = async (id) => {
+  const updateStatus = async (order) => {
+    try {
+      const res = await API.patch(`/orders/status/${order.id}`);
+
+      replaceOrder(res.data);
+      setMsg(`Pedido #${order.id}: ${statusLabels[res.data.status]}.`);
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Erro ao atualizar status.");
+    }
+  };
+
+  // --------------------------------------------------------------------
+  // CANCELAR PEDIDO
+  // --------------------------------------------------------------------
+  // O backend exige motivo, então não enviamos a requisição sem ele.
+  // --------------------------------------------------------------------
+  const cancelOrder = async (order) => {
+    const reason = prompt(`Motivo do cancelamento do pedido #${order.id}:`);
+
+    if (reason === null) return;
+
+    if (reason.trim().length < 3) {
+      setMsg("Informe um motivo com pelo menos 3 caracteres.");
+      return;
+    }
+
+    try {
+      const res = await API.patch(`/orders/cancel/${order.id}`, {
+        reason: reason.trim(),
+      });
+
+      replaceOrder(res.data);
+      setMsg(`Pedido #${order.id} cancelado.`);
+    } catch (err) {
+      setMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao cancelar pedido."
+      );
+    }
+  };
+
+  // --------------------------------------------------------------------
+  // ARRASTAR E SOLTAR
+  // --------------------------------------------------------------------
+  // Durante o arraste, a coluna sob o cursor fica verde (movimento
+  // permitido) ou vermelha (recusado). Soltar numa coluna inválida não
+  // chama o backend: o card pisca em vermelho e o motivo aparece no topo.
+  // --------------------------------------------------------------------
+  const handleDragStart = (e, order) => {
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", String(order.id));
+    setDragging(order);
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setOverColumn(null);
+  };
+
+  const handleDragOver = (e, status) => {
+    if (!dragging) return;
+
+    // Só permitir o drop onde o movimento é válido
+    if (moveError(dragging, status, user?.type) === null) {
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+    }
+
+    if (overColumn !== status) setOverColumn(status);
+  };
+
+  const rejectMove = (order, reason) => {
+    setMsg(reason);
+    setRejectedId(order.id);
+    setTimeout(() => setRejectedId(null), 1200);
+  };
+
+  // Drop em coluna válida: cancelar (pede o motivo) ou avançar
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    const order = dragging;
+    handleDragEnd();
+
+    if (!order) return;
+
+    const error = moveError(order, status, user?.type);
+    if (error !== null) {
+      if (error) rejectMove(order, error);
+      return;
+    }
+
+    if (status === "cancelled") cancelOrder(order);
+    else updateStatus(order);
+  };
+
+  // Drop em coluna recusada: o navegador não chama onDrop (não houve
+  // preventDefault), então a recusa é mostrada quando o arraste termina
+  const handleBoardDragEnd = (e) => {
+    if (dragging && overColumn && e.dataTransfer.dropEffect === "none") {
+      const error = moveError(dragging, overColumn, user?.type);
+      if (error) rejectMove(dragging, error);
+    }
+    handleDragEnd();
+  };
+
+  // --------------------------------------------------------------------
+  // DESPACHO: ATRIBUIR OS PEDIDOS MARCADOS AO ENTREGADOR
+  // --------------------------------------------------------------------
+  const toggleSelected = (id) =>
+    setSelectedIds((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]
+    );
+
+  const dispatchSelected = async () => {
     try {
-      await API.patch(`/orders/status/${id}`);
+      const res = await API.post("/orders/dispatch", {
+        courierId: Number(courierId),
+        orderIds: selectedIds,
+      });
 
-      setMsg("Status atualizado!");
-      loadOrders();
-    } catch {
-      setMsg("Erro ao atualizar status.");
+      const assigned = new Map(res.data.map((o) => [o.id, o]));
+      setOrders((prev) =>
+        prev.map((o) => (assigned.has(o.id) ? { ...o, ...assigned.get(o.id) } : o))
+      );
+      setSelectedIds([]);
+      setMsg(`${res.data.length} pedido(s) atribuído(s) a ${res.data[0].courier.name}.`);
+      loadCouriers();
+    } catch (err) {
+      setMsg(err.response?.data?.message || "Erro ao atribuir as entregas.");
     }
   };
 
@@ -85,88 +682,185 @@ export default function AdminOrders() {
     return <div className="p-6 text-center">Carregando pedidos...</div>;
   }
 
+  const setFilter = (field, value) =>
+    setFilters((prev) => ({ ...prev, [field]: value }));
+
+  const clearFilters = () => {
+    setClientInput("");
+    setFilters({ date: "", paymentMethod: "", client: "" });
+  };
+
+  const visible = orders.filter((o) => matchesFilters(o, filters));
+
+  // Agendados pela faixa (próxima primeiro); demais pelos mais antigos,
+  // que são os próximos a andar
+  const columnOrders = (status) =>
+    visible
+      .filter((o) => o.status === status)
+      .sort((a, b) =>
+        status === "scheduled"
+          ? new Date(a.scheduledFor) - new Date(b.scheduledFor)
+          : new Date(a.createdAt) - new Date(b.createdAt)
+      );
+
   return (
-    <div className="p-6 max-w-4xl mx-auto space-y-6">
+    <div className="p-6 space-y-4">
 
       <h1 className="text-3xl font-bold text-red-600">Gerenciar Pedidos 📦</h1>
 
       {msg && <div className="bg-green-100 text-green-700 p-3 rounded-lg">{msg}</div>}
 
-      {orders.length === 0 ? (
-        <p className="text-gray-500">Nenhum pedido encontrado.</p>
-      ) : (
-        // =================================================================
-        // LISTA DE PEDIDOS
-        // =================================================================
-        orders.map((order) => (
-          <div key={order.id} className="bg-white p-5 shadow rounded-xl space-y-4">
-
-            {/* ------------------------------------------------------------- */}
-            {/* Cabeçalho: ID do pedido + status visual */}
-            {/* ------------------------------------------------------------- */}
-            <div className="flex justify-between items-start">
-              <h2 className="text-xl font-bold">Pedido #{order.id}</h2>
-
-              <span
-                className={`px-3 py-1 rounded-full text-sm font-semibold ${
-                  statusColors[order.status] || "bg-gray-100 text-gray-700"
-                }`}
-              >
-                {statusLabels[order.status]}
-              </span>
-            </div>
+      {/* =================================================================
+          FILTROS
+          ================================================================= */}
+      <div className="bg-white p-4 shadow rounded-lg flex flex-wrap gap-3 items-center">
+        <input
+          type="date"
+          className="border p-2 rounded-lg"
+          value={filters.date}
+          onChange={(e) => setFilter("date", e.target.value)}
+        />
 
-            {/* Informações do cliente */}
-            <p className="text-gray-700">
-              Cliente: <strong>{order.client?.name}</strong>
-            </p>
+        <select
+          className="border p-2 rounded-lg"
+          value={filters.paymentMethod}
+          onChange={(e) => setFilter("paymentMethod", e.target.value)}
+        >
+          <option value="">Todas as formas de pagamento</option>
+          {Object.entries(paymentLabels).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+
+        <input
+          className="border p-2 rounded-lg flex-1"
+          placeholder="Cliente (nome, e-mail ou ID)"
+          value={clientInput}
+          onChange={(e) => setClientInput(e.target.value)}
+        />
+
+        <button
+          onClick={clearFilters}
+          className="px-4 py-2 border rounded-lg hover:bg-gray-100"
+        >
+          Limpar
+        </button>
+
+        <p className="w-full text-gray-500 text-sm">
+          {orders.length} de {pagination.total} pedido(s) carregado(s)
+        </p>
+      </div>
+
+      {/* =================================================================
+          DESPACHO — atribui os pedidos marcados a um entregador
+          ================================================================= */}
+      {isAdmin && (
+        <div className="bg-white p-4 shadow rounded-lg flex flex-wrap gap-3 items-center">
+          <span className="font-semibold">
+            🛵 Despacho: {selectedIds.length} pedido(s) selecionado(s)
+          </span>
+
+          <select
+            className="border p-2 rounded-lg flex-1"
+            value={courierId}
+            onChange={(e) => setCourierId(e.target.value)}
+          >
+            <option value="">Escolha o entregador</option>
+            {couriers.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.name} ({c.activeDeliveries} em andamento)
+              </option>
+            ))}
+          </select>
 
-            {/* Data de criação formatada */}
-            <p className="text-gray-500 text-sm">
-              {new Date(order.createdAt).toLocaleString("pt-BR")}
+          <button
+            onClick={dispatchSelected}
+            disabled={!courierId || selectedIds.length === 0}
+            className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg disabled:opacity-50"
+          >
+            Atribuir
+          </button>
+
+          {couriers.length === 0 && (
+            <p className="w-full text-gray-500 text-sm">
+              Nenhum entregador ativo. Altere o tipo de um usuário para
+              Entregador em Usuários.
             </p>
+          )}
+        </div>
+      )}
+
+      {/* =================================================================
+          QUADRO KANBAN — uma coluna por status
+          ================================================================= */}
+      <div className="flex gap-4 overflow-x-auto pb-4" onDragEnd={handleBoardDragEnd}>
+        {columns.map((status) => {
+          const cards = columnOrders(status);
+          const count = statusCounts[status] ?? 0;
 
-            {/* ------------------------------------------------------------- */}
-            {/* Itens do pedido */}
-            {/* ------------------------------------------------------------- */}
-            <div className="space-y-2">
-              {(order.orderItems ?? []).map((item) => (
-                <div key={item.id} className="flex justify-between text-gray-800">
-                  <span>
-                    {item.quantity}× {item.item.description}
-                  </span>
-
-                  <span className="font-semibold">
-                    R$ {(item.item.unitPrice * item.quantity).toFixed(2)}
-                  </span>
-                </div>
-              ))}
-            </div>
-
-            {/* Total do pedido */}
-            <div className="text-right font-bold text-lg text-red-600">
-              Total: R$ {order.total?.toFixed(2) ?? "0.00"}
-            </div>
-
-            {/* ------------------------------------------------------------- */}
-            {/* Botão para avançar o status */}
-            {/* ------------------------------------------------------------- */}
-            {nextStatus[order.status] ? (
-              <button
-                onClick={() => updateStatus(order.id)}
-                className="w-full bg-blue-500 hover:bg-blue-600 text-white p-3 rounded-lg font-bold"
+          // Destaque da coluna durante o arraste
+          const dragError =
+            dragging && overColumn === status
+              ? moveError(dragging, status, user?.type)
+              : "";
+          const highlight =
+            dragError === null
+              ? "ring-2 ring-green-500 bg-green-50"
+              : dragError
+              ? "ring-2 ring-red-500 bg-red-50"
+              : "bg-gray-100";
+
+          return (
+            <section
+              key={status}
+              onDragOver={(e) => handleDragOver(e, status)}
+              onDrop={(e) => handleDrop(e, status)}
+              className={`w-72 shrink-0 rounded-xl p-3 space-y-3 ${highlight}`}
+            >
+              <h2
+                className={`flex justify-between px-3 py-1 rounded-full text-sm font-semibold ${statusColors[status]}`}
               >
-                Avançar para {statusLabels[nextStatus[order.status]]}
-              </button>
-            ) : (
-              // Quando o status é "delivered", não há próximo passo
-              <p className="text-green-600 font-semibold text-center">
-                Pedido concluído
-              </p>
-            )}
-          </div>
-        ))
-      )}
+                <span>{statusLabels[status]}</span>
+                <span>{count}</span>
+              </h2>
+
+              {cards.length === 0 && count === 0 ? (
+                <p className="text-gray-400 text-sm text-center">Vazio</p>
+              ) : (
+                cards.map((order) => (
+                  <OrderCard
+                    key={order.id}
+                    order={order}
+                    userType={user?.type}
+                    selected={selectedIds.includes(order.id)}
+                    rejected={rejectedId === order.id}
+                    onSelect={toggleSelected}
+                    onAdvance={updateStatus}
+                    onCancel={cancelOrder}
+                    onDragStart={handleDragStart}
+                  />
+                ))
+              )}
+
+              {/* Pedidos da coluna que estão nas próximas páginas */}
+              {count > cards.length && (
+                <p className="text-gray-400 text-sm text-center">
+                  +{count - cards.length} ao rolar a página
+                </p>
+              )}
+            </section>
+          );
+        })}
+      </div>
+
+      <InfiniteScrollTrigger
+        hasMore={pagination.page < pagination.totalPages}
+        loading={loadingMore}
+        error={loadMoreError}
+        onLoadMore={loadMore}
+      />
     </div>
   );
 }
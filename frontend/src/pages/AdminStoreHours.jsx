@@ -0,0 +1,459 @@
+import { useEffect, useState } from "react";
+import API from "../api/api";
+
+// ======================================================================
+// COMPONENTE AdminStoreHours
+// ======================================================================
+// Responsável por:
+// - Editar o horário semanal (um ou mais turnos por dia)
+// - Cadastrar exceções: feriados (fechado) ou horário especial
+// - Mostrar a situação atual da loja (aberta/fechada)
+// - Configurar o agendamento de pedidos (faixas, capacidade e antecedência)
+// - Definir se clientes com e-mail não verificado podem fazer pedidos
+//
+// Regras:
+// - Apenas ADMIN acessa essa tela (rota protegida por ProtectedRoute)
+// - O horário semanal é salvo de uma vez (PUT /store/hours)
+// - Fechamento antes da abertura = turno que vira a noite (18:00 → 02:00)
+// - Sem nenhum turno cadastrado a loja fica sempre aberta
+// ======================================================================
+
+const WEEKDAYS = [
+  "Domingo",
+  "Segunda",
+  "Terça",
+  "Quarta",
+  "Quinta",
+  "Sexta",
+  "Sábado",
+];
+
+const EMPTY_EXCEPTION = {
+  date: "",
+  closed: true,
+  opensAt: "",
+  closesAt: "",
+  description: "",
+};
+
+export default function AdminStoreHours() {
+  const [hours, setHours] = useState([]);
+  const [exceptions, setExceptions] = useState([]);
+  const [exceptionForm, setExceptionForm] = useState(EMPTY_EXCEPTION);
+  const [settings, setSettings] = useState(null);
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [msg, setMsg] = useState("");
+
+  // -------------------------------------------------------------------
+  // CARREGAR HORÁRIOS E SITUAÇÃO ATUAL
+  // -------------------------------------------------------------------
+  const loadHours = () =>
+    Promise.all([
+      API.get("/store/hours"),
+      API.get("/store/status"),
+      API.get("/store/settings"),
+    ])
+      .then(([hoursRes, statusRes, settingsRes]) => {
+        setHours(
+          hoursRes.data.hours.map(({ weekday, opensAt, closesAt }) => ({
+            weekday,
+            opensAt,
+            closesAt,
+          }))
+        );
+        setExceptions(hoursRes.data.exceptions);
+        setStatus(statusRes.data);
+        setSettings(settingsRes.data);
+      })
+      .catch(() => setMsg("Erro ao carregar horários."))
+      .finally(() => setLoading(false));
+
+  useEffect(() => {
+    loadHours();
+  }, []);
+
+  // -------------------------------------------------------------------
+  // EDIÇÃO DOS TURNOS (apenas local até salvar)
+  // -------------------------------------------------------------------
+  const addShift = (weekday) =>
+    setHours((prev) => [...prev, { weekday, opensAt: "18:00", closesAt: "23:00" }]);
+
+  const updateShift = (index, field, value) =>
+    setHours((prev) =>
+      prev.map((h, i) => (i === index ? { ...h, [field]: value } : h))
+    );
+
+  const removeShift = (index) =>
+    setHours((prev) => prev.filter((_, i) => i !== index));
+
+  const saveHours = async () => {
+    setMsg("");
+
+    try {
+      await API.put("/store/hours", { hours });
+      setMsg("Horário semanal salvo com sucesso!");
+      loadHours();
+    } catch (err) {
+      setMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao salvar horário."
+      );
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // EXCEÇÕES (FERIADOS / HORÁRIO ESPECIAL)
+  // -------------------------------------------------------------------
+  const setExceptionField = (field, value) =>
+    setExceptionForm((prev) => ({ ...prev, [field]: value }));
+
+  const saveException = async (e) => {
+    e.preventDefault();
+    setMsg("");
+
+    try {
+      await API.post("/store/exceptions", {
+        date: exceptionForm.date,
+        closed: exceptionForm.closed,
+        opensAt: exceptionForm.opensAt || null,
+        closesAt: exceptionForm.closesAt || null,
+        description: exceptionForm.description || null,
+      });
+
+      setMsg("Exceção salva com sucesso!");
+      setExceptionForm(EMPTY_EXCEPTION);
+      loadHours();
+
+    } catch (err) {
+      setMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao salvar exceção."
+      );
+    }
+  };
+
+  const deleteException = async (id) => {
+    if (!confirm("Remover esta exceção?")) return;
+
+    try {
+      await API.delete(`/store/exceptions/${id}`);
+      setMsg("Exceção removida com sucesso!");
+      loadHours();
+    } catch {
+      setMsg("Erro ao remover exceção.");
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // CONFIGURAÇÕES DE AGENDAMENTO
+  // -------------------------------------------------------------------
+  const setSettingsField = (field, value) =>
+    setSettings((prev) => ({ ...prev, [field]: value }));
+
+  const saveSettings = async (e) => {
+    e.preventDefault();
+    setMsg("");
+
+    try {
+      await API.put("/store/settings", {
+        slotMinutes: Number(settings.slotMinutes),
+        slotCapacity: Number(settings.slotCapacity),
+        scheduleLeadMinutes: Number(settings.scheduleLeadMinutes),
+        scheduleDaysAhead: Number(settings.scheduleDaysAhead),
+      });
+      setMsg("Configurações de agendamento salvas!");
+    } catch (err) {
+      setMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao salvar configurações."
+      );
+    }
+  };
+
+  // Aplicada na hora, sem botão de salvar
+  const toggleUnverifiedOrders = async (allowUnverifiedOrders) => {
+    setMsg("");
+
+    try {
+      const res = await API.put("/store/settings", { allowUnverifiedOrders });
+      setSettings(res.data);
+      setMsg(
+        allowUnverifiedOrders
+          ? "Clientes sem e-mail verificado podem fazer pedidos."
+          : "Agora só clientes com e-mail verificado podem fazer pedidos."
+      );
+    } catch (err) {
+      setMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao salvar configurações."
+      );
+    }
+  };
+
+  if (loading) {
+    return <p className="p-6">Carregando...</p>;
+  }
+
+  // ====================================================================
+  // RENDERIZAÇÃO DO COMPONENTE
+  // ====================================================================
+  return (
+    <div className="p-6 max-w-3xl mx-auto space-y-6">
+
+      <h1 className="text-3xl font-bold text-red-600">
+        Horário de Funcionamento 🕑
+      </h1>
+
+      {/* Situação atual */}
+      {status && (
+        <div
+          className={`p-3 rounded-lg font-semibold ${
+            status.open
+              ? "bg-green-100 text-green-700"
+              : "bg-yellow-100 text-yellow-800"
+          }`}
+        >
+          Agora: {status.message}
+          {status.reason && ` (${status.reason})`}
+        </div>
+      )}
+
+      {/* Mensagens de feedback */}
+      {msg && (
+        <div className="bg-gray-100 text-gray-700 p-3 rounded-lg font-medium">
+          {msg}
+        </div>
+      )}
+
+      {/* ----------------------------------------------------------------- */}
+      {/* HORÁRIO SEMANAL */}
+      {/* ----------------------------------------------------------------- */}
+      <div className="bg-white p-6 shadow rounded-lg space-y-4">
+        <h2 className="text-xl font-bold">Horário semanal</h2>
+
+        {hours.length === 0 && (
+          <p className="text-gray-500 text-sm">
+            Nenhum turno cadastrado — a loja aceita pedidos a qualquer hora.
+          </p>
+        )}
+
+        {WEEKDAYS.map((label, weekday) => (
+          <div key={weekday} className="flex items-start gap-3 border-b pb-3">
+            <span className="w-24 font-semibold pt-2">{label}</span>
+
+            <div className="flex-1 space-y-2">
+              {hours.every((h) => h.weekday !== weekday) && (
+                <p className="text-gray-400 text-sm pt-2">Fechado</p>
+              )}
+
+              {hours.map(
+                (h, index) =>
+                  h.weekday === weekday && (
+                    <div key={index} className="flex items-center gap-2">
+                      <input
+                        type="time"
+                        value={h.opensAt}
+                        onChange={(e) => updateShift(index, "opensAt", e.target.value)}
+                        className="border p-2 rounded-lg"
+                      />
+                      <span>até</span>
+                      <input
+                        type="time"
+                        value={h.closesAt}
+                        onChange={(e) => updateShift(index, "closesAt", e.target.value)}
+                        className="border p-2 rounded-lg"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeShift(index)}
+                        className="text-red-600 text-sm underline"
+                      >
+                        Remover
+                      </button>
+                    </div>
+                  )
+              )}
+            </div>
+
+            <button
+              type="button"
+              onClick={() => addShift(weekday)}
+              className="text-blue-600 text-sm underline pt-2"
+            >
+              + Turno
+            </button>
+          </div>
+        ))}
+
+        <button
+          onClick={saveHours}
+          className="bg-red-500 hover:bg-red-600 text-white p-3 rounded-lg font-bold w-full"
+        >
+          Salvar horário semanal
+        </button>
+      </div>
+
+      {/* ----------------------------------------------------------------- */}
+      {/* EXCEÇÕES */}
+      {/* ----------------------------------------------------------------- */}
+      <form
+        onSubmit={saveException}
+        className="bg-white p-6 shadow rounded-lg space-y-4"
+      >
+        <h2 className="text-xl font-bold">Feriados e horários especiais</h2>
+
+        <div className="grid grid-cols-2 gap-3">
+          <input
+            type="date"
+            value={exceptionForm.date}
+            onChange={(e) => setExceptionField("date", e.target.value)}
+            className="border p-3 rounded-lg"
+            required
+          />
+
+          <input
+            type="text"
+            placeholder="Descrição (ex.: Natal)"
+            value={exceptionForm.description}
+            onChange={(e) => setExceptionField("description", e.target.value)}
+            className="border p-3 rounded-lg"
+          />
+
+          <label className="flex items-center gap-2 col-span-2">
+            <input
+              type="checkbox"
+              checked={exceptionForm.closed}
+              onChange={(e) => setExceptionField("closed", e.target.checked)}
+            />
+            Fechado o dia todo
+          </label>
+
+          {!exceptionForm.closed && (
+            <>
+              <input
+                type="time"
+                value={exceptionForm.opensAt}
+                onChange={(e) => setExceptionField("opensAt", e.target.value)}
+                className="border p-3 rounded-lg"
+                required
+              />
+              <input
+                type="time"
+                value={exceptionForm.closesAt}
+                onChange={(e) => setExceptionField("closesAt", e.target.value)}
+                className="border p-3 rounded-lg"
+                required
+              />
+            </>
+          )}
+        </div>
+
+        <button className="bg-red-500 hover:bg-red-600 text-white p-3 rounded-lg font-bold w-full">
+          Salvar exceção
+        </button>
+      </form>
+
+      <div className="space-y-3">
+        {exceptions.length === 0 ? (
+          <p className="text-gray-500">Nenhuma exceção cadastrada.</p>
+        ) : (
+          exceptions.map((ex) => (
+            <div
+              key={ex.id}
+              className="bg-white shadow p-4 rounded-lg flex justify-between items-center"
+            >
+              <div>
+                <p className="font-semibold">
+                  {ex.date.split("-").reverse().join("/")}
+                  {ex.description && ` — ${ex.description}`}
+                </p>
+                <p className="text-gray-500 text-sm">
+                  {ex.closed
+                    ? "Fechado o dia todo"
+                    : `Horário especial: ${ex.opensAt} até ${ex.closesAt}`}
+                </p>
+              </div>
+
+              <button
+                onClick={() => deleteException(ex.id)}
+                className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg"
+              >
+                Remover
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+
+      {/* ----------------------------------------------------------------- */}
+      {/* AGENDAMENTO DE PEDIDOS */}
+      {/* ----------------------------------------------------------------- */}
+      {settings && (
+        <form
+          onSubmit={saveSettings}
+          className="bg-white p-6 shadow rounded-lg space-y-4"
+        >
+          <h2 className="text-xl font-bold">Pedidos agendados</h2>
+
+          <p className="text-gray-500 text-sm">
+            As faixas são geradas dentro do horário de funcionamento. O pedido
+            agendado entra na fila da cozinha com a antecedência definida.
+          </p>
+
+          <div className="grid grid-cols-2 gap-3">
+            {[
+              ["slotMinutes", "Duração da faixa (min)"],
+              ["slotCapacity", "Pedidos por faixa"],
+              ["scheduleLeadMinutes", "Antecedência para a cozinha (min)"],
+              ["scheduleDaysAhead", "Dias à frente para agendar"],
+            ].map(([field, label]) => (
+              <label key={field} className="flex flex-col text-sm font-semibold">
+                {label}
+                <input
+                  type="number"
+                  min="0"
+                  value={settings[field]}
+                  onChange={(e) => setSettingsField(field, e.target.value)}
+                  className="border p-3 rounded-lg font-normal"
+                  required
+                />
+              </label>
+            ))}
+          </div>
+
+          <button className="bg-red-500 hover:bg-red-600 text-white p-3 rounded-lg font-bold w-full">
+            Salvar agendamento
+          </button>
+        </form>
+      )}
+
+      {/* ----------------------------------------------------------------- */}
+      {/* VERIFICAÇÃO DE E-MAIL */}
+      {/* ----------------------------------------------------------------- */}
+      {settings && (
+        <div className="bg-white p-6 shadow rounded-lg space-y-3">
+          <h2 className="text-xl font-bold">Verificação de e-mail</h2>
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.allowUnverifiedOrders}
+              onChange={(e) => toggleUnverifiedOrders(e.target.checked)}
+            />
+            Permitir pedidos de clientes com e-mail ainda não verificado
+          </label>
+
+          <p className="text-gray-500 text-sm">
+            Desmarcado, o cliente precisa abrir o link enviado no cadastro
+            antes de finalizar o primeiro pedido.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
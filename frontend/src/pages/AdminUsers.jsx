@@ -0,0 +1,358 @@
+import { useContext, useEffect, useState } from "react";
+import API from "../api/api";
+import { AuthContext } from "../context/AuthContext";
+
+// ======================================================================
+// COMPONENTE AdminUsers
+// ======================================================================
+// Responsável por:
+// - Buscar usuários por nome, e-mail ou telefone, com filtros e paginação
+// - Ver os pedidos de um cliente (GET /orders/client/:clientId)
+// - Definir o tipo da conta: cliente, administrador, cozinha ou entregador
+// - Desativar ou reativar contas
+//
+// Regras:
+// - Apenas ADMIN acessa essa tela (rota protegida por ProtectedRoute)
+// - O admin não altera o próprio tipo nem desativa a própria conta
+// - Conta desativada não consegue entrar e perde as sessões abertas;
+//   os dados e pedidos são mantidos
+// ======================================================================
+
+const PAGE_SIZE = 20;
+
+// Tipos de usuário: rótulo e cor do selo
+const userTypes = {
+  CLIENT: { label: "Cliente", color: "bg-gray-100 text-gray-700" },
+  ADMIN: { label: "Administrador", color: "bg-red-100 text-red-700" },
+  KITCHEN: { label: "Cozinha", color: "bg-blue-100 text-blue-700" },
+  COURIER: { label: "Entregador", color: "bg-purple-100 text-purple-700" },
+};
+
+const statusLabels = {
+  scheduled: "Agendado",
+  pending: "Pendente",
+  preparing: "Preparando",
+  ready_for_delivery: "Pronto para entrega",
+  delivering: "Saiu para entrega",
+  delivered: "Entregue",
+  ready_for_pickup: "Pronto para retirada",
+  picked_up: "Retirado",
+  cancelled: "Cancelado",
+};
+
+// Mensagem de erro padrão das chamadas à API
+const errorMessage = (err, fallback) =>
+  err.response?.data?.message || err.response?.data?.error || fallback;
+
+export default function AdminUsers() {
+  const { user: currentUser } = useContext(AuthContext);
+
+  // Filtros aplicados (cada mudança recarrega a lista)
+  const [query, setQuery] = useState({
+    search: "",
+    type: "",
+    status: "",
+    page: 1,
+  });
+  const [searchInput, setSearchInput] = useState("");
+
+  // Página atual: { data, page, pageSize, total, totalPages }
+  const [result, setResult] = useState(null);
+  const [msg, setMsg] = useState("");
+
+  // Pedidos do cliente aberto: { userId, orders }
+  const [ordersOf, setOrdersOf] = useState(null);
+
+  // -------------------------------------------------------------------
+  // CARREGAR USUÁRIOS (a cada mudança de filtro ou página)
+  // -------------------------------------------------------------------
+  useEffect(() => {
+    API.get("/users", { params: { ...query, pageSize: PAGE_SIZE } })
+      .then((res) => setResult(res.data))
+      .catch((err) => setMsg(errorMessage(err, "Erro ao carregar usuários.")));
+  }, [query]);
+
+  const applyFilter = (field, value) =>
+    setQuery((prev) => ({ ...prev, [field]: value, page: 1 }));
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    applyFilter("search", searchInput.trim());
+  };
+
+  // Substitui o usuário alterado na página atual
+  const replaceUser = (updated) =>
+    setResult((prev) => ({
+      ...prev,
+      data: prev.data.map((u) =>
+        u.id === updated.id ? { ...u, ...updated } : u
+      ),
+    }));
+
+  // -------------------------------------------------------------------
+  // ALTERAR O TIPO (PAPEL)
+  // -------------------------------------------------------------------
+  const changeRole = async (target, type) => {
+    const label = userTypes[type].label.toLowerCase();
+
+    if (!confirm(`Alterar ${target.name} para ${label}?`)) return;
+    setMsg("");
+
+    try {
+      const res = await API.patch(`/users/${target.id}/role`, { type });
+      replaceUser(res.data);
+      setMsg(`${target.name} agora é ${label}.`);
+    } catch (err) {
+      setMsg(errorMessage(err, "Erro ao alterar o tipo do usuário."));
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // DESATIVAR / REATIVAR
+  // -------------------------------------------------------------------
+  const toggleActive = async (target) => {
+    const active = Boolean(target.deactivatedAt);
+
+    if (
+      !active &&
+      !confirm(
+        `Desativar a conta de ${target.name}? As sessões abertas serão encerradas.`
+      )
+    ) {
+      return;
+    }
+    setMsg("");
+
+    try {
+      const res = await API.patch(`/users/${target.id}/status`, { active });
+      replaceUser(res.data);
+      setMsg(
+        active
+          ? `Conta de ${target.name} reativada.`
+          : `Conta de ${target.name} desativada.`
+      );
+    } catch (err) {
+      setMsg(errorMessage(err, "Erro ao alterar a situação da conta."));
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // PEDIDOS DO CLIENTE (abre/fecha)
+  // -------------------------------------------------------------------
+  const toggleOrders = async (target) => {
+    if (ordersOf?.userId === target.id) {
+      setOrdersOf(null);
+      return;
+    }
+
+    try {
+      const res = await API.get(`/orders/client/${target.id}`);
+      setOrdersOf({
+        userId: target.id,
+        orders: res.data.data,
+        total: res.data.total,
+      });
+    } catch (err) {
+      setMsg(errorMessage(err, "Erro ao carregar os pedidos."));
+    }
+  };
+
+  if (!result) {
+    return <p className="p-6">{msg || "Carregando..."}</p>;
+  }
+
+  // ====================================================================
+  // RENDERIZAÇÃO DO COMPONENTE
+  // ====================================================================
+  return (
+    <div className="p-6 max-w-5xl mx-auto space-y-6">
+      <h1 className="text-3xl font-bold text-red-600">Usuários 👥</h1>
+
+      {msg && (
+        <div className="bg-gray-100 text-gray-700 p-3 rounded-lg font-medium">
+          {msg}
+        </div>
+      )}
+
+      {/* ----------------------------------------------------------------- */}
+      {/* BUSCA E FILTROS */}
+      {/* ----------------------------------------------------------------- */}
+      <div className="bg-white p-4 shadow rounded-lg flex flex-wrap gap-3">
+        <form onSubmit={handleSearch} className="flex gap-2 flex-1">
+          <input
+            className="border p-2 rounded-lg flex-1"
+            placeholder="Nome, e-mail ou telefone"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+          />
+          <button className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg">
+            Buscar
+          </button>
+        </form>
+
+        <select
+          className="border p-2 rounded-lg"
+          value={query.type}
+          onChange={(e) => applyFilter("type", e.target.value)}
+        >
+          <option value="">Todos os tipos</option>
+          <option value="CLIENT">Clientes</option>
+          <option value="ADMIN">Administradores</option>
+          <option value="KITCHEN">Cozinha</option>
+          <option value="COURIER">Entregadores</option>
+        </select>
+
+        <select
+          className="border p-2 rounded-lg"
+          value={query.status}
+          onChange={(e) => applyFilter("status", e.target.value)}
+        >
+          <option value="">Todas as situações</option>
+          <option value="active">Ativas</option>
+          <option value="deactivated">Desativadas</option>
+        </select>
+      </div>
+
+      <p className="text-gray-500 text-sm">
+        {result.total} usuário(s) encontrado(s)
+      </p>
+
+      {/* ----------------------------------------------------------------- */}
+      {/* LISTA */}
+      {/* ----------------------------------------------------------------- */}
+      {result.data.length === 0 ? (
+        <p className="text-gray-500">Nenhum usuário encontrado.</p>
+      ) : (
+        result.data.map((u) => {
+          const isSelf = u.id === currentUser?.id;
+
+          return (
+            <div key={u.id} className="bg-white shadow p-4 rounded-lg space-y-3">
+              <div className="flex justify-between items-start gap-4">
+                <div className="space-y-1">
+                  <p className="font-semibold">
+                    {u.name}
+                    <span
+                      className={`ml-2 px-2 py-0.5 rounded-full text-xs ${
+                        userTypes[u.type]?.color ?? "bg-gray-100 text-gray-700"
+                      }`}
+                    >
+                      {userTypes[u.type]?.label ?? u.type}
+                    </span>
+                    {u.deactivatedAt && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-gray-800 text-white">
+                        Desativada
+                      </span>
+                    )}
+                  </p>
+
+                  <p className="text-gray-500 text-sm">
+                    {u.email} • {u.phone}
+                  </p>
+
+                  <p className="text-gray-500 text-sm">
+                    Cadastro em{" "}
+                    {new Date(u.createdAt).toLocaleDateString("pt-BR")} •{" "}
+                    {u.ordersCount} pedido(s)
+                    {u.address && ` • ${u.address.city}/${u.address.state}`}
+                  </p>
+                </div>
+
+                <div className="flex flex-wrap gap-2 justify-end">
+                  <button
+                    onClick={() => toggleOrders(u)}
+                    className="px-3 py-1 border rounded-lg hover:bg-gray-100"
+                  >
+                    {ordersOf?.userId === u.id ? "Ocultar pedidos" : "Ver pedidos"}
+                  </button>
+
+                  {!isSelf && (
+                    <>
+                      <select
+                        className="px-2 py-1 border rounded-lg"
+                        value={u.type}
+                        onChange={(e) => changeRole(u, e.target.value)}
+                      >
+                        {Object.entries(userTypes).map(([type, { label }]) => (
+                          <option key={type} value={type}>
+                            {label}
+                          </option>
+                        ))}
+                      </select>
+
+                      <button
+                        onClick={() => toggleActive(u)}
+                        className={`px-3 py-1 text-white rounded-lg ${
+                          u.deactivatedAt
+                            ? "bg-green-600 hover:bg-green-700"
+                            : "bg-red-500 hover:bg-red-600"
+                        }`}
+                      >
+                        {u.deactivatedAt ? "Reativar" : "Desativar"}
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {/* Pedidos do cliente */}
+              {ordersOf?.userId === u.id &&
+                (ordersOf.orders.length === 0 ? (
+                  <p className="text-gray-500 text-sm">Nenhum pedido.</p>
+                ) : (
+                  <ul className="border-t pt-2 text-sm space-y-1">
+                    {ordersOf.orders.map((order) => (
+                      <li key={order.id} className="flex justify-between">
+                        <span>
+                          #{order.id} •{" "}
+                          {new Date(order.createdAt).toLocaleString("pt-BR")} •{" "}
+                          {statusLabels[order.status] ?? order.status}
+                        </span>
+                        <span className="font-semibold">
+                          R$ {order.total.toFixed(2)}
+                        </span>
+                      </li>
+                    ))}
+
+                    {ordersOf.total > ordersOf.orders.length && (
+                      <li className="text-gray-500">
+                        Mostrando os {ordersOf.orders.length} mais recentes de{" "}
+                        {ordersOf.total} pedidos.
+                      </li>
+                    )}
+                  </ul>
+                ))}
+            </div>
+          );
+        })
+      )}
+
+      {/* ----------------------------------------------------------------- */}
+      {/* PAGINAÇÃO */}
+      {/* ----------------------------------------------------------------- */}
+      {result.totalPages > 1 && (
+        <div className="flex justify-center items-center gap-4">
+          <button
+            disabled={result.page <= 1}
+            onClick={() => setQuery((prev) => ({ ...prev, page: prev.page - 1 }))}
+            className="px-4 py-2 border rounded-lg disabled:opacity-50"
+          >
+            Anterior
+          </button>
+
+          <span>
+            Página {result.page} de {result.totalPages}
+          </span>
+
+          <button
+            disabled={result.page >= result.totalPages}
+            onClick={() => setQuery((prev) => ({ ...prev, page: prev.page + 1 }))}
+            className="px-4 py-2 border rounded-lg disabled:opacity-50"
+          >
+            Próxima
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
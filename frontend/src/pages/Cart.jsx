@@ -9,11 +9,12 @@ export default function Cart() {
   //
   // Aqui buscamos do contexto global todas as funções necessárias:
   // - cart           lista de itens
-  // - removeFromCart remove item completamente
+  // - removeFromCart remove a linha completamente (pela key da linha)
   // - updateQuantity aumenta/diminui quantidade (com limite mínimo = 1)
+  // - updateNotes    guarda a observação da linha para a cozinha
   // - clearCart      apaga o carrinho inteiro
   // =====================================================================
-  const { cart, removeFromCart, updateQuantity, clearCart } =
+  const { cart, removeFromCart, updateQuantity, updateNotes, clearCart } =
     useContext(CartContext);
 
   // =====================================================================
@@ -56,7 +57,7 @@ export default function Cart() {
       {/* -------------------------------------------------------------- */}
       {cart.map((item) => (
         <div
-          key={item.id}
+          key={item.key}
           className="bg-white p-4 rounded-xl shadow flex items-center gap-4"
         >
           {/* Imagem do item */}
@@ -69,6 +70,13 @@ export default function Cart() {
           <div className="flex-1">
             <h2 className="font-semibold">{item.description}</h2>
 
+            {/* Opções escolhidas (modificadores) */}
+            {item.options?.length > 0 && (
+              <p className="text-gray-500 text-sm">
+                {item.options.map((o) => o.name).join(", ")}
+              </p>
+            )}
+
             <p className="text-red-600">
               R$ {item.unitPrice.toFixed(2)}
             </p>
@@ -78,7 +86,7 @@ export default function Cart() {
             {/* ---------------------------------------------------------- */}
             <div className="flex items-center mt-2 gap-2">
               <button
-                onClick={() => updateQuantity(item.id, item.quantity - 1)}
+                onClick={() => updateQuantity(item.key, item.quantity - 1)}
                 className="px-3 py-1 bg-gray-200 rounded-md"
               >
                 -
@@ -87,17 +95,26 @@ export default function Cart() {
               <span className="font-bold">{item.quantity}</span>
 
               <button
-                onClick={() => updateQuantity(item.id, item.quantity + 1)}
+                onClick={() => updateQuantity(item.key, item.quantity + 1)}
                 className="px-3 py-1 bg-gray-200 rounded-md"
               >
                 +
               </button>
             </div>
+
+            {/* Observação para a cozinha */}
+            <input
+              className="w-full border p-2 rounded-md mt-2 text-sm"
+              placeholder="Observação (ex.: sem cebola)"
+              maxLength={140}
+              value={item.notes ?? ""}
+              onChange={(e) => updateNotes(item.key, e.target.value)}
+            />
           </div>
 
           {/* Botão remover */}
           <button
-            onClick={() => removeFromCart(item.id)}
+            onClick={() => removeFromCart(item.key)}
             className="text-red-500 font-semibold"
           >
             Remover
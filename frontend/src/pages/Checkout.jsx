@@ -1,9 +1,41 @@
-import { useContext, useState } from "react";
+import { useContext, useEffect, useState } from "react";
 import { CartContext } from "../context/CartContext";
 import { AuthContext } from "../context/AuthContext";
 import { useNavigate } from "react-router-dom";
 import API from "../api/api";
 
+// Itens do carrinho no formato esperado pelo backend
+const toItemsPayload = (cart) =>
+  cart.map((item) => ({
+    itemId: item.id,
+    quantity: item.quantity,
+    options: (item.options ?? []).map((o) => o.id),
+    ...(item.notes?.trim() && { notes: item.notes.trim() }),
+  }));
+
+// Mensagem de erro devolvida pelo backend (message ou error)
+const errorMessage = (err) =>
+  err.response?.data?.message || err.response?.data?.error;
+
+// Faixas de GET /store/slots agrupadas por dia: [[date, slots], ...]
+const groupSlotsByDate = (slots) => {
+  const groups = new Map();
+
+  for (const slot of slots) {
+    groups.set(slot.date, [...(groups.get(slot.date) ?? []), slot]);
+  }
+
+  return [...groups];
+};
+
+// "2026-10-18" → "domingo, 18/10"
+const formatDay = (date) =>
+  new Date(`${date}T12:00:00`).toLocaleDateString("pt-BR", {
+    weekday: "long",
+    day: "2-digit",
+    month: "2-digit",
+  });
+
 export default function Checkout() {
   const navigate = useNavigate();
 
@@ -22,21 +54,129 @@ export default function Checkout() {
   const [loading, setLoading] = useState(false);
   const [errorMsg, setErrorMsg] = useState("");
 
+  // Entrega no endereço (DELIVERY) ou retirada no balcão (PICKUP)
+  const [fulfillmentType, setFulfillmentType] = useState("DELIVERY");
+
+  // Prévia calculada pelo backend (entrega, cupom e total)
+  const [quote, setQuote] = useState(null);
+  const [deliveryMsg, setDeliveryMsg] = useState("");
+
+  // Para agora (NOW) ou agendado (SCHEDULED) em uma faixa de horário
+  const [when, setWhen] = useState("NOW");
+  const [slots, setSlots] = useState([]);
+  const [scheduledFor, setScheduledFor] = useState("");
+  const [storeClosed, setStoreClosed] = useState(false);
+
+  // Cupom digitado e cupom já aceito pelo backend
+  const [couponInput, setCouponInput] = useState("");
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [couponMsg, setCouponMsg] = useState("");
+
+  // =====================================================================
+  // PRÉVIA DO PEDIDO (ENTREGA / RETIRADA)
+  // =====================================================================
+  // A taxa e o prazo dependem da zona do CEP do cliente, então pedimos ao
+  // backend (/orders/preview) — a mesma regra aplicada ao criar o pedido.
+  // Recalcula ao trocar entre entrega e retirada ou ao mudar o cupom.
+  // =====================================================================
+  useEffect(() => {
+    if (cart.length === 0) return;
+
+    API.post("/orders/preview", {
+      items: toItemsPayload(cart),
+      fulfillmentType,
+      ...(appliedCoupon && { couponCode: appliedCoupon }),
+    })
+      .then((res) => {
+        setQuote(res.data);
+        setDeliveryMsg("");
+      })
+      .catch((err) => {
+        setQuote(null);
+        setDeliveryMsg(
+          errorMessage(err) || "Não foi possível calcular a entrega."
+        );
+      });
+  }, [cart, fulfillmentType, appliedCoupon]);
+
+  // =====================================================================
+  // LOJA FECHADA → SÓ AGENDAMENTO
+  // =====================================================================
+  // Com a loja fechada o backend recusa pedidos para agora, então já
+  // abrimos o checkout na opção de agendar.
+  // =====================================================================
+  useEffect(() => {
+    API.get("/store/status")
+      .then((res) => {
+        if (!res.data.open) {
+          setStoreClosed(true);
+          setWhen("SCHEDULED");
+        }
+      })
+      .catch(() => setStoreClosed(false));
+  }, []);
+
+  // =====================================================================
+  // FAIXAS DE HORÁRIO PARA AGENDAMENTO
+  // =====================================================================
+  // Geradas pelo backend a partir do horário de funcionamento, já com as
+  // vagas restantes de cada faixa. Recarrega ao escolher "Agendar".
+  // =====================================================================
+  useEffect(() => {
+    if (when !== "SCHEDULED") return;
+
+    API.get("/store/slots")
+      .then((res) => setSlots(res.data))
+      .catch(() => setSlots([]));
+  }, [when]);
+
   // =====================================================================
   // CÁLCULO DO TOTAL DO PEDIDO
   // =====================================================================
-  const total = cart.reduce(
-    (sum, item) => sum + item.unitPrice * item.quantity,
-    0
-  );
+  // Enquanto a prévia não chega, mostramos a soma do carrinho.
+  // =====================================================================
+  const subtotal =
+    quote?.subtotal ??
+    cart.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+  const discount = quote?.discount ?? 0;
+  const deliveryFee = quote?.deliveryFee ?? 0;
+  const total = quote?.total ?? subtotal;
+
+  // =====================================================================
+  // APLICAR / REMOVER CUPOM
+  // =====================================================================
+  const applyCoupon = async () => {
+    if (!couponInput.trim()) return;
+
+    setCouponMsg("");
+
+    try {
+      const res = await API.post("/orders/preview", {
+        items: toItemsPayload(cart),
+        fulfillmentType,
+        couponCode: couponInput,
+      });
+
+      setQuote(res.data);
+      setAppliedCoupon(res.data.couponCode);
+    } catch (err) {
+      setCouponMsg(errorMessage(err) || "Não foi possível aplicar o cupom.");
+    }
+  };
+
+  const removeCoupon = () => {
+    setAppliedCoupon(null);
+    setCouponInput("");
+    setCouponMsg("");
+  };
 
   // =====================================================================
   // HANDLE CHECKOUT
   // =====================================================================
   //
-  // 1. Verifica se o carrinho está vazio
-  // 2. Verifica se o cliente possui endereço cadastrado
-  // 3. Monta payload com itens
+  // 1. Verifica se o carrinho está vazio (e o horário, se agendado)
+  // 2. Na entrega, verifica se o cliente possui endereço cadastrado
+  // 3. Monta payload com itens (e cupom/agendamento, se houver)
   // 4. Envia para backend (/orders)
   // 5. Limpa carrinho
   // 6. Redireciona para histórico de pedidos (/orders)
@@ -48,12 +188,19 @@ export default function Checkout() {
       return;
     }
 
-    // (2) Verifica endereço cadastrado
-    try {
-      await API.get("/addresses/me");
-    } catch (err) {
-      setErrorMsg("Cadastre seu endereço antes de finalizar o pedido.");
-      return navigate("/address");
+    if (when === "SCHEDULED" && !scheduledFor) {
+      setErrorMsg("Escolha o horário do agendamento.");
+      return;
+    }
+
+    // (2) Verifica endereço cadastrado (retirada no balcão dispensa)
+    if (fulfillmentType === "DELIVERY") {
+      try {
+        await API.get("/addresses/me");
+      } catch (err) {
+        setErrorMsg("Cadastre seu endereço antes de finalizar o pedido.");
+        return navigate("/address");
+      }
     }
 
     setLoading(true);
@@ -63,10 +210,10 @@ export default function Checkout() {
       // (3) Monta corpo da requisição
       const payload = {
         paymentMethod,
-        items: cart.map((item) => ({
-          itemId: item.id,
-          quantity: item.quantity,
-        })),
+        items: toItemsPayload(cart),
+        fulfillmentType,
+        ...(appliedCoupon && { couponCode: appliedCoupon }),
+        ...(when === "SCHEDULED" && { scheduledFor }),
       };
 
       // (4) Envia pedido ao backend
@@ -79,7 +226,16 @@ export default function Checkout() {
       navigate("/orders");
 
     } catch (err) {
-      setErrorMsg("Erro ao finalizar pedido. Tente novamente.");
+      // Mensagens de regra de negócio (ex.: opção obrigatória, item
+      // esgotado) vêm do backend; "errors" detalha item por item.
+      const errors = err.response?.data?.errors;
+      const message = err.response?.data?.message || err.response?.data?.error;
+
+      if (Array.isArray(errors) && errors.length > 0) {
+        setErrorMsg(errors.join(" | "));
+      } else {
+        setErrorMsg(message || "Erro ao finalizar pedido. Tente novamente.");
+      }
     } finally {
       setLoading(false);
     }
@@ -127,12 +283,17 @@ export default function Checkout() {
       <div className="space-y-4">
         {cart.map((item) => (
           <div
-            key={item.id}
+            key={item.key}
             className="p-4 bg-white rounded-xl shadow flex justify-between"
           >
             {/* Informações principais do item */}
             <div>
               <p className="font-semibold">{item.description}</p>
+              {item.options?.length > 0 && (
+                <p className="text-gray-500 text-sm">
+                  {item.options.map((o) => o.name).join(", ")}
+                </p>
+              )}
               <p className="text-gray-500 text-sm">
                 {item.quantity} × R$ {item.unitPrice.toFixed(2)}
               </p>
@@ -146,11 +307,163 @@ export default function Checkout() {
         ))}
       </div>
 
+      {/* -------------------------------------------------------------- */}
+      {/* ENTREGA OU RETIRADA */}
+      {/* -------------------------------------------------------------- */}
+      <div className="space-y-2">
+        <label className="font-semibold">Como deseja receber?</label>
+
+        <div className="grid grid-cols-2 gap-2">
+          {[
+            ["DELIVERY", "🛵 Entrega"],
+            ["PICKUP", "🏪 Retirar no balcão"],
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setFulfillmentType(value)}
+              className={`p-3 rounded-lg border font-semibold ${
+                fulfillmentType === value
+                  ? "bg-red-500 text-white border-red-500"
+                  : "bg-white text-gray-700"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* -------------------------------------------------------------- */}
+      {/* AGORA OU AGENDADO */}
+      {/* -------------------------------------------------------------- */}
+      <div className="space-y-2">
+        <label className="font-semibold">Quando?</label>
+
+        <div className="grid grid-cols-2 gap-2">
+          {[
+            ["NOW", "⚡ O quanto antes"],
+            ["SCHEDULED", "📅 Agendar"],
+          ].map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setWhen(value)}
+              disabled={value === "NOW" && storeClosed}
+              className={`p-3 rounded-lg border font-semibold disabled:opacity-50 ${
+                when === value
+                  ? "bg-red-500 text-white border-red-500"
+                  : "bg-white text-gray-700"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {storeClosed && (
+          <p className="text-yellow-800 text-sm">
+            A loja está fechada agora — escolha um horário para agendar.
+          </p>
+        )}
+
+        {when === "SCHEDULED" &&
+          (slots.length === 0 ? (
+            <p className="text-gray-500 text-sm">
+              Nenhum horário disponível para agendamento.
+            </p>
+          ) : (
+            <select
+              className="w-full border p-3 rounded-lg bg-white"
+              value={scheduledFor}
+              onChange={(e) => setScheduledFor(e.target.value)}
+            >
+              <option value="">Escolha um horário</option>
+              {groupSlotsByDate(slots).map(([date, daySlots]) => (
+                <optgroup key={date} label={formatDay(date)}>
+                  {daySlots.map((slot) => (
+                    <option
+                      key={slot.start}
+                      value={slot.start}
+                      disabled={slot.remaining === 0}
+                    >
+                      {slot.time}
+                      {slot.remaining === 0 && " (lotado)"}
+                    </option>
+                  ))}
+                </optgroup>
+              ))}
+            </select>
+          ))}
+      </div>
+
+      {/* -------------------------------------------------------------- */}
+      {/* ENTREGA INDISPONÍVEL (CEP fora das zonas, pedido mínimo...) */}
+      {/* -------------------------------------------------------------- */}
+      {deliveryMsg && (
+        <div className="bg-yellow-100 text-yellow-800 p-3 rounded-lg">
+          {deliveryMsg}{" "}
+          <button onClick={() => navigate("/address")} className="underline">
+            Alterar endereço
+          </button>
+        </div>
+      )}
+
+      {/* -------------------------------------------------------------- */}
+      {/* CUPOM DE DESCONTO */}
+      {/* -------------------------------------------------------------- */}
+      <div className="space-y-2">
+        <label className="font-semibold">Cupom de desconto</label>
+
+        {appliedCoupon ? (
+          <div className="flex justify-between items-center bg-green-100 text-green-700 p-3 rounded-lg">
+            <span>
+              Cupom <strong>{appliedCoupon}</strong> aplicado
+            </span>
+            <button onClick={removeCoupon} className="underline text-sm">
+              Remover
+            </button>
+          </div>
+        ) : (
+          <div className="flex gap-2">
+            <input
+              className="flex-1 border p-3 rounded-lg uppercase"
+              placeholder="Ex.: BEMVINDO10"
+              value={couponInput}
+              onChange={(e) => setCouponInput(e.target.value)}
+            />
+            <button
+              onClick={applyCoupon}
+              className="bg-gray-800 hover:bg-gray-900 text-white px-4 rounded-lg font-semibold"
+            >
+              Aplicar
+            </button>
+          </div>
+        )}
+
+        {couponMsg && <p className="text-red-600 text-sm">{couponMsg}</p>}
+      </div>
+
       {/* -------------------------------------------------------------- */}
       {/* TOTAL DO PEDIDO */}
       {/* -------------------------------------------------------------- */}
-      <div className="text-right text-2xl font-bold text-red-600">
-        Total: R$ {total.toFixed(2)}
+      <div className="text-right space-y-1">
+        <p className="text-gray-600">Subtotal: R$ {subtotal.toFixed(2)}</p>
+        {discount > 0 && (
+          <p className="text-green-700">Desconto: - R$ {discount.toFixed(2)}</p>
+        )}
+        {quote?.fulfillmentType === "DELIVERY" && (
+          <p className="text-gray-600">
+            Entrega ({quote.deliveryZone}, ~{quote.estimatedMinutes} min):{" "}
+            {deliveryFee > 0 ? `R$ ${deliveryFee.toFixed(2)}` : "Grátis"}
+          </p>
+        )}
+        {quote?.fulfillmentType === "PICKUP" && (
+          <p className="text-gray-600">Retirada no balcão: sem taxa</p>
+        )}
+        <p className="text-2xl font-bold text-red-600">
+          Total: R$ {total.toFixed(2)}
+        </p>
       </div>
 
       {/* -------------------------------------------------------------- */}
@@ -176,7 +489,7 @@ export default function Checkout() {
       {/* -------------------------------------------------------------- */}
       <button
         onClick={handleCheckout}
-        disabled={loading}
+        disabled={loading || Boolean(deliveryMsg)}
         className="w-full bg-red-500 hover:bg-red-600 text-white p-4 rounded-xl font-bold text-lg disabled:opacity-50"
       >
         {loading ? "Processando pedido..." : "Confirmar Pedido"}
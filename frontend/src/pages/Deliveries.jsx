@@ -0,0 +1,252 @@
+import { useEffect, useState } from "react";
+import API, { openEventStream } from "../api/api";
+
+// ======================================================================
+// COMPONENTE Deliveries (ENTREGADOR)
+// ======================================================================
+// Responsável por:
+// - Listar as entregas atribuídas ao entregador logado, com endereço e
+//   telefone do cliente (GET /orders/deliveries)
+// - Marcar a saída da loja ("ready_for_delivery" → "delivering")
+// - Confirmar a entrega com o código que o cliente informa na porta
+// - Receber novas atribuições e mudanças de status em tempo real (SSE)
+//
+// Regras:
+// - Apenas COURIER acessa essa tela (rota protegida por ProtectedRoute)
+// - O código de entrega não aparece aqui: quem o tem é o cliente
+// - Após 5 códigos errados, só a loja (ADMIN) finaliza a entrega
+// ======================================================================
+
+const statusLabels = {
+  pending: "Na fila da cozinha",
+  preparing: "Em preparo",
+  ready_for_delivery: "Pronto para retirar na loja",
+  delivering: "A caminho do cliente",
+};
+
+const paymentLabels = {
+  CREDIT: "Crédito",
+  DEBIT: "Débito",
+  PIX: "PIX",
+  CASH: "Dinheiro",
+};
+
+// Status em que a entrega ainda aparece na lista
+const ACTIVE_STATUSES = Object.keys(statusLabels);
+
+// Mensagem de erro padrão das chamadas à API
+const errorMessage = (err, fallback) =>
+  err.response?.data?.message || err.response?.data?.error || fallback;
+
+// Endereço em uma linha (ex.: para abrir no mapa)
+const formatAddress = (address) =>
+  `${address.street}, ${address.number} - ${address.district}, ${address.city}/${address.state}`;
+
+export default function Deliveries() {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [msg, setMsg] = useState("");
+
+  // Códigos digitados por entrega: { [orderId]: "0427" }
+  const [codes, setCodes] = useState({});
+
+  // -------------------------------------------------------------------
+  // CARREGAR ENTREGAS
+  // -------------------------------------------------------------------
+  const loadDeliveries = () =>
+    API.get("/orders/deliveries")
+      .then((res) => setDeliveries(res.data))
+      .catch(() => setMsg("Erro ao carregar as entregas."))
+      .finally(() => setLoading(false));
+
+  useEffect(() => {
+    loadDeliveries();
+  }, []);
+
+  // -------------------------------------------------------------------
+  // ATUALIZAÇÃO EM TEMPO REAL (SSE)
+  // -------------------------------------------------------------------
+  // - order-assigned: o admin atribuiu uma entrega (recarrega para vir
+  //   com o endereço do cliente)
+  // - order-status-changed: avanço ou cancelamento; entregas finalizadas
+  //   saem da lista
+  // - order-unassigned: o admin passou a entrega para outro entregador
+  // -------------------------------------------------------------------
+  useEffect(() => {
+    const stream = openEventStream("/orders/stream");
+
+    stream.addEventListener("order-assigned", () => {
+      loadDeliveries();
+    });
+
+    stream.addEventListener("order-status-changed", (e) => {
+      const changes = JSON.parse(e.data);
+      setDeliveries((prev) =>
+        prev
+          .map((o) => (o.id === changes.id ? { ...o, ...changes } : o))
+          .filter((o) => ACTIVE_STATUSES.includes(o.status))
+      );
+    });
+
+    stream.addEventListener("order-unassigned", (e) => {
+      const { id } = JSON.parse(e.data);
+      setDeliveries((prev) => prev.filter((o) => o.id !== id));
+      setMsg(`O pedido #${id} foi passado para outro entregador.`);
+    });
+
+    return () => stream.close();
+  }, []);
+
+  // -------------------------------------------------------------------
+  // SAIR PARA ENTREGA
+  // -------------------------------------------------------------------
+  const startDelivery = async (order) => {
+    setMsg("");
+
+    try {
+      const res = await API.patch(`/orders/status/${order.id}`);
+      setDeliveries((prev) =>
+        prev.map((o) => (o.id === order.id ? { ...o, ...res.data } : o))
+      );
+    } catch (err) {
+      setMsg(errorMessage(err, "Erro ao atualizar a entrega."));
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // CONFIRMAR ENTREGA COM O CÓDIGO DO CLIENTE
+  // -------------------------------------------------------------------
+  const confirmDelivery = async (e, order) => {
+    e.preventDefault();
+    setMsg("");
+
+    try {
+      await API.post(`/orders/deliveries/${order.id}/confirm`, {
+        code: codes[order.id] ?? "",
+      });
+      setDeliveries((prev) => prev.filter((o) => o.id !== order.id));
+      setMsg(`Pedido #${order.id} entregue!`);
+    } catch (err) {
+      setMsg(errorMessage(err, "Erro ao confirmar a entrega."));
+    }
+  };
+
+  if (loading) {
+    return <p className="p-6 text-center">Carregando entregas...</p>;
+  }
+
+  // ====================================================================
+  // RENDERIZAÇÃO DO COMPONENTE
+  // ====================================================================
+  return (
+    <div className="p-6 max-w-2xl mx-auto space-y-6">
+      <h1 className="text-3xl font-bold text-red-600">Minhas entregas 🛵</h1>
+
+      {msg && (
+        <div className="bg-gray-100 text-gray-700 p-3 rounded-lg font-medium">
+          {msg}
+        </div>
+      )}
+
+      {deliveries.length === 0 ? (
+        <p className="text-gray-500">Nenhuma entrega atribuída a você.</p>
+      ) : (
+        deliveries.map((order) => {
+          const address = order.client?.address;
+
+          return (
+            <div key={order.id} className="bg-white p-5 shadow rounded-xl space-y-3">
+              <div className="flex justify-between items-start">
+                <h2 className="text-xl font-bold">Pedido #{order.id}</h2>
+                <span className="px-3 py-1 rounded-full text-sm font-semibold bg-purple-100 text-purple-700">
+                  {statusLabels[order.status]}
+                </span>
+              </div>
+
+              {/* Cliente: nome, telefone e endereço */}
+              <div className="space-y-1">
+                <p className="font-semibold">{order.client?.name}</p>
+
+                {order.client?.phone && (
+                  <a className="text-red-600" href={`tel:${order.client.phone}`}>
+                    📞 {order.client.phone}
+                  </a>
+                )}
+
+                {address ? (
+                  <p>
+                    <a
+                      className="text-red-600"
+                      target="_blank"
+                      rel="noreferrer"
+                      href={`https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(
+                        formatAddress(address)
+                      )}`}
+                    >
+                      📍 {formatAddress(address)}
+                    </a>
+                    <span className="block text-gray-500 text-sm">
+                      CEP {address.zipCode}
+                    </span>
+                  </p>
+                ) : (
+                  <p className="text-gray-500">Cliente sem endereço cadastrado.</p>
+                )}
+              </div>
+
+              {/* Itens e pagamento */}
+              <ul className="text-gray-700 text-sm">
+                {(order.orderItems ?? []).map((item) => (
+                  <li key={item.id}>
+                    {item.quantity}× {item.description}
+                  </li>
+                ))}
+              </ul>
+
+              <p className="font-semibold">
+                Total: R$ {order.total.toFixed(2)} •{" "}
+                {paymentLabels[order.paymentMethod] ?? order.paymentMethod}
+                {order.paymentMethod === "CASH" && " (cobrar na entrega)"}
+              </p>
+
+              {/* Ações conforme a etapa */}
+              {order.status === "ready_for_delivery" && (
+                <button
+                  onClick={() => startDelivery(order)}
+                  className="w-full bg-blue-500 hover:bg-blue-600 text-white p-3 rounded-lg font-bold"
+                >
+                  Saí para entrega
+                </button>
+              )}
+
+              {order.status === "delivering" && (
+                <form onSubmit={(e) => confirmDelivery(e, order)} className="flex gap-2">
+                  <input
+                    className="flex-1 border p-3 rounded-lg font-mono text-center tracking-widest"
+                    placeholder="Código do cliente"
+                    inputMode="numeric"
+                    maxLength={4}
+                    value={codes[order.id] ?? ""}
+                    onChange={(e) =>
+                      setCodes((prev) => ({ ...prev, [order.id]: e.target.value }))
+                    }
+                    required
+                  />
+                  <button className="px-4 bg-green-600 hover:bg-green-700 text-white rounded-lg font-bold">
+                    Confirmar entrega
+                  </button>
+                </form>
+              )}
+
+              {["pending", "preparing"].includes(order.status) && (
+                <p className="text-gray-500 text-sm text-center">
+                  Aguardando a cozinha terminar o pedido.
+                </p>
+              )}
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import API from "../api/api";
+
+// ======================================================================
+// COMPONENTE ForgotPassword
+// ======================================================================
+// Primeira etapa do "Esqueci minha senha":
+// - O usuário informa o e-mail da conta
+// - O backend envia um link com validade curta (POST /users/password/forgot)
+//
+// A mensagem de sucesso é a mesma para qualquer e-mail, assim como a
+// resposta do backend: a tela não revela quais e-mails têm conta.
+// ======================================================================
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [sent, setSent] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [errorMsg, setErrorMsg] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrorMsg("");
+    setSending(true);
+
+    try {
+      await API.post("/users/password/forgot", { email });
+      setSent(true);
+    } catch (err) {
+      setErrorMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao solicitar a redefinição."
+      );
+    } finally {
+      setSending(false);
+    }
+  };
+
+  // =====================================================================
+  // RENDERIZAÇÃO
+  // =====================================================================
+  return (
+    <div className="min-h-screen bg-red-50 flex items-center justify-center p-4">
+      <div className="bg-white w-full max-w-md p-8 rounded-2xl shadow-xl">
+
+        <h1 className="text-3xl font-bold text-center mb-2 text-red-600">
+          Esqueci minha senha
+        </h1>
+
+        {sent ? (
+          <div className="space-y-4 text-center">
+            <p className="bg-green-100 text-green-700 p-3 rounded-lg font-medium">
+              Se o e-mail estiver cadastrado, você receberá um link para criar
+              uma nova senha. Confira também a caixa de spam.
+            </p>
+
+            <Link className="text-red-600 font-semibold" to="/login">
+              Voltar para o login
+            </Link>
+          </div>
+        ) : (
+          <>
+            <p className="text-center text-gray-600 mb-6">
+              Informe o e-mail da sua conta e enviaremos um link para você
+              criar uma nova senha.
+            </p>
+
+            {errorMsg && (
+              <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4 text-center font-medium">
+                {errorMsg}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block font-medium mb-1">E-mail</label>
+                <input
+                  type="email"
+                  className="w-full border p-3 rounded-lg focus:ring-2 focus:ring-red-400"
+                  placeholder="seuemail@exemplo.com"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  required
+                />
+              </div>
+
+              <button
+                disabled={sending}
+                className="w-full bg-red-500 hover:bg-red-600 disabled:opacity-60 text-white text-lg p-3 rounded-lg font-semibold transition"
+              >
+                {sending ? "Enviando..." : "Enviar link"}
+              </button>
+            </form>
+
+            <p className="text-center mt-4 text-sm">
+              Lembrou a senha?{" "}
+              <Link className="text-red-600 font-semibold" to="/login">
+                Entrar
+              </Link>
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
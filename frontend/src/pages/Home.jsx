@@ -9,10 +9,14 @@ export default function Home() {
   // =====================================================================
   //
   // - categories → contém TODAS as categorias vindas do backend
+  // - store      → se a loja está aberta e quando abre/fecha
   // =====================================================================
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
 
+  // Situação da loja (aberta/fechada) vinda de GET /store/status
+  const [store, setStore] = useState(null);
+
   // =====================================================================
   // CARREGAMENTO INICIAL DO CARDÁPIO
   // =====================================================================
@@ -20,14 +24,23 @@ export default function Home() {
   // O useEffect roda uma vez ao montar a página:
   // - Chama GET /categories
   // - Cada categoria já vem com sua lista de itens (include no backend)
+  // - Chama GET /store/status para o banner de aberto/fechado
   // =====================================================================
   useEffect(() => {
     API.get("/categories")
       .then((res) => setCategories(res.data))
       .catch(() => setCategories([]))  // fallback seguro
       .finally(() => setLoading(false));
+
+    // Em caso de falha, não bloqueamos o cardápio:
+    // o backend recusa pedidos imediatos se a loja estiver fechada.
+    API.get("/store/status")
+      .then((res) => setStore(res.data))
+      .catch(() => setStore(null));
   }, []);
 
+  const storeClosed = store?.open === false;
+
   if (loading) {
     return (
       <div className="p-6 text-center text-lg font-semibold">
@@ -48,6 +61,19 @@ export default function Home() {
 
       <h1 className="text-3xl font-bold text-red-600 mb-4">Cardápio 🍽️</h1>
 
+      {/* Banner de loja fechada (ou horário de fechamento) */}
+      {storeClosed ? (
+        <div className="bg-yellow-100 text-yellow-800 p-4 rounded-lg font-semibold">
+          🕑 Estamos fechados{store.reason && ` (${store.reason})`}
+          {store.nextOpening && ` — ${store.nextOpening.text}`}. Monte seu
+          carrinho e agende o pedido para um horário em que estaremos abertos.
+        </div>
+      ) : (
+        store?.closesAt && (
+          <p className="text-green-700 font-semibold">✅ {store.message}</p>
+        )
+      )}
+
       {/* Caso não existam categorias */}
       {categories.length === 0 && (
         <p className="text-center text-gray-500">
@@ -0,0 +1,324 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import API, { openEventStream } from "../api/api";
+
+// ======================================================================
+// COMPONENTE Kitchen (TELA DA COZINHA / KDS)
+// ======================================================================
+// Responsável por:
+// - Mostrar, em tela cheia, apenas os pedidos que estão na cozinha,
+//   em colunas por etapa: Novos → Em preparo → Prontos
+// - Tickets grandes com itens, quantidades, opções e observações
+// - Tempo desde a entrada do pedido, com cores que escalam com a espera
+// - "Bumpar" o ticket (tocar no botão) avança o status no backend
+//   (PATCH /orders/status/:id)
+// - Atualização em tempo real (SSE), sem recarregar a tela
+//
+// Regras:
+// - Apenas ADMIN e KITCHEN acessam essa tela (ProtectedRoute)
+// - A cozinha avança "pending" → "preparing" → pronto; a coluna
+//   Prontos é só informativa: o ticket sai quando o entregador leva ou
+//   o cliente retira
+// - Pensada para tablet: botões grandes e sem depender de hover
+// ======================================================================
+
+// Colunas da tela: status que cada uma mostra e a ação do ticket
+const COLUMNS = [
+  {
+    key: "pending",
+    title: "Novos",
+    statuses: ["pending"],
+    action: "Iniciar preparo",
+  },
+  {
+    key: "preparing",
+    title: "Em preparo",
+    statuses: ["preparing"],
+    action: "Pronto ✓",
+  },
+  {
+    key: "ready",
+    title: "Prontos",
+    statuses: ["ready_for_delivery", "ready_for_pickup"],
+    action: null,
+  },
+];
+
+const KITCHEN_STATUSES = COLUMNS.flatMap((c) => c.statuses);
+
+// Escalada de cores pelo tempo de espera (minutos)
+const WARN_MINUTES = 10;
+const LATE_MINUTES = 20;
+
+const elapsedStyle = (minutes) => {
+  if (minutes >= LATE_MINUTES) return "bg-red-600 text-white animate-pulse";
+  if (minutes >= WARN_MINUTES) return "bg-yellow-400 text-gray-900";
+  return "bg-green-600 text-white";
+};
+
+// Início da espera: agendados contam a partir da faixa escolhida
+const waitingSince = (order) =>
+  new Date(order.scheduledFor ?? order.createdAt).getTime();
+
+// Busca todas as páginas de pedidos da cozinha (o backend limita o
+// pageSize a 100; num pico a fila pode passar disso)
+const KITCHEN_PAGE_SIZE = 100;
+
+const fetchKitchenOrders = async () => {
+  const all = [];
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const res = await API.get("/orders", {
+      params: {
+        status: KITCHEN_STATUSES.join(","),
+        sortBy: "createdAt",
+        sortOrder: "asc",
+        page,
+        pageSize: KITCHEN_PAGE_SIZE,
+      },
+    });
+
+    all.push(...res.data.data);
+    totalPages = res.data.totalPages;
+    page += 1;
+  } while (page <= totalPages);
+
+  // Um pedido pode mudar de página entre uma busca e outra
+  return all.filter((o, i) => all.findIndex((x) => x.id === o.id) === i);
+};
+
+// Mensagem de erro padrão das chamadas à API
+const errorMessage = (err, fallback) =>
+  err.response?.data?.message || err.response?.data?.error || fallback;
+
+// ======================================================================
+// TICKET DE UM PEDIDO
+// ======================================================================
+function Ticket({ order, now, action, bumping, onBump }) {
+  const minutes = Math.max(0, Math.floor((now - waitingSince(order)) / 60000));
+
+  return (
+    <div className="bg-white text-gray-900 rounded-xl shadow-lg overflow-hidden">
+      {/* Cabeçalho: número, atendimento e tempo de espera */}
+      <div className={`flex justify-between items-center px-4 py-2 ${elapsedStyle(minutes)}`}>
+        <span className="text-2xl font-black">#{order.id}</span>
+        <span className="text-lg font-semibold">
+          {order.fulfillmentType === "PICKUP" ? "🏪 Balcão" : "🛵 Entrega"}
+        </span>
+        <span className="text-2xl font-black tabular-nums">{minutes} min</span>
+      </div>
+
+      <div className="p-4 space-y-3">
+        <p className="text-gray-500">{order.client?.name}</p>
+
+        {/* Itens: quantidade em destaque, opções e observações */}
+        <ul className="space-y-2">
+          {(order.orderItems ?? []).map((item) => (
+            <li key={item.id} className="text-xl">
+              <span className="font-black mr-2">{item.quantity}×</span>
+              <span className="font-semibold">{item.description}</span>
+
+              {item.modifiers?.length > 0 && (
+                <span className="block text-base text-gray-600 ml-8">
+                  {item.modifiers.map((m) => m.optionName).join(", ")}
+                </span>
+              )}
+
+              {item.notes && (
+                <span className="block text-base font-bold text-orange-700 ml-8">
+                  📝 {item.notes}
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {action && (
+          <button
+            onClick={() => onBump(order)}
+            disabled={bumping}
+            className="w-full py-4 text-xl font-bold rounded-lg bg-gray-900 text-white active:bg-gray-700 disabled:opacity-50 touch-manipulation select-none"
+          >
+            {bumping ? "Enviando..." : action}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ======================================================================
+// COMPONENTE PRINCIPAL
+// ======================================================================
+export default function Kitchen() {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [msg, setMsg] = useState("");
+
+  // Relógio da tela (atualiza os tempos de espera)
+  const [now, setNow] = useState(() => Date.now());
+
+  // Tickets com o bump em andamento (evita toque duplo)
+  const [bumpingIds, setBumpingIds] = useState([]);
+
+  // -------------------------------------------------------------------
+  // CARREGAMENTO INICIAL
+  // -------------------------------------------------------------------
+  // O backend já devolve só os status da cozinha, mais antigos primeiro
+  useEffect(() => {
+    fetchKitchenOrders()
+      .then(setOrders)
+      .catch(() => setMsg("Erro ao carregar os pedidos."))
+      .finally(() => setLoading(false));
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // -------------------------------------------------------------------
+  // ATUALIZAÇÃO EM TEMPO REAL (SSE)
+  // -------------------------------------------------------------------
+  // - order-created: novo pedido entra em "Novos" (agendados só quando
+  //   forem liberados para a cozinha)
+  // - order-status-changed: o ticket muda de coluna ou sai da tela
+  // -------------------------------------------------------------------
+  useEffect(() => {
+    const stream = openEventStream("/orders/stream");
+
+    stream.addEventListener("order-created", (e) => {
+      const order = JSON.parse(e.data);
+      if (!KITCHEN_STATUSES.includes(order.status)) return;
+
+      setOrders((prev) =>
+        prev.some((o) => o.id === order.id) ? prev : [...prev, order]
+      );
+    });
+
+    stream.addEventListener("order-status-changed", (e) => {
+      const changes = JSON.parse(e.data);
+
+      // Agendado liberado para a cozinha: o evento não traz os itens
+      if (changes.status === "pending") {
+        API.get(`/orders/details/${changes.id}`)
+          .then((res) =>
+            setOrders((prev) =>
+              prev.some((o) => o.id === res.data.id) ? prev : [...prev, res.data]
+            )
+          )
+          .catch(() =>
+            setMsg(`Erro ao carregar o pedido #${changes.id}. Recarregue a tela.`)
+          );
+        return;
+      }
+
+      setOrders((prev) =>
+        prev
+          .map((o) => (o.id === changes.id ? { ...o, ...changes } : o))
+          .filter((o) => KITCHEN_STATUSES.includes(o.status))
+      );
+    });
+
+    return () => stream.close();
+  }, []);
+
+  // -------------------------------------------------------------------
+  // BUMP: AVANÇA O TICKET PARA A PRÓXIMA ETAPA
+  // -------------------------------------------------------------------
+  const bump = async (order) => {
+    setBumpingIds((prev) => [...prev, order.id]);
+    setMsg("");
+
+    try {
+      const res = await API.patch(`/orders/status/${order.id}`);
+      setOrders((prev) =>
+        prev.map((o) => (o.id === order.id ? { ...o, ...res.data } : o))
+      );
+    } catch (err) {
+      setMsg(errorMessage(err, `Erro ao atualizar o pedido #${order.id}.`));
+    } finally {
+      setBumpingIds((prev) => prev.filter((id) => id !== order.id));
+    }
+  };
+
+  // Tela cheia do navegador (esconde barras do tablet)
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else {
+      document.documentElement.requestFullscreen?.();
+    }
+  };
+
+  // ====================================================================
+  // RENDERIZAÇÃO DO COMPONENTE
+  // ====================================================================
+  return (
+    <div className="fixed inset-0 z-50 bg-gray-900 text-white flex flex-col">
+      {/* Barra superior */}
+      <header className="flex items-center gap-4 px-4 py-3 bg-black">
+        <h1 className="text-2xl font-bold flex-1">Cozinha 👩‍🍳</h1>
+
+        <span className="text-xl tabular-nums">
+          {new Date(now).toLocaleTimeString("pt-BR", {
+            hour: "2-digit",
+            minute: "2-digit",
+          })}
+        </span>
+
+        <button
+          onClick={toggleFullscreen}
+          className="px-4 py-2 rounded-lg bg-gray-700 active:bg-gray-600 touch-manipulation"
+        >
+          Tela cheia
+        </button>
+
+        <Link
+          to="/"
+          className="px-4 py-2 rounded-lg bg-gray-700 active:bg-gray-600"
+        >
+          Sair
+        </Link>
+      </header>
+
+      {msg && <div className="bg-red-600 px-4 py-2 font-semibold">{msg}</div>}
+
+      {loading ? (
+        <p className="p-6 text-center text-xl">Carregando pedidos...</p>
+      ) : (
+        <main className="flex-1 grid grid-cols-3 gap-4 p-4 min-h-0">
+          {COLUMNS.map((column) => {
+            // Mais antigos primeiro: é a ordem de preparo
+            const tickets = orders
+              .filter((o) => column.statuses.includes(o.status))
+              .sort((a, b) => waitingSince(a) - waitingSince(b));
+
+            return (
+              <section key={column.key} className="flex flex-col min-h-0">
+                <h2 className="text-xl font-bold mb-3">
+                  {column.title} ({tickets.length})
+                </h2>
+
+                <div className="flex-1 overflow-y-auto space-y-4 pr-1">
+                  {tickets.map((order) => (
+                    <Ticket
+                      key={order.id}
+                      order={order}
+                      now={now}
+                      action={column.action}
+                      bumping={bumpingIds.includes(order.id)}
+                      onBump={bump}
+                    />
+                  ))}
+                </div>
+              </section>
+            );
+          })}
+        </main>
+      )}
+    </div>
+  );
+}
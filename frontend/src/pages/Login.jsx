@@ -1,8 +1,14 @@
 import { useState, useContext } from "react";
 import { useNavigate, Link } from "react-router-dom";
-import API from "../api/api";
+import API, { saveTokens } from "../api/api";
 import { AuthContext } from "../context/AuthContext";
 
+// Espera legível: "8 segundos", "3 minutos"
+const formatWait = (seconds) =>
+  seconds < 60
+    ? `${seconds} segundo${seconds === 1 ? "" : "s"}`
+    : `${Math.ceil(seconds / 60)} minuto${Math.ceil(seconds / 60) === 1 ? "" : "s"}`;
+
 export default function Login() {
 
   // =====================================================================
@@ -21,6 +27,35 @@ export default function Login() {
   const [password, setPassword] = useState("");
   const [errorMsg, setErrorMsg] = useState("");
 
+  // Segunda etapa (2FA): desafio devolvido pelo backend após a senha
+  // { challengeToken, setup: { secret, otpauthUri } | null }
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState("");
+
+  // Códigos de recuperação gerados no cadastro obrigatório do 2FA
+  // (exibidos uma única vez antes de seguir para a Home)
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  // Mensagem de espera quando o backend responde 429
+  const tooManyMessage = (err) => {
+    const seconds = err.response.data?.retryAfter;
+    return seconds
+      ? `Muitas tentativas com falha. Tente novamente em ${formatWait(seconds)}.`
+      : err.response.data?.message;
+  };
+
+  // Login concluído: tokens persistidos, usuário global e Home
+  const finishLogin = (data) => {
+    // Tokens persistidos: acesso (interceptor do axios) e renovação
+    saveTokens(data);
+
+    // Atualiza usuário global (nome, id, type)
+    setUser(data.user);
+
+    // Redireciona
+    navigate("/");
+  };
+
   // =====================================================================
   // FUNÇÃO DE LOGIN
   // =====================================================================
@@ -28,9 +63,10 @@ export default function Login() {
   // Fluxo:
   // 1. Cancela reload do form
   // 2. Envia requisição ao backend (/users/login)
-  // 3. Salva token no localStorage para persistência da sessão
-  // 4. Atualiza contexto global com os dados do usuário
-  // 5. Redireciona automaticamente para a Home
+  // 3. Conta com 2FA → pede o código do app (handleTwoFactor)
+  // 4. Salva os tokens (acesso + refresh) no localStorage para persistir a sessão
+  // 5. Atualiza contexto global com os dados do usuário
+  // 6. Redireciona automaticamente para a Home
   // =====================================================================
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -42,19 +78,75 @@ export default function Login() {
         password,
       });
 
-      // Token persistido usado no interceptor do axios
-      localStorage.setItem("authToken", res.data.token);
-
-      // Atualiza usuário global (nome, id, type)
-      setUser(res.data.user);
+      // Senha correta, mas a conta exige o segundo fator
+      if (res.data.twoFactorRequired || res.data.twoFactorSetupRequired) {
+        setChallenge({
+          challengeToken: res.data.challengeToken,
+          setup: res.data.twoFactorSetupRequired
+            ? { secret: res.data.secret, otpauthUri: res.data.otpauthUri }
+            : null,
+        });
+        return;
+      }
 
-      // Redireciona
-      navigate("/");
+      finishLogin(res.data);
     } catch (err) {
+      // 429: muitas falhas seguidas — o backend diz quanto esperar
+      if (err.response?.status === 429) {
+        setErrorMsg(tooManyMessage(err));
+        return;
+      }
+
+      // 403: conta desativada pelo admin
+      if (err.response?.data?.code === "ACCOUNT_DEACTIVATED") {
+        setErrorMsg(err.response.data.message);
+        return;
+      }
+
       setErrorMsg("E-mail ou senha incorretos.");
     }
   };
 
+  // =====================================================================
+  // SEGUNDA ETAPA — CÓDIGO 2FA
+  // =====================================================================
+  // - Envia o código do app (ou de recuperação) com o challengeToken
+  // - Desafio expirado (401) → volta para a senha
+  // - No cadastro obrigatório, mostra os códigos de recuperação antes
+  //   de concluir o login
+  // =====================================================================
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    setErrorMsg("");
+
+    try {
+      const res = await API.post("/users/login/2fa", {
+        challengeToken: challenge.challengeToken,
+        code,
+      });
+
+      if (res.data.recoveryCodes) {
+        setRecoveryCodes(res.data);
+        return;
+      }
+
+      finishLogin(res.data);
+    } catch (err) {
+      if (err.response?.status === 429) {
+        setErrorMsg(tooManyMessage(err));
+        return;
+      }
+
+      if (err.response?.status === 401) {
+        setChallenge(null);
+        setCode("");
+        setPassword("");
+      }
+
+      setErrorMsg(err.response?.data?.message || "Código inválido.");
+    }
+  };
+
   // =====================================================================
   // RENDERIZAÇÃO
   // =====================================================================
@@ -73,42 +165,122 @@ export default function Login() {
           </div>
         )}
 
-        {/* Formulário de Login */}
-        <form onSubmit={handleLogin} className="space-y-4">
-
-          {/* Campo: E-mail */}
-          <div>
-            <label className="block font-medium mb-1">E-mail</label>
-            <input
-              type="email"
-              className="w-full border p-3 rounded-lg focus:ring-2 focus:ring-red-400"
-              placeholder="seuemail@exemplo.com"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              required
-            />
-          </div>
+        {/* Códigos de recuperação (cadastro obrigatório do 2FA) */}
+        {recoveryCodes ? (
+          <div className="space-y-4">
+            <p>
+              Autenticação em dois fatores ativada. Guarde estes códigos de
+              recuperação em local seguro — cada um vale para um único login
+              caso você perca o acesso ao app autenticador.
+            </p>
+
+            <ul className="grid grid-cols-2 gap-2 font-mono text-center bg-gray-100 p-3 rounded-lg">
+              {recoveryCodes.recoveryCodes.map((c) => (
+                <li key={c}>{c}</li>
+              ))}
+            </ul>
 
-          {/* Campo: Senha */}
-          <div>
-            <label className="block font-medium mb-1">Senha</label>
-            <input
-              type="password"
-              className="w-full border p-3 rounded-lg focus:ring-2 focus:ring-red-400"
-              placeholder="***********"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-            />
+            <button
+              onClick={() => finishLogin(recoveryCodes)}
+              className="w-full bg-red-500 hover:bg-red-600 text-white text-lg p-3 rounded-lg font-semibold transition"
+            >
+              Já guardei, continuar
+            </button>
           </div>
+        ) : challenge ? (
+          /* Segunda etapa: código do app autenticador */
+          <form onSubmit={handleTwoFactor} className="space-y-4">
+
+            {challenge.setup ? (
+              <div className="space-y-2 text-sm">
+                <p>
+                  A autenticação em dois fatores é obrigatória para
+                  administradores. Cadastre a conta no seu app autenticador
+                  (Google Authenticator, Authy...) com a chave abaixo:
+                </p>
+                <p className="font-mono break-all bg-gray-100 p-2 rounded-lg text-center">
+                  {challenge.setup.secret}
+                </p>
+                <p>
+                  Ou, no celular,{" "}
+                  <a className="text-red-600" href={challenge.setup.otpauthUri}>
+                    abra direto no app
+                  </a>
+                  .
+                </p>
+              </div>
+            ) : (
+              <p className="text-sm">
+                Digite o código de 6 dígitos do seu app autenticador, ou um
+                código de recuperação.
+              </p>
+            )}
+
+            {/* Campo: Código */}
+            <div>
+              <label className="block font-medium mb-1">Código</label>
+              <input
+                className="w-full border p-3 rounded-lg focus:ring-2 focus:ring-red-400 font-mono text-center tracking-widest"
+                placeholder="000000"
+                autoComplete="one-time-code"
+                autoFocus
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+              />
+            </div>
+
+            <button
+              className="w-full bg-red-500 hover:bg-red-600 text-white text-lg p-3 rounded-lg font-semibold transition"
+            >
+              Verificar
+            </button>
+          </form>
+        ) : (
+          /* Formulário de Login */
+          <form onSubmit={handleLogin} className="space-y-4">
 
-          {/* Botão de envio */}
-          <button
-            className="w-full bg-red-500 hover:bg-red-600 text-white text-lg p-3 rounded-lg font-semibold transition"
-          >
-            Entrar
-          </button>
-        </form>
+            {/* Campo: E-mail */}
+            <div>
+              <label className="block font-medium mb-1">E-mail</label>
+              <input
+                type="email"
+                className="w-full border p-3 rounded-lg focus:ring-2 focus:ring-red-400"
+                placeholder="seuemail@exemplo.com"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+
+            {/* Campo: Senha */}
+            <div>
+              <label className="block font-medium mb-1">Senha</label>
+              <input
+                type="password"
+                className="w-full border p-3 rounded-lg focus:ring-2 focus:ring-red-400"
+                placeholder="***********"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+
+            {/* Recuperação de conta */}
+            <p className="text-right text-sm">
+              <Link className="text-red-600" to="/forgot-password">
+                Esqueci minha senha
+              </Link>
+            </p>
+
+            {/* Botão de envio */}
+            <button
+              className="w-full bg-red-500 hover:bg-red-600 text-white text-lg p-3 rounded-lg font-semibold transition"
+            >
+              Entrar
+            </button>
+          </form>
+        )}
 
         {/* Link para registro */}
         <p className="text-center mt-4 text-sm">
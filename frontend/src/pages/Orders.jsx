@@ -1,5 +1,7 @@
 import { useEffect, useState } from "react";
-import API from "../api/api";
+import API, { openEventStream } from "../api/api";
+import OrderTimeline from "../components/OrderTimeline";
+import InfiniteScrollTrigger from "../components/InfiniteScrollTrigger";
 
 // ======================================================================
 // MAPEAMENTO VISUAL DOS STATUS DO PEDIDO
@@ -8,17 +10,46 @@ import API from "../api/api";
 // - statusLabels traduz o status
 // ======================================================================
 const statusColors = {
+  scheduled: "bg-orange-100 text-orange-700",
   pending: "bg-yellow-100 text-yellow-700",
   preparing: "bg-blue-100 text-blue-700",
+  ready_for_delivery: "bg-indigo-100 text-indigo-700",
   delivering: "bg-purple-100 text-purple-700",
   delivered: "bg-green-100 text-green-700",
+  ready_for_pickup: "bg-purple-100 text-purple-700",
+  picked_up: "bg-green-100 text-green-700",
+  cancelled: "bg-red-100 text-red-700",
 };
 
 const statusLabels = {
+  scheduled: "AGENDADO",
   pending: "PENDENTE",
   preparing: "PREPARANDO",
+  ready_for_delivery: "PRONTO PARA ENTREGA",
   delivering: "SAIU PARA ENTREGA",
   delivered: "ENTREGUE",
+  ready_for_pickup: "PRONTO PARA RETIRADA",
+  picked_up: "RETIRADO",
+  cancelled: "CANCELADO",
+};
+
+// Status em que o cliente ainda vai receber a entrega e precisa do código
+const DELIVERY_CODE_STATUSES = [
+  "scheduled",
+  "pending",
+  "preparing",
+  "ready_for_delivery",
+  "delivering",
+];
+
+// Pedidos por página (GET /orders/my)
+const PAGE_SIZE = 10;
+
+// Acrescenta uma página à lista, sem repetir pedidos que já chegaram
+// por tempo real (um pedido novo empurra os demais para a página seguinte)
+const appendOrders = (prev, page) => {
+  const seen = new Set(prev.map((o) => o.id));
+  return [...prev, ...page.filter((o) => !seen.has(o.id))];
 };
 
 export default function Orders() {
@@ -27,28 +58,131 @@ export default function Orders() {
   // ======================================================================
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [msg, setMsg] = useState("");
 
-  // ======================================================================
-  // UTILITÁRIO PARA CÁLCULO DO TOTAL
-  // ======================================================================
-  const calcTotal = (order) =>
-    order.orderItems?.reduce(
-      (sum, oi) => sum + oi.item.unitPrice * oi.quantity,
-      0
-    ) ?? 0;
+  // Paginação: última página carregada e total de páginas
+  const [pagination, setPagination] = useState({ page: 0, totalPages: 0 });
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState("");
+
+  // Linhas do tempo carregadas sob demanda: { [orderId]: statusEvents }
+  const [timelines, setTimelines] = useState({});
 
   // ======================================================================
   // CARREGAMENTO INICIAL DOS PEDIDOS
   // ======================================================================
   // - Busca somente pedidos do usuário autenticado (/orders/my)
+  // - Mais recentes primeiro; as páginas seguintes chegam pela rolagem
   // ======================================================================
   useEffect(() => {
-    API.get("/orders/my")
-      .then((res) => setOrders(res.data))
+    API.get("/orders/my", { params: { pageSize: PAGE_SIZE } })
+      .then((res) => {
+        setOrders(res.data.data);
+        setPagination({ page: res.data.page, totalPages: res.data.totalPages });
+      })
       .catch(() => setOrders([]))
       .finally(() => setLoading(false));
   }, []);
 
+  // ======================================================================
+  // ROLAGEM INFINITA: PRÓXIMA PÁGINA
+  // ======================================================================
+  const loadMore = () => {
+    if (loadingMore) return;
+    setLoadingMore(true);
+    setLoadMoreError("");
+
+    API.get("/orders/my", {
+      params: { page: pagination.page + 1, pageSize: PAGE_SIZE },
+    })
+      .then((res) => {
+        setOrders((prev) => appendOrders(prev, res.data.data));
+        setPagination({ page: res.data.page, totalPages: res.data.totalPages });
+      })
+      .catch(() => setLoadMoreError("Erro ao carregar mais pedidos."))
+      .finally(() => setLoadingMore(false));
+  };
+
+  // ======================================================================
+  // ATUALIZAÇÃO EM TEMPO REAL (SSE)
+  // ======================================================================
+  // - O backend envia apenas eventos dos pedidos deste cliente
+  // - order-created: pedido feito em outra aba/dispositivo
+  // - order-status-changed: avanço de status ou cancelamento
+  // ======================================================================
+  useEffect(() => {
+    const stream = openEventStream("/orders/stream");
+
+    stream.addEventListener("order-created", (e) => {
+      const order = JSON.parse(e.data);
+      setOrders((prev) =>
+        prev.some((o) => o.id === order.id) ? prev : [order, ...prev]
+      );
+    });
+
+    stream.addEventListener("order-status-changed", (e) => {
+      const changes = JSON.parse(e.data);
+      setOrders((prev) =>
+        prev.map((o) => (o.id === changes.id ? { ...o, ...changes } : o))
+      );
+    });
+
+    return () => stream.close();
+  }, []);
+
+  // ======================================================================
+  // CANCELAR PEDIDO
+  // ======================================================================
+  // - Permitido apenas enquanto o pedido está agendado ou "pending"
+  //   (regra do backend)
+  // - O motivo é opcional para o cliente
+  // ======================================================================
+  const cancelOrder = async (id) => {
+    const reason = prompt("Deseja cancelar este pedido? Informe o motivo (opcional):");
+
+    // null = cliente clicou em "Cancelar" no prompt
+    if (reason === null) return;
+
+    try {
+      const res = await API.patch(`/orders/my/${id}/cancel`, {
+        ...(reason.trim() && { reason: reason.trim() }),
+      });
+
+      setOrders((prev) => prev.map((o) => (o.id === id ? res.data : o)));
+      setMsg("Pedido cancelado.");
+    } catch (err) {
+      setMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao cancelar pedido."
+      );
+    }
+  };
+
+  // ======================================================================
+  // LINHA DO TEMPO DO PEDIDO
+  // ======================================================================
+  // - Busca os detalhes em /orders/my/:id (que inclui statusEvents)
+  // - Clicar novamente esconde a linha do tempo
+  // ======================================================================
+  const toggleTimeline = async (id) => {
+    if (timelines[id]) {
+      setTimelines((prev) => {
+        const next = { ...prev };
+        delete next[id];
+        return next;
+      });
+      return;
+    }
+
+    try {
+      const res = await API.get(`/orders/my/${id}`);
+      setTimelines((prev) => ({ ...prev, [id]: res.data.statusEvents ?? [] }));
+    } catch {
+      setMsg("Erro ao carregar o acompanhamento do pedido.");
+    }
+  };
+
   // ======================================================================
   // ESTADO: CARREGANDO
   // ======================================================================
@@ -77,12 +211,14 @@ export default function Orders() {
   // ======================================================================
   // RENDERIZAÇÃO PRINCIPAL
   // ======================================================================
-  // - Mostra a lista completa dos pedidos
+  // - Mostra os pedidos carregados; o fim da lista busca a próxima página
   // ======================================================================
   return (
     <div className="p-6 max-w-3xl mx-auto space-y-6">
       <h1 className="text-3xl font-bold text-red-600">Meus Pedidos 📦</h1>
 
+      {msg && <div className="bg-gray-100 text-gray-700 p-3 rounded-lg">{msg}</div>}
+
       {orders.map((order) => (
         <div key={order.id} className="bg-white p-5 rounded-xl shadow space-y-3">
 
@@ -98,30 +234,122 @@ export default function Orders() {
           {/* DATA DO PEDIDO */}
           <div className="text-gray-500 text-sm">
             {new Date(order.createdAt).toLocaleString("pt-BR")}
+            {order.fulfillmentType === "PICKUP" && " • 🏪 Retirada no balcão"}
+            {order.scheduledFor &&
+              ` • 📅 agendado para ${new Date(order.scheduledFor).toLocaleString("pt-BR", {
+                dateStyle: "short",
+                timeStyle: "short",
+              })}`}
+            {!order.scheduledFor &&
+              order.estimatedMinutes &&
+              ["pending", "preparing", "ready_for_delivery", "delivering"].includes(order.status) &&
+              ` • entrega estimada em ~${order.estimatedMinutes} min`}
           </div>
 
+          {/* CÓDIGO DE ENTREGA (prova de entrega) */}
+          {order.deliveryCode && DELIVERY_CODE_STATUSES.includes(order.status) && (
+            <div className="bg-yellow-50 border border-yellow-300 p-3 rounded-lg">
+              Código de entrega:{" "}
+              <span className="font-mono text-xl font-bold tracking-widest">
+                {order.deliveryCode}
+              </span>
+              <p className="text-gray-600 text-sm">
+                Informe este código ao entregador quando receber o pedido.
+              </p>
+            </div>
+          )}
+
           {/* LISTA DE ITENS DO PEDIDO */}
           <div className="space-y-2">
             {order.orderItems?.map((oi) => (
               <div key={oi.id} className="flex justify-between text-gray-800">
                 <span>
-                  {oi.quantity}× {oi.item.description}
+                  {oi.quantity}× {oi.description}
+                  {oi.modifiers?.length > 0 && (
+                    <span className="block text-gray-500 text-sm">
+                      {oi.modifiers.map((m) => m.optionName).join(", ")}
+                    </span>
+                  )}
+                  {oi.notes && (
+                    <span className="block text-orange-700 text-sm">
+                      📝 {oi.notes}
+                    </span>
+                  )}
                 </span>
 
                 <span className="font-semibold">
-                  R$ {(oi.item.unitPrice * oi.quantity).toFixed(2)}
+                  R$ {(oi.unitPrice * oi.quantity).toFixed(2)}
                 </span>
               </div>
             ))}
           </div>
 
           {/* TOTAL DO PEDIDO */}
-          <div className="text-right font-bold text-lg text-red-600">
-            Total: R$ {calcTotal(order).toFixed(2)}
+          {/* Valores gravados no pedido (snapshot), já com o desconto do cupom */}
+          <div className="text-right">
+            {(order.discount > 0 || order.deliveryFee > 0) && (
+              <p className="text-gray-600">
+                Subtotal: R$ {order.subtotal.toFixed(2)}
+              </p>
+            )}
+            {order.discount > 0 && (
+              <p className="text-green-700">
+                Cupom {order.couponCode}: - R$ {order.discount.toFixed(2)}
+              </p>
+            )}
+            {order.deliveryFee > 0 && (
+              <p className="text-gray-600">
+                Entrega: R$ {order.deliveryFee.toFixed(2)}
+              </p>
+            )}
+            <p className="font-bold text-lg text-red-600">
+              Total: R$ {order.total.toFixed(2)}
+            </p>
           </div>
 
+          {/* DADOS DO CANCELAMENTO */}
+          {order.status === "cancelled" && (
+            <div className="bg-red-50 text-red-700 p-3 rounded-lg text-sm">
+              <p>
+                Cancelado por <strong>{order.cancelledBy?.name ?? "—"}</strong>
+                {order.cancelledAt &&
+                  ` em ${new Date(order.cancelledAt).toLocaleString("pt-BR")}`}
+              </p>
+              {order.cancelReason && <p>Motivo: {order.cancelReason}</p>}
+            </div>
+          )}
+
+          {/* ACOMPANHAMENTO (LINHA DO TEMPO) */}
+          <button
+            onClick={() => toggleTimeline(order.id)}
+            className="text-red-600 font-semibold underline text-sm"
+          >
+            {timelines[order.id] ? "Ocultar acompanhamento" : "Acompanhar pedido"}
+          </button>
+
+          {timelines[order.id] && (
+            <OrderTimeline events={timelines[order.id]} labels={statusLabels} />
+          )}
+
+          {/* CANCELAMENTO (APENAS PEDIDOS AGENDADOS OU PENDENTES) */}
+          {["scheduled", "pending"].includes(order.status) && (
+            <button
+              onClick={() => cancelOrder(order.id)}
+              className="w-full bg-gray-200 hover:bg-gray-300 text-red-600 p-2 rounded-lg font-semibold"
+            >
+              Cancelar pedido
+            </button>
+          )}
+
         </div>
       ))}
+
+      <InfiniteScrollTrigger
+        hasMore={pagination.page < pagination.totalPages}
+        loading={loadingMore}
+        error={loadMoreError}
+        onLoadMore={loadMore}
+      />
     </div>
   );
 }
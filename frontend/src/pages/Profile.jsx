@@ -80,6 +80,25 @@ export default function Profile() {
     }
   };
 
+  // ======================================================================
+  // REENVIAR LINK DE VERIFICAÇÃO DE E-MAIL
+  // ======================================================================
+  const resendVerification = async () => {
+    setMsgSuccess("");
+    setMsgError("");
+
+    try {
+      const res = await API.post("/users/verify/resend");
+      setMsgSuccess(res.data.message);
+    } catch (err) {
+      setMsgError(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao reenviar o link."
+      );
+    }
+  };
+
   // ======================================================================
   // ESTADO: CARREGANDO
   // ======================================================================
@@ -108,6 +127,22 @@ export default function Profile() {
         </div>
       )}
 
+      {/* E-MAIL AINDA NÃO VERIFICADO */}
+      {!user.emailVerifiedAt && (
+        <div className="bg-yellow-100 text-yellow-800 p-4 rounded-lg space-y-2">
+          <p className="font-semibold">
+            ✉️ Confirme seu e-mail ({user.email}) pelo link que enviamos.
+          </p>
+          <button
+            type="button"
+            onClick={resendVerification}
+            className="underline font-medium"
+          >
+            Reenviar link de verificação
+          </button>
+        </div>
+      )}
+
       {/* ================================================================
          FORMULÁRIO DE ATUALIZAÇÃO DE PERFIL
          ================================================================ */}
@@ -192,6 +227,36 @@ export default function Profile() {
           {user.address ? "Editar endereço" : "Adicionar endereço"}
         </button>
       </div>
+
+      {/* ================================================================
+         BLOCO DE SEGURANÇA (SESSÕES E 2FA)
+         ================================================================ */}
+      <div className="bg-white p-4 rounded-xl shadow space-y-2">
+        <h2 className="text-xl font-semibold text-red-600">Segurança</h2>
+
+        <p className="text-gray-600">
+          Veja os dispositivos conectados à sua conta e encerre os que não
+          reconhecer.
+        </p>
+
+        <button
+          type="button"
+          onClick={() => navigate("/sessions")}
+          className="w-full bg-gray-800 hover:bg-gray-900 text-white p-3 rounded-lg font-bold mt-3"
+        >
+          Gerenciar sessões
+        </button>
+
+        {user?.type === "ADMIN" && (
+          <button
+            type="button"
+            onClick={() => navigate("/security/2fa")}
+            className="w-full bg-gray-800 hover:bg-gray-900 text-white p-3 rounded-lg font-bold"
+          >
+            Autenticação em dois fatores
+          </button>
+        )}
+      </div>
     </div>
   );
 }
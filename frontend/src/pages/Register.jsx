@@ -42,9 +42,11 @@ export default function Register() {
 
     try {
       await API.post("/users/register", form);
-      setSuccessMsg("Conta criada com sucesso! Redirecionando...");
+      setSuccessMsg(
+        "Conta criada com sucesso! Enviamos um link para confirmar seu e-mail. Redirecionando..."
+      );
 
-      setTimeout(() => navigate("/login"), 1500);
+      setTimeout(() => navigate("/login"), 2500);
     } catch (err) {
       setErrorMsg(
         err.response?.data?.message ||
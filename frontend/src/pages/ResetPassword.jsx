@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import API from "../api/api";
+
+// ======================================================================
+// COMPONENTE ResetPassword
+// ======================================================================
+// Segunda etapa do "Esqueci minha senha", aberta pelo link do e-mail:
+//   /reset-password?token=...
+//
+// - O usuário digita a nova senha (duas vezes)
+// - POST /users/password/reset troca a senha e encerra todas as sessões
+// - Em seguida, redirecionamos para o login
+//
+// O link é de uso único e expira; se for inválido, oferecemos pedir outro.
+// ======================================================================
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const navigate = useNavigate();
+
+  const [password, setPassword] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [errorMsg, setErrorMsg] = useState("");
+  const [done, setDone] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setErrorMsg("");
+
+    if (password !== confirmation) {
+      setErrorMsg("As senhas não conferem.");
+      return;
+    }
+
+    try {
+      await API.post("/users/password/reset", { token, password });
+      setDone(true);
+
+      // Dá tempo de ler a confirmação antes de ir para o login
+      setTimeout(() => navigate("/login"), 2500);
+    } catch (err) {
+      setErrorMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao redefinir a senha."
+      );
+    }
+  };
+
+  // =====================================================================
+  // RENDERIZAÇÃO
+  // =====================================================================
+  return (
+    <div className="min-h-screen bg-red-50 flex items-center justify-center p-4">
+      <div className="bg-white w-full max-w-md p-8 rounded-2xl shadow-xl">
+
+        <h1 className="text-3xl font-bold text-center mb-6 text-red-600">
+          Nova senha
+        </h1>
+
+        {!token ? (
+          <p className="text-center text-gray-600">
+            Link incompleto.{" "}
+            <Link className="text-red-600 font-semibold" to="/forgot-password">
+              Solicite um novo link
+            </Link>
+            .
+          </p>
+        ) : done ? (
+          <p className="bg-green-100 text-green-700 p-3 rounded-lg text-center font-medium">
+            Senha redefinida com sucesso! Redirecionando para o login...
+          </p>
+        ) : (
+          <>
+            {errorMsg && (
+              <div className="bg-red-100 text-red-700 p-3 rounded-lg mb-4 text-center font-medium">
+                {errorMsg}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label className="block font-medium mb-1">Nova senha</label>
+                <input
+                  type="password"
+                  className="w-full border p-3 rounded-lg focus:ring-2 focus:ring-red-400"
+                  placeholder="Mínimo de 6 caracteres"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  minLength={6}
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block font-medium mb-1">Confirme a nova senha</label>
+                <input
+                  type="password"
+                  className="w-full border p-3 rounded-lg focus:ring-2 focus:ring-red-400"
+                  value={confirmation}
+                  onChange={(e) => setConfirmation(e.target.value)}
+                  minLength={6}
+                  required
+                />
+              </div>
+
+              <button className="w-full bg-red-500 hover:bg-red-600 text-white text-lg p-3 rounded-lg font-semibold transition">
+                Salvar nova senha
+              </button>
+            </form>
+
+            <p className="text-center mt-4 text-sm">
+              Link expirado?{" "}
+              <Link className="text-red-600 font-semibold" to="/forgot-password">
+                Solicite outro
+              </Link>
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
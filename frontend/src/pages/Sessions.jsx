@@ -0,0 +1,176 @@
+import { useContext, useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import API, { clearTokens } from "../api/api";
+import { AuthContext } from "../context/AuthContext";
+
+// ======================================================================
+// COMPONENTE Sessions
+// ======================================================================
+// Responsável por:
+// - Listar as sessões ativas do usuário (um item por login/dispositivo)
+// - Destacar a sessão deste navegador
+// - Encerrar sessões que o usuário não reconhece
+// - Sair de todos os dispositivos de uma vez (inclusive este)
+//
+// Regras:
+// - Encerrar uma sessão invalida o refresh token dela; o dispositivo é
+//   deslogado quando o token de acesso atual expirar
+// - "Sair de todos os dispositivos" invalida na hora todos os tokens
+// - A sessão atual é encerrada pelo botão "Sair" da Navbar
+// ======================================================================
+
+// Resumo legível do User-Agent: "Chrome • Windows"
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Dispositivo desconhecido";
+
+  const browser =
+    [
+      ["Edg/", "Edge"],
+      ["OPR/", "Opera"],
+      ["Firefox/", "Firefox"],
+      ["Chrome/", "Chrome"],
+      ["Safari/", "Safari"],
+    ].find(([token]) => userAgent.includes(token))?.[1] ?? "Navegador";
+
+  const system =
+    [
+      ["Android", "Android"],
+      ["iPhone", "iOS"],
+      ["iPad", "iOS"],
+      ["Windows", "Windows"],
+      ["Mac OS", "macOS"],
+      ["Linux", "Linux"],
+    ].find(([token]) => userAgent.includes(token))?.[1] ?? "sistema desconhecido";
+
+  return `${browser} • ${system}`;
+};
+
+export default function Sessions() {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [msg, setMsg] = useState("");
+
+  const { setUser } = useContext(AuthContext);
+  const navigate = useNavigate();
+
+  // -------------------------------------------------------------------
+  // CARREGAR SESSÕES ATIVAS
+  // -------------------------------------------------------------------
+  const loadSessions = () =>
+    API.get("/users/me/sessions")
+      .then((res) => setSessions(res.data))
+      .catch(() => setMsg("Erro ao carregar as sessões."))
+      .finally(() => setLoading(false));
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  // -------------------------------------------------------------------
+  // ENCERRAR SESSÃO
+  // -------------------------------------------------------------------
+  const revoke = async (id) => {
+    if (!confirm("Encerrar esta sessão?")) return;
+
+    try {
+      await API.delete(`/users/me/sessions/${id}`);
+      setMsg("Sessão encerrada.");
+      loadSessions();
+    } catch (err) {
+      setMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao encerrar a sessão."
+      );
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // SAIR DE TODOS OS DISPOSITIVOS
+  // -------------------------------------------------------------------
+  const logoutAll = async () => {
+    if (!confirm("Sair de todos os dispositivos, inclusive deste?")) return;
+
+    try {
+      await API.post("/users/logout-all");
+    } catch (err) {
+      setMsg(
+        err.response?.data?.message ||
+          err.response?.data?.error ||
+          "Erro ao sair de todos os dispositivos."
+      );
+      return;
+    }
+
+    clearTokens();
+    setUser(null);
+    navigate("/login");
+  };
+
+  if (loading) {
+    return <p className="p-6">Carregando...</p>;
+  }
+
+  // ====================================================================
+  // RENDERIZAÇÃO DO COMPONENTE
+  // ====================================================================
+  return (
+    <div className="p-6 max-w-2xl mx-auto space-y-6">
+      <h1 className="text-3xl font-bold text-red-600">Sessões ativas 🔐</h1>
+
+      {msg && (
+        <div className="bg-gray-100 text-gray-700 p-3 rounded-lg font-medium">
+          {msg}
+        </div>
+      )}
+
+      {sessions.length === 0 ? (
+        <p className="text-gray-500">Nenhuma sessão ativa.</p>
+      ) : (
+        sessions.map((session) => (
+          <div
+            key={session.id}
+            className="bg-white shadow p-4 rounded-lg flex justify-between items-center"
+          >
+            <div className="space-y-1">
+              <p className="font-semibold">
+                {describeDevice(session.userAgent)}
+                {session.current && (
+                  <span className="ml-2 text-sm text-green-700">
+                    (este navegador)
+                  </span>
+                )}
+              </p>
+
+              <p className="text-gray-500 text-sm">
+                Entrou em {new Date(session.createdAt).toLocaleString("pt-BR")}
+                {session.ipAddress && ` • IP ${session.ipAddress}`}
+              </p>
+
+              <p className="text-gray-500 text-sm">
+                Último uso:{" "}
+                {new Date(session.lastUsedAt).toLocaleString("pt-BR")}
+              </p>
+            </div>
+
+            {!session.current && (
+              <button
+                onClick={() => revoke(session.id)}
+                className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg"
+              >
+                Encerrar
+              </button>
+            )}
+          </div>
+        ))
+      )}
+
+      <button
+        onClick={logoutAll}
+        className="w-full bg-gray-800 hover:bg-gray-900 text-white p-3 rounded-lg font-bold"
+      >
+        Sair de todos os dispositivos
+      </button>
+    </div>
+  );
+}
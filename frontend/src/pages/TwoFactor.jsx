@@ -0,0 +1,302 @@
+import { useEffect, useState } from "react";
+import API from "../api/api";
+
+// ======================================================================
+// COMPONENTE TwoFactor
+// ======================================================================
+// Responsável por:
+// - Mostrar se a autenticação em dois fatores (2FA) está ativa na conta
+// - Cadastrar o app autenticador (chave + link otpauth) e ativar com o
+//   primeiro código
+// - Exibir os códigos de recuperação (uma única vez) e gerar novos
+// - Desativar o 2FA
+// - Tornar o 2FA obrigatório para todos os administradores
+//
+// Regras:
+// - Desativar e gerar novos códigos pedem um código válido do app
+// - Com o 2FA obrigatório, não é possível desativá-lo
+// - Só quem já tem o 2FA ativo pode torná-lo obrigatório
+// ======================================================================
+
+// Mensagem de erro padrão das chamadas à API
+const errorMessage = (err, fallback) =>
+  err.response?.data?.message || err.response?.data?.error || fallback;
+
+export default function TwoFactor() {
+  const [status, setStatus] = useState(null);
+  const [required, setRequired] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [msg, setMsg] = useState("");
+
+  // Cadastro em andamento: { secret, otpauthUri }
+  const [enrollment, setEnrollment] = useState(null);
+
+  // Código digitado (ativar, desativar, gerar novos códigos)
+  const [code, setCode] = useState("");
+
+  // Códigos de recuperação recém-gerados (exibidos uma única vez)
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  // -------------------------------------------------------------------
+  // CARREGAR SITUAÇÃO DO 2FA + CONFIGURAÇÃO DA LOJA
+  // -------------------------------------------------------------------
+  const loadStatus = () =>
+    Promise.all([API.get("/users/me/2fa"), API.get("/store/settings")])
+      .then(([statusRes, settingsRes]) => {
+        setStatus(statusRes.data);
+        setRequired(settingsRes.data.requireAdminTwoFactor);
+      })
+      .catch(() => setMsg("Erro ao carregar a autenticação em dois fatores."))
+      .finally(() => setLoading(false));
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  // -------------------------------------------------------------------
+  // CADASTRO: GERAR CHAVE E ATIVAR
+  // -------------------------------------------------------------------
+  const startSetup = async () => {
+    setMsg("");
+
+    try {
+      const res = await API.post("/users/me/2fa/setup");
+      setEnrollment(res.data);
+      setCode("");
+    } catch (err) {
+      setMsg(errorMessage(err, "Erro ao iniciar o cadastro."));
+    }
+  };
+
+  const enable = async (e) => {
+    e.preventDefault();
+    setMsg("");
+
+    try {
+      const res = await API.post("/users/me/2fa/enable", { code });
+      setRecoveryCodes(res.data.recoveryCodes);
+      setEnrollment(null);
+      setCode("");
+      setMsg(res.data.message);
+      loadStatus();
+    } catch (err) {
+      setMsg(errorMessage(err, "Erro ao ativar o 2FA."));
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // DESATIVAR / NOVOS CÓDIGOS (EXIGEM CÓDIGO)
+  // -------------------------------------------------------------------
+  const disable = async () => {
+    if (!confirm("Desativar a autenticação em dois fatores?")) return;
+    setMsg("");
+
+    try {
+      const res = await API.post("/users/me/2fa/disable", { code });
+      setRecoveryCodes(null);
+      setCode("");
+      setMsg(res.data.message);
+      loadStatus();
+    } catch (err) {
+      setMsg(errorMessage(err, "Erro ao desativar o 2FA."));
+    }
+  };
+
+  const regenerate = async () => {
+    if (!confirm("Gerar novos códigos? Os códigos atuais deixarão de valer.")) {
+      return;
+    }
+    setMsg("");
+
+    try {
+      const res = await API.post("/users/me/2fa/recovery-codes", { code });
+      setRecoveryCodes(res.data.recoveryCodes);
+      setCode("");
+      setMsg("Novos códigos de recuperação gerados.");
+      loadStatus();
+    } catch (err) {
+      setMsg(errorMessage(err, "Erro ao gerar novos códigos."));
+    }
+  };
+
+  // -------------------------------------------------------------------
+  // 2FA OBRIGATÓRIO PARA ADMINISTRADORES (aplicado na hora)
+  // -------------------------------------------------------------------
+  const toggleRequired = async (requireAdminTwoFactor) => {
+    setMsg("");
+
+    try {
+      const res = await API.put("/store/settings", { requireAdminTwoFactor });
+      setRequired(res.data.requireAdminTwoFactor);
+      setMsg(
+        requireAdminTwoFactor
+          ? "Agora todo administrador precisa do 2FA para entrar."
+          : "O 2FA deixou de ser obrigatório para administradores."
+      );
+      loadStatus();
+    } catch (err) {
+      setMsg(errorMessage(err, "Erro ao salvar configurações."));
+    }
+  };
+
+  if (loading) {
+    return <p className="p-6">Carregando...</p>;
+  }
+
+  // ====================================================================
+  // RENDERIZAÇÃO DO COMPONENTE
+  // ====================================================================
+  return (
+    <div className="p-6 max-w-2xl mx-auto space-y-6">
+      <h1 className="text-3xl font-bold text-red-600">
+        Autenticação em dois fatores 🔑
+      </h1>
+
+      {msg && (
+        <div className="bg-gray-100 text-gray-700 p-3 rounded-lg font-medium">
+          {msg}
+        </div>
+      )}
+
+      {/* ----------------------------------------------------------------- */}
+      {/* CÓDIGOS DE RECUPERAÇÃO RECÉM-GERADOS */}
+      {/* ----------------------------------------------------------------- */}
+      {recoveryCodes && (
+        <div className="bg-yellow-50 border border-yellow-300 p-4 rounded-lg space-y-3">
+          <p className="font-semibold">
+            Guarde estes códigos em local seguro. Cada um vale para um único
+            login caso você perca o acesso ao app autenticador, e eles não
+            serão exibidos novamente.
+          </p>
+
+          <ul className="grid grid-cols-2 gap-2 font-mono text-center">
+            {recoveryCodes.map((c) => (
+              <li key={c}>{c}</li>
+            ))}
+          </ul>
+
+          <button
+            onClick={() => setRecoveryCodes(null)}
+            className="px-4 py-2 bg-gray-800 hover:bg-gray-900 text-white rounded-lg"
+          >
+            Já guardei
+          </button>
+        </div>
+      )}
+
+      {/* ----------------------------------------------------------------- */}
+      {/* SITUAÇÃO / CADASTRO */}
+      {/* ----------------------------------------------------------------- */}
+      {status && (
+        <div className="bg-white p-6 shadow rounded-lg space-y-4">
+          {status.enabled ? (
+            <>
+              <p>
+                <span className="font-semibold text-green-700">Ativa</span>{" "}
+                desde {new Date(status.enabledAt).toLocaleString("pt-BR")}.{" "}
+                {status.recoveryCodesRemaining} código(s) de recuperação
+                disponível(is).
+              </p>
+
+              <input
+                className="w-full border p-3 rounded-lg font-mono text-center tracking-widest"
+                placeholder="Código do app ou de recuperação"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+
+              <div className="flex gap-3">
+                <button
+                  onClick={regenerate}
+                  disabled={!code}
+                  className="flex-1 px-4 py-2 bg-gray-800 hover:bg-gray-900 text-white rounded-lg disabled:opacity-50"
+                >
+                  Gerar novos códigos
+                </button>
+
+                {!status.required && (
+                  <button
+                    onClick={disable}
+                    disabled={!code}
+                    className="flex-1 px-4 py-2 bg-red-500 hover:bg-red-600 text-white rounded-lg disabled:opacity-50"
+                  >
+                    Desativar
+                  </button>
+                )}
+              </div>
+            </>
+          ) : enrollment ? (
+            <form onSubmit={enable} className="space-y-3">
+              <p>
+                Cadastre a conta no seu app autenticador (Google
+                Authenticator, Authy...) com a chave abaixo:
+              </p>
+
+              <p className="font-mono break-all bg-gray-100 p-2 rounded-lg text-center">
+                {enrollment.secret}
+              </p>
+
+              <p className="text-sm">
+                Ou, no celular,{" "}
+                <a className="text-red-600" href={enrollment.otpauthUri}>
+                  abra direto no app
+                </a>
+                . Depois, digite o código de 6 dígitos gerado pelo app.
+              </p>
+
+              <input
+                className="w-full border p-3 rounded-lg font-mono text-center tracking-widest"
+                placeholder="000000"
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+              />
+
+              <button className="w-full bg-red-500 hover:bg-red-600 text-white p-3 rounded-lg font-bold">
+                Ativar
+              </button>
+            </form>
+          ) : (
+            <>
+              <p>
+                A autenticação em dois fatores está{" "}
+                <span className="font-semibold">desativada</span>. Com ela, o
+                login pede também um código do app autenticador.
+              </p>
+
+              <button
+                onClick={startSetup}
+                className="w-full bg-red-500 hover:bg-red-600 text-white p-3 rounded-lg font-bold"
+              >
+                Configurar 2FA
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* ----------------------------------------------------------------- */}
+      {/* OBRIGATORIEDADE PARA ADMINISTRADORES */}
+      {/* ----------------------------------------------------------------- */}
+      <div className="bg-white p-6 shadow rounded-lg space-y-3">
+        <h2 className="text-xl font-bold">Administradores</h2>
+
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={required}
+            onChange={(e) => toggleRequired(e.target.checked)}
+          />
+          Exigir 2FA de todos os administradores
+        </label>
+
+        <p className="text-gray-500 text-sm">
+          Marcado, o administrador sem 2FA cadastra o app autenticador no
+          próximo login, e ninguém consegue desativá-lo.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { useContext, useEffect, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import API from "../api/api";
+import { AuthContext } from "../context/AuthContext";
+
+// ======================================================================
+// COMPONENTE VerifyEmail
+// ======================================================================
+// Aberto pelo link enviado no cadastro:
+//   /verify-email?token=...
+//
+// - Envia o token ao backend (POST /users/verify) assim que a página abre
+// - Funciona mesmo sem login (o link pode ser aberto no celular)
+// - Se o usuário estiver logado neste navegador, atualiza o contexto
+//   para o aviso de "e-mail não verificado" sumir
+// ======================================================================
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const { user, setUser } = useContext(AuthContext);
+
+  // "loading" | "success" | "error"
+  const [status, setStatus] = useState(token ? "loading" : "error");
+  const [message, setMessage] = useState(
+    token ? "" : "Link incompleto. Solicite um novo link no seu perfil."
+  );
+
+  useEffect(() => {
+    if (!token) return;
+
+    API.post("/users/verify", { token })
+      .then((res) => {
+        setStatus("success");
+        setMessage(res.data.message);
+        setUser((prev) =>
+          prev ? { ...prev, emailVerifiedAt: new Date().toISOString() } : prev
+        );
+      })
+      .catch((err) => {
+        setStatus("error");
+        setMessage(
+          err.response?.data?.message ||
+            err.response?.data?.error ||
+            "Não foi possível verificar o e-mail."
+        );
+      });
+  }, [token, setUser]);
+
+  // =====================================================================
+  // RENDERIZAÇÃO
+  // =====================================================================
+  return (
+    <div className="min-h-screen bg-red-50 flex items-center justify-center p-4">
+      <div className="bg-white w-full max-w-md p-8 rounded-2xl shadow-xl text-center space-y-4">
+
+        <h1 className="text-3xl font-bold text-red-600">Verificação de e-mail</h1>
+
+        {status === "loading" && <p>Verificando...</p>}
+
+        {status === "success" && (
+          <p className="bg-green-100 text-green-700 p-3 rounded-lg font-medium">
+            ✅ {message}
+          </p>
+        )}
+
+        {status === "error" && (
+          <p className="bg-red-100 text-red-700 p-3 rounded-lg font-medium">
+            {message}
+          </p>
+        )}
+
+        {status !== "loading" && (
+          <Link className="text-red-600 font-semibold" to={user ? "/" : "/login"}>
+            {user ? "Ir para o cardápio" : "Ir para o login"}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}